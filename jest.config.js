@@ -0,0 +1,16 @@
+/**
+ * Configuration Jest
+ *
+ * Le projet est en modules ES : les tests sont exécutés sans transformation,
+ * avec node --experimental-vm-modules (voir le script test de package.json).
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+export default {
+	testEnvironment: 'node',
+	transform: {},
+	testMatch: ['<rootDir>/tests/**/*.test.js'],
+	setupFiles: ['<rootDir>/tests/setup.js'],
+};
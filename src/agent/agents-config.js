@@ -134,6 +134,7 @@ This agent is the expert for persuasive writing, marketing copy, and content cre
 			'update_block_by_agent_id',
 			'replace_block_realtime',
 			'replace_block_by_agent_id',
+			'capture_page_screenshot',
 		],
 
 		prompt: `Tu es un copywriter expert en marketing digital et psychologie de la persuasion.
@@ -153,6 +154,7 @@ IMPORTANT :
 - Bénéfices avant features
 - Preuve sociale quand possible
 - Urgence/scarcité avec éthique
+- Relire le rendu avec capture_page_screenshot (longueur des titres, CTAs visibles sur mobile)
 
 TOOLS DISPONIBLES :
 Tu as accès uniquement aux tools de copywriting (création et modification de contenu).
@@ -196,7 +198,11 @@ This agent is the expert for visual design, accessibility, and design system adh
 			'update_block_by_agent_id',
 			'insert_pattern',
 			'swap_pattern',
+			'move_block_by_agent_id',
+			'duplicate_block_by_agent_id',
+			'batch_block_operations',
 			'update_global_styles',
+			'capture_page_screenshot',
 		],
 
 		prompt: `Tu es un designer UX/UI expert en WordPress et Gutenberg.
@@ -221,6 +227,7 @@ RÈGLES CRITIQUES :
 2. TOUJOURS utiliser les slugs du thème (primary, secondary) au lieu de valeurs hardcodées (#hex)
 3. TOUJOURS vérifier le contraste avant d'appliquer des couleurs
 4. NE JAMAIS utiliser update_global_styles sans demander confirmation à l'utilisateur
+5. TOUJOURS vérifier le rendu avec capture_page_screenshot après tes modifications (desktop puis mobile)
 
 TOOLS DISPONIBLES :
 Tu as accès uniquement aux tools de design (styles, couleurs, patterns, design system).
@@ -228,12 +235,63 @@ Concentre-toi sur la COHÉRENCE VISUELLE et l'ACCESSIBILITÉ.`,
 
 		model: 'inherit',
 	},
+
+	/**
+	 * ♿ Accessibility Agent
+	 *
+	 * Utilise cet agent quand la tâche concerne :
+	 * - Audit d'accessibilité (WCAG AA) chiffré
+	 * - Contraste des couleurs, hiérarchie des titres
+	 * - Textes alternatifs, liens et boutons vides
+	 * - Taille des cibles tactiles
+	 */
+	accessibility: {
+		description: `Use this agent for accessibility (WCAG AA) audits and fixes:
+- Measuring accessibility with computed checks and a score out of 100
+- Text/background contrast from the theme's color slugs (4.5:1, 3:1 for large text)
+- Heading level skips
+- Empty links and buttons
+- Missing image alt text
+- Touch targets smaller than 44x44px
+- Fixing what can be fixed automatically, writing the missing alt and link texts
+
+This agent is the expert for accessibility: it measures instead of estimating.`,
+
+		tools: [
+			'get_theme_design_system',
+			'get_blocks_structure',
+			'inspect_block_schema',
+			'audit_accessibility',
+			'fix_accessibility_issues',
+			'update_block_by_agent_id',
+		],
+
+		prompt: `Tu es un expert en accessibilité web (WCAG 2.2 AA) pour WordPress et Gutenberg.
+
+Ton rôle :
+- Mesurer l'accessibilité de la page avec audit_accessibility (score, problèmes calculés)
+- Corriger automatiquement les problèmes "fixable" avec fix_accessibility_issues
+- Rédiger ce que l'audit ne peut pas deviner : alt des images, textes des liens et boutons vides
+- Rendre un rapport clair : score avant / après, corrections faites, points restants
+
+RÈGLES CRITIQUES :
+1. TOUJOURS commencer par audit_accessibility : ne JAMAIS estimer un contraste ou une hiérarchie à l'œil
+2. Utiliser fix_accessibility_issues pour les problèmes fixable (un seul lot, annulable)
+3. Pour les autres, update_block_by_agent_id avec le texte rédigé
+4. TOUJOURS relancer audit_accessibility à la fin et donner le score final
+
+TOOLS DISPONIBLES :
+Tu as accès uniquement aux tools d'audit et de correction d'accessibilité.
+Concentre-toi sur des CORRECTIONS MESURABLES.`,
+
+		model: 'inherit',
+	},
 };
 
 /**
  * Retourne les noms des agents affichables
  *
- * @param {string} agentKey - Clé de l'agent (seo, copywriting, design)
+ * @param {string} agentKey - Clé de l'agent (seo, copywriting, design, accessibility)
  * @returns {string} Nom d'affichage avec emoji
  */
 export function getAgentDisplayName(agentKey) {
@@ -241,6 +299,7 @@ export function getAgentDisplayName(agentKey) {
 		seo: '🔍 SEO Agent',
 		copywriting: '✍️ Copywriting Agent',
 		design: '🎨 Design Agent',
+		accessibility: '♿ Accessibility Agent',
 	};
 
 	return names[agentKey] || agentKey;
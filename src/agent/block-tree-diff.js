@@ -0,0 +1,356 @@
+/**
+ * Block Tree Diff
+ *
+ * Simulation hors éditeur d'un lot d'opérations (format batch_block_operations
+ * normalisé) sur une copie de l'arbre get_blocks_structure, et diff structurel
+ * entre deux arbres : blocs ajoutés, supprimés, déplacés, attributs modifiés.
+ *
+ * La simulation suit les règles de l'éditeur (gutenberg-commands.js) : cibles par
+ * agentId ou clientId, index absent = fin du parent, lot en tout ou rien.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Préfixe des IDs attribués aux blocs créés pendant la simulation
+ */
+export const PREVIEW_ID_PREFIX = 'preview-';
+
+/**
+ * Applique un lot d'opérations à une copie de l'arbre
+ *
+ * @param {Array} structure - Arbre get_blocks_structure [{ clientId, agentId, name, attributes, innerBlocks }]
+ * @param {Array} operations - Opérations normalisées (normalizeBatchOperation)
+ * @returns {Array} Nouvel arbre (les blocs créés sans claudeAgentId ont un agentId "preview-N")
+ * @throws {Error} Si une opération échoue (bloc introuvable, déplacement dans lui-même...)
+ */
+export function simulateOperations(structure, operations) {
+	const root = { innerBlocks: cloneTree(structure) };
+	let created = 0;
+
+	const build = (name, attributes = {}, innerBlocks = []) => {
+		// Comme l'éditeur, un bloc réinséré (annulation d'une suppression) garde son claudeAgentId
+		const agentId = attributes.claudeAgentId || `${PREVIEW_ID_PREFIX}${++created}`;
+		return {
+			clientId: null,
+			agentId,
+			name,
+			attributes: { ...attributes, claudeAgentId: agentId },
+			innerBlocks: innerBlocks.map((inner) => build(inner.name, inner.attributes, inner.innerBlocks)),
+		};
+	};
+
+	operations.forEach((operation, index) => {
+		const fail = (message) => {
+			throw new Error(`Operation ${index} (${operation.op}) failed: ${message}`);
+		};
+
+		const resolveParent = (parentAgentId) => {
+			if (!parentAgentId) {
+				return root;
+			}
+			const parent = findBlock(root, { agentId: parentAgentId });
+			if (!parent) {
+				fail(`Block ${parentAgentId} not found`);
+			}
+			return parent.block;
+		};
+
+		if (operation.op === 'insert') {
+			const parent = resolveParent(operation.parentAgentId);
+			const position = operation.index ?? parent.innerBlocks.length;
+			parent.innerBlocks.splice(position, 0, build(operation.blockName, operation.attributes, operation.innerBlocks));
+			return;
+		}
+
+		const target = findBlock(root, operation);
+		if (!target) {
+			fail(`Block ${operation.agentId || operation.clientId} not found`);
+		}
+		const siblings = target.parent.innerBlocks;
+		const position = siblings.indexOf(target.block);
+
+		if (operation.op === 'update') {
+			target.block.attributes = { ...target.block.attributes, ...operation.attributes };
+			for (const key of operation.removeAttributes || []) {
+				delete target.block.attributes[key];
+			}
+		} else if (operation.op === 'remove') {
+			siblings.splice(position, 1);
+		} else if (operation.op === 'replace') {
+			siblings.splice(position, 1, build(operation.blockName, operation.attributes, operation.innerBlocks));
+		} else if (operation.op === 'move') {
+			const parent = operation.toRoot ? root : operation.parentAgentId ? resolveParent(operation.parentAgentId) : target.parent;
+			if (parent === target.block || findBlock(target.block, { agentId: operation.parentAgentId })) {
+				fail('A block cannot be moved inside itself');
+			}
+			siblings.splice(position, 1);
+			const toIndex = operation.toIndex ?? parent.innerBlocks.length;
+			parent.innerBlocks.splice(Math.min(toIndex, parent.innerBlocks.length), 0, target.block);
+		}
+	});
+
+	return root.innerBlocks;
+}
+
+/**
+ * Compare deux arbres de blocs
+ *
+ * Les blocs sont identifiés par agentId (sinon clientId). Un bloc ajouté ou supprimé
+ * avec ses enfants n'est listé qu'une fois (inner_blocks = nombre de descendants).
+ * Un bloc est déplacé s'il change de parent, ou d'ordre par rapport aux blocs
+ * conservés du même parent (les décalages dus aux insertions ne comptent pas).
+ *
+ * @param {Array} before - Arbre avant
+ * @param {Array} after - Arbre après
+ * @returns {Object} { added, removed, moved, changed, summary }
+ */
+export function diffBlockTrees(before, after) {
+	const beforeIndex = indexTree(before);
+	const afterIndex = indexTree(after);
+
+	const describe = (entry) => ({
+		id: entry.id,
+		name: entry.block.name,
+		parent: entry.parentId,
+		index: entry.index,
+		inner_blocks: countDescendants(entry.block),
+	});
+
+	const added = [...afterIndex.values()]
+		.filter((entry) => !beforeIndex.has(entry.id) && !(entry.parentId && !beforeIndex.has(entry.parentId) && afterIndex.has(entry.parentId)))
+		.map((entry) => ({ ...describe(entry), attributes: withoutAgentId(entry.block.attributes) }));
+
+	const removed = [...beforeIndex.values()]
+		.filter((entry) => !afterIndex.has(entry.id) && !(entry.parentId && !afterIndex.has(entry.parentId)))
+		.map(describe);
+
+	const moved = [];
+	const changed = [];
+
+	for (const entry of afterIndex.values()) {
+		const previous = beforeIndex.get(entry.id);
+		if (!previous) {
+			continue;
+		}
+
+		if (previous.parentId !== entry.parentId) {
+			moved.push({ id: entry.id, name: entry.block.name, from: position(previous), to: position(entry) });
+		}
+
+		const attributes = diffAttributes(previous.block.attributes, entry.block.attributes);
+		if (Object.keys(attributes).length > 0) {
+			changed.push({ id: entry.id, name: entry.block.name, attributes });
+		}
+	}
+
+	// Blocs restés dans le même parent mais dont l'ordre relatif a changé
+	const parents = new Set([...afterIndex.values()].map((entry) => entry.parentId));
+	for (const parentId of parents) {
+		const kept = (index) => [...index.values()]
+			.filter((entry) => entry.parentId === parentId)
+			.filter((entry) => beforeIndex.get(entry.id)?.parentId === parentId && afterIndex.get(entry.id)?.parentId === parentId)
+			.sort((a, b) => a.index - b.index)
+			.map((entry) => entry.id);
+
+		const beforeOrder = kept(beforeIndex);
+		const afterOrder = kept(afterIndex);
+		const stable = new Set(longestCommonSubsequence(beforeOrder, afterOrder));
+
+		for (const id of afterOrder.filter((candidate) => !stable.has(candidate))) {
+			moved.push({
+				id,
+				name: afterIndex.get(id).block.name,
+				from: position(beforeIndex.get(id)),
+				to: position(afterIndex.get(id)),
+			});
+		}
+	}
+
+	return {
+		added,
+		removed,
+		moved,
+		changed,
+		summary: {
+			added: added.length,
+			removed: removed.length,
+			moved: moved.length,
+			changed: changed.length,
+		},
+	};
+}
+
+/**
+ * Empreinte d'un arbre get_blocks_structure
+ *
+ * Couvre l'ordre, le type, l'agentId et les attributs des blocs à toutes profondeurs.
+ * Les clientId sont ignorés : l'éditeur les régénère à chaque chargement de la page.
+ *
+ * @param {Array} structure - Arbre get_blocks_structure
+ * @returns {string} Hash sha256 (hex)
+ */
+export function hashBlockTree(structure = []) {
+	const canonical = (blocks = []) => blocks.map((block) => ({
+		agentId: block.agentId || block.attributes?.claudeAgentId || null,
+		name: block.name,
+		attributes: sortKeys(block.attributes || {}),
+		innerBlocks: canonical(block.innerBlocks),
+	}));
+
+	return createHash('sha256').update(JSON.stringify(canonical(structure))).digest('hex');
+}
+
+/**
+ * Copie profonde d'un arbre get_blocks_structure
+ *
+ * @param {Array} blocks - Blocs
+ * @returns {Array} Copie
+ */
+function cloneTree(blocks = []) {
+	return blocks.map((block) => ({
+		clientId: block.clientId || null,
+		agentId: block.agentId || block.attributes?.claudeAgentId || null,
+		name: block.name,
+		attributes: structuredClone(block.attributes || {}),
+		innerBlocks: cloneTree(block.innerBlocks),
+	}));
+}
+
+/**
+ * Cherche un bloc (et son parent) par agentId ou clientId
+ *
+ * @param {Object} node - Racine { innerBlocks }
+ * @param {Object} target - { agentId?, clientId? }
+ * @returns {Object|null} { block, parent }
+ */
+function findBlock(node, { agentId = null, clientId = null }) {
+	if (!agentId && !clientId) {
+		return null;
+	}
+
+	for (const block of node.innerBlocks || []) {
+		if ((agentId && block.agentId === agentId) || (!agentId && clientId && block.clientId === clientId)) {
+			return { block, parent: node };
+		}
+		const found = findBlock(block, { agentId, clientId });
+		if (found) {
+			return found;
+		}
+	}
+	return null;
+}
+
+/**
+ * Indexe un arbre par ID de bloc
+ *
+ * @param {Array} blocks - Arbre
+ * @param {string|null} parentId - ID du parent
+ * @param {Map} index - Index en cours
+ * @returns {Map} id → { id, block, parentId, index }
+ */
+function indexTree(blocks, parentId = null, index = new Map()) {
+	blocks.forEach((block, position) => {
+		const id = block.agentId || block.attributes?.claudeAgentId || block.clientId;
+		index.set(id, { id, block, parentId, index: position });
+		indexTree(block.innerBlocks || [], id, index);
+	});
+	return index;
+}
+
+/**
+ * Position d'une entrée d'index
+ *
+ * @param {Object} entry - Entrée de indexTree
+ * @returns {Object} { parent, index }
+ */
+function position(entry) {
+	return { parent: entry.parentId, index: entry.index };
+}
+
+/**
+ * Attributs modifiés entre deux versions d'un bloc
+ *
+ * @param {Object} before - Attributs avant
+ * @param {Object} after - Attributs après
+ * @returns {Object} { nom: { before, after } }
+ */
+function diffAttributes(before = {}, after = {}) {
+	const changes = {};
+	for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+		if (key !== 'claudeAgentId' && JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+			changes[key] = { before: before[key] ?? null, after: after[key] ?? null };
+		}
+	}
+	return changes;
+}
+
+/**
+ * Attributs sans l'ID persistant du plugin
+ *
+ * @param {Object} attributes - Attributs
+ * @returns {Object} Attributs
+ */
+function withoutAgentId(attributes = {}) {
+	const { claudeAgentId, ...rest } = attributes;
+	return rest;
+}
+
+/**
+ * Copie d'une valeur JSON aux clés d'objet triées (sérialisation stable)
+ *
+ * @param {*} value - Valeur
+ * @returns {*} Copie
+ */
+function sortKeys(value) {
+	if (Array.isArray(value)) {
+		return value.map(sortKeys);
+	}
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(Object.keys(value).sort().map((key) => [key, sortKeys(value[key])]));
+	}
+	return value;
+}
+
+/**
+ * Nombre de descendants d'un bloc
+ *
+ * @param {Object} block - Bloc
+ * @returns {number} Descendants (toutes profondeurs)
+ */
+function countDescendants(block) {
+	return (block.innerBlocks || []).reduce((total, inner) => total + 1 + countDescendants(inner), 0);
+}
+
+/**
+ * Plus longue sous-séquence commune de deux listes d'IDs
+ *
+ * @param {Array<string>} a - Première liste
+ * @param {Array<string>} b - Seconde liste
+ * @returns {Array<string>} Sous-séquence
+ */
+function longestCommonSubsequence(a, b) {
+	const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+
+	const sequence = [];
+	for (let i = 0, j = 0; i < a.length && j < b.length;) {
+		if (a[i] === b[j]) {
+			sequence.push(a[i]);
+			i++;
+			j++;
+		} else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return sequence;
+}
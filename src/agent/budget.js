@@ -0,0 +1,257 @@
+/**
+ * Budget
+ *
+ * Tarifs des modèles Claude, calcul du coût d'un run et limites de budget
+ * par requête (tokens et/ou dollars). Vérifié par l'orchestrateur avant
+ * chaque appel à Claude.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+/**
+ * Tarifs en USD par million de tokens (préfixe du modèle -> tarifs)
+ *
+ * Le préfixe le plus long l'emporte (claude-opus-4-5 avant claude-opus-4).
+ * cache_write / cache_read: tokens écrits/lus dans le prompt cache
+ */
+export const MODEL_PRICING = {
+	'claude-opus-4-5': { input: 5, output: 25, cache_write: 6.25, cache_read: 0.5 },
+	'claude-opus-4-1': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+	'claude-opus-4': { input: 15, output: 75, cache_write: 18.75, cache_read: 1.5 },
+	'claude-sonnet-4': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+	'claude-haiku-4': { input: 1, output: 5, cache_write: 1.25, cache_read: 0.1 },
+	'claude-3-7-sonnet': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+	'claude-3-5-sonnet': { input: 3, output: 15, cache_write: 3.75, cache_read: 0.3 },
+	'claude-3-5-haiku': { input: 0.8, output: 4, cache_write: 1, cache_read: 0.08 },
+};
+
+/**
+ * Compteurs de tokens d'un usage Anthropic
+ */
+const USAGE_KEYS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens'];
+
+/**
+ * Tarif utilisé pour un modèle inconnu (le plus courant: Sonnet)
+ */
+const FALLBACK_PRICING = MODEL_PRICING['claude-sonnet-4'];
+
+/**
+ * Tokens max du dernier tour (résumé sans tools) quand le budget est presque épuisé
+ */
+export const FINAL_TURN_MAX_TOKENS = 1024;
+
+/**
+ * Retourne les tarifs d'un modèle
+ *
+ * @param {string} model - Nom du modèle (ex: claude-sonnet-4-5)
+ * @returns {Object} { input, output, cache_write, cache_read } en USD / million de tokens
+ */
+export function getModelPricing(model = '') {
+	const prefix = Object.keys(MODEL_PRICING)
+		.filter((key) => model.startsWith(key))
+		.sort((a, b) => b.length - a.length)[0];
+	return prefix ? MODEL_PRICING[prefix] : FALLBACK_PRICING;
+}
+
+/**
+ * Calcule le coût d'un usage de tokens
+ *
+ * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens?, cache_read_input_tokens? }
+ * @param {string} model - Nom du modèle
+ * @returns {Object} Détail du coût en USD
+ */
+export function computeCost(usage, model) {
+	const pricing = getModelPricing(model);
+	const perToken = (price) => price / 1_000_000;
+
+	const inputCost = (usage.input_tokens || 0) * perToken(pricing.input);
+	const outputCost = (usage.output_tokens || 0) * perToken(pricing.output);
+	const cacheWriteCost = (usage.cache_creation_input_tokens || 0) * perToken(pricing.cache_write);
+	const cacheReadCost = (usage.cache_read_input_tokens || 0) * perToken(pricing.cache_read);
+
+	return {
+		model,
+		input_cost_usd: roundUsd(inputCost),
+		output_cost_usd: roundUsd(outputCost),
+		cache_write_cost_usd: roundUsd(cacheWriteCost),
+		cache_read_cost_usd: roundUsd(cacheReadCost),
+		total_cost_usd: roundUsd(inputCost + outputCost + cacheWriteCost + cacheReadCost),
+	};
+}
+
+/**
+ * Arrondit un montant en USD (6 décimales)
+ *
+ * @param {number} amount - Montant
+ * @returns {number} Montant arrondi
+ */
+function roundUsd(amount) {
+	return Math.round(amount * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Compte les tokens facturés d'un usage (entrée, cache inclus, + sortie)
+ *
+ * @param {Object} usage - Usage cumulé
+ * @returns {number} Nombre total de tokens
+ */
+export function countBilledTokens(usage) {
+	return (usage.input_tokens || 0)
+		+ (usage.output_tokens || 0)
+		+ (usage.cache_creation_input_tokens || 0)
+		+ (usage.cache_read_input_tokens || 0);
+}
+
+/**
+ * Ajoute l'usage d'une réponse à l'usage cumulé du run (tokens de cache inclus)
+ *
+ * @param {Object} total - Usage cumulé (modifié)
+ * @param {Object} usage - Usage d'une réponse de Claude
+ * @returns {Object} Usage cumulé
+ */
+export function addUsage(total, usage = {}) {
+	for (const key of USAGE_KEYS) {
+		total[key] = (total[key] || 0) + (usage[key] || 0);
+	}
+	return total;
+}
+
+/**
+ * Crée un usage vide
+ *
+ * @returns {Object} { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ */
+export function createUsage() {
+	return Object.fromEntries(USAGE_KEYS.map((key) => [key, 0]));
+}
+
+/**
+ * Classe RunBudget
+ *
+ * Limites de budget d'un run. L'état est calculé à partir de l'usage cumulé
+ * du run et d'une estimation du prochain appel.
+ */
+export class RunBudget {
+	/**
+	 * Constructeur
+	 *
+	 * @param {Object} limits - Limites du run
+	 * @param {number|null} limits.max_tokens - Tokens max (entrée + sortie)
+	 * @param {number|null} limits.max_cost_usd - Coût max en USD
+	 * @param {string} model - Modèle utilisé pour le calcul du coût
+	 */
+	constructor({ max_tokens = null, max_cost_usd = null } = {}, model) {
+		this.maxTokens = max_tokens > 0 ? max_tokens : null;
+		this.maxCostUsd = max_cost_usd > 0 ? max_cost_usd : null;
+		this.model = model;
+		// Map: modèle -> usage des appels faits avec un autre modèle que celui du run
+		this.otherModelsUsage = new Map();
+	}
+
+	/**
+	 * Enregistre l'usage d'un appel fait avec un autre modèle que celui du run
+	 * (résumé de l'historique, overrides de templates...)
+	 *
+	 * L'usage est aussi ajouté à l'usage cumulé du run : il compte pour max_tokens,
+	 * et cette part est facturée au tarif de son modèle.
+	 *
+	 * @param {Object} usage - Usage de l'appel
+	 * @param {string} model - Modèle de l'appel
+	 */
+	recordModelUsage(usage = {}, model) {
+		if (!model || model === this.model) {
+			return;
+		}
+		if (!this.otherModelsUsage.has(model)) {
+			this.otherModelsUsage.set(model, createUsage());
+		}
+		addUsage(this.otherModelsUsage.get(model), usage);
+	}
+
+	/**
+	 * Calcule le coût de l'usage cumulé, chaque modèle à son tarif
+	 *
+	 * @param {Object} usage - Usage cumulé du run (tous modèles)
+	 * @returns {Object} Détail du coût en USD (computeCost)
+	 */
+	computeRunCost(usage) {
+		const runModelUsage = { ...createUsage(), ...usage };
+		const costs = [];
+
+		for (const [model, modelUsage] of this.otherModelsUsage) {
+			for (const key of USAGE_KEYS) {
+				runModelUsage[key] -= modelUsage[key];
+			}
+			costs.push(computeCost(modelUsage, model));
+		}
+
+		const cost = computeCost(runModelUsage, this.model);
+		for (const other of costs) {
+			for (const key of Object.keys(cost).filter((name) => name.endsWith('_usd'))) {
+				cost[key] = roundUsd(cost[key] + other[key]);
+			}
+		}
+
+		return cost;
+	}
+
+	/**
+	 * Indique si une limite est définie
+	 *
+	 * @returns {boolean} True si le run est limité
+	 */
+	isLimited() {
+		return this.maxTokens !== null || this.maxCostUsd !== null;
+	}
+
+	/**
+	 * Détermine si le prochain appel peut avoir lieu
+	 *
+	 * Le budget est "presque épuisé" quand il ne couvre plus un tour normal
+	 * suivi d'un tour de résumé: le tour courant devient alors le résumé final.
+	 *
+	 * @param {Object} usage - Usage cumulé du run
+	 * @param {number} nextInputTokens - Estimation des tokens d'entrée du prochain appel
+	 * @returns {string} 'ok' | 'final_turn' | 'exhausted'
+	 */
+	check(usage, nextInputTokens) {
+		if (!this.isLimited()) {
+			return 'ok';
+		}
+
+		const usedTokens = countBilledTokens(usage);
+		const usedCost = this.computeRunCost(usage).total_cost_usd;
+
+		if ((this.maxTokens !== null && usedTokens >= this.maxTokens)
+			|| (this.maxCostUsd !== null && usedCost >= this.maxCostUsd)) {
+			return 'exhausted';
+		}
+
+		const turn = { input_tokens: nextInputTokens, output_tokens: FINAL_TURN_MAX_TOKENS };
+		const turnTokens = countBilledTokens(turn);
+		const turnCost = computeCost(turn, this.model).total_cost_usd;
+
+		if ((this.maxTokens !== null && usedTokens + 2 * turnTokens > this.maxTokens)
+			|| (this.maxCostUsd !== null && usedCost + 2 * turnCost > this.maxCostUsd)) {
+			return 'final_turn';
+		}
+
+		return 'ok';
+	}
+
+	/**
+	 * Retourne le rapport de budget pour la réponse finale
+	 *
+	 * @param {Object} usage - Usage cumulé du run
+	 * @returns {Object} Coût détaillé et limites
+	 */
+	getReport(usage) {
+		return {
+			...this.computeRunCost(usage),
+			total_tokens: countBilledTokens(usage),
+			max_tokens: this.maxTokens,
+			max_cost_usd: this.maxCostUsd,
+		};
+	}
+}
@@ -0,0 +1,238 @@
+/**
+ * Headless Executor
+ *
+ * Exécute les commandes gutenberg_action sans iframe : l'éditeur du post est ouvert
+ * dans un navigateur Playwright (GutenbergController) et la commande y est jouée via
+ * page.evaluate. Le résultat résout la requête en attente comme le ferait le callback
+ * de l'iframe : l'orchestrateur traite les deux modes de la même façon.
+ *
+ * Les commandes passent une par une (une seule page), et le post est sauvegardé à la
+ * fin du run (flush) ou avant d'ouvrir un autre post.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errors.js';
+import { KeyedQueue } from '../utils/concurrency.js';
+import { GutenbergController } from '../clients/gutenberg-controller.js';
+import { getPendingRequestsManager } from '../services/pending-requests-manager.js';
+
+/**
+ * Modes d'exécution des commandes Gutenberg
+ */
+export const EXECUTION_MODES = {
+	AUTO: 'auto', // Iframe si elle est connectée à la session d'éditeur, sinon headless
+	IFRAME: 'iframe', // Commandes envoyées via SSE à l'iframe de l'éditeur
+	HEADLESS: 'headless', // Commandes exécutées par Playwright (aucune iframe connectée)
+};
+
+/**
+ * Choisit où exécuter une commande Gutenberg
+ *
+ * En mode auto, la commande va à l'iframe seulement si elle a donné signe de vie
+ * pour la session d'éditeur (heartbeat ou callback), sinon elle est jouée en headless.
+ *
+ * @param {Object} runContext - Contexte du run (executionMode, editorSessionKey)
+ * @returns {string} EXECUTION_MODES.IFRAME ou EXECUTION_MODES.HEADLESS
+ */
+export function resolveExecutionMode(runContext = {}) {
+	if (runContext.executionMode === EXECUTION_MODES.IFRAME || runContext.executionMode === EXECUTION_MODES.HEADLESS) {
+		return runContext.executionMode;
+	}
+
+	return getPendingRequestsManager().isIframeConnected(runContext.editorSessionKey)
+		? EXECUTION_MODES.IFRAME
+		: EXECUTION_MODES.HEADLESS;
+}
+
+/**
+ * Clé unique de la file: un seul navigateur, une seule page
+ */
+const EDITOR_QUEUE_KEY = 'editor';
+
+/**
+ * Classe HeadlessExecutor
+ */
+export class HeadlessExecutor {
+	/**
+	 * Constructeur
+	 *
+	 * @param {Object} config - Configuration de l'orchestrateur (playwright, wordpress)
+	 */
+	constructor(config) {
+		this.config = config;
+		this.controller = null;
+		this.controllerPromise = null;
+		this.queue = new KeyedQueue();
+		this.dirty = false; // Modifications non sauvegardées sur le post ouvert
+	}
+
+	/**
+	 * Exécute une commande et résout (ou rejette) sa requête en attente
+	 *
+	 * @param {Object} command - Commande retournée par un tool Gutenberg (avec _awaitResult)
+	 * @param {Object} runContext - Contexte du run (postId)
+	 */
+	dispatch(command, runContext = {}) {
+		const { _awaitResult, _command, ...payload } = command;
+		const pendingManager = getPendingRequestsManager();
+
+		this.queue.run(EDITOR_QUEUE_KEY, async () => {
+			const response = await this.execute(payload, runContext.postId);
+
+			if (response.success) {
+				pendingManager.resolvePendingRequest(payload.requestId, response.result);
+			} else {
+				pendingManager.rejectPendingRequest(
+					payload.requestId,
+					new AppError(response.result?.error || 'Headless command failed', 422, { iframe_result: response.result || null })
+				);
+			}
+		}).catch((error) => {
+			pendingManager.rejectPendingRequest(payload.requestId, error);
+		});
+	}
+
+	/**
+	 * Exécute une commande dans l'éditeur du post
+	 *
+	 * @param {Object} payload - Commande ({ action, requestId, ...payload })
+	 * @param {number} postId - ID du post à éditer
+	 * @returns {Promise<Object>} { success, result }
+	 */
+	async execute(payload, postId) {
+		const controller = await this.openPost(postId);
+
+		const response = await controller.executeCommand(payload);
+
+		if (response.success && payload.action !== 'get_blocks_structure') {
+			this.dirty = true;
+		}
+
+		return response;
+	}
+
+	/**
+	 * Capture l'éditeur ou le front-end, après les commandes déjà en file
+	 *
+	 * Le front-end n'affiche que la version sauvegardée : les modifications headless
+	 * en cours sont sauvegardées avant la capture.
+	 *
+	 * @param {Object} options - { target: 'editor'|'frontend', url, viewport, device, agentId, maxHeight }
+	 * @param {number} postId - ID du post (éditeur)
+	 * @returns {Promise<Buffer>} Image JPEG
+	 */
+	captureScreenshot({ target, url, viewport, device, agentId = null, maxHeight }, postId) {
+		return this.queue.run(EDITOR_QUEUE_KEY, async () => {
+			if (target === 'editor') {
+				const controller = await this.openPost(postId);
+				return controller.captureEditorScreenshot({ device, agentId });
+			}
+
+			const controller = await this.getController();
+			await this.save();
+			return controller.captureFrontendScreenshot(url, viewport, maxHeight);
+		});
+	}
+
+	/**
+	 * Ouvre l'éditeur du post (en sauvegardant le post précédent)
+	 *
+	 * @param {number} postId - ID du post à éditer
+	 * @returns {Promise<GutenbergController>} Controller sur l'éditeur du post
+	 */
+	async openPost(postId) {
+		if (!postId) {
+			throw new AppError('Headless mode requires wordpress_context.current_post_id', 400);
+		}
+
+		const controller = await this.getController();
+
+		if (controller.currentPostId !== postId) {
+			await this.save();
+			await controller.navigateToPost(this.config.wordpress.url, postId);
+		}
+
+		return controller;
+	}
+
+	/**
+	 * Sauvegarde le post ouvert une fois les commandes en file exécutées
+	 *
+	 * @returns {Promise<boolean>} True si le post a été sauvegardé
+	 */
+	flush() {
+		return this.queue.run(EDITOR_QUEUE_KEY, () => this.save());
+	}
+
+	/**
+	 * Sauvegarde le post ouvert s'il a été modifié
+	 *
+	 * @returns {Promise<boolean>} True si le post a été sauvegardé
+	 */
+	async save() {
+		if (!this.dirty || !this.controller) {
+			return false;
+		}
+
+		await this.controller.savePost();
+		this.dirty = false;
+
+		logger.info('Headless editor changes saved', { post_id: this.controller.currentPostId });
+		return true;
+	}
+
+	/**
+	 * Démarre le navigateur au premier usage (et ouvre la session WordPress)
+	 *
+	 * @returns {Promise<GutenbergController>} Controller prêt
+	 */
+	async getController() {
+		if (!this.controllerPromise) {
+			this.controllerPromise = (async () => {
+				const controller = new GutenbergController(this.config.playwright);
+				await controller.initialize();
+
+				const { url, user, password } = this.config.wordpress;
+				if (password) {
+					await controller.login(url, user, password);
+				} else {
+					logger.warn('WORDPRESS_PASSWORD is not set: the headless editor relies on an existing session');
+				}
+
+				this.controller = controller;
+				return controller;
+			})();
+
+			// Échec du démarrage: réessayer à la prochaine commande
+			this.controllerPromise.catch(() => {
+				this.controllerPromise = null;
+			});
+		}
+
+		return this.controllerPromise;
+	}
+
+	/**
+	 * Sauvegarde les modifications en cours et ferme le navigateur
+	 *
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		if (!this.controller) {
+			return;
+		}
+
+		try {
+			await this.flush();
+		} catch (error) {
+			logger.error('Failed to save headless editor changes before closing', { error: error.message });
+		}
+
+		await this.controller.close();
+		this.controller = null;
+		this.controllerPromise = null;
+	}
+}
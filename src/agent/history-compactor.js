@@ -0,0 +1,348 @@
+/**
+ * History Compactor
+ *
+ * Réduit l'historique de conversation (format Anthropic) rejoué à chaque itération :
+ * - Les résultats de tools périmés (lecture suivie d'une modification, ou ancienne)
+ *   sont remplacés par un court stub
+ * - Au-delà d'un seuil de tokens, les anciens tours sont résumés par un modèle économique
+ *
+ * Les coupures se font uniquement au début d'un tour utilisateur (message sans tool_result),
+ * les paires tool_use / tool_result restent donc toujours valides.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../utils/logger.js';
+import { getToolPermission, TOOL_PERMISSIONS } from './permissions.js';
+
+/**
+ * Préfixe du message remplaçant les tours résumés
+ */
+const SUMMARY_PREFIX = 'CONVERSATION SUMMARY (earlier turns were compacted):';
+
+/**
+ * Configuration par défaut
+ */
+const DEFAULT_OPTIONS = {
+	maxHistoryTokens: 60000, // Seuil déclenchant le résumé des anciens tours
+	keepRecentMessages: 6, // Messages récents jamais stubés ni résumés
+	minStubChars: 1000, // Taille minimale d'un résultat de tool pour être remplacé par un stub
+	summaryModel: 'claude-haiku-4-5', // Modèle économique utilisé pour résumer les anciens tours
+	summaryMaxTokens: 1024,
+};
+
+/**
+ * Tokens estimés d'une image (capture d'écran redimensionnée par l'API)
+ */
+const IMAGE_TOKENS_ESTIMATE = 1600;
+
+/**
+ * Prompt du résumé des anciens tours
+ */
+const SUMMARY_SYSTEM_PROMPT = `You summarize the beginning of a conversation between a user and a WordPress/Gutenberg editing agent.
+The agent will continue the conversation with your summary instead of the original messages.
+
+Keep, in a compact bullet list:
+- What the user asked for and their preferences
+- What the agent did (pages/posts created or edited with their IDs, blocks inserted/updated/removed with their agentId or clientId)
+- The approved plan and the status of each task, if any
+- Errors encountered and what remains to be done
+
+Do not invent anything. Answer with the summary only.`;
+
+/**
+ * Classe HistoryCompactor
+ */
+export class HistoryCompactor {
+	/**
+	 * Constructeur
+	 *
+	 * @param {AnthropicClient} anthropicClient - Client Anthropic (résumé + estimation des tokens)
+	 * @param {Array} tools - Tools de l'orchestrateur (permission lecture / modification)
+	 * @param {Object} options - Surcharge de DEFAULT_OPTIONS
+	 */
+	constructor(anthropicClient, tools = [], options = {}) {
+		this.anthropicClient = anthropicClient;
+		this.toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+	}
+
+	/**
+	 * Compacte l'historique en place (stubs puis résumé si nécessaire)
+	 *
+	 * L'usage du résumé est renvoyé pour être ajouté à l'usage et au budget du run.
+	 *
+	 * @param {Array} history - Historique au format Anthropic (muté)
+	 * @param {Object} options - { signal }
+	 * @returns {Promise<Object>} { stubbed, summarized_messages, usage, model } (usage: null sans résumé)
+	 */
+	async compact(history, { signal = null } = {}) {
+		const stubbed = this.stubStaleToolResults(history);
+		let summarizedMessages = 0;
+		let usage = null;
+
+		if (this.estimateHistoryTokens(history) > this.options.maxHistoryTokens) {
+			({ messages: summarizedMessages, usage } = await this.summarizeOlderTurns(history, { signal }));
+		}
+
+		if (stubbed > 0 || summarizedMessages > 0) {
+			logger.info('Conversation history compacted', {
+				stubbed_tool_results: stubbed,
+				summarized_messages: summarizedMessages,
+				total_messages: history.length,
+				estimated_tokens: this.estimateHistoryTokens(history),
+			});
+		}
+
+		return { stubbed, summarized_messages: summarizedMessages, usage, model: this.options.summaryModel };
+	}
+
+	/**
+	 * Remplace les résultats de tools périmés par un stub
+	 *
+	 * Un résultat est périmé s'il est en dehors des messages récents, ou si c'est une lecture
+	 * suivie d'un nouvel appel du même tool ou d'une modification du contenu.
+	 *
+	 * @param {Array} history - Historique (muté)
+	 * @returns {number} Nombre de résultats remplacés
+	 */
+	stubStaleToolResults(history) {
+		const recentStart = Math.max(0, history.length - this.options.keepRecentMessages);
+
+		// tool_use_id -> { name, messageIndex }
+		const toolUses = new Map();
+		// Dernier index de message par tool appelé, et dernier index d'une modification
+		const lastCallIndex = new Map();
+		let lastMutationIndex = -1;
+
+		history.forEach((message, index) => {
+			if (message.role !== 'assistant' || !Array.isArray(message.content)) {
+				return;
+			}
+
+			for (const block of message.content) {
+				if (block.type !== 'tool_use') {
+					continue;
+				}
+
+				toolUses.set(block.id, { name: block.name, messageIndex: index });
+				lastCallIndex.set(block.name, index);
+
+				if (getToolPermission(this.toolsByName.get(block.name)) !== TOOL_PERMISSIONS.READ) {
+					lastMutationIndex = index;
+				}
+			}
+		});
+
+		let stubbed = 0;
+
+		history.forEach((message, index) => {
+			if (message.role !== 'user' || !Array.isArray(message.content)) {
+				return;
+			}
+
+			for (const block of message.content) {
+				if (block.type !== 'tool_result') {
+					continue;
+				}
+
+				// Les stubs sont plus courts que minStubChars: jamais remplacés deux fois
+				const size = getToolResultSize(block);
+				if (size < this.options.minStubChars) {
+					continue;
+				}
+
+				const toolUse = toolUses.get(block.tool_use_id);
+				const name = toolUse?.name || 'unknown';
+				const isRead = getToolPermission(this.toolsByName.get(name)) === TOOL_PERMISSIONS.READ;
+
+				const outsideRecent = index < recentStart;
+				const superseded = isRead && toolUse && (
+					lastCallIndex.get(name) > toolUse.messageIndex
+					|| lastMutationIndex > toolUse.messageIndex
+				);
+
+				if (!outsideRecent && !superseded) {
+					continue;
+				}
+
+				block.content = `[Stale result of ${name} (${size} chars) removed to save context. Call the tool again if you need this data.]`;
+				stubbed++;
+			}
+		});
+
+		return stubbed;
+	}
+
+	/**
+	 * Résume les anciens tours et place le résumé en tête du premier tour utilisateur conservé
+	 *
+	 * Le résumé n'est pas un message à part : deux messages utilisateur consécutifs
+	 * seraient refusés par l'API.
+	 *
+	 * @param {Array} history - Historique (muté)
+	 * @param {Object} options - { signal }
+	 * @returns {Promise<Object>} { messages, usage } (messages: nombre de messages résumés, 0 si aucune coupure possible)
+	 */
+	async summarizeOlderTurns(history, { signal = null } = {}) {
+		const cutIndex = this.findSafeCutIndex(history);
+		if (cutIndex <= 0) {
+			return { messages: 0, usage: null };
+		}
+
+		const olderMessages = history.slice(0, cutIndex);
+
+		try {
+			const response = await this.anthropicClient.sendMessage({
+				model: this.options.summaryModel,
+				system: SUMMARY_SYSTEM_PROMPT,
+				messages: [{
+					role: 'user',
+					content: `Conversation to summarize:\n\n${renderTranscript(olderMessages)}`,
+				}],
+				max_tokens: this.options.summaryMaxTokens,
+				signal,
+			});
+
+			const summary = this.anthropicClient.extractText(response);
+
+			// history[cutIndex] est un tour utilisateur sans tool_result (findSafeCutIndex)
+			history.splice(0, cutIndex + 1, {
+				role: 'user',
+				content: prependText(`${SUMMARY_PREFIX}\n${summary}`, history[cutIndex].content),
+			});
+
+			logger.info('Older conversation turns summarized', {
+				messages: cutIndex,
+				model: this.options.summaryModel,
+				usage: response.usage,
+			});
+
+			return { messages: cutIndex, usage: response.usage };
+		} catch (error) {
+			// Le résumé est une optimisation: en cas d'échec, l'historique reste intact
+			logger.warn('Failed to summarize older conversation turns', { error: error.message });
+			return { messages: 0, usage: null };
+		}
+	}
+
+	/**
+	 * Trouve le dernier index où l'historique peut être coupé sans casser une paire tool_use / tool_result
+	 *
+	 * La coupure se fait avant un message utilisateur qui ne contient aucun tool_result,
+	 * en gardant au moins keepRecentMessages messages.
+	 *
+	 * @param {Array} history - Historique
+	 * @returns {number} Index de coupure (0 = aucune coupure possible)
+	 */
+	findSafeCutIndex(history) {
+		const maxCut = history.length - this.options.keepRecentMessages;
+
+		for (let index = maxCut; index > 0; index--) {
+			const message = history[index];
+			const hasToolResult = Array.isArray(message.content)
+				&& message.content.some((block) => block.type === 'tool_result');
+
+			if (message.role === 'user' && !hasToolResult) {
+				// Un seul message (résumé précédent) ne vaut pas un nouvel appel
+				return index > 1 ? index : 0;
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Estime le nombre de tokens de l'historique
+	 *
+	 * @param {Array} history - Historique
+	 * @returns {number} Tokens estimés
+	 */
+	estimateHistoryTokens(history) {
+		// Une image compte pour un forfait, pas pour la taille de son base64
+		let images = 0;
+		const text = JSON.stringify(history, (key, value) => {
+			if (value?.type === 'image' && value.source?.type === 'base64') {
+				images++;
+				return { type: 'image' };
+			}
+			return value;
+		});
+
+		return this.anthropicClient.estimateTokens(text) + images * IMAGE_TOKENS_ESTIMATE;
+	}
+}
+
+/**
+ * Taille (en caractères) du contenu d'un tool_result
+ *
+ * @param {Object} block - Bloc tool_result
+ * @returns {number} Nombre de caractères
+ */
+function getToolResultSize(block) {
+	if (typeof block.content === 'string') {
+		return block.content.length;
+	}
+
+	// Une image compte comme le texte de même coût (~4 caractères par token)
+	if (Array.isArray(block.content)) {
+		return block.content.reduce((total, part) => (
+			total + (part.type === 'image' ? IMAGE_TOKENS_ESTIMATE * 4 : part.text?.length || 0)
+		), 0);
+	}
+
+	return 0;
+}
+
+/**
+ * Ajoute un texte au début du contenu d'un message
+ *
+ * @param {string} text - Texte à ajouter
+ * @param {string|Array} content - Contenu du message (texte ou blocs)
+ * @returns {string|Array} Contenu du même format
+ */
+function prependText(text, content) {
+	if (typeof content === 'string') {
+		return `${text}\n\n${content}`;
+	}
+	return [{ type: 'text', text }, ...content];
+}
+
+/**
+ * Convertit des messages en transcript texte pour le résumé
+ *
+ * @param {Array} messages - Messages au format Anthropic
+ * @returns {string} Transcript
+ */
+function renderTranscript(messages) {
+	const MAX_PART_CHARS = 2000;
+	const truncate = (text) => (text.length > MAX_PART_CHARS ? `${text.substring(0, MAX_PART_CHARS)}… [truncated]` : text);
+
+	return messages.map((message) => {
+		const role = message.role.toUpperCase();
+
+		if (typeof message.content === 'string') {
+			return `${role}: ${truncate(message.content)}`;
+		}
+
+		const parts = message.content.map((block) => {
+			switch (block.type) {
+				case 'text':
+					return truncate(block.text);
+				case 'tool_use':
+					return `[tool call ${block.name}] ${truncate(JSON.stringify(block.input))}`;
+				case 'tool_result': {
+					const content = typeof block.content === 'string'
+						? block.content
+						: (block.content || []).map((part) => (part.type === 'text' ? part.text : `[${part.type}]`)).join('\n');
+					return `[tool result${block.is_error ? ' (error)' : ''}] ${truncate(content)}`;
+				}
+				default:
+					return null; // thinking, images...
+			}
+		}).filter(Boolean);
+
+		return `${role}: ${parts.join('\n')}`;
+	}).join('\n\n');
+}
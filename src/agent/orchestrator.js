@@ -17,7 +17,8 @@
 
 import { query } from '@anthropic-ai/claude-agent-sdk';
 import logger from '../utils/logger.js';
-import { AppError } from '../utils/errors.js';
+import { AppError, AuthorizationError, RunCancelledError } from '../utils/errors.js';
+import { mapWithConcurrency, KeyedQueue } from '../utils/concurrency.js';
 
 // Import des clients
 import { AnthropicClient } from '../clients/anthropic-client.js';
@@ -27,14 +28,43 @@ import { RedisCache } from '../cache/redis-cache.js';
 // Import du gestionnaire de conversations
 import { getConversationManager } from '../services/conversation-manager.js';
 
+// Import du journal des modifications (undo)
+import { getEditJournal } from '../services/edit-journal.js';
+
+// Import de l'annulation des runs (tools et sub-agents d'un run annulé)
+import { throwIfRunCancelled } from '../services/run-manager.js';
+
+// Import de la clé de session d'éditeur (file des modifications, iframe connectée)
+import { getEditorSessionKey } from '../services/pending-requests-manager.js';
+
+// Import de la bibliothèque de templates de blocs
+import { getTemplateRegistry } from '../services/template-registry.js';
+
 // Import de la configuration des sub-agents
 import { agentsConfig } from './agents-config.js';
 
+// Import des permissions (permission_type)
+import { checkToolPermission, getPermissionModePrompt, getToolPermission, isParallelSafe, DEFAULT_PERMISSION_MODE, TOOL_PERMISSIONS } from './permissions.js';
+
+// Import du budget par run (tokens / coût)
+import { RunBudget, FINAL_TURN_MAX_TOKENS, addUsage, createUsage } from './budget.js';
+
+// Import de la compaction de l'historique
+import { HistoryCompactor } from './history-compactor.js';
+
+// Import de l'exécution headless des commandes Gutenberg (Playwright)
+import { HeadlessExecutor, EXECUTION_MODES, resolveExecutionMode } from './headless-executor.js';
+
 // Import des tools
 import { getWordPressTools } from './tools/wordpress-tools.js';
 import { getGutenbergTools } from './tools/gutenberg-tools.js';
 import { getFSETools } from './tools/fse-tools.js';
 import { getSubAgentTools } from './tools/subagent-tools.js';
+import { getJournalTools } from './tools/journal-tools.js';
+import { getScreenshotTools } from './tools/screenshot-tools.js';
+import { getTemplateTools } from './tools/template-tools.js';
+import { getAccessibilityTools } from './tools/accessibility-tools.js';
+import { getPlanTools, PLAN_TOOL_NAMES } from './tools/plan-tools.js';
 
 /**
  * Keywords pour détecter les requêtes nécessitant un plan
@@ -59,6 +89,22 @@ const PLAN_MODE_KEYWORDS = [
 	'make',
 ];
 
+/**
+ * Nombre maximum de tools de lecture exécutés simultanément dans une itération
+ */
+const MAX_PARALLEL_TOOLS = 4;
+
+/**
+ * Nombre maximum de relances d'une réponse coupée par max_tokens
+ */
+const MAX_CONTINUATIONS = 3;
+
+/**
+ * File des modifications par session d'éditeur: les mutations Gutenberg d'un même post
+ * s'appliquent dans l'ordre, y compris entre plusieurs runs
+ */
+const editorSessionQueue = new KeyedQueue();
+
 /**
  * System prompt pour l'orchestrateur (extrait des specs lignes 1065-1121)
  */
@@ -96,6 +142,7 @@ const ORCHESTRATOR_SYSTEM_PROMPT = `Tu es un agent expert en création de sites
      * Charger "essential" d'abord
      * Ajouter groupes supplémentaires UNIQUEMENT si nécessaire
    - JAMAIS charger tous les attributs d'un coup
+   - Si l'utilisateur veut réutiliser une section réussie, l'enregistrer avec 'save_block_as_template'
 
 4. MODIFICATION DE CONTENU EN TEMPS RÉEL (PRÉCISION CHIRURGICALE!)
 
@@ -114,8 +161,15 @@ const ORCHESTRATOR_SYSTEM_PROMPT = `Tu es un agent expert en création de sites
    ⚠️ RÈGLES CRITIQUES:
    - TOUJOURS PRÉFÉRER update_block_by_agent_id (IDs persistants)
    - TOUJOURS appeler get_blocks_structure AVANT de modifier
-   - Pour modifier 5 blocs = 5 appels à update_block_by_agent_id
-   - Ne JAMAIS essayer de modifier plusieurs blocs en un seul appel
+   - Pour modifier PLUSIEURS blocs (restyler une section, réorganiser...) = UN appel à batch_block_operations
+     → Tout ou rien: si une opération échoue, aucune n'est appliquée
+     → Un résultat par opération: corrige l'opération en erreur et renvoie le lot complet
+   - Chaque modification est confirmée par l'éditeur: le résultat contient les attributs du bloc
+     après la modification, ou success: false avec l'erreur (bloc introuvable, attribut invalide...)
+   - Ne JAMAIS annoncer une modification à l'utilisateur si son résultat est success: false
+   - Gros remaniement (restructurer la page, restyler plusieurs sections) = preview_changes d'abord
+     → Mêmes opérations que batch_block_operations, rien n'est appliqué: l'utilisateur voit le diff
+       et l'applique ou l'abandonne lui-même. Ne renvoie PAS le lot avec batch_block_operations.
 
    📋 EXEMPLE ULTRA SIMPLE:
 
@@ -155,11 +209,24 @@ const ORCHESTRATOR_SYSTEM_PROMPT = `Tu es un agent expert en création de sites
    4. update_block_by_clientid (⚠️ Fallback si agentId indisponible)
    5. remove_block_realtime (⚠️ Fallback)
    6. replace_block_realtime (⚠️ Fallback)
+   7. batch_block_operations (⭐ RECOMMANDÉ dès 2 modifications: insert/update/remove/replace/move)
+   8. move_block_by_agent_id (réordonner / changer de parent, innerBlocks conservés)
+   9. duplicate_block_by_agent_id (copier un bloc avec ses innerBlocks)
+   10. insert_block_realtime avec innerBlocks + parent_agent_id (construire colonnes, groupes, boutons en UN appel,
+       directement dans un conteneur existant)
 
    ❌ INTERDICTIONS ABSOLUES:
    - JAMAIS utiliser update_post pour modifier du contenu (trop lourd)
    - JAMAIS générer du HTML manuellement
    - JAMAIS modifier un bloc sans avoir appelé get_blocks_structure d'abord
+   - JAMAIS supprimer puis recréer un bloc pour le déplacer (utilise move_block_by_agent_id)
+
+   ↩️ ANNULATION: si l'utilisateur demande d'annuler ("annule", "remets comme avant"), utilise
+   undo_last_agent_change (dernières modifications) ou revert_run (toute une requête précédente).
+   Ne JAMAIS reconstruire l'état précédent à la main.
+
+   👁️ VÉRIFICATION VISUELLE: capture_page_screenshot renvoie une image de la page (front-end ou éditeur,
+   desktop/tablet/mobile, recadrable sur un bloc avec agentId). Utilise-la pour vérifier contraste et layout.
 
    ✅ L'utilisateur voit TOUS les changements en temps réel dans Gutenberg
 
@@ -211,7 +278,8 @@ const ORCHESTRATOR_SYSTEM_PROMPT = `Tu es un agent expert en création de sites
    Utilise 'delegate_to_subagent' pour déléguer à un expert spécialisé:
    - 🔍 SEO Agent : Optimisation structure, mots-clés, meta descriptions, URL slugs
    - ✍️ Copywriting Agent : Contenu persuasif, titres accrocheurs, CTAs efficaces
-   - 🎨 Design Agent : Layout, couleurs, UX, accessibilité, design system
+   - 🎨 Design Agent : Layout, couleurs, UX, design system
+   - ♿ Accessibility Agent : Audit WCAG calculé (contraste, titres, alt, liens vides, touch targets) et corrections
 
 WORKFLOW STANDARD:
 1. Découverte globale (blocs + design system) - SANS EXPLICATION
@@ -273,34 +341,48 @@ export class Orchestrator {
 			await this.wordpressAPI.initialize();
 			logger.info('WordPress API initialized');
 
-			// TODO: Initialiser Gutenberg Controller (Phase 3 - Gutenberg)
-			// this.gutenbergController = new GutenbergController(this.config.playwright);
-			// await this.gutenbergController.initialize();
+			// Bibliothèque de templates de blocs (validée contre les schémas réels, rechargée à chaud)
+			await getTemplateRegistry().initialize(this.wordpressAPI);
+
+			// Exécution des commandes Gutenberg sans iframe (navigateur démarré au premier usage)
+			this.headlessExecutor = new HeadlessExecutor(this.config);
 
 			// Note: Les sub-agents sont maintenant gérés via delegation avec delegate_to_subagent
 			// Ils sont instanciés à la demande dans subagent-tools.js
 
 			// Charger tous les tools disponibles
 			const wordpressTools = getWordPressTools(this.wordpressAPI);
-			const gutenbergTools = getGutenbergTools(); // Real-time Gutenberg tools via PostMessage
+			const gutenbergTools = getGutenbergTools(this.wordpressAPI); // Real-time Gutenberg tools via PostMessage
 			const fseTools = getFSETools(this.wordpressAPI);
+			const journalTools = getJournalTools(); // Annulation des modifications de l'agent
+			const screenshotTools = getScreenshotTools(this.headlessExecutor, this.config); // Vérification visuelle (Playwright)
+			const templateTools = getTemplateTools(this.anthropicClient, this.config); // Sections enregistrées comme templates
+			const accessibilityTools = getAccessibilityTools(this.wordpressAPI); // Audit WCAG calculé et corrections
 
 			// Combiner les tools de base
 			const baseTools = [
 				...wordpressTools,
 				...gutenbergTools,
+				...journalTools,
+				...screenshotTools,
+				...templateTools,
+				...accessibilityTools,
 				...fseTools,
 			];
 
 			// Ajouter les sub-agent tools (qui ont besoin de tous les tools pour filtrer)
 			const subAgentTools = getSubAgentTools(this.anthropicClient, baseTools, this.config);
 
-			// Combiner tous les tools
+			// Combiner tous les tools (les tools de plan ne sont exposés que pendant un plan approuvé)
 			this.tools = [
 				...baseTools,
 				...subAgentTools,
+				...getPlanTools(),
 			];
 
+			// Compaction de l'historique rejoué à chaque itération (longues sessions d'édition)
+			this.historyCompactor = new HistoryCompactor(this.anthropicClient, this.tools, this.config.compaction);
+
 			logger.info(`Orchestrator initialized successfully with ${this.tools.length} tools (including ${subAgentTools.length} sub-agent delegation tool)`);
 		} catch (error) {
 			logger.error('Failed to initialize Orchestrator', { error: error.message });
@@ -405,207 +487,110 @@ RÈGLES:
 	}
 
 	/**
-	 * Traite une requête utilisateur
+	 * Traite une requête utilisateur (moteur commun à /agent/process et /agent/process-stream)
 	 *
-	 * Lance la boucle d'interaction avec Claude : message → tool calls → results → repeat
+	 * Lance la boucle d'interaction avec Claude : message → tool calls → results → repeat.
+	 * L'avancement est émis via onEvent(type, data), avec les noms des événements SSE :
+	 * iteration_start, text_delta, thinking_delta, tool_input_delta, thinking, tool_call,
+	 * tool_result, tool_suggestion, diff_preview, plan_task_update, plan_rejected, final_response,
+	 * run_cancelled, error.
 	 *
 	 * @param {string} userMessage - Message de l'utilisateur
-	 * @param {Object} options - Options (conversation context, etc.)
+	 * @param {Object} options - Options du run
+	 * @param {string} options.conversation_id - ID de la conversation à continuer (nouvelle sinon)
+	 * @param {Object} options.wordpress_context - Contexte WordPress actuel (page en cours d'édition)
+	 * @param {Array} options.enabled_tools - Noms des tools autorisés (tous si vide)
+	 * @param {string} options.permission_type - Mode de permission (read-only, suggest, full)
+	 * @param {boolean} options.extended_thinking - Active l'extended thinking
+	 * @param {Function} options.onEvent - Callback (type, data) appelé pour chaque événement du run
+	 * @param {Function} options.onPlanGenerated - Callback appelé quand un plan est généré, retourne une Promise
+	 *                                             résolue avec la décision ({ approved, tasks?, feedback? } ou boolean).
+	 *                                             Sans ce callback, le plan mode est désactivé.
+	 * @param {Object} options.budget - Budget du run { max_tokens?, max_cost_usd? }
+	 * @param {string} options.run_id - ID du run (RunManager)
+	 * @param {AbortSignal} options.signal - Signal d'annulation du run
+	 * @param {string} options.execution_mode - Exécution des commandes Gutenberg: 'iframe' (SSE, défaut), 'headless' (Playwright)
+	 *                                          ou 'auto' (iframe si elle a donné signe de vie, sinon headless)
+	 * @param {boolean} options.skip_plan_mode - Force le skip du plan mode
+	 * @param {number} options.maxIterations - Nombre max d'itérations (défaut: 20)
+	 * @param {number} options.maxTokens - Tokens max par réponse de Claude (défaut: 8192)
 	 * @returns {Promise<Object>} Résultat final
 	 */
 	async processRequest(userMessage, options = {}) {
-		try {
-			logger.info('Processing user request', { message: userMessage.substring(0, 100) });
-
-			// Create a LOCAL conversation history for THIS request only (isolation)
-			const conversationHistory = [{
-				role: 'user',
-				content: userMessage,
-			}];
-
-			// Boucle d'interaction avec Claude
-			let continueLoop = true;
-			let finalResponse = null;
-			let iterations = 0;
-			const maxIterations = options.maxIterations || 20;
-			const totalUsage = {
-				input_tokens: 0,
-				output_tokens: 0,
-			};
-
-			// Préparer les tools au format Anthropic (sans les handlers)
-			const toolsForAnthropic = this.tools.map((t) => ({
-				name: t.name,
-				description: t.description,
-				input_schema: t.input_schema,
-			}));
-
-			while (continueLoop && iterations < maxIterations) {
-				iterations++;
-				logger.info(`Orchestrator iteration ${iterations}/${maxIterations}`);
-
-				// Envoyer message + tools à Claude
-				const response = await this.anthropicClient.sendMessage({
-					system: ORCHESTRATOR_SYSTEM_PROMPT,
-					messages: conversationHistory,
-					tools: toolsForAnthropic,
-					max_tokens: options.maxTokens || 8192,
-					extended_thinking: options.extended_thinking || false,
-				});
-
-				// Accumuler les tokens utilisés
-				totalUsage.input_tokens += response.usage.input_tokens;
-				totalUsage.output_tokens += response.usage.output_tokens;
-
-				logger.info(`Claude response received`, {
-					stop_reason: response.stop_reason,
-					usage: response.usage,
-				});
-
-				// Traiter la réponse
-				if (response.stop_reason === 'tool_use') {
-					// Claude demande d'exécuter des tools
-					const toolCalls = this.anthropicClient.extractToolCalls(response);
-					logger.info(`Claude requested ${toolCalls.length} tool call(s)`);
-
-					// Ajouter la réponse de Claude à l'historique
-					conversationHistory.push({
-						role: 'assistant',
-						content: response.content,
-					});
-
-					// Exécuter tous les tool calls
-					const toolResults = [];
-
-					for (const toolCall of toolCalls) {
-						try {
-							const result = await this.executeTool(toolCall.name, toolCall.input);
-
-							toolResults.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify(result),
-							});
-						} catch (error) {
-							// En cas d'erreur, renvoyer l'erreur à Claude
-							toolResults.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify({
-									error: true,
-									message: error.message,
-								}),
-								is_error: true,
-							});
-						}
-					}
-
-					// Renvoyer les résultats à Claude
-					conversationHistory.push({
-						role: 'user',
-						content: toolResults,
-					});
-				} else if (response.stop_reason === 'end_turn') {
-					// Réponse finale
-					finalResponse = response;
-					continueLoop = false;
-				} else {
-					// Autre raison d'arrêt (max_tokens, etc.)
-					logger.warn(`Unexpected stop reason: ${response.stop_reason}`);
-					finalResponse = response;
-					continueLoop = false;
-				}
+		// Aucun abonné: les événements sont ignorés (ex: /agent/process en JSON)
+		const emit = (type, data) => {
+			if (options.onEvent) {
+				options.onEvent(type, data);
 			}
+		};
 
-			if (iterations >= maxIterations) {
-				logger.warn(`Max iterations (${maxIterations}) reached`);
-			}
-
-			// Extraire le texte de la réponse finale
-			const responseText = finalResponse
-				? this.anthropicClient.extractText(finalResponse)
-				: 'No response generated';
-
-			return {
-				success: true,
-				response: responseText,
-				iterations,
-				usage: totalUsage,
-			};
-		} catch (error) {
-			logger.error('Error processing request in Orchestrator', { error: error.message });
-			throw error;
-		}
-	}
-
-	/**
-	 * Version streaming de processRequest avec callbacks pour événements en temps réel
-	 *
-	 * @param {string} userMessage - Message de l'utilisateur
-	 * @param {Object} options - Options avec callbacks
-	 * @param {Object} options.wordpress_context - Contexte WordPress actuel (page en cours d'édition)
-	 * @param {Function} options.onIterationStart - Callback appelé au début de chaque iteration
-	 * @param {Function} options.onToolCall - Callback appelé avant chaque appel de tool
-	 * @param {Function} options.onToolResult - Callback appelé après chaque résultat de tool
-	 * @param {Function} options.onPlanGenerated - Callback appelé quand un plan est généré (attend validation)
-	 * @param {Function} options.onPlanTaskUpdate - Callback appelé quand une tâche du plan change de statut
-	 * @param {Function} options.onFinalResponse - Callback appelé avec la réponse finale
-	 * @param {Function} options.onError - Callback appelé en cas d'erreur
-	 * @param {boolean} options.skip_plan_mode - Force le skip du plan mode
-	 * @returns {Promise<Object>} Résultat final
-	 */
-	async processRequestStream(userMessage, options = {}) {
 		try {
 			const {
 				conversation_id,
 				wordpress_context,
 				enabled_tools,
-				onIterationStart,
-				onToolCall,
-				onToolResult,
+				permission_type = DEFAULT_PERMISSION_MODE,
+				extended_thinking = false,
 				onPlanGenerated,
-				onPlanTaskUpdate,
-				onFinalResponse,
-				onError,
+				run_id = null,
+				signal = null,
+				execution_mode = EXECUTION_MODES.IFRAME,
+				budget = null,
 				skip_plan_mode = false,
-				...otherOptions
+				maxIterations = 20,
+				maxTokens = 8192,
 			} = options;
 
-			logger.info('Processing user request (streaming)', {
+			logger.info('Processing user request', {
 				message: userMessage.substring(0, 100),
 				has_context: !!wordpress_context,
 				conversation_id: conversation_id || 'new',
-				context: wordpress_context
+				context: wordpress_context,
+				permission_type,
 			});
 
 			// === DÉTECTION DU PLAN MODE ===
-			if (!skip_plan_mode && this.shouldCreatePlan(userMessage)) {
+			let activePlan = null;
+
+			if (!skip_plan_mode && onPlanGenerated && this.shouldCreatePlan(userMessage)) {
 				logger.info('Plan mode detected, generating plan');
 
 				// Générer le plan
 				const plan = await this.generatePlan(userMessage, wordpress_context);
 
-				// Envoyer le plan au frontend pour validation
-				if (onPlanGenerated) {
-					// Le callback onPlanGenerated doit retourner une Promise qui se résout quand l'utilisateur valide/rejette
-					// Le frontend doit implémenter cette logique
-					const planApproved = await onPlanGenerated(plan);
+				// Envoyer le plan au frontend et mettre le run en pause jusqu'à la décision de l'utilisateur
+				// (boolean pour compatibilité, ou { approved, tasks?, feedback? })
+				const rawDecision = await this.waitUnlessCancelled(
+					onPlanGenerated(plan, { conversation_id }),
+					signal,
+					run_id
+				);
+				const decision = typeof rawDecision === 'object' && rawDecision !== null
+					? rawDecision
+					: { approved: !!rawDecision };
 
-					if (!planApproved) {
-						logger.info('Plan rejected by user');
-						return {
-							success: false,
-							response: 'Plan rejected by user',
-							plan_rejected: true,
-						};
-					}
+				if (!decision.approved) {
+					logger.info('Plan rejected by user', { reason: decision.reason || decision.feedback || null });
+					emit('plan_rejected', { conversation_id: conversation_id || null });
+					return {
+						success: false,
+						response: 'Plan rejected by user',
+						plan_rejected: true,
+						conversation_id: conversation_id || null,
+					};
+				}
 
-					logger.info('Plan approved by user, proceeding with execution');
+				// L'utilisateur a pu renvoyer une version éditée des tâches
+				activePlan = {
+					...plan,
+					tasks: (decision.tasks || plan.tasks).map((task) => ({ ...task, status: 'pending' })),
+					feedback: decision.feedback || null,
+				};
 
-					// Continuer avec l'exécution du plan
-					// Le reste de la fonction sera exécuté normalement
-					// Les callbacks onPlanTaskUpdate seront appelés pour chaque tâche
-				}
+				logger.info('Plan approved by user, proceeding with execution', {
+					edited: !!decision.tasks,
+					tasks: activePlan.tasks.length,
+				});
 			}
 
 			// === GESTION DE LA PERSISTANCE DE CONVERSATION ===
@@ -621,6 +606,15 @@ RÈGLES:
 				logger.info('New conversation created', { conversation_id: activeConversationId });
 			}
 
+			// Session de la conversation, reprise par les routes appelées hors d'un run (undo)
+			if (conversationManager.getConversation(activeConversationId)) {
+				conversationManager.updateMetadata(activeConversationId, {
+					...(wordpress_context ? { wordpress_context } : {}),
+					permission_type,
+					execution_mode,
+				});
+			}
+
 			// Charger l'historique existant (ou tableau vide si nouvelle conversation)
 			const conversationHistory = conversationManager.getHistory(activeConversationId);
 
@@ -727,16 +721,42 @@ RÈGLES:
 				content: userMessage,
 			});
 
+			// Plan approuvé: l'agent doit suivre les tâches et signaler leur avancement
+			if (activePlan) {
+				let planMessage = `APPROVED PLAN (follow it in order):\n`;
+				for (const task of activePlan.tasks) {
+					planMessage += `- [${task.id}] ${task.label}\n`;
+				}
+				if (activePlan.feedback) {
+					planMessage += `\nUser feedback on the plan: ${activePlan.feedback}\n`;
+				}
+				planMessage += `\n⚠️ Call update_plan_task with status "in_progress" before each task and "completed" (or "failed"/"skipped") after it.`;
+
+				conversationHistory.push({
+					role: 'user',
+					content: planMessage,
+				});
+			}
+
 			let continueLoop = true;
+			let cancelled = false;
+			let budgetExhausted = false;
 			let finalResponse = null;
+			let continuation = null; // Réponse coupée par max_tokens à poursuivre { response, count }
 			let iterations = 0;
-			const maxIterations = otherOptions.maxIterations || 20;
-			const totalUsage = { input_tokens: 0, output_tokens: 0 };
+			const totalUsage = createUsage();
+
+			// Budget du run (options de la requête, sinon limites par défaut de la config)
+			const runBudget = new RunBudget(budget || this.config.budget || {}, this.anthropicClient.defaultModel);
+
+			// Les tools de plan ne sont exposés que si un plan a été approuvé
+			let availableTools = this.tools.filter(tool => activePlan || !PLAN_TOOL_NAMES.includes(tool.name));
 
 			// Filter tools based on enabled_tools array if provided
-			let availableTools = this.tools;
 			if (enabled_tools && enabled_tools.length > 0) {
-				availableTools = this.tools.filter(tool => enabled_tools.includes(tool.name));
+				availableTools = availableTools.filter(tool =>
+					enabled_tools.includes(tool.name) || PLAN_TOOL_NAMES.includes(tool.name)
+				);
 				logger.info('Tools filtered', {
 					total_tools: this.tools.length,
 					enabled_tools: availableTools.length,
@@ -750,115 +770,251 @@ RÈGLES:
 				input_schema: t.input_schema,
 			}));
 
+			// Contexte transmis à executeTool et aux handlers des tools
+			const runContext = {
+				runId: run_id,
+				conversationId: activeConversationId,
+				postId: wordpress_context?.current_post_id || null,
+				executionMode: execution_mode,
+				permission_type,
+				plan: activePlan,
+				onPlanTaskUpdate: (task, plan) => {
+					emit('plan_task_update', {
+						task,
+						completed: plan.tasks.filter((t) => t.status === 'completed').length,
+						total: plan.tasks.length,
+					});
+				},
+				// Annulation du run: vérifiée par executeTool et les sub-agents, transmise à leurs appels Anthropic
+				signal,
+				// Clé de la session d'éditeur (ordre des mutations, iframe connectée): post édité, sinon conversation
+				editorSessionKey: getEditorSessionKey(wordpress_context?.current_post_id, activeConversationId),
+				// Appels au modèle faits hors de la boucle (résumé, tools): usage et budget du run, au tarif du modèle appelé
+				recordUsage: (usage, model) => {
+					if (usage) {
+						addUsage(totalUsage, usage);
+						runBudget.recordModelUsage(usage, model);
+					}
+				},
+				// État du budget avant un appel fait hors de la boucle (sub-agents): 'ok' | 'final_turn' | 'exhausted'
+				checkBudget: (nextInputTokens = 0) => runBudget.check(totalUsage, nextInputTokens),
+			};
+
 			while (continueLoop && iterations < maxIterations) {
+				// Annulation demandée (route cancel ou connexion SSE fermée): on s'arrête entre deux itérations
+				if (signal?.aborted) {
+					cancelled = true;
+					break;
+				}
+
 				iterations++;
 
-				// Emit iteration start event
-				if (onIterationStart) {
-					onIterationStart(iterations, maxIterations);
-				}
+				emit('iteration_start', { iteration: iterations, maxIterations });
 
 				logger.info(`Orchestrator iteration ${iterations}/${maxIterations}`);
 
-				const response = await this.anthropicClient.sendMessage({
-					system: ORCHESTRATOR_SYSTEM_PROMPT,
-					messages: conversationHistory,
-					tools: toolsForAnthropic,
-					max_tokens: otherOptions.maxTokens || 8192,
-					extended_thinking: otherOptions.extended_thinking || false,
-				});
+				// Stubs des résultats de tools périmés, résumé des anciens tours au-delà du seuil
+				const compaction = await this.historyCompactor.compact(conversationHistory, { signal });
+				runContext.recordUsage(compaction.usage, compaction.model);
+
+				const systemPrompt = ORCHESTRATOR_SYSTEM_PROMPT + getPermissionModePrompt(permission_type);
+
+				// Vérifier le budget avant l'appel: s'il ne couvre plus qu'un tour, ce tour devient un résumé sans tools
+				let finalTurn = false;
+				if (runBudget.isLimited()) {
+					const nextInputTokens = this.anthropicClient.estimateTokens(
+						JSON.stringify({ system: systemPrompt, tools: toolsForAnthropic, messages: conversationHistory })
+					);
+					const budgetState = runBudget.check(totalUsage, nextInputTokens);
+
+					if (budgetState === 'exhausted') {
+						logger.warn('Run budget exhausted, stopping agent loop', runBudget.getReport(totalUsage));
+						budgetExhausted = true;
+						// Garder au moins le texte déjà généré d'une réponse coupée
+						finalResponse = continuation?.response || null;
+						break;
+					}
+
+					if (budgetState === 'final_turn') {
+						logger.warn('Run budget nearly exhausted, final summary turn without tools', runBudget.getReport(totalUsage));
+						budgetExhausted = true;
+						finalTurn = true;
+
+						// Pas de relance: le texte déjà généré reste dans l'historique avant la consigne de résumé
+						if (continuation) {
+							conversationHistory.push(this.buildContinuationPrefill(continuation.response));
+							continuation = null;
+						}
+
+						conversationHistory.push({
+							role: 'user',
+							content: '⚠️ The budget for this request is almost exhausted. Do NOT call any more tools. Summarize for the user what has been done and what remains to be done.',
+						});
+					}
+				}
+
+				let response;
+				try {
+					// Streaming token par token: les deltas sont relayés au frontend pendant la génération
+					// Relance d'une réponse coupée: le texte déjà généré est envoyé en prefill (message assistant)
+					response = await this.streamResponse({
+						system: systemPrompt,
+						messages: continuation
+							? [...conversationHistory, this.buildContinuationPrefill(continuation.response)]
+							: conversationHistory,
+						tools: toolsForAnthropic,
+						tool_choice: finalTurn ? { type: 'none' } : null,
+						max_tokens: finalTurn ? FINAL_TURN_MAX_TOKENS : maxTokens,
+						// Extended thinking exige budget_tokens < max_tokens (tour de résumé) et n'accepte pas de prefill (relance)
+						extended_thinking: finalTurn || continuation ? false : extended_thinking,
+						prompt_caching: true, // System prompt + tools identiques à chaque itération
+						signal,
+					}, emit);
+				} catch (error) {
+					// Requête interrompue par l'annulation du run: rien n'a été ajouté à l'historique
+					if (signal?.aborted) {
+						cancelled = true;
+						break;
+					}
+					throw error;
+				}
 
-				totalUsage.input_tokens += response.usage.input_tokens;
-				totalUsage.output_tokens += response.usage.output_tokens;
+				addUsage(totalUsage, response.usage);
 
 				// Extract and emit thinking content if present
-				if (otherOptions.extended_thinking && options.onThinking) {
+				if (extended_thinking) {
 					const thinkingContent = this.anthropicClient.extractThinking(response);
 					if (thinkingContent) {
 						logger.info('Extended thinking content extracted', {
 							length: thinkingContent.length
 						});
-						options.onThinking(thinkingContent);
+						emit('thinking', { content: thinkingContent });
 					}
 				}
 
-				if (response.stop_reason === 'tool_use') {
-					const toolCalls = this.anthropicClient.extractToolCalls(response);
+				// Recoller la suite au texte de la réponse coupée
+				let continuationCount = 0;
+				if (continuation) {
+					continuationCount = continuation.count;
+					response = this.stitchContinuation(continuation.response, response);
+					continuation = null;
+				}
+
+				const lastBlock = response.content[response.content.length - 1];
+				const hasToolUse = response.content.some((block) => block.type === 'tool_use');
+
+				if (finalTurn) {
+					// Tour de résumé: fin du run quelle que soit la raison d'arrêt
+					finalResponse = response;
+					continueLoop = false;
+				} else if (response.stop_reason === 'max_tokens' && !hasToolUse && lastBlock?.type === 'text' && lastBlock.text.trim()) {
+					// Réponse coupée en plein texte: demander la suite au prochain tour
+					if (continuationCount < MAX_CONTINUATIONS) {
+						logger.info('Response cut off by max_tokens, continuing the turn', {
+							continuation: continuationCount + 1,
+							max_continuations: MAX_CONTINUATIONS,
+						});
+						continuation = { response, count: continuationCount + 1 };
+					} else {
+						logger.warn(`Response still cut off after ${MAX_CONTINUATIONS} continuations, returning partial text`);
+						finalResponse = response;
+						continueLoop = false;
+					}
+				} else if (response.stop_reason === 'tool_use' || (response.stop_reason === 'max_tokens' && hasToolUse)) {
+					// max_tokens pendant un tool_use: son input JSON est incomplet, il n'est pas exécuté
+					const truncatedToolUse = response.stop_reason === 'max_tokens' && lastBlock?.type === 'tool_use'
+						? lastBlock
+						: null;
+					const toolCalls = response.content.filter((block) => block.type === 'tool_use' && block !== truncatedToolUse);
 
 					conversationHistory.push({
 						role: 'assistant',
 						content: response.content,
 					});
 
-					const toolResults = [];
-
-					for (const toolCall of toolCalls) {
-						// Emit tool call event
-						if (onToolCall) {
-							onToolCall(toolCall.name, toolCall.input);
-						}
-
-						try {
-							const result = await this.executeTool(toolCall.name, toolCall.input, onToolResult);
-
-							// Emit tool success event
-							// Note: Pour les commandes Gutenberg avec _awaitResult, onToolResult a déjà été
-							// appelé dans executeTool. Mais pour les commandes sans _awaitResult (update_block, etc.),
-							// on doit l'appeler ici.
-							if (onToolResult) {
-								// Si c'est une commande Gutenberg qui a DÉJÀ été streamée (avec _awaitResult),
-								// ne pas la streamer à nouveau
-								const alreadyStreamed = result._command === 'gutenberg_action' && result.structure;
-								if (!alreadyStreamed) {
-									onToolResult(toolCall.name, true, result);
-								}
-							}
-
-							toolResults.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify(result),
-							});
-						} catch (error) {
-							// Emit tool error event
-							if (onToolResult) {
-								onToolResult(toolCall.name, false, { message: error.message });
-							}
+					// Lectures en parallèle, mutations dans l'ordre; résultats dans l'ordre des tool_use
+					const toolResults = await this.executeToolCalls(toolCalls, runContext, { signal, emit });
 
-							toolResults.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify({ error: true, message: error.message }),
-								is_error: true,
-							});
-						}
+					if (truncatedToolUse) {
+						toolResults.push(this.buildTruncatedToolResult(truncatedToolUse, maxTokens, emit));
 					}
 
 					conversationHistory.push({
 						role: 'user',
 						content: toolResults,
 					});
+				} else if (response.stop_reason === 'pause_turn') {
+					// Tour mis en pause par l'API: renvoyer la réponse telle quelle pour que Claude poursuive
+					conversationHistory.push({
+						role: 'assistant',
+						content: response.content,
+					});
 				} else if (response.stop_reason === 'end_turn') {
 					finalResponse = response;
 					continueLoop = false;
 				} else {
+					logger.warn(`Unexpected stop reason: ${response.stop_reason}`);
 					finalResponse = response;
 					continueLoop = false;
 				}
 			}
 
-			const responseText = finalResponse
-				? this.anthropicClient.extractText(finalResponse)
-				: 'No response generated';
+			// Plus d'itération disponible pour relancer une réponse coupée: garder le texte partiel
+			if (continuation && !cancelled) {
+				finalResponse = continuation.response;
+			}
+
+			// Commandes jouées en headless: sauvegarder le post modifié (y compris le travail d'un run annulé)
+			if (execution_mode !== EXECUTION_MODES.IFRAME) {
+				try {
+					await this.headlessExecutor.flush();
+				} catch (saveError) {
+					logger.error('Failed to save post edited in headless mode', { error: saveError.message });
+					emit('error', { message: `Post changes could not be saved: ${saveError.message}` });
+				}
+			}
+
+			if (continueLoop && !cancelled && !budgetExhausted && iterations >= maxIterations) {
+				logger.warn(`Max iterations (${maxIterations}) reached`);
+			}
 
-			// Emit final response event
-			if (onFinalResponse) {
-				onFinalResponse(responseText, totalUsage, activeConversationId);
+			let responseText;
+			if (cancelled) {
+				responseText = 'Run cancelled';
+				logger.info('Run cancelled, agent loop stopped', {
+					run_id,
+					reason: signal?.reason,
+					conversation_id: activeConversationId,
+					iterations,
+				});
+
+				emit('run_cancelled', { runId: run_id, conversation_id: activeConversationId, iterations });
+			} else {
+				responseText = finalResponse
+					? this.anthropicClient.extractText(finalResponse)
+					: (budgetExhausted ? 'Budget exhausted before a response could be generated' : 'No response generated');
+
+				emit('final_response', {
+					response: responseText,
+					usage: totalUsage,
+					budget_exhausted: budgetExhausted, // True si le run a été arrêté par son budget
+					cost: runBudget.getReport(totalUsage), // Détail du coût en USD (entrée, sortie, cache) et limites du run
+					conversation_id: activeConversationId, // IMPORTANT: Le frontend doit stocker cet ID
+				});
+			}
+
+			// Garder la réponse du tour de résumé dans l'historique
+			if (finalResponse && budgetExhausted) {
+				conversationHistory.push({
+					role: 'assistant',
+					content: finalResponse.content,
+				});
 			}
 
 			// === SAUVEGARDER L'HISTORIQUE DANS LA CONVERSATION ===
 			// L'historique a été muté pendant la boucle (push de messages)
 			// Il faut maintenant le persister pour les prochaines requêtes
+			// (y compris l'historique partiel d'un run annulé: chaque tool_use a son tool_result)
 			try {
 				conversationManager.clearHistory(activeConversationId);
 				conversationManager.addMessages(activeConversationId, conversationHistory);
@@ -877,23 +1033,343 @@ RÈGLES:
 			}
 
 			return {
-				success: true,
+				success: !cancelled,
+				cancelled,
 				response: responseText,
 				conversation_id: activeConversationId, // IMPORTANT: Retourner l'ID pour que le frontend puisse continuer la conversation
 				iterations,
 				usage: totalUsage,
+				budget_exhausted: budgetExhausted,
+				cost: runBudget.getReport(totalUsage),
+				plan: activePlan,
 			};
 		} catch (error) {
-			logger.error('Error in streaming request', { error: error.message });
-
-			if (options.onError) {
-				options.onError(error);
+			// Run annulé pendant l'attente de la décision sur le plan
+			if (error instanceof RunCancelledError) {
+				logger.info('Run cancelled before execution', { run_id: options.run_id, reason: error.reason });
+
+				emit('run_cancelled', { runId: options.run_id || null, conversation_id: options.conversation_id || null, iterations: 0 });
+
+				return {
+					success: false,
+					cancelled: true,
+					response: 'Run cancelled',
+					conversation_id: options.conversation_id || null,
+					iterations: 0,
+				};
 			}
 
+			logger.error('Error processing request in Orchestrator', { error: error.message });
+
+			emit('error', { message: error.message });
+
 			throw error;
 		}
 	}
 
+	/**
+	 * Exécute les tool calls d'une itération
+	 *
+	 * Les appels consécutifs de tools de lecture s'exécutent en parallèle (MAX_PARALLEL_TOOLS),
+	 * les autres un par un dans l'ordre demandé par Claude, via la file de la session d'éditeur.
+	 *
+	 * @param {Array} toolCalls - Blocs tool_use de la réponse
+	 * @param {Object} runContext - Contexte du run (editorSessionKey, permission_type, ...)
+	 * @param {Object} options - { signal, emit }
+	 * @returns {Promise<Array>} Blocs tool_result, dans l'ordre des tool_use
+	 */
+	async executeToolCalls(toolCalls, runContext, options = {}) {
+		const toolResults = [];
+		let index = 0;
+
+		while (index < toolCalls.length) {
+			// Regrouper les lectures consécutives
+			const group = [];
+			while (index < toolCalls.length && isParallelSafe(this.getTool(toolCalls[index].name))) {
+				group.push(toolCalls[index++]);
+			}
+
+			if (group.length > 0) {
+				if (group.length > 1) {
+					logger.info(`Executing ${group.length} read-only tool calls in parallel`, {
+						tools: group.map((toolCall) => toolCall.name),
+					});
+				}
+
+				toolResults.push(...await mapWithConcurrency(group, MAX_PARALLEL_TOOLS, (toolCall) =>
+					this.runToolCall(toolCall, runContext, options)
+				));
+				continue;
+			}
+
+			const toolCall = toolCalls[index++];
+			toolResults.push(await editorSessionQueue.run(runContext.editorSessionKey, () =>
+				this.runToolCall(toolCall, runContext, options)
+			));
+		}
+
+		return toolResults;
+	}
+
+	/**
+	 * Exécute un tool call et émet ses événements
+	 *
+	 * @param {Object} toolCall - Bloc tool_use
+	 * @param {Object} runContext - Contexte du run
+	 * @param {Object} options - { signal, emit }
+	 * @returns {Promise<Object>} Bloc tool_result (les erreurs sont renvoyées à Claude)
+	 */
+	async runToolCall(toolCall, runContext, { signal = null, emit = () => {} } = {}) {
+		const emitToolResult = (toolName, success, toolResult) => {
+			emit('tool_result', {
+				toolName,
+				success,
+				result: toolResult, // IMPORTANT: Send full result for Gutenberg commands with _command field
+				resultSummary: success ? 'OK' : (toolResult?.message || 'Error'),
+			});
+		};
+
+		// Run annulé: ne pas exécuter le tool, mais garder chaque tool_use apparié
+		if (signal?.aborted) {
+			return {
+				type: 'tool_result',
+				tool_use_id: toolCall.id,
+				content: JSON.stringify({ error: true, message: 'Run cancelled before this tool was executed' }),
+				is_error: true,
+			};
+		}
+
+		emit('tool_call', { toolName: toolCall.name, input: toolCall.input });
+
+		try {
+			// Les commandes Gutenberg (_awaitResult) sont émises par executeTool AVANT d'attendre l'iframe
+			// (y compris les lectures faites par le handler lui-même, qui ne remplacent pas son résultat)
+			const streamedRequestIds = new Set();
+			const onCommandSent = (toolName, success, toolResult) => {
+				streamedRequestIds.add(toolResult.requestId);
+				emitToolResult(toolName, success, toolResult);
+			};
+
+			// Tools appelés par un sub-agent: même chemin que ceux de Claude (permissions, validation,
+			// envoi à l'éditeur, confirmation, journal), commandes streamées au frontend
+			const callContext = {
+				...runContext,
+				executeTool: async (toolName, toolInput) => {
+					const nestedResult = await this.executeTool(toolName, toolInput, onCommandSent, callContext);
+
+					if (nestedResult?.held) {
+						emit('tool_suggestion', {
+							toolName,
+							input: toolInput,
+							permission: nestedResult.permission,
+							message: nestedResult.message,
+							delegatedBy: toolCall.name,
+						});
+					}
+
+					return nestedResult;
+				},
+			};
+
+			const result = await this.executeTool(toolCall.name, toolCall.input, onCommandSent, callContext);
+			const commandStreamed = Boolean(result?.requestId) && streamedRequestIds.has(result.requestId);
+
+			// Aperçu de preview_changes: le frontend l'affiche et l'applique ou l'abandonne
+			if (result?._preview) {
+				emit('diff_preview', result._preview);
+				delete result._preview;
+			}
+
+			if (result && result.held) {
+				// Mode suggest: l'appel n'a pas été exécuté, le frontend l'affiche pour validation
+				emit('tool_suggestion', {
+					toolName: toolCall.name,
+					input: toolCall.input,
+					permission: result.permission,
+					message: result.message,
+				});
+			} else if (!commandStreamed) {
+				// Les blocs _content (images base64) sont réservés à Claude
+				const { _content, ...streamedResult } = result || {};
+				emitToolResult(toolCall.name, true, _content ? streamedResult : result);
+			} else if (result.success === false) {
+				// Commande refusée ou non confirmée par l'iframe: le frontend affiche l'échec
+				// (le résultat ne contient plus _command, la commande n'est pas renvoyée)
+				emitToolResult(toolCall.name, false, result);
+			}
+
+			return this.anthropicClient.formatToolResult(toolCall.id, result);
+		} catch (error) {
+			emitToolResult(toolCall.name, false, { message: error.message });
+
+			return {
+				type: 'tool_result',
+				tool_use_id: toolCall.id,
+				content: JSON.stringify({ error: true, message: error.message }),
+				is_error: true,
+			};
+		}
+	}
+
+	/**
+	 * Construit le message assistant de prefill pour relancer une réponse coupée par max_tokens
+	 *
+	 * Seuls les blocs texte sont repris (pas de thinking dans un prefill), et l'API refuse
+	 * un prefill terminé par des espaces.
+	 *
+	 * @param {Object} response - Réponse coupée
+	 * @returns {Object} Message { role: 'assistant', content }
+	 */
+	buildContinuationPrefill(response) {
+		const textBlocks = response.content
+			.filter((block) => block.type === 'text')
+			.map((block) => ({ type: 'text', text: block.text }));
+
+		const last = textBlocks[textBlocks.length - 1];
+		last.text = last.text.trimEnd();
+
+		return { role: 'assistant', content: textBlocks };
+	}
+
+	/**
+	 * Recolle la suite d'une réponse coupée par max_tokens
+	 *
+	 * Le premier bloc texte de la suite prolonge le dernier bloc texte de la réponse coupée
+	 * (tel qu'envoyé en prefill), les blocs suivants (texte, tool_use) sont ajoutés à la suite.
+	 *
+	 * @param {Object} previous - Réponse coupée
+	 * @param {Object} next - Suite générée à partir du prefill
+	 * @returns {Object} Réponse complète (stop_reason et usage de la suite)
+	 */
+	stitchContinuation(previous, next) {
+		const head = previous.content.slice(0, -1);
+		const cutText = previous.content[previous.content.length - 1].text.trimEnd();
+		const [first, ...rest] = next.content;
+
+		const content = first?.type === 'text'
+			? [...head, { type: 'text', text: cutText + first.text }, ...rest]
+			: [...head, { type: 'text', text: cutText }, ...next.content];
+
+		return { ...next, content };
+	}
+
+	/**
+	 * Construit le tool_result d'erreur d'un tool_use coupé par max_tokens
+	 *
+	 * @param {Object} toolUse - Bloc tool_use dont l'input JSON est incomplet
+	 * @param {number} maxTokens - Limite de tokens atteinte
+	 * @param {Function} emit - Émetteur des événements du run
+	 * @returns {Object} Bloc tool_result en erreur
+	 */
+	buildTruncatedToolResult(toolUse, maxTokens, emit) {
+		const message = `The ${toolUse.name} call was cut off: the response reached max_tokens (${maxTokens}) before its input JSON was complete, so the tool was NOT executed. Retry with a smaller input (e.g. split the content into several calls).`;
+
+		logger.warn('Tool call truncated by max_tokens, not executed', { tool: toolUse.name, tool_use_id: toolUse.id });
+
+		emit('tool_result', {
+			toolName: toolUse.name,
+			success: false,
+			result: { message },
+			resultSummary: message,
+		});
+
+		return {
+			type: 'tool_result',
+			tool_use_id: toolUse.id,
+			content: JSON.stringify({ error: true, truncated: true, message }),
+			is_error: true,
+		};
+	}
+
+	/**
+	 * Récupère la définition d'un tool par son nom
+	 *
+	 * @param {string} toolName - Nom du tool
+	 * @returns {Object|undefined} Tool
+	 */
+	getTool(toolName) {
+		return this.tools.find((t) => t.name === toolName);
+	}
+
+	/**
+	 * Envoie un message en streaming et relaie les deltas au fur et à mesure
+	 *
+	 * @param {Object} params - Paramètres de AnthropicClient.streamMessage
+	 * @param {Function} emit - (type, data) pour les événements text_delta, thinking_delta, tool_input_delta
+	 * @returns {Promise<Object>} Réponse complète (même format que sendMessage)
+	 */
+	async streamResponse(params, emit = () => {}) {
+		const toolBlocks = new Map(); // index du bloc -> { id, name }
+		let message = null;
+
+		for await (const event of this.anthropicClient.streamMessage(params)) {
+			if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+				toolBlocks.set(event.index, {
+					id: event.content_block.id,
+					name: event.content_block.name,
+				});
+			} else if (event.type === 'content_block_delta') {
+				const { delta } = event;
+
+				if (delta.type === 'text_delta') {
+					emit('text_delta', { text: delta.text, index: event.index });
+				} else if (delta.type === 'thinking_delta') {
+					emit('thinking_delta', { thinking: delta.thinking, index: event.index });
+				} else if (delta.type === 'input_json_delta') {
+					const toolBlock = toolBlocks.get(event.index) || {};
+					emit('tool_input_delta', {
+						toolUseId: toolBlock.id,
+						toolName: toolBlock.name,
+						partial_json: delta.partial_json,
+						index: event.index,
+					});
+				}
+			} else if (event.type === 'message_complete') {
+				message = event.message;
+			}
+		}
+
+		if (!message) {
+			throw new AppError('Claude stream ended without a complete message', 502);
+		}
+
+		return message;
+	}
+
+	/**
+	 * Attend une Promesse, sauf si le run est annulé entre-temps
+	 *
+	 * @param {Promise} promise - Promesse à attendre
+	 * @param {AbortSignal|null} signal - Signal d'annulation du run
+	 * @param {string|null} runId - ID du run
+	 * @returns {Promise<any>} Valeur de la promesse (rejet RunCancelledError si annulé)
+	 */
+	waitUnlessCancelled(promise, signal, runId) {
+		if (!signal) {
+			return promise;
+		}
+
+		if (signal.aborted) {
+			return Promise.reject(new RunCancelledError(runId, signal.reason));
+		}
+
+		return new Promise((resolve, reject) => {
+			const onAbort = () => reject(new RunCancelledError(runId, signal.reason));
+			signal.addEventListener('abort', onAbort, { once: true });
+
+			Promise.resolve(promise).then(
+				(value) => {
+					signal.removeEventListener('abort', onAbort);
+					resolve(value);
+				},
+				(error) => {
+					signal.removeEventListener('abort', onAbort);
+					reject(error);
+				}
+			);
+		});
+	}
+
 	/**
 	 * Délègue une tâche à un sub-agent spécialisé
 	 *
@@ -924,42 +1400,109 @@ RÈGLES:
 		}
 	}
 
+	/**
+	 * Envoie une commande Gutenberg à l'iframe (SSE) ou à l'éditeur headless
+	 *
+	 * La réponse arrive sur command._awaitResult dans les deux cas.
+	 *
+	 * @param {string} toolName - Nom du tool à l'origine de la commande
+	 * @param {Object} command - Commande (createGutenbergCommand)
+	 * @param {Object} runContext - Contexte du run (executionMode, editorSessionKey, postId)
+	 * @param {Function|null} onToolResultCallback - Callback qui streame la commande au frontend
+	 * @returns {string} Mode d'exécution utilisé (iframe ou headless)
+	 */
+	dispatchGutenbergCommand(toolName, command, runContext, onToolResultCallback) {
+		const mode = resolveExecutionMode(runContext);
+
+		if (mode === EXECUTION_MODES.HEADLESS) {
+			// Aucune iframe: Playwright exécute la commande et résout la requête en attente
+			if (runContext.executionMode === EXECUTION_MODES.AUTO) {
+				logger.info('No iframe connected to the editor session, running command headless', {
+					action: command.action,
+					editorSessionKey: runContext.editorSessionKey,
+				});
+			}
+			this.headlessExecutor.dispatch(command, runContext);
+		} else if (onToolResultCallback) {
+			// IMPORTANT: Si c'est une commande Gutenberg, l'envoyer IMMÉDIATEMENT au frontend
+			logger.info(`Sending Gutenberg command to frontend IMMEDIATELY`, {
+				action: command.action,
+				requestId: command.requestId,
+			});
+			// Envoyer la commande AVANT d'attendre la réponse
+			onToolResultCallback(toolName, true, command);
+		}
+
+		return mode;
+	}
+
 	/**
 	 * Exécute un tool spécifique
 	 *
 	 * @param {string} toolName - Nom du tool
 	 * @param {Object} toolInput - Paramètres du tool
+	 * @param {Function|null} onToolResultCallback - Callback pour streamer les commandes Gutenberg
+	 * @param {Object} runContext - Contexte de la requête (permission_type, ...) transmis au handler
 	 * @returns {Promise<Object>} Résultat du tool
 	 */
-	async executeTool(toolName, toolInput, onToolResultCallback = null) {
+	async executeTool(toolName, toolInput, onToolResultCallback = null, runContext = {}) {
 		try {
+			// Run annulé (ex: pendant un sub-agent): plus aucun tool ni commande vers l'éditeur
+			throwIfRunCancelled(runContext);
+
 			logger.info(`Executing tool: ${toolName}`, { input: toolInput });
 
 			// Trouver le tool correspondant
-			const tool = this.tools.find((t) => t.name === toolName);
+			const tool = this.getTool(toolName);
 			if (!tool) {
 				throw new AppError(`Unknown tool: ${toolName}`, 400);
 			}
 
+			// Vérifier que le mode de la session autorise ce tool
+			const permission = checkToolPermission(tool, runContext.permission_type);
+
+			if (permission.decision === 'deny') {
+				logger.warn(`Tool ${toolName} refused by permission mode`, {
+					permission_type: runContext.permission_type,
+					permission: permission.permission,
+				});
+				throw new AuthorizationError(permission.reason);
+			}
+
+			if (permission.decision === 'hold') {
+				logger.info(`Tool ${toolName} held for user review (suggest mode)`, {
+					permission: permission.permission,
+				});
+				return {
+					held: true,
+					success: false,
+					tool: toolName,
+					permission: permission.permission,
+					proposed_input: toolInput,
+					message: permission.reason,
+				};
+			}
+
+			// Un handler peut lire l'éditeur avant de répondre (ex: save_block_as_template)
+			const sendGutenbergCommand = (command) => {
+				throwIfRunCancelled(runContext);
+				this.dispatchGutenbergCommand(toolName, command, runContext, onToolResultCallback);
+				return command._awaitResult;
+			};
+
 			// Exécuter le handler du tool
-			let result = await tool.handler(toolInput);
+			let result = await tool.handler(toolInput, { ...runContext, sendGutenbergCommand });
 
 			// Si le résultat contient une promesse à attendre (_awaitResult)
 			if (result && result._awaitResult) {
 				logger.info(`Tool ${toolName} requires awaiting iframe response...`);
 
-				// IMPORTANT: Si c'est une commande Gutenberg, l'envoyer IMMÉDIATEMENT au frontend
-				if (result._command === 'gutenberg_action' && onToolResultCallback) {
-					logger.info(`Sending Gutenberg command to frontend IMMEDIATELY`, {
-						action: result.action,
-						requestId: result.requestId,
-					});
-					// Envoyer la commande AVANT d'attendre la réponse
-					onToolResultCallback(toolName, true, result);
-				}
+				const isGutenbergCommand = result._command === 'gutenberg_action';
+				// Le run a pu être annulé pendant le handler: la commande n'est pas envoyée
+				throwIfRunCancelled(runContext);
+				const headless = isGutenbergCommand
+					&& this.dispatchGutenbergCommand(toolName, result, runContext, onToolResultCallback) === EXECUTION_MODES.HEADLESS;
 
-				// IMPORTANT: Sauvegarder _command avant de traiter la promesse
-				const savedCommand = result._command;
 				const savedAction = result.action;
 				const savedRequestId = result.requestId;
 
@@ -968,7 +1511,8 @@ RÈGLES:
 					const iframeResponse = await result._awaitResult;
 
 					logger.info(`Tool ${toolName} received iframe response`, {
-						hasStructure: !!iframeResponse?.structure,
+						action: savedAction,
+						requestId: savedRequestId,
 					});
 
 					// Fusionner la réponse de l'iframe avec le résultat
@@ -979,19 +1523,49 @@ RÈGLES:
 
 					// Supprimer le champ _awaitResult avant de retourner
 					delete result._awaitResult;
+
+					// Modification confirmée: journalisée avec l'état "avant" renvoyé par l'iframe (undo)
+					if (isGutenbergCommand && result.success !== false
+						&& getToolPermission(tool) !== TOOL_PERMISSIONS.READ) {
+						getEditJournal().record(runContext.conversationId, {
+							runId: runContext.runId,
+							toolName,
+							command: result,
+						});
+					}
+
+					// Déjà exécutée: le frontend ne doit pas la rejouer dans une iframe
+					if (headless) {
+						delete result._command;
+						result.executed_by = EXECUTION_MODES.HEADLESS;
+					}
 				} catch (error) {
 					logger.error(`Tool ${toolName} - iframe response timeout or error`, {
+						action: savedAction,
+						requestId: savedRequestId,
 						error: error.message,
 					});
 
-					// En cas d'erreur/timeout, retourner une erreur descriptive MAIS garder _command
+					// Sans _command: la commande a déjà été envoyée, elle ne doit pas être rejouée
+					const iframeResult = error.metadata?.iframe_result;
+					if (iframeResult) {
+						// L'iframe a répondu par un échec (bloc introuvable, attribut invalide, lot annulé...)
+						return {
+							...iframeResult,
+							action: savedAction,
+							requestId: savedRequestId,
+							success: false,
+							error: error.message,
+							message: `⚠️ L'éditeur a refusé la commande ${savedAction}: ${error.message}`,
+						};
+					}
+
 					return {
-						_command: savedCommand,  // ← GARDER _command pour que le frontend puisse envoyer la commande
 						action: savedAction,
 						requestId: savedRequestId,
 						success: false,
 						error: `Iframe response timeout: ${error.message}`,
-						message: `⚠️ Impossible de récupérer les données de l'iframe. L'opération a expiré après 10 secondes.`,
+						message: `⚠️ L'éditeur n'a pas confirmé la commande ${savedAction} (${error.message}). Vérifie l'état des blocs avec get_blocks_structure avant de réessayer.`,
 					};
 				}
 			}
@@ -1049,10 +1623,13 @@ RÈGLES:
 		try {
 			logger.info('Cleaning up Orchestrator resources...');
 
-			// TODO: Fermer les connexions
-			// if (this.gutenbergController) {
-			//   await this.gutenbergController.close();
-			// }
+			// Arrêter la surveillance du dossier templates/
+			getTemplateRegistry().close();
+
+			// Sauvegarder le post en cours d'édition headless et fermer le navigateur
+			if (this.headlessExecutor) {
+				await this.headlessExecutor.close();
+			}
 
 			logger.info('Orchestrator cleanup completed');
 		} catch (error) {
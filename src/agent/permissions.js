@@ -0,0 +1,137 @@
+/**
+ * Permissions
+ *
+ * Niveaux de permission des tools et modes de session (permission_type).
+ * Chaque tool déclare s'il lit, modifie ou détruit du contenu ; le mode de la
+ * session décide ensuite si l'appel est exécuté, mis en attente ou refusé.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+/**
+ * Niveaux de permission déclarés par les tools
+ */
+export const TOOL_PERMISSIONS = {
+	READ: 'read', // Lecture seule (discover, inspect, get_*)
+	EDIT: 'edit', // Ajout ou modification de contenu
+	DESTRUCTIVE: 'destructive', // Suppression, remplacement, changements globaux
+};
+
+/**
+ * Modes de session acceptés par /agent/process-stream (permission_type)
+ */
+export const PERMISSION_MODES = {
+	READ_ONLY: 'read-only', // Seuls les tools 'read' sont exécutés
+	SUGGEST: 'suggest', // Les modifications sont proposées à l'utilisateur, pas exécutées
+	FULL: 'full', // Tout est exécuté
+};
+
+/**
+ * Mode par défaut (comportement historique)
+ */
+export const DEFAULT_PERMISSION_MODE = PERMISSION_MODES.FULL;
+
+/**
+ * Vérifie qu'un mode de permission est connu
+ *
+ * @param {string} mode - Mode à vérifier
+ * @returns {boolean} True si le mode existe
+ */
+export function isValidPermissionMode(mode) {
+	return Object.values(PERMISSION_MODES).includes(mode);
+}
+
+/**
+ * Retourne le niveau de permission d'un tool
+ *
+ * Un tool sans déclaration est considéré comme destructif (fail-safe).
+ *
+ * @param {Object} tool - Tool ({ name, permission, ... })
+ * @returns {string} Niveau de permission
+ */
+export function getToolPermission(tool) {
+	if (tool && Object.values(TOOL_PERMISSIONS).includes(tool.permission)) {
+		return tool.permission;
+	}
+	return TOOL_PERMISSIONS.DESTRUCTIVE;
+}
+
+/**
+ * Décide si un tool peut être exécuté dans le mode de la session
+ *
+ * @param {Object} tool - Tool à exécuter
+ * @param {string} mode - Mode de la session (read-only, suggest, full)
+ * @returns {Object} { decision: 'allow'|'hold'|'deny', permission: string, reason: string|null }
+ */
+export function checkToolPermission(tool, mode = DEFAULT_PERMISSION_MODE) {
+	const permission = getToolPermission(tool);
+
+	if (permission === TOOL_PERMISSIONS.READ || mode === PERMISSION_MODES.FULL) {
+		return { decision: 'allow', permission, reason: null };
+	}
+
+	if (mode === PERMISSION_MODES.SUGGEST) {
+		return {
+			decision: 'hold',
+			permission,
+			reason: `Tool "${tool.name}" (${permission}) was NOT executed: the session is in "suggest" mode. The proposed change has been sent to the user for review. Do not retry it; describe your proposed changes in your final response instead.`,
+		};
+	}
+
+	// read-only, ou mode inconnu (fail-safe)
+	return {
+		decision: 'deny',
+		permission,
+		reason: `Tool "${tool.name}" (${permission}) is not allowed: the session is in "${mode}" mode and only read tools can be used. Do not retry it; answer with the information you can read.`,
+	};
+}
+
+/**
+ * Filtre une liste de tools pour retirer ceux que le mode interdit
+ *
+ * Utilisé pour les sub-agents. Les tools retenus en mode suggest restent proposés :
+ * Orchestrator.executeTool les met en attente de validation, comme pour l'agent principal.
+ *
+ * @param {Array} tools - Tools à filtrer
+ * @param {string} mode - Mode de la session
+ * @returns {Array} Tools autorisés ou soumis à validation
+ */
+export function filterToolsByPermission(tools, mode = DEFAULT_PERMISSION_MODE) {
+	return tools.filter((tool) => checkToolPermission(tool, mode).decision !== 'deny');
+}
+
+/**
+ * Indique si un tool peut s'exécuter en parallèle d'autres appels de la même itération
+ *
+ * Seuls les tools de lecture le peuvent, sauf ceux marqués `sequential` (ex: délégation
+ * à un sub-agent, qui peut lui-même modifier le contenu).
+ *
+ * @param {Object} tool - Définition du tool
+ * @returns {boolean} True si l'appel peut être parallélisé
+ */
+export function isParallelSafe(tool) {
+	return getToolPermission(tool) === TOOL_PERMISSIONS.READ && !tool.sequential;
+}
+
+/**
+ * Retourne la consigne à ajouter au system prompt selon le mode
+ *
+ * @param {string} mode - Mode de la session
+ * @returns {string} Consigne (vide en mode full)
+ */
+export function getPermissionModePrompt(mode = DEFAULT_PERMISSION_MODE) {
+	if (mode === PERMISSION_MODES.READ_ONLY) {
+		return `\n\n🔒 MODE LECTURE SEULE:
+La session est en mode "read-only". Tu peux uniquement utiliser les tools de lecture (discover, inspect, get_*).
+Toute modification sera refusée : analyse et réponds avec des recommandations.`;
+	}
+
+	if (mode === PERMISSION_MODES.SUGGEST) {
+		return `\n\n📝 MODE SUGGESTION:
+La session est en mode "suggest". Les tools de modification ne sont PAS exécutés : chaque appel est transmis à l'utilisateur comme proposition.
+Lis ce dont tu as besoin, propose les modifications une seule fois, puis résume tes propositions.`;
+	}
+
+	return '';
+}
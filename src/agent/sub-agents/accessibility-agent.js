@@ -0,0 +1,120 @@
+/**
+ * Accessibility Agent - Sub-agent spécialisé en accessibilité (WCAG)
+ *
+ * Audite la page avec des vérifications déterministes (audit_accessibility),
+ * corrige automatiquement ce qui peut l'être (fix_accessibility_issues) et
+ * rédige le reste (textes alternatifs, textes de liens et de boutons).
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { runSubAgent } from './sub-agent-runner.js';
+
+/**
+ * System prompt pour l'Accessibility Agent
+ */
+const ACCESSIBILITY_AGENT_SYSTEM_PROMPT = `Tu es un expert en accessibilité web (WCAG 2.2 AA) pour WordPress et Gutenberg.
+
+Ton rôle :
+- Mesurer l'accessibilité de la page avec audit_accessibility (score, problèmes calculés)
+- Corriger automatiquement les problèmes "fixable" avec fix_accessibility_issues
+- Rédiger ce que l'audit ne peut pas deviner : alt des images, textes des liens et boutons vides
+- Rendre un rapport clair : score avant / après, corrections faites, points restants
+
+IMPORTANT :
+- Contraste texte/fond : 4.5:1 minimum (3:1 pour les grands textes), calculé par l'audit
+- Titres : pas de niveau sauté (le titre du post est le H1)
+- Images : alt descriptif et concis, vide uniquement si l'image est décorative
+- Liens et boutons : texte explicite hors contexte (jamais "cliquez ici")
+- Touch targets : minimum 44x44px
+
+RÈGLES CRITIQUES :
+1. TOUJOURS commencer par audit_accessibility : ne JAMAIS estimer un contraste ou une hiérarchie à l'œil
+2. Utiliser fix_accessibility_issues pour les problèmes fixable (un seul lot, annulable)
+3. Pour les autres, update_block_by_agent_id avec le texte rédigé (utilise le contexte des blocs voisins)
+4. TOUJOURS relancer audit_accessibility à la fin et donner le score final
+5. NE JAMAIS changer le contenu ou le design au-delà de ce que demande l'accessibilité
+
+TOOLS DISPONIBLES :
+Tu as accès uniquement aux tools d'audit et de correction d'accessibilité.
+Concentre-toi sur des CORRECTIONS MESURABLES.`;
+
+/**
+ * Classe AccessibilityAgent
+ */
+export class AccessibilityAgent {
+	/**
+	 * Constructeur
+	 *
+	 * @param {Object} anthropicClient - Client Anthropic
+	 * @param {Object} config - Configuration globale
+	 */
+	constructor(anthropicClient, config) {
+		this.anthropicClient = anthropicClient;
+		this.config = config;
+		this.systemPrompt = ACCESSIBILITY_AGENT_SYSTEM_PROMPT;
+	}
+
+	/**
+	 * Exécute une tâche d'accessibilité
+	 *
+	 * @param {string} task - Description de la tâche
+	 * @param {Object} context - Contexte additionnel
+	 * @param {Array} tools - Tools filtrés pour cet agent
+	 * @param {Object} runContext - Contexte du run de l'orchestrateur (executeTool, postId...)
+	 * @returns {Promise<Object>} Résultat de l'audit et des corrections
+	 */
+	async execute(task, context = {}, tools = [], runContext = {}) {
+		return runSubAgent({
+			agent: 'accessibility',
+			label: '♿ Accessibility Agent',
+			anthropicClient: this.anthropicClient,
+			systemPrompt: this.systemPrompt,
+			task,
+			context,
+			tools,
+			runContext,
+		});
+	}
+
+	/**
+	 * Retourne les tools spécifiques à l'Accessibility Agent
+	 *
+	 * Filtre les tools selon SUBAGENTS_TOOLS_DISTRIBUTION.md
+	 *
+	 * @param {Array} allTools - Tous les tools disponibles
+	 * @returns {Array} Liste des tools filtrés
+	 */
+	getTools(allTools) {
+		// Liste des tools autorisés pour l'Accessibility Agent (voir SUBAGENTS_TOOLS_DISTRIBUTION.md)
+		const allowedToolNames = [
+			'get_theme_design_system',
+			'get_blocks_structure',
+			'inspect_block_schema',
+			'audit_accessibility',
+			'fix_accessibility_issues',
+			'update_block_by_agent_id',
+		];
+
+		const filteredTools = allTools.filter(tool => allowedToolNames.includes(tool.name));
+
+		logger.debug('Accessibility Agent tools filtered', {
+			total: allTools.length,
+			filtered: filteredTools.length,
+			toolNames: filteredTools.map(t => t.name),
+		});
+
+		return filteredTools;
+	}
+
+	/**
+	 * Retourne la description de l'agent
+	 *
+	 * @returns {string} Description
+	 */
+	getDescription() {
+		return 'Expert en accessibilité WCAG AA : audit calculé, corrections automatiques, alt et textes de liens';
+	}
+}
@@ -9,6 +9,7 @@
  */
 
 import logger from '../../utils/logger.js';
+import { runSubAgent } from './sub-agent-runner.js';
 
 /**
  * System prompt pour le Copywriting Agent (specs lignes 1165-1184)
@@ -30,6 +31,7 @@ IMPORTANT :
 - Bénéfices avant features
 - Preuve sociale quand possible
 - Urgence/scarcité avec éthique
+- Relire le rendu avec capture_page_screenshot (longueur des titres, CTAs visibles sur mobile)
 
 TOOLS DISPONIBLES :
 Tu as accès uniquement aux tools de copywriting (création et modification de contenu).
@@ -57,111 +59,20 @@ export class CopywritingAgent {
 	 * @param {string} task - Description de la tâche
 	 * @param {Object} context - Contexte additionnel
 	 * @param {Array} tools - Tools filtrés pour cet agent
+	 * @param {Object} runContext - Contexte du run de l'orchestrateur (executeTool, postId...)
 	 * @returns {Promise<Object>} Résultat du copywriting
 	 */
-	async execute(task, context = {}, tools = []) {
-		try {
-			logger.info('✍️ Copywriting Agent executing task', { task });
-
-			const conversationHistory = [
-				{
-					role: 'user',
-					content: `Task: ${task}\n\nContext: ${JSON.stringify(context, null, 2)}`,
-				},
-			];
-
-			const toolsForAnthropic = tools.map(tool => ({
-				name: tool.name,
-				description: tool.description,
-				input_schema: tool.input_schema,
-			}));
-
-			let continueLoop = true;
-			let iterations = 0;
-			const maxIterations = 10;
-			let finalResponse = null;
-			const toolResults = [];
-
-			while (continueLoop && iterations < maxIterations) {
-				iterations++;
-
-				const response = await this.anthropicClient.sendMessage({
-					system: this.systemPrompt,
-					messages: conversationHistory,
-					tools: toolsForAnthropic,
-					max_tokens: 4096,
-				});
-
-				if (response.stop_reason === 'tool_use') {
-					const toolCalls = this.anthropicClient.extractToolCalls(response);
-
-					conversationHistory.push({
-						role: 'assistant',
-						content: response.content,
-					});
-
-					const results = [];
-					for (const toolCall of toolCalls) {
-						try {
-							const tool = tools.find(t => t.name === toolCall.name);
-							if (!tool) {
-								throw new Error(`Tool not available: ${toolCall.name}`);
-							}
-
-							const result = await tool.handler(toolCall.input);
-
-							results.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify(result),
-							});
-
-							toolResults.push({
-								tool: toolCall.name,
-								input: toolCall.input,
-								result: result,
-							});
-						} catch (error) {
-							results.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify({
-									error: true,
-									message: error.message,
-								}),
-								is_error: true,
-							});
-						}
-					}
-
-					conversationHistory.push({
-						role: 'user',
-						content: results,
-					});
-				} else if (response.stop_reason === 'end_turn') {
-					finalResponse = response;
-					continueLoop = false;
-				} else {
-					finalResponse = response;
-					continueLoop = false;
-				}
-			}
-
-			const responseText = finalResponse
-				? this.anthropicClient.extractText(finalResponse)
-				: 'No response generated';
-
-			return {
-				success: true,
-				agent: 'copywriting',
-				message: responseText,
-				iterations: iterations,
-				toolsExecuted: toolResults,
-			};
-		} catch (error) {
-			logger.error('❌ Copywriting Agent execution failed', { error: error.message });
-			throw error;
-		}
+	async execute(task, context = {}, tools = [], runContext = {}) {
+		return runSubAgent({
+			agent: 'copywriting',
+			label: '✍️ Copywriting Agent',
+			anthropicClient: this.anthropicClient,
+			systemPrompt: this.systemPrompt,
+			task,
+			context,
+			tools,
+			runContext,
+		});
 	}
 
 	/**
@@ -188,6 +99,7 @@ export class CopywritingAgent {
 			'update_block_by_agent_id',
 			'replace_block_realtime',
 			'replace_block_by_agent_id',
+			'capture_page_screenshot',
 		];
 
 		const filteredTools = allTools.filter(tool => allowedToolNames.includes(tool.name));
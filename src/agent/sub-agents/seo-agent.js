@@ -9,6 +9,7 @@
  */
 
 import logger from '../../utils/logger.js';
+import { runSubAgent } from './sub-agent-runner.js';
 
 /**
  * System prompt pour le SEO Agent (specs lignes 1132-1151)
@@ -64,121 +65,20 @@ export class SEOAgent {
 	 * @param {string} task - Description de la tâche
 	 * @param {Object} context - Contexte additionnel
 	 * @param {Array} tools - Tools filtrés pour cet agent
+	 * @param {Object} runContext - Contexte du run de l'orchestrateur (executeTool, postId...)
 	 * @returns {Promise<Object>} Résultat de l'analyse/optimisation SEO
 	 */
-	async execute(task, context = {}, tools = []) {
-		try {
-			logger.info('🔍 SEO Agent executing task', { task });
-
-			// Historique de conversation pour le sub-agent
-			const conversationHistory = [
-				{
-					role: 'user',
-					content: `Task: ${task}\n\nContext: ${JSON.stringify(context, null, 2)}`,
-				},
-			];
-
-			// Préparer les tools au format Anthropic
-			const toolsForAnthropic = tools.map(tool => ({
-				name: tool.name,
-				description: tool.description,
-				input_schema: tool.input_schema,
-			}));
-
-			// Boucle d'interaction (max 10 iterations pour un sub-agent)
-			let continueLoop = true;
-			let iterations = 0;
-			const maxIterations = 10;
-			let finalResponse = null;
-			const toolResults = [];
-
-			while (continueLoop && iterations < maxIterations) {
-				iterations++;
-
-				// Appeler Claude
-				const response = await this.anthropicClient.sendMessage({
-					system: this.systemPrompt,
-					messages: conversationHistory,
-					tools: toolsForAnthropic,
-					max_tokens: 4096,
-				});
-
-				if (response.stop_reason === 'tool_use') {
-					// Claude demande d'exécuter des tools
-					const toolCalls = this.anthropicClient.extractToolCalls(response);
-
-					// Ajouter la réponse à l'historique
-					conversationHistory.push({
-						role: 'assistant',
-						content: response.content,
-					});
-
-					// Exécuter les tools
-					const results = [];
-					for (const toolCall of toolCalls) {
-						try {
-							const tool = tools.find(t => t.name === toolCall.name);
-							if (!tool) {
-								throw new Error(`Tool not available: ${toolCall.name}`);
-							}
-
-							const result = await tool.handler(toolCall.input);
-
-							results.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify(result),
-							});
-
-							// Garder trace des résultats pour le retour final
-							toolResults.push({
-								tool: toolCall.name,
-								input: toolCall.input,
-								result: result,
-							});
-						} catch (error) {
-							results.push({
-								type: 'tool_result',
-								tool_use_id: toolCall.id,
-								content: JSON.stringify({
-									error: true,
-									message: error.message,
-								}),
-								is_error: true,
-							});
-						}
-					}
-
-					// Renvoyer les résultats à Claude
-					conversationHistory.push({
-						role: 'user',
-						content: results,
-					});
-				} else if (response.stop_reason === 'end_turn') {
-					finalResponse = response;
-					continueLoop = false;
-				} else {
-					finalResponse = response;
-					continueLoop = false;
-				}
-			}
-
-			// Extraire le texte final
-			const responseText = finalResponse
-				? this.anthropicClient.extractText(finalResponse)
-				: 'No response generated';
-
-			return {
-				success: true,
-				agent: 'seo',
-				message: responseText,
-				iterations: iterations,
-				toolsExecuted: toolResults,
-			};
-		} catch (error) {
-			logger.error('❌ SEO Agent execution failed', { error: error.message });
-			throw error;
-		}
+	async execute(task, context = {}, tools = [], runContext = {}) {
+		return runSubAgent({
+			agent: 'seo',
+			label: '🔍 SEO Agent',
+			anthropicClient: this.anthropicClient,
+			systemPrompt: this.systemPrompt,
+			task,
+			context,
+			tools,
+			runContext,
+		});
 	}
 
 	/**
@@ -0,0 +1,183 @@
+/**
+ * Sub-Agent Runner
+ *
+ * Boucle d'interaction commune aux sub-agents (SEO, copywriting, design, accessibilité).
+ *
+ * Les tools d'un sub-agent passent par Orchestrator.executeTool (runContext.executeTool),
+ * comme ceux de l'agent principal : mode de permission, validation des attributs,
+ * envoi de la commande à l'éditeur (iframe ou headless), attente de sa confirmation
+ * et journal des modifications.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { getPermissionModePrompt } from '../permissions.js';
+import { throwIfRunCancelled } from '../../services/run-manager.js';
+
+/**
+ * Nombre max d'itérations d'un sub-agent
+ */
+const MAX_SUBAGENT_ITERATIONS = 10;
+
+/**
+ * Exécute la tâche d'un sub-agent jusqu'à sa réponse finale
+ *
+ * @param {Object} params
+ * @param {string} params.agent - Clé de l'agent (seo, copywriting, design, accessibility)
+ * @param {string} params.label - Nom affiché dans les logs
+ * @param {Object} params.anthropicClient - Client Anthropic
+ * @param {string} params.systemPrompt - System prompt de l'agent
+ * @param {string} params.task - Description de la tâche
+ * @param {Object} params.context - Contexte additionnel
+ * @param {Array} params.tools - Tools filtrés pour cet agent
+ * @param {Object} params.runContext - Contexte du run de l'orchestrateur (executeTool, postId, signal...)
+ * @returns {Promise<Object>} { success, agent, message, iterations, toolsExecuted, budget_exhausted }
+ * @throws {RunCancelledError} Si le run est annulé pendant la tâche
+ */
+export async function runSubAgent({ agent, label, anthropicClient, systemPrompt, task, context = {}, tools = [], runContext = {} }) {
+	try {
+		logger.info(`${label} executing task`, { task });
+
+		const conversationHistory = [
+			{
+				role: 'user',
+				content: `Task: ${task}\n\nContext: ${JSON.stringify(context, null, 2)}`,
+			},
+		];
+
+		const toolsForAnthropic = tools.map(tool => ({
+			name: tool.name,
+			description: tool.description,
+			input_schema: tool.input_schema,
+		}));
+
+		let iterations = 0;
+		let finalResponse = null;
+		let budgetExhausted = false;
+		const toolResults = [];
+
+		while (iterations < MAX_SUBAGENT_ITERATIONS) {
+			// Run annulé: le sub-agent s'arrête avant son prochain appel
+			throwIfRunCancelled(runContext);
+
+			// Budget du run épuisé (appels de l'agent principal et des sub-agents): plus d'appel
+			if (runContext.checkBudget?.() === 'exhausted') {
+				logger.warn(`${label} stopped: run budget exhausted`, { iterations });
+				budgetExhausted = true;
+				break;
+			}
+			iterations++;
+
+			const response = await anthropicClient.sendMessage({
+				// Consigne du mode de la session (lecture seule, propositions en mode suggest)
+				system: systemPrompt + getPermissionModePrompt(runContext.permission_type),
+				messages: conversationHistory,
+				tools: toolsForAnthropic,
+				max_tokens: 4096,
+				signal: runContext.signal || null,
+			});
+
+			// Usage compté dans celui du run et dans son budget
+			runContext.recordUsage?.(response.usage, anthropicClient.defaultModel);
+
+			if (response.stop_reason !== 'tool_use') {
+				finalResponse = response;
+				break;
+			}
+
+			const toolCalls = anthropicClient.extractToolCalls(response);
+
+			conversationHistory.push({
+				role: 'assistant',
+				content: response.content,
+			});
+
+			const results = [];
+			for (const toolCall of toolCalls) {
+				try {
+					const tool = tools.find(t => t.name === toolCall.name);
+					if (!tool) {
+						throw new Error(`Tool not available: ${toolCall.name}`);
+					}
+
+					const result = await runSubAgentTool(tool, toolCall.input, runContext);
+
+					// Bloc tool_result avec les images éventuelles (capture_page_screenshot)
+					results.push(anthropicClient.formatToolResult(toolCall.id, result));
+
+					// Les images ne remontent pas à l'orchestrateur
+					const { _content, ...summary } = result || {};
+					toolResults.push({
+						tool: toolCall.name,
+						input: toolCall.input,
+						result: _content ? summary : result,
+					});
+				} catch (error) {
+					results.push({
+						type: 'tool_result',
+						tool_use_id: toolCall.id,
+						content: JSON.stringify({
+							error: true,
+							message: error.message,
+						}),
+						is_error: true,
+					});
+				}
+			}
+
+			conversationHistory.push({
+				role: 'user',
+				content: results,
+			});
+		}
+
+		let responseText = finalResponse
+			? anthropicClient.extractText(finalResponse)
+			: 'No response generated';
+		if (budgetExhausted) {
+			responseText = 'Run budget exhausted: the task was stopped before completion';
+		}
+
+		return {
+			success: !budgetExhausted,
+			agent,
+			message: responseText,
+			iterations,
+			toolsExecuted: toolResults,
+			budget_exhausted: budgetExhausted,
+		};
+	} catch (error) {
+		logger.error(`❌ ${label} execution failed`, { error: error.message });
+		throw error;
+	}
+}
+
+/**
+ * Exécute un tool pour un sub-agent
+ *
+ * Dans un run, l'appel passe par Orchestrator.executeTool : la commande Gutenberg est
+ * envoyée à l'éditeur, son résultat est celui confirmé par l'éditeur (success: false
+ * s'il la refuse ou ne répond pas) et la modification est journalisée (annulable).
+ *
+ * @param {Object} tool - Tool à exécuter
+ * @param {Object} input - Paramètres du tool
+ * @param {Object} runContext - Contexte du run
+ * @returns {Promise<Object>} Résultat du tool
+ * @throws {Error} Si le tool doit joindre l'éditeur hors d'un run
+ */
+export async function runSubAgentTool(tool, input, runContext = {}) {
+	if (runContext.executeTool) {
+		return runContext.executeTool(tool.name, input);
+	}
+
+	// Hors d'un run (appel direct du handler), aucune commande ne peut atteindre l'éditeur
+	const result = await tool.handler(input, runContext);
+
+	if (result?._awaitResult) {
+		throw new Error(`Tool ${tool.name} was NOT executed: the editor can only be reached from an agent run`);
+	}
+
+	return result;
+}
@@ -0,0 +1,217 @@
+/**
+ * Accessibility Tools
+ *
+ * Audit WCAG déterministe de la page (src/validation/accessibility-audit.js) et
+ * correction automatique des problèmes qui ne demandent pas de rédaction
+ * (couleur de texte du thème, niveau de titre, padding des boutons, alt repris de
+ * la légende). Les corrections sont envoyées en un seul lot batch_block_operations
+ * et enregistrées dans le journal (annulables).
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { createGutenbergCommand, BATCH_TIMEOUT_MS } from './gutenberg-tools.js';
+import { getEditJournal } from '../../services/edit-journal.js';
+import { ACCESSIBILITY_RULES, auditAccessibility, buildFixOperations } from '../../validation/accessibility-audit.js';
+
+/**
+ * Retourne la liste des tools d'accessibilité pour Claude
+ *
+ * @param {Object} wordpressAPI - Instance du client WordPress API (palette du thème)
+ * @returns {Array} Liste des tools au format Anthropic
+ */
+export function getAccessibilityTools(wordpressAPI) {
+	/**
+	 * Lit la page et le design system, puis audite
+	 *
+	 * @param {Object} input - { agentId?, rules? }
+	 * @param {Object} runContext - Contexte du run (sendGutenbergCommand)
+	 * @returns {Promise<Object>} { structure, report }
+	 */
+	const runAudit = async (input, runContext) => {
+		if (!runContext.sendGutenbergCommand) {
+			throw new Error('Accessibility tools need the editor, which can only be reached from an agent run');
+		}
+
+		const rules = input.rules?.length ? input.rules : Object.keys(ACCESSIBILITY_RULES);
+		const unknown = rules.filter((rule) => !ACCESSIBILITY_RULES[rule]);
+		if (unknown.length > 0) {
+			throw new Error(`Unknown rule(s): ${unknown.join(', ')}. Available: ${Object.keys(ACCESSIBILITY_RULES).join(', ')}`);
+		}
+
+		const { structure = [] } = await runContext.sendGutenbergCommand(
+			createGutenbergCommand('get_blocks_structure', {}, runContext, {
+				message: '📋 Reading blocks structure for the accessibility audit...',
+			})
+		);
+
+		// Sans palette, les slugs de couleur ne sont pas résolus et leur contraste n'est pas vérifié
+		let globalStyles = {};
+		try {
+			globalStyles = (await wordpressAPI.getGlobalStyles()) || {};
+		} catch (error) {
+			logger.warn('Could not load global styles, colors from theme slugs are not checked', { error: error.message });
+		}
+
+		if (input.agentId && !findBlockByAgentId(structure, input.agentId)) {
+			throw new Error(`Block ${input.agentId} not found in the editor. Call get_blocks_structure to check the agentIds.`);
+		}
+
+		return { structure, report: auditAccessibility(structure, globalStyles, { rules, agentId: input.agentId || null }) };
+	};
+
+	const rulesSchema = {
+		type: 'array',
+		items: { type: 'string', enum: Object.keys(ACCESSIBILITY_RULES) },
+		description: 'Règles à vérifier (toutes par défaut)',
+	};
+
+	return [
+		// 1. Auditer l'accessibilité de la page
+		{
+			name: 'audit_accessibility',
+			permission: TOOL_PERMISSIONS.READ,
+			description: `Audite l'accessibilité de la page avec des vérifications WCAG CALCULÉES (pas d'estimation):
+- color-contrast (1.4.3): contraste texte/fond à partir des slugs de couleur du thème (4.5:1, 3:1 grand texte)
+- heading-order (1.3.1): niveaux de titres sautés (le titre du post est le H1)
+- empty-link (2.4.4) / empty-button (4.1.2): liens et boutons sans texte
+- image-alt (1.1.1): images sans texte alternatif
+- touch-target (2.5.5): boutons et icônes sociales de moins de 44x44px
+
+Retourne un score sur 100 et la liste des problèmes. Les problèmes "fixable" se corrigent avec
+fix_accessibility_issues ; les autres demandent une rédaction (texte du lien, alt de l'image).
+
+EXEMPLE:
+audit_accessibility({})
+// Retourne: { score: 82, summary: { errors: 2, warnings: 1, fixable: 2 }, issues: [{ id: "color-contrast:550e8400-...", rule, severity, agentId, message, fixable, fix }] }`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					agentId: {
+						type: 'string',
+						description: 'claudeAgentId d\'un bloc pour n\'auditer que ce bloc et ses innerBlocks (optionnel)',
+					},
+					rules: rulesSchema,
+				},
+				required: [],
+			},
+			handler: async (input, runContext = {}) => {
+				logger.info('Tool: audit_accessibility', { agentId: input.agentId, rules: input.rules });
+
+				const { report } = await runAudit(input, runContext);
+
+				return {
+					success: true,
+					...report,
+					message: `♿ Accessibility score ${report.score}/100: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s), ${report.summary.fixable} fixable automatically`,
+				};
+			},
+		},
+
+		// 2. Corriger automatiquement les problèmes corrigeables
+		{
+			name: 'fix_accessibility_issues',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Corrige automatiquement les problèmes d'accessibilité "fixable" trouvés par audit_accessibility.
+
+La page est ré-auditée, puis les correctifs sont appliqués en UN lot (tout ou rien, annulable):
+- color-contrast: couleur de texte du thème la plus proche qui atteint le contraste
+- heading-order: niveau de titre ramené au niveau suivant le précédent
+- touch-target: padding vertical des boutons / taille des icônes sociales
+- image-alt: alt repris de la légende de l'image
+
+Les problèmes non corrigeables sont listés dans skipped: corrige-les toi-même (update_block_by_agent_id).
+
+EXEMPLE:
+fix_accessibility_issues({ issue_ids: ["color-contrast:550e8400-..."] })   // ou {} pour tout corriger`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					issue_ids: {
+						type: 'array',
+						items: { type: 'string' },
+						description: 'IDs des problèmes à corriger (retournés par audit_accessibility). Absent = tous les problèmes corrigeables',
+					},
+					agentId: {
+						type: 'string',
+						description: 'claudeAgentId d\'un bloc pour ne corriger que ce bloc et ses innerBlocks (optionnel)',
+					},
+					rules: rulesSchema,
+				},
+				required: [],
+			},
+			handler: async (input, runContext = {}) => {
+				const { structure, report } = await runAudit(input, runContext);
+
+				const selected = input.issue_ids?.length
+					? report.issues.filter((issue) => input.issue_ids.includes(issue.id))
+					: report.issues;
+				const fixable = selected.filter((issue) => issue.fixable);
+				const skipped = selected.filter((issue) => !issue.fixable);
+				const missing = (input.issue_ids || []).filter((id) => !report.issues.some((issue) => issue.id === id));
+
+				logger.info('Tool: fix_accessibility_issues', { fixable: fixable.length, skipped: skipped.length, missing: missing.length });
+
+				if (fixable.length === 0) {
+					return {
+						success: true,
+						fixed: [],
+						skipped: skipped.map(({ id, message }) => ({ id, message })),
+						missing,
+						score: report.score,
+						message: 'No automatically fixable accessibility issue',
+					};
+				}
+
+				const operations = buildFixOperations(structure, fixable);
+				const command = createGutenbergCommand('batch_block_operations', { operations }, runContext, {
+					message: `✅ ${fixable.length} accessibility issue(s) fixed in ${operations.length} block(s)`,
+					timeout: BATCH_TIMEOUT_MS,
+				});
+
+				const ack = await runContext.sendGutenbergCommand(command);
+
+				// Commande envoyée par le handler: journalisée ici pour rester annulable
+				const { _awaitResult, ...sent } = command;
+				getEditJournal().record(runContext.conversationId, {
+					runId: runContext.runId,
+					toolName: 'fix_accessibility_issues',
+					command: { ...sent, ...ack },
+				});
+
+				return {
+					success: true,
+					fixed: fixable.map(({ id, fix }) => ({ id, change: fix.description })),
+					skipped: skipped.map(({ id, message }) => ({ id, message })),
+					missing,
+					score_before: report.score,
+					results: ack?.results || [],
+					message: command.message,
+				};
+			},
+		},
+	];
+}
+
+/**
+ * Cherche un bloc par agentId dans un arbre get_blocks_structure
+ *
+ * @param {Array} blocks - Blocs ({ agentId?, attributes, innerBlocks })
+ * @param {string} agentId - agentId recherché
+ * @returns {Object|null} Bloc trouvé
+ */
+function findBlockByAgentId(blocks, agentId) {
+	for (const block of blocks) {
+		if (block.agentId === agentId || block.attributes?.claudeAgentId === agentId) {
+			return block;
+		}
+		const inner = findBlockByAgentId(block.innerBlocks || [], agentId);
+		if (inner) {
+			return inner;
+		}
+	}
+	return null;
+}
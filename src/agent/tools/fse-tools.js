@@ -9,6 +9,7 @@
  */
 
 import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
 
 /**
  * Retourne la liste des tools FSE pour Claude
@@ -21,6 +22,7 @@ export function getFSETools(wordpressAPI) {
 		// 1. Récupérer les templates de site
 		{
 			name: 'get_site_templates',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère tous les templates de site disponibles (page, single, archive, 404, etc.) organisés par catégorie. Utilise pour comprendre la structure du thème.',
 			input_schema: {
 				type: 'object',
@@ -36,6 +38,7 @@ export function getFSETools(wordpressAPI) {
 		// 2. Récupérer les template parts
 		{
 			name: 'get_template_parts',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère toutes les template parts (header, footer, sidebar, etc.) qui composent les templates de site. Les template parts sont des sections réutilisables.',
 			input_schema: {
 				type: 'object',
@@ -53,6 +56,7 @@ export function getFSETools(wordpressAPI) {
 		// 3. Mettre à jour les global styles
 		{
 			name: 'update_global_styles',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: 'Met à jour les styles globaux du site (couleurs, polices, espacements, etc.). ATTENTION: Utilise avec précaution car cela affecte tout le site.',
 			input_schema: {
 				type: 'object',
@@ -73,6 +77,7 @@ export function getFSETools(wordpressAPI) {
 		// 4. Récupérer le theme.json (si disponible)
 		{
 			name: 'get_theme_info',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère les informations sur le thème actif, incluant les fonctionnalités supportées et la configuration. Note: get_theme_design_system est préférable pour obtenir les styles.',
 			input_schema: {
 				type: 'object',
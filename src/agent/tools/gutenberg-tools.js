@@ -3,7 +3,10 @@
  *
  * Tools pour manipuler l'éditeur Gutenberg en temps réel via PostMessage.
  * Ces tools retournent des commandes qui seront envoyées à l'iframe WordPress
- * via le stream SSE.
+ * via le stream SSE. Chaque commande attend la confirmation de l'iframe
+ * (/agent/iframe-callback) : Claude reçoit le résultat réel, erreurs comprises.
+ * Les attributs sont validés contre le schéma WordPress du bloc avant l'envoi :
+ * un attribut inventé ou une valeur hors enum est renvoyé à Claude comme erreur du tool.
  *
  * IMPORTANT: Ces tools ne nécessitent PAS Playwright - ils utilisent
  * l'API JavaScript Gutenberg directement dans le navigateur.
@@ -13,19 +16,223 @@
  */
 
 import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
 import { v4 as uuidv4 } from 'uuid';
 import { getPendingRequestsManager } from '../../services/pending-requests-manager.js';
+import { getTemplateRegistry } from '../../services/template-registry.js';
+import { BlockValidator } from '../../validation/block-validator.js';
+import { getPreviewManager } from '../../services/preview-manager.js';
+import { simulateOperations, diffBlockTrees, hashBlockTree } from '../block-tree-diff.js';
+
+/**
+ * Types d'opérations acceptés par batch_block_operations
+ */
+const BATCH_OPERATION_TYPES = ['insert', 'update', 'remove', 'replace', 'move'];
+
+/**
+ * Nombre maximum d'opérations par lot
+ */
+const MAX_BATCH_OPERATIONS = 50;
+
+/**
+ * Délai de confirmation d'une commande par l'iframe (ms)
+ */
+const COMMAND_TIMEOUT_MS = 10000;
+
+/**
+ * Délai de confirmation d'un lot par l'iframe (ms)
+ */
+export const BATCH_TIMEOUT_MS = 30000;
+
+/**
+ * Profondeur maximale d'un arbre innerBlocks
+ */
+const MAX_INNER_BLOCKS_DEPTH = 10;
+
+/**
+ * Durée de cache des noms de blocs enregistrés (ms)
+ */
+const BLOCK_NAMES_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Durée de cache des schémas de blocs (ms)
+ */
+const BLOCK_SCHEMA_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Nombre max de sessions d'éditeur, et de blocs par session, dont les noms sont retenus
+ */
+const MAX_BLOCK_NAME_SESSIONS = 100;
+const MAX_BLOCK_NAMES_PER_SESSION = 5000;
+
+/**
+ * Noms des blocs vus dans les réponses de l'éditeur, par session d'éditeur
+ * Map: editorSessionKey -> Map(clientId | agentId -> nom du bloc)
+ *
+ * Un clientId ou un agentId désigne toujours le même bloc : la validation d'une
+ * modification n'a pas à relire la structure pour connaître le nom du bloc ciblé.
+ */
+const blockNamesBySession = new Map();
+
+/**
+ * Schéma d'un arbre de blocs enfants (même format que get_blocks_structure)
+ */
+const INNER_BLOCKS_SCHEMA = {
+	type: 'array',
+	description: 'Blocs enfants, récursifs: [{ name, attributes, innerBlocks }] (même format que get_blocks_structure, sans clientId)',
+	items: {
+		type: 'object',
+		properties: {
+			name: {
+				type: 'string',
+				description: 'Nom du bloc (ex: core/column, core/button)',
+			},
+			attributes: {
+				type: 'object',
+				description: 'Attributs du bloc',
+			},
+			innerBlocks: {
+				type: 'array',
+				description: 'Blocs enfants de ce bloc (même format)',
+				items: { type: 'object' },
+			},
+		},
+		required: ['name'],
+	},
+};
+
+/**
+ * Schéma d'une opération de batch_block_operations (aussi simulée par preview_changes)
+ */
+const BATCH_OPERATION_SCHEMA = {
+	type: 'object',
+	properties: {
+		op: {
+			type: 'string',
+			enum: BATCH_OPERATION_TYPES,
+			description: 'Type d\'opération',
+		},
+		agentId: {
+			type: 'string',
+			description: 'claudeAgentId persistant du bloc ciblé (update, remove, replace, move)',
+		},
+		clientId: {
+			type: 'string',
+			description: 'ClientId du bloc ciblé, si le bloc n\'a pas encore d\'agentId',
+		},
+		block_name: {
+			type: 'string',
+			description: 'Nom du bloc à insérer ou du bloc de remplacement (insert, replace)',
+		},
+		attributes: {
+			type: 'object',
+			description: 'Attributs du bloc (insert, replace) ou attributs à modifier (update)',
+		},
+		innerBlocks: INNER_BLOCKS_SCHEMA,
+		index: {
+			type: 'number',
+			description: 'Position d\'insertion (insert, 0-based). Absent = fin de page.',
+		},
+		to_index: {
+			type: 'number',
+			description: 'Nouvelle position du bloc parmi les blocs de son parent (move, 0-based)',
+		},
+		parent_agent_id: {
+			type: 'string',
+			description: 'claudeAgentId du bloc parent (insert: absent = racine de la page, move: absent = parent actuel)',
+		},
+	},
+	required: ['op'],
+};
+
+/**
+ * Crée une commande Gutenberg confirmée par l'iframe
+ *
+ * L'orchestrateur envoie la commande à l'iframe via SSE puis attend sa réponse sur
+ * /agent/iframe-callback (_awaitResult) : le message n'est transmis à Claude qu'une
+ * fois la commande confirmée. Après une modification, l'iframe renvoie l'état du bloc
+ * ({ block: { clientId, agentId, name, attributes } }) ; en cas d'échec, son erreur
+ * ({ error, code: 'block_not_found' | 'invalid_attribute' | ... }).
+ *
+ * @param {string} action - Action exécutée par l'iframe
+ * @param {Object} payload - Paramètres de l'action
+ * @param {Object} runContext - Contexte du run (la requête est rejetée si le run est annulé)
+ * @param {Object} options - { message, timeout }
+ * @returns {Object} Commande { _command, action, requestId, ...payload, success, message, _awaitResult }
+ */
+export function createGutenbergCommand(action, payload, runContext = {}, { message, timeout = COMMAND_TIMEOUT_MS } = {}) {
+	const requestId = uuidv4();
+
+	const resultPromise = getPendingRequestsManager().createPendingRequest(
+		requestId,
+		timeout,
+		runContext.runId || null,
+		runContext.editorSessionKey || null
+	);
+	// Un appelant qui n'attend pas la réponse (handler appelé hors d'un run) ne doit pas provoquer de rejet non géré
+	resultPromise.then((ack) => rememberBlockNames(runContext.editorSessionKey, ack), () => {});
+
+	return {
+		_command: 'gutenberg_action',
+		action,
+		requestId,
+		...payload,
+		success: true,
+		message,
+		// Promesse résolue quand l'iframe répond
+		_awaitResult: resultPromise,
+	};
+}
 
 /**
  * Retourne la liste des tools Gutenberg pour Claude
  *
+ * @param {Object|null} wordpressAPI - Instance du client WordPress API (validation des noms et attributs de blocs)
  * @returns {Array} Liste des tools au format Anthropic
  */
-export function getGutenbergTools() {
+export function getGutenbergTools(wordpressAPI = null) {
+	const validateBlockNames = createBlockNamesValidator(wordpressAPI);
+	const blockValidator = new BlockValidator();
+	const validateBlockAttributes = createBlockAttributesValidator(wordpressAPI, blockValidator);
+
+	/**
+	 * Valide un lot d'opérations (forme, noms et attributs des blocs)
+	 *
+	 * @param {Array} rawOperations - Opérations reçues de Claude
+	 * @param {Object} runContext - Contexte du run
+	 * @returns {Promise<Array>} Opérations normalisées
+	 * @throws {Error} Si une opération est invalide
+	 */
+	const validateBatchOperations = async (rawOperations, runContext) => {
+		if (!Array.isArray(rawOperations) || rawOperations.length === 0) {
+			throw new Error('operations must be a non-empty array');
+		}
+
+		if (rawOperations.length > MAX_BATCH_OPERATIONS) {
+			throw new Error(`Too many operations: ${rawOperations.length} (maximum ${MAX_BATCH_OPERATIONS}). Split the batch.`);
+		}
+
+		const operations = rawOperations.map(normalizeBatchOperation);
+		await validateBlockNames(operations.flatMap((operation) => (
+			operation.blockName ? [operation.blockName, ...collectBlockNames(operation.innerBlocks)] : []
+		)));
+		await validateBlockAttributes(operations.flatMap((operation, index) => {
+			if (operation.op === 'update') {
+				return [{ id: operation.agentId || operation.clientId, attributes: operation.attributes, path: `operations[${index}]`, partial: true }];
+			}
+			return operation.blockName
+				? collectBlocksForValidation(operation.blockName, operation.attributes, operation.innerBlocks, `operations[${index}]`)
+				: [];
+		}), runContext);
+
+		return operations;
+	};
+
 	return [
 		// 0. Obtenir la structure complète des blocs avec clientIds (PRÉCISION CHIRURGICALE)
 		{
 			name: 'get_blocks_structure',
+			permission: TOOL_PERMISSIONS.READ,
 			description: `Récupère la structure COMPLÈTE des blocs de la page avec leurs clientIds uniques.
 
 ⭐ OUTIL ESSENTIEL POUR LA PRÉCISION:
@@ -69,34 +276,36 @@ EXEMPLE DE STRUCTURE RETOURNÉE:
 				properties: {},
 				required: [],
 			},
-			handler: async () => {
+			handler: async (input, runContext = {}) => {
 				logger.info('Tool: get_blocks_structure');
 
-				const requestId = uuidv4();
-				const pendingManager = getPendingRequestsManager();
-
-				// Créer une requête en attente qui sera résolue par le callback HTTP
-				const resultPromise = pendingManager.createPendingRequest(requestId, 10000); // 10s timeout
-
-				// Retourner la commande qui sera envoyée à l'iframe via SSE
-				// NOTE: On retourne à la fois la commande ET une promesse
-				// L'orchestrateur doit gérer ce cas spécial
-				return {
-					_command: 'gutenberg_action',
-					action: 'get_blocks_structure',
-					requestId: requestId,
-					success: true,
+				// L'iframe répond { structure: [...] }
+				return createGutenbergCommand('get_blocks_structure', {}, runContext, {
 					message: '📋 Fetching complete blocks structure with clientIds...',
-					// IMPORTANT: Promesse qui sera résolue quand l'iframe répond
-					_awaitResult: resultPromise,
-				};
+				});
 			},
 		},
 
 		// 1. Insérer un bloc dans l'éditeur (temps réel)
 		{
 			name: 'insert_block_realtime',
-			description: 'Insère un nouveau bloc Gutenberg dans l\'éditeur en TEMPS RÉEL (rendu instantané). Le bloc apparaît immédiatement dans l\'éditeur sans recharger la page. TRÈS IMPORTANT: Utilise cet outil au lieu des outils WordPress REST API (create_post, update_post) pour une expérience utilisateur fluide et temps réel.',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Insère un nouveau bloc Gutenberg dans l'éditeur en TEMPS RÉEL (rendu instantané). Le bloc apparaît immédiatement dans l'éditeur sans recharger la page. TRÈS IMPORTANT: Utilise cet outil au lieu des outils WordPress REST API (create_post, update_post) pour une expérience utilisateur fluide et temps réel.
+
+Le bloc peut contenir un arbre d'innerBlocks (colonnes, groupes, boutons...) et être inséré DANS un bloc existant (parent_agent_id ou parent_client_id).
+Tous les noms de blocs et leurs attributs sont vérifiés avant l'envoi (discover_available_blocks, inspect_block_schema).
+
+EXEMPLE:
+insert_block_realtime({
+  block_name: "core/columns",
+  attributes: {},
+  innerBlocks: [
+    { name: "core/column", innerBlocks: [{ name: "core/heading", attributes: { content: "Titre", level: 3 } }] },
+    { name: "core/column", innerBlocks: [{ name: "core/buttons", innerBlocks: [{ name: "core/button", attributes: { text: "Contact" } }] }] }
+  ],
+  parent_agent_id: "550e8400-...",
+  index: 0
+})`,
 			input_schema: {
 				type: 'object',
 				properties: {
@@ -108,36 +317,54 @@ EXEMPLE DE STRUCTURE RETOURNÉE:
 						type: 'object',
 						description: 'Attributs du bloc. Pour core/paragraph: { content: "texte" }, pour core/heading: { content: "titre", level: 2 }, pour core/image: { url: "...", alt: "..." }',
 					},
+					innerBlocks: INNER_BLOCKS_SCHEMA,
 					index: {
 						type: 'number',
-						description: 'Position où insérer le bloc (0-based). Si non spécifié, le bloc est ajouté à la fin.',
+						description: 'Position où insérer le bloc (0-based) parmi les blocs de la page ou du parent. Si non spécifié, le bloc est ajouté à la fin.',
+					},
+					parent_agent_id: {
+						type: 'string',
+						description: 'claudeAgentId du bloc parent dans lequel insérer (absent = racine de la page)',
+					},
+					parent_client_id: {
+						type: 'string',
+						description: 'ClientId du bloc parent, si le parent n\'a pas d\'agentId',
 					},
 				},
 				required: ['block_name', 'attributes'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
+				const innerBlocks = normalizeInnerBlocks(input.innerBlocks);
+				await validateBlockNames([input.block_name, ...collectBlockNames(innerBlocks)]);
+				await validateBlockAttributes(collectBlocksForValidation(input.block_name, input.attributes, innerBlocks), runContext);
+
+				const parent = input.parent_agent_id || input.parent_client_id;
+
 				logger.info('Tool: insert_block_realtime', {
 					block_name: input.block_name,
 					index: input.index,
+					inner_blocks: countBlocks(innerBlocks),
+					parent,
 				});
 
 				// Return a command object that will be sent via SSE to the frontend
-				return {
-					_command: 'gutenberg_action',
-					action: 'insert_block',
-					requestId: uuidv4(),
+				return createGutenbergCommand('insert_block', {
 					blockName: input.block_name,
 					attributes: input.attributes,
+					innerBlocks,
 					index: input.index !== undefined ? input.index : null,
-					success: true,
-					message: `✅ Block "${input.block_name}" inserted at position ${input.index !== undefined ? input.index : 'end'}`,
-				};
+					parentAgentId: input.parent_agent_id || null,
+					parentClientId: input.parent_agent_id ? null : (input.parent_client_id || null),
+				}, runContext, {
+					message: `✅ Block "${input.block_name}"${innerBlocks.length > 0 ? ` (${countBlocks(innerBlocks)} inner blocks)` : ''} inserted at position ${input.index !== undefined ? input.index : 'end'}${parent ? ` of ${parent}` : ''}`,
+				});
 			},
 		},
 
 		// 2. Modifier un bloc par clientId (OUTIL PRINCIPAL - PRÉCISION CHIRURGICALE)
 		{
 			name: 'update_block_by_clientid',
+			permission: TOOL_PERMISSIONS.EDIT,
 			description: `⭐ OUTIL PRINCIPAL pour modifier N'IMPORTE QUEL bloc avec PRÉCISION ABSOLUE.
 
 WORKFLOW RECOMMANDÉ (2 ÉTAPES):
@@ -191,27 +418,27 @@ update_block_by_clientid({
 				},
 				required: ['clientId', 'attributes'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
+				await validateBlockAttributes([{ id: input.clientId, attributes: input.attributes, path: 'block', partial: true }], runContext);
+
 				logger.info('Tool: update_block_by_clientid', {
 					clientId: input.clientId,
 					attributes: input.attributes,
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'update_block_by_clientid',
-					requestId: uuidv4(),
+				return createGutenbergCommand('update_block_by_clientid', {
 					clientId: input.clientId,
 					attributes: input.attributes,
-					success: true,
+				}, runContext, {
 					message: `✅ Block ${input.clientId} updated`,
-				};
+				});
 			},
 		},
 
 		// 3. Supprimer un bloc (temps réel)
 		{
 			name: 'remove_block_realtime',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: `Supprime un bloc existant dans l'éditeur en TEMPS RÉEL. Le bloc disparaît instantanément.
 
 DEUX MÉTHODES DISPONIBLES:
@@ -238,29 +465,23 @@ remove_block_realtime({ index: 0 })`,
 				},
 				required: [],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
 				if (input.clientId) {
 					logger.info('Tool: remove_block_realtime', { clientId: input.clientId });
 
-					return {
-						_command: 'gutenberg_action',
-						action: 'remove_block',
-						requestId: uuidv4(),
+					return createGutenbergCommand('remove_block', {
 						clientId: input.clientId,
-						success: true,
+					}, runContext, {
 						message: `✅ Block ${input.clientId} removed`,
-					};
+					});
 				} else if (input.index !== undefined) {
 					logger.info('Tool: remove_block_realtime', { index: input.index });
 
-					return {
-						_command: 'gutenberg_action',
-						action: 'remove_block_by_index',
-						requestId: uuidv4(),
+					return createGutenbergCommand('remove_block_by_index', {
 						index: input.index,
-						success: true,
+					}, runContext, {
 						message: `✅ Block at index ${input.index} removed`,
-					};
+					});
 				} else {
 					throw new Error('Either clientId or index must be provided');
 				}
@@ -270,6 +491,7 @@ remove_block_realtime({ index: 0 })`,
 		// 4. Remplacer un bloc par un autre (temps réel)
 		{
 			name: 'replace_block_realtime',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: `Remplace un bloc existant par un nouveau bloc de type différent en TEMPS RÉEL. Par exemple, transformer un paragraphe en heading.
 
 DEUX MÉTHODES DISPONIBLES:
@@ -309,42 +531,43 @@ replace_block_realtime({
 						type: 'object',
 						description: 'Attributs du nouveau bloc',
 					},
+					innerBlocks: INNER_BLOCKS_SCHEMA,
 				},
 				required: ['new_block_name', 'new_attributes'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
+				const innerBlocks = normalizeInnerBlocks(input.innerBlocks);
+				await validateBlockNames([input.new_block_name, ...collectBlockNames(innerBlocks)]);
+				await validateBlockAttributes(collectBlocksForValidation(input.new_block_name, input.new_attributes, innerBlocks), runContext);
+
 				if (input.clientId) {
 					logger.info('Tool: replace_block_realtime', {
 						clientId: input.clientId,
 						new_block_name: input.new_block_name,
 					});
 
-					return {
-						_command: 'gutenberg_action',
-						action: 'replace_block',
-						requestId: uuidv4(),
+					return createGutenbergCommand('replace_block', {
 						clientId: input.clientId,
 						newBlockName: input.new_block_name,
 						newAttributes: input.new_attributes,
-						success: true,
+						innerBlocks,
+					}, runContext, {
 						message: `✅ Block ${input.clientId} replaced with ${input.new_block_name}`,
-					};
+					});
 				} else if (input.index !== undefined) {
 					logger.info('Tool: replace_block_realtime', {
 						index: input.index,
 						new_block_name: input.new_block_name,
 					});
 
-					return {
-						_command: 'gutenberg_action',
-						action: 'replace_block_by_index',
-						requestId: uuidv4(),
+					return createGutenbergCommand('replace_block_by_index', {
 						index: input.index,
 						newBlockName: input.new_block_name,
 						newAttributes: input.new_attributes,
-						success: true,
+						innerBlocks,
+					}, runContext, {
 						message: `✅ Block at index ${input.index} replaced with ${input.new_block_name}`,
-					};
+					});
 				} else {
 					throw new Error('Either clientId or index must be provided');
 				}
@@ -356,6 +579,7 @@ replace_block_realtime({
 		// 5. Modifier un bloc par claudeAgentId (ID PERSISTANT - RECOMMANDÉ!)
 		{
 			name: 'update_block_by_agent_id',
+			permission: TOOL_PERMISSIONS.EDIT,
 			description: `⭐ OUTIL RECOMMANDÉ pour modifier des blocs de manière PERSISTANTE.
 
 AVANTAGE MAJEUR: Contrairement au clientId (volatile), le claudeAgentId:
@@ -397,27 +621,27 @@ update_block_by_agent_id({
 				},
 				required: ['agentId', 'attributes'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
+				await validateBlockAttributes([{ id: input.agentId, attributes: input.attributes, path: 'block', partial: true }], runContext);
+
 				logger.info('Tool: update_block_by_agent_id', {
 					agentId: input.agentId,
 					attributes: input.attributes,
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'update_block_by_agent_id',
-					requestId: uuidv4(),
+				return createGutenbergCommand('update_block_by_agent_id', {
 					agentId: input.agentId,
 					attributes: input.attributes,
-					success: true,
+				}, runContext, {
 					message: `✅ Block with agentId ${input.agentId} updated`,
-				};
+				});
 			},
 		},
 
 		// 6. Supprimer un bloc par claudeAgentId (ID PERSISTANT)
 		{
 			name: 'remove_block_by_agent_id',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: `Supprime un bloc en utilisant son claudeAgentId PERSISTANT.
 
 AVANTAGE: L'agentId reste valide après rafraîchissement de page.
@@ -436,25 +660,23 @@ remove_block_by_agent_id({
 				},
 				required: ['agentId'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
 				logger.info('Tool: remove_block_by_agent_id', {
 					agentId: input.agentId,
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'remove_block_by_agent_id',
-					requestId: uuidv4(),
+				return createGutenbergCommand('remove_block_by_agent_id', {
 					agentId: input.agentId,
-					success: true,
+				}, runContext, {
 					message: `✅ Block with agentId ${input.agentId} removed`,
-				};
+				});
 			},
 		},
 
 		// 7. Remplacer un bloc par claudeAgentId (ID PERSISTANT)
 		{
 			name: 'replace_block_by_agent_id',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: `Remplace un bloc existant par un nouveau bloc en utilisant le claudeAgentId PERSISTANT.
 
 AVANTAGE: L'agentId reste valide après rafraîchissement de page.
@@ -464,6 +686,17 @@ replace_block_by_agent_id({
   agentId: "550e8400-e29b-41d4-a716-446655440000",
   new_block_name: "core/heading",
   new_attributes: { content: "Nouveau titre", level: 2 }
+})
+
+// Avec des innerBlocks (ex: transformer un paragraphe en groupe titre + texte)
+replace_block_by_agent_id({
+  agentId: "550e8400-e29b-41d4-a716-446655440000",
+  new_block_name: "core/group",
+  new_attributes: {},
+  innerBlocks: [
+    { name: "core/heading", attributes: { content: "Titre", level: 2 } },
+    { name: "core/paragraph", attributes: { content: "Texte" } }
+  ]
 })`,
 			input_schema: {
 				type: 'object',
@@ -480,33 +713,153 @@ replace_block_by_agent_id({
 						type: 'object',
 						description: 'Attributs du nouveau bloc',
 					},
+					innerBlocks: INNER_BLOCKS_SCHEMA,
 				},
 				required: ['agentId', 'new_block_name', 'new_attributes'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
+				const innerBlocks = normalizeInnerBlocks(input.innerBlocks);
+				await validateBlockNames([input.new_block_name, ...collectBlockNames(innerBlocks)]);
+				await validateBlockAttributes(collectBlocksForValidation(input.new_block_name, input.new_attributes, innerBlocks), runContext);
+
 				logger.info('Tool: replace_block_by_agent_id', {
 					agentId: input.agentId,
 					new_block_name: input.new_block_name,
+					inner_blocks: countBlocks(innerBlocks),
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'replace_block_by_agent_id',
-					requestId: uuidv4(),
+				return createGutenbergCommand('replace_block_by_agent_id', {
 					agentId: input.agentId,
 					newBlockName: input.new_block_name,
 					newAttributes: input.new_attributes,
-					success: true,
+					innerBlocks,
+				}, runContext, {
 					message: `✅ Block with agentId ${input.agentId} replaced with ${input.new_block_name}`,
-				};
+				});
+			},
+		},
+
+		// 8. Déplacer un bloc par claudeAgentId (ID PERSISTANT)
+		{
+			name: 'move_block_by_agent_id',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Déplace un bloc existant (avec ses innerBlocks et TOUS ses attributs) en utilisant son claudeAgentId PERSISTANT.
+
+⭐ À utiliser pour réordonner une page: ne JAMAIS supprimer puis recréer un bloc pour le déplacer
+(les innerBlocks et les attributs personnalisés seraient perdus).
+
+DEUX DÉPLACEMENTS POSSIBLES (combinables):
+- to_index: nouvelle position parmi les blocs du parent (0-based)
+- parent_agent_id: claudeAgentId du nouveau bloc parent (ex: une colonne). Sans to_index, le bloc est ajouté à la fin du parent.
+
+Sans parent_agent_id, le bloc reste dans son parent actuel.
+
+EXEMPLES:
+// Remonter une section en haut de page
+move_block_by_agent_id({ agentId: "550e8400-...", to_index: 0 })
+
+// Déplacer un bouton dans une autre colonne, en première position
+move_block_by_agent_id({ agentId: "550e8400-...", parent_agent_id: "6ba7b810-...", to_index: 0 })
+
+// Retourne la nouvelle position: { position: { parentAgentId: "6ba7b810-...", index: 0 } }`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					agentId: {
+						type: 'string',
+						description: 'claudeAgentId persistant du bloc à déplacer',
+					},
+					to_index: {
+						type: 'number',
+						description: 'Nouvelle position du bloc parmi les blocs de son parent (0-based)',
+					},
+					parent_agent_id: {
+						type: 'string',
+						description: 'claudeAgentId du nouveau bloc parent (absent = parent actuel)',
+					},
+				},
+				required: ['agentId'],
+			},
+			handler: async (input, runContext = {}) => {
+				if (input.to_index === undefined && !input.parent_agent_id) {
+					throw new Error('Either to_index or parent_agent_id must be provided');
+				}
+
+				if (input.to_index !== undefined && (!Number.isInteger(input.to_index) || input.to_index < 0)) {
+					throw new Error('to_index must be a non-negative integer');
+				}
+
+				logger.info('Tool: move_block_by_agent_id', {
+					agentId: input.agentId,
+					to_index: input.to_index,
+					parent_agent_id: input.parent_agent_id,
+				});
+
+				// L'iframe répond { block, position: { parentAgentId, index } }
+				return createGutenbergCommand('move_block_by_agent_id', {
+					agentId: input.agentId,
+					toIndex: input.to_index !== undefined ? input.to_index : null,
+					parentAgentId: input.parent_agent_id || null,
+				}, runContext, {
+					message: `✅ Block with agentId ${input.agentId} moved to position ${input.to_index !== undefined ? input.to_index : 'end'}${input.parent_agent_id ? ` of ${input.parent_agent_id}` : ''}`,
+				});
+			},
+		},
+
+		// 9. Dupliquer un bloc par claudeAgentId (ID PERSISTANT)
+		{
+			name: 'duplicate_block_by_agent_id',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Duplique un bloc existant (avec ses innerBlocks et TOUS ses attributs) en utilisant son claudeAgentId PERSISTANT.
+
+La copie reçoit de nouveaux claudeAgentId (bloc et innerBlocks), retournés dans le résultat.
+Par défaut, la copie est insérée juste après le bloc original, dans le même parent.
+
+EXEMPLE:
+// Dupliquer une carte "feature" puis modifier la copie
+duplicate_block_by_agent_id({ agentId: "550e8400-..." })
+// Retourne: { block: { agentId: "9b2d...", ... }, position: { parentAgentId: "6ba7b810-...", index: 3 } }
+update_block_by_agent_id({ agentId: "9b2d...", attributes: { content: "Nouvelle feature" } })`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					agentId: {
+						type: 'string',
+						description: 'claudeAgentId persistant du bloc à dupliquer',
+					},
+					to_index: {
+						type: 'number',
+						description: 'Position de la copie parmi les blocs du parent (0-based). Absent = juste après l\'original.',
+					},
+				},
+				required: ['agentId'],
+			},
+			handler: async (input, runContext = {}) => {
+				if (input.to_index !== undefined && (!Number.isInteger(input.to_index) || input.to_index < 0)) {
+					throw new Error('to_index must be a non-negative integer');
+				}
+
+				logger.info('Tool: duplicate_block_by_agent_id', {
+					agentId: input.agentId,
+					to_index: input.to_index,
+				});
+
+				// L'iframe répond { block (copie, nouveaux agentId), position: { parentAgentId, index } }
+				return createGutenbergCommand('duplicate_block_by_agent_id', {
+					agentId: input.agentId,
+					toIndex: input.to_index !== undefined ? input.to_index : null,
+				}, runContext, {
+					message: `✅ Block with agentId ${input.agentId} duplicated ${input.to_index !== undefined ? `at position ${input.to_index}` : 'after the original'}`,
+				});
 			},
 		},
 
 		// ========== PATTERN TOOLS ==========
 
-		// 8. Insérer un pattern WordPress
+		// 10. Insérer un pattern WordPress
 		{
 			name: 'insert_pattern',
+			permission: TOOL_PERMISSIONS.EDIT,
 			description: `Insère un pattern WordPress (ensemble de blocs pré-configurés) dans l'éditeur.
 
 ⭐ OUTIL RECOMMANDÉ pour insérer des sections complètes (hero, features, pricing, etc.)
@@ -542,27 +895,25 @@ insert_pattern({
 				},
 				required: ['pattern_slug'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
 				logger.info('Tool: insert_pattern', {
 					pattern_slug: input.pattern_slug,
 					index: input.index,
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'insert_pattern',
-					requestId: uuidv4(),
+				return createGutenbergCommand('insert_pattern', {
 					patternSlug: input.pattern_slug,
 					index: input.index !== undefined ? input.index : null,
-					success: true,
-					message: `✅ Pattern "${input.pattern_slug}" will be inserted at position ${input.index !== undefined ? input.index : 'end'}`,
-				};
+				}, runContext, {
+					message: `✅ Pattern "${input.pattern_slug}" inserted at position ${input.index !== undefined ? input.index : 'end'}`,
+				});
 			},
 		},
 
-		// 9. Remplacer un bloc par un pattern
+		// 11. Remplacer un bloc par un pattern
 		{
 			name: 'swap_pattern',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
 			description: `Remplace un bloc existant par un pattern WordPress.
 
 Utile pour transformer rapidement une section basique en une section complète et professionnelle.
@@ -592,22 +943,662 @@ swap_pattern({
 				},
 				required: ['agentId', 'pattern_slug'],
 			},
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
 				logger.info('Tool: swap_pattern', {
 					agentId: input.agentId,
 					pattern_slug: input.pattern_slug,
 				});
 
-				return {
-					_command: 'gutenberg_action',
-					action: 'swap_pattern',
-					requestId: uuidv4(),
+				return createGutenbergCommand('swap_pattern', {
 					agentId: input.agentId,
 					patternSlug: input.pattern_slug,
+				}, runContext, {
+					message: `✅ Block with agentId ${input.agentId} replaced with pattern "${input.pattern_slug}"`,
+				});
+			},
+		},
+		// ========== BATCH TOOLS ==========
+
+		// 12. Appliquer un lot d'opérations en une seule transaction
+		{
+			name: 'batch_block_operations',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
+			description: `⭐ OUTIL RECOMMANDÉ pour les modifications en série (restyler une section, réorganiser des blocs...).
+
+Envoie une liste ORDONNÉE d'opérations à l'éditeur en UNE SEULE commande:
+✅ Tout ou rien: si une opération échoue, l'éditeur annule tout le lot (la page reste intacte)
+✅ Un résultat par opération (succès, erreur, clientId/agentId du bloc)
+✅ 1 appel au lieu de 10 à 30
+
+OPÉRATIONS (champ "op"):
+- insert: { op: "insert", block_name, attributes, innerBlocks?, index?, parent_agent_id? } (index absent = fin de page ou du parent)
+- update: { op: "update", agentId | clientId, attributes }
+- remove: { op: "remove", agentId | clientId }
+- replace: { op: "replace", agentId | clientId, block_name, attributes, innerBlocks? }
+- move: { op: "move", agentId | clientId, to_index?, parent_agent_id? }
+
+Les opérations s'appliquent dans l'ordre: un index tient compte des opérations précédentes du lot.
+Préfère agentId (persistant, obtenu via get_blocks_structure) à clientId.
+
+EXEMPLE:
+batch_block_operations({
+  operations: [
+    { op: "update", agentId: "550e8400-...", attributes: { content: "Nouveau titre" } },
+    { op: "remove", agentId: "6fa459ea-..." },
+    { op: "insert", block_name: "core/paragraph", attributes: { content: "Texte" }, index: 2 },
+    { op: "move", agentId: "7c9e6679-...", to_index: 0 }
+  ]
+})
+// Retourne: { success: true, results: [{ index: 0, op: "update", success: true, agentId: "550e8400-..." }, ...] }`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					operations: {
+						type: 'array',
+						description: `Opérations à appliquer dans l'ordre (${MAX_BATCH_OPERATIONS} maximum)`,
+						items: BATCH_OPERATION_SCHEMA,
+					},
+				},
+				required: ['operations'],
+			},
+			handler: async (input, runContext = {}) => {
+				// Valider tout le lot avant d'envoyer quoi que ce soit à l'iframe
+				const operations = await validateBatchOperations(input.operations, runContext);
+
+				logger.info('Tool: batch_block_operations', {
+					count: operations.length,
+					ops: operations.map((operation) => operation.op),
+				});
+
+				// L'iframe confirme le lot entier: { results: [{ index, op, success, error?, clientId?, agentId? }] }
+				return createGutenbergCommand('batch_block_operations', {
+					operations: operations,
+				}, runContext, {
+					message: `✅ ${operations.length} block operations applied as one transaction`,
+					timeout: BATCH_TIMEOUT_MS,
+				});
+			},
+		},
+
+		// 13. Insérer un bloc depuis un template pré-validé
+		{
+			name: 'use_block_template',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Insère en TEMPS RÉEL un bloc à partir d'un template pré-validé (trouvé avec search_block_templates).
+
+Les attributs du template sont conservés ; seuls ses overridable_attributes peuvent être modifiés via overrides,
+et les overrides sont validés contre le validation_schema du template avant l'insertion.
+
+EXEMPLE:
+use_block_template({
+  template_id: "nectar-blocks-hero-default",
+  overrides: { title: "Bienvenue", ctaText: "Commencer" },
+  index: 0
+})`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					template_id: {
+						type: 'string',
+						description: 'template_id retourné par search_block_templates',
+					},
+					overrides: {
+						type: 'object',
+						description: 'Valeurs des attributs modifiables (overridable_attributes du template uniquement)',
+					},
+					index: {
+						type: 'number',
+						description: 'Position où insérer le bloc (0-based). Si non spécifié, le bloc est ajouté à la fin.',
+					},
+					parent_agent_id: {
+						type: 'string',
+						description: 'claudeAgentId du bloc parent dans lequel insérer (absent = racine de la page)',
+					},
+				},
+				required: ['template_id'],
+			},
+			handler: async (input, runContext = {}) => {
+				const overrides = input.overrides || {};
+				if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+					throw new Error('overrides must be an object of attribute values');
+				}
+
+				const template = getTemplateRegistry().get(input.template_id);
+				if (!template) {
+					throw new Error(`Template not found: ${input.template_id}. Call search_block_templates to list the available templates.`);
+				}
+
+				const blockName = template.block_name;
+
+				// Seuls les attributs déclarés modifiables peuvent être surchargés
+				const overridable = template.overridable_attributes || [];
+				const forbidden = Object.keys(overrides).filter((key) => !overridable.includes(key));
+				if (forbidden.length > 0) {
+					throw new Error(`Attribute(s) not overridable in template ${input.template_id}: ${forbidden.join(', ')}. Overridable: ${overridable.join(', ') || 'none'}`);
+				}
+
+				if (template.validation_schema) {
+					const { valid, errors } = blockValidator.validateAgainstSchema(template.validation_schema, overrides);
+					if (!valid) {
+						throw new Error(`Invalid overrides for template ${input.template_id}. ${blockValidator.formatErrorsForAgent(errors)}`);
+					}
+				}
+
+				const attributes = { ...template.attributes, ...overrides };
+				const innerBlocks = normalizeInnerBlocks(template.innerBlocks);
+				await validateBlockNames([blockName, ...collectBlockNames(innerBlocks)]);
+				await validateBlockAttributes(collectBlocksForValidation(blockName, attributes, innerBlocks, `template ${input.template_id}`), runContext);
+
+				logger.info('Tool: use_block_template', {
+					template_id: input.template_id,
+					block_name: blockName,
+					overrides: Object.keys(overrides),
+					index: input.index,
+				});
+
+				return createGutenbergCommand('insert_block', {
+					blockName,
+					attributes,
+					innerBlocks,
+					index: input.index !== undefined ? input.index : null,
+					parentAgentId: input.parent_agent_id || null,
+					parentClientId: null,
+					templateId: input.template_id,
+				}, runContext, {
+					message: `✅ Template "${template.name || input.template_id}" (${blockName}) inserted at position ${input.index !== undefined ? input.index : 'end'}${input.parent_agent_id ? ` of ${input.parent_agent_id}` : ''}`,
+				});
+			},
+		},
+
+		// 14. Prévisualiser un lot d'opérations sans toucher à la page
+		{
+			name: 'preview_changes',
+			permission: TOOL_PERMISSIONS.READ,
+			description: `Calcule ce que CHANGERAIT un lot d'opérations, SANS modifier la page.
+
+Les opérations (même format que batch_block_operations) sont rejouées sur une copie de l'arbre
+get_blocks_structure, et le résultat est un diff structurel:
+- added: blocs ajoutés (avec leurs attributs)
+- removed: blocs supprimés
+- moved: blocs déplacés (from / to: { parent, index })
+- changed: attributs modifiés ({ attribut: { before, after } })
+
+L'aperçu est présenté à l'utilisateur, qui l'applique ou l'abandonne lui-même depuis l'interface.
+Utilise-le AVANT un gros remaniement (restructurer une page, restyler plusieurs sections) au lieu de
+batch_block_operations, puis ne renvoie PAS les mêmes opérations: attends la décision de l'utilisateur.
+
+Les blocs créés sont identifiés "preview-1", "preview-2"... dans le diff.
+
+EXEMPLE:
+preview_changes({
+  operations: [
+    { op: "update", agentId: "550e8400-...", attributes: { level: 2 } },
+    { op: "move", agentId: "7c9e6679-...", to_index: 0 }
+  ]
+})
+// Retourne: { success: true, preview_id: "...", summary: { added: 0, removed: 0, moved: 1, changed: 1 }, diff: {...} }`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					operations: {
+						type: 'array',
+						description: `Opérations à prévisualiser dans l'ordre (${MAX_BATCH_OPERATIONS} maximum)`,
+						items: BATCH_OPERATION_SCHEMA,
+					},
+				},
+				required: ['operations'],
+			},
+			handler: async (input, runContext = {}) => {
+				if (!runContext.sendGutenbergCommand) {
+					throw new Error('preview_changes needs the editor channel, which is only available to the main agent');
+				}
+
+				const operations = await validateBatchOperations(input.operations, runContext);
+
+				logger.info('Tool: preview_changes', {
+					count: operations.length,
+					ops: operations.map((operation) => operation.op),
+				});
+
+				const { structure = [] } = await runContext.sendGutenbergCommand(
+					createGutenbergCommand('get_blocks_structure', {}, runContext, {
+						message: '📋 Reading blocks structure to preview the changes...',
+					})
+				);
+
+				const diff = diffBlockTrees(structure, simulateOperations(structure, operations));
+				const preview = getPreviewManager().createPreview({
+					conversationId: runContext.conversationId || null,
+					runId: runContext.runId || null,
+					operations,
+					diff,
+					structureHash: hashBlockTree(structure),
+				});
+				const { summary } = diff;
+
+				return {
 					success: true,
-					message: `✅ Block with agentId ${input.agentId} will be replaced with pattern "${input.pattern_slug}"`,
+					preview_id: preview.preview_id,
+					summary,
+					diff,
+					message: `🔍 Preview ready: ${summary.added} added, ${summary.removed} removed, ${summary.moved} moved, ${summary.changed} changed. Nothing was applied: the user applies or discards it.`,
+					// Émis en événement SSE diff_preview par l'orchestrateur (retiré du résultat envoyé à Claude)
+					_preview: {
+						preview_id: preview.preview_id,
+						conversation_id: preview.conversation_id,
+						operations_count: operations.length,
+						summary,
+						diff,
+						apply_url: `/agent/previews/${preview.preview_id}/apply`,
+						discard_url: `/agent/previews/${preview.preview_id}/discard`,
+					},
 				};
 			},
 		},
 	];
 }
+
+/**
+ * Crée la commande qui applique un aperçu de preview_changes (POST /agent/previews/:id/apply)
+ *
+ * Le lot est envoyé tel qu'il a été prévisualisé, seulement si l'arbre actuel de l'éditeur
+ * est celui à partir duquel l'aperçu a été calculé. Si l'éditeur refuse le lot, rien n'est
+ * modifié et l'aperçu reste applicable.
+ *
+ * @param {string} previewId - ID de l'aperçu
+ * @param {Array} structure - Arbre actuel de l'éditeur (get_blocks_structure)
+ * @param {Object} runContext - Contexte du run
+ * @returns {Object} Commande batch_block_operations (avec _awaitResult)
+ * @throws {AppError} 404 si l'aperçu est inconnu, 409 s'il n'est plus en attente ou si l'arbre a changé
+ */
+export function createPreviewApplyCommand(previewId, structure, runContext = {}) {
+	const previewManager = getPreviewManager();
+	const preview = previewManager.startApply(previewId, hashBlockTree(structure));
+
+	const command = createGutenbergCommand('batch_block_operations', {
+		operations: preview.operations,
+		previewId,
+	}, runContext, {
+		message: `✅ Preview applied: ${preview.operations.length} block operations as one transaction`,
+		timeout: BATCH_TIMEOUT_MS,
+	});
+
+	command._awaitResult
+		.then(() => previewManager.finishApply(previewId, true))
+		.catch((error) => previewManager.finishApply(previewId, false, error.message));
+
+	return command;
+}
+
+/**
+ * Valide une opération de batch_block_operations et la convertit au format de la commande iframe
+ *
+ * @param {Object} operation - Opération reçue de Claude
+ * @param {number} index - Position de l'opération dans le lot
+ * @returns {Object} { op, agentId?, clientId?, blockName?, attributes?, innerBlocks?, index?, toIndex?, parentAgentId? }
+ * @throws {Error} Si l'opération est incomplète
+ */
+function normalizeBatchOperation(operation, index) {
+	const label = `Operation ${index} (${operation?.op})`;
+
+	if (!operation || !BATCH_OPERATION_TYPES.includes(operation.op)) {
+		throw new Error(`Operation ${index}: op must be one of ${BATCH_OPERATION_TYPES.join(', ')}`);
+	}
+
+	const normalized = { op: operation.op };
+
+	if (operation.op === 'insert') {
+		if (!operation.block_name) {
+			throw new Error(`${label}: block_name is required`);
+		}
+		normalized.blockName = operation.block_name;
+		normalized.attributes = operation.attributes || {};
+		normalized.innerBlocks = normalizeInnerBlocks(operation.innerBlocks, `${label}: innerBlocks`);
+		normalized.index = operation.index !== undefined ? operation.index : null;
+		normalized.parentAgentId = operation.parent_agent_id || null;
+		return normalized;
+	}
+
+	// Les autres opérations ciblent un bloc existant
+	if (!operation.agentId && !operation.clientId) {
+		throw new Error(`${label}: agentId or clientId is required`);
+	}
+	if (operation.agentId) {
+		normalized.agentId = operation.agentId;
+	} else {
+		normalized.clientId = operation.clientId;
+	}
+
+	if (operation.op === 'update') {
+		if (!operation.attributes || typeof operation.attributes !== 'object') {
+			throw new Error(`${label}: attributes is required`);
+		}
+		normalized.attributes = operation.attributes;
+	} else if (operation.op === 'replace') {
+		if (!operation.block_name) {
+			throw new Error(`${label}: block_name is required`);
+		}
+		normalized.blockName = operation.block_name;
+		normalized.attributes = operation.attributes || {};
+		normalized.innerBlocks = normalizeInnerBlocks(operation.innerBlocks, `${label}: innerBlocks`);
+	} else if (operation.op === 'move') {
+		if (operation.to_index === undefined && !operation.parent_agent_id) {
+			throw new Error(`${label}: to_index or parent_agent_id is required`);
+		}
+		if (operation.to_index !== undefined && (!Number.isInteger(operation.to_index) || operation.to_index < 0)) {
+			throw new Error(`${label}: to_index must be a non-negative integer`);
+		}
+		normalized.toIndex = operation.to_index !== undefined ? operation.to_index : null;
+		normalized.parentAgentId = operation.parent_agent_id || null;
+	}
+
+	return normalized;
+}
+
+/**
+ * Valide un arbre innerBlocks et le convertit au format de la commande iframe
+ *
+ * @param {Array|undefined} innerBlocks - Blocs enfants reçus de Claude
+ * @param {string} path - Chemin de l'arbre (messages d'erreur)
+ * @param {number} depth - Profondeur courante
+ * @returns {Array} [{ name, attributes, innerBlocks }]
+ * @throws {Error} Si un bloc est invalide ou l'arbre trop profond
+ */
+function normalizeInnerBlocks(innerBlocks, path = 'innerBlocks', depth = 1) {
+	if (innerBlocks === undefined || innerBlocks === null) {
+		return [];
+	}
+
+	if (!Array.isArray(innerBlocks)) {
+		throw new Error(`${path} must be an array`);
+	}
+
+	if (depth > MAX_INNER_BLOCKS_DEPTH) {
+		throw new Error(`${path}: innerBlocks nested deeper than ${MAX_INNER_BLOCKS_DEPTH} levels`);
+	}
+
+	return innerBlocks.map((block, index) => {
+		const blockPath = `${path}[${index}]`;
+
+		if (!block || typeof block.name !== 'string' || !block.name) {
+			throw new Error(`${blockPath}: name is required`);
+		}
+
+		if (block.attributes !== undefined && (typeof block.attributes !== 'object' || Array.isArray(block.attributes))) {
+			throw new Error(`${blockPath}: attributes must be an object`);
+		}
+
+		return {
+			name: block.name,
+			attributes: block.attributes || {},
+			innerBlocks: normalizeInnerBlocks(block.innerBlocks, `${blockPath}.innerBlocks`, depth + 1),
+		};
+	});
+}
+
+/**
+ * Liste les noms de blocs d'un arbre innerBlocks normalisé
+ *
+ * @param {Array} innerBlocks - Arbre normalisé
+ * @returns {Array<string>} Noms de blocs (avec doublons)
+ */
+function collectBlockNames(innerBlocks = []) {
+	return innerBlocks.flatMap((block) => [block.name, ...collectBlockNames(block.innerBlocks)]);
+}
+
+/**
+ * Compte les blocs d'un arbre innerBlocks normalisé
+ *
+ * @param {Array} innerBlocks - Arbre normalisé
+ * @returns {number} Nombre de blocs (toutes profondeurs)
+ */
+function countBlocks(innerBlocks = []) {
+	return collectBlockNames(innerBlocks).length;
+}
+
+/**
+ * Crée le validateur de noms de blocs (blocs enregistrés selon getBlocksSummary)
+ *
+ * La liste est mise en cache BLOCK_NAMES_TTL_MS. Sans client WordPress, ou si la liste
+ * ne peut pas être chargée, la validation est ignorée : l'iframe refusera un bloc inconnu.
+ *
+ * @param {Object|null} wordpressAPI - Instance du client WordPress API
+ * @returns {Function} async (blockNames) => void, lève une Error listant les blocs inconnus
+ */
+function createBlockNamesValidator(wordpressAPI) {
+	let knownNames = null;
+	let loadedAt = 0;
+
+	const loadKnownNames = async () => {
+		if (knownNames && Date.now() - loadedAt < BLOCK_NAMES_TTL_MS) {
+			return knownNames;
+		}
+
+		const summary = await wordpressAPI.getBlocksSummary();
+		const blocks = Object.values(summary?.by_category || {}).flat();
+
+		knownNames = new Set(blocks.map((block) => (typeof block === 'string' ? block : block?.name)).filter(Boolean));
+		loadedAt = Date.now();
+
+		return knownNames;
+	};
+
+	return async (blockNames) => {
+		if (!wordpressAPI || blockNames.length === 0) {
+			return;
+		}
+
+		let names;
+		try {
+			names = await loadKnownNames();
+		} catch (error) {
+			logger.warn('Could not load registered blocks, skipping block name validation', { error: error.message });
+			return;
+		}
+
+		if (names.size === 0) {
+			return;
+		}
+
+		const unknown = [...new Set(blockNames)].filter((name) => !names.has(name));
+		if (unknown.length > 0) {
+			throw new Error(`Unknown block name(s): ${unknown.join(', ')}. Call discover_available_blocks to list the registered blocks.`);
+		}
+	};
+}
+
+/**
+ * Crée le validateur d'attributs de blocs (schémas de getBlockSchema, BlockValidator)
+ *
+ * Les schémas sont mis en cache BLOCK_SCHEMA_TTL_MS. Sans client WordPress, ou si le
+ * schéma d'un bloc ne peut pas être chargé, ses attributs ne sont pas vérifiés : un bloc
+ * inconnu est déjà refusé par la validation des noms.
+ *
+ * @param {Object|null} wordpressAPI - Instance du client WordPress API
+ * @param {BlockValidator} blockValidator - Validateur Ajv
+ * @returns {Function} async (blocks, runContext) => void, lève une Error listant les attributs invalides.
+ *   blocks: [{ name | id, attributes, path, partial? }] (id: clientId ou agentId d'un bloc existant, nom lu
+ *   dans l'éditeur ; partial: modification, seuls les attributs fournis sont vérifiés)
+ */
+function createBlockAttributesValidator(wordpressAPI, blockValidator) {
+	const schemas = new Map();
+
+	const loadSchema = (blockName) => {
+		const cached = schemas.get(blockName);
+		if (cached && Date.now() - cached.loadedAt < BLOCK_SCHEMA_TTL_MS) {
+			return cached.schema;
+		}
+
+		// Schéma rechargé : le validateur compilé de l'ancien schéma est périmé
+		blockValidator.clearCache(blockName);
+
+		const schema = wordpressAPI.getBlockSchema(blockName).catch((error) => {
+			logger.warn('Could not load block schema, skipping attribute validation', { block: blockName, error: error.message });
+			schemas.delete(blockName);
+			return null;
+		});
+		schemas.set(blockName, { schema, loadedAt: Date.now() });
+
+		return schema;
+	};
+
+	const validateBlock = async (blockName, attributes, partial) => {
+		const schema = await loadSchema(blockName);
+		if (!schema) {
+			return [];
+		}
+
+		let result;
+		try {
+			result = blockValidator.validate(blockName, attributes || {}, schema);
+		} catch (error) {
+			logger.warn('Block schema not usable, skipping attribute validation', { block: blockName, error: error.message });
+			return [];
+		}
+
+		// Une modification partielle n'a pas à fournir les attributs requis
+		return partial ? result.errors.filter((error) => error.keyword !== 'required') : result.errors;
+	};
+
+	return async (blocks, runContext = {}) => {
+		if (!wordpressAPI || blocks.length === 0) {
+			return;
+		}
+
+		const unnamedIds = blocks.filter((block) => !block.name).map((block) => block.id);
+		const namesById = unnamedIds.length > 0
+			? await loadBlockNamesById(unnamedIds, runContext)
+			: new Map();
+
+		const messages = [];
+		for (const block of blocks) {
+			const blockName = block.name || namesById.get(block.id);
+			if (!blockName) {
+				continue;
+			}
+
+			const errors = await validateBlock(blockName, block.attributes, Boolean(block.partial));
+			if (errors.length > 0) {
+				messages.push(`${block.path} (${blockName}): ${blockValidator.formatErrorsForAgent(errors)}`);
+			}
+		}
+
+		if (messages.length > 0) {
+			throw new Error(`Invalid block attributes, nothing was sent to the editor.\n${messages.join('\n')}\nCall inspect_block_schema to list the valid attributes.`);
+		}
+	};
+}
+
+/**
+ * Liste les blocs d'un arbre pour la validation des attributs
+ *
+ * @param {string} blockName - Nom du bloc racine
+ * @param {Object} attributes - Attributs du bloc racine
+ * @param {Array} innerBlocks - Arbre innerBlocks normalisé
+ * @param {string} path - Libellé du bloc racine (messages d'erreur)
+ * @returns {Array} [{ name, attributes, path }]
+ */
+function collectBlocksForValidation(blockName, attributes, innerBlocks = [], path = 'block') {
+	const collectInner = (blocks, parentPath) => blocks.flatMap((block, index) => {
+		const blockPath = `${parentPath}[${index}]`;
+		return [
+			{ name: block.name, attributes: block.attributes, path: blockPath },
+			...collectInner(block.innerBlocks, `${blockPath}.innerBlocks`),
+		];
+	});
+
+	return [
+		{ name: blockName, attributes, path },
+		...collectInner(innerBlocks, `${path}.innerBlocks`),
+	];
+}
+
+/**
+ * Retrouve le nom des blocs existants ciblés par une modification
+ *
+ * Les noms viennent des réponses de l'éditeur déjà reçues dans la session (structure lue,
+ * blocs insérés ou modifiés). La structure n'est relue dans l'éditeur que si un bloc ciblé
+ * n'y figure pas. Sans canal vers l'éditeur (handler appelé hors d'un run), les noms
+ * inconnus le restent et les attributs ne sont pas vérifiés.
+ *
+ * @param {Array<string>} ids - clientId ou agentId des blocs ciblés
+ * @param {Object} runContext - Contexte du run (editorSessionKey, sendGutenbergCommand)
+ * @returns {Promise<Map<string, string>>} clientId / agentId → nom du bloc
+ */
+async function loadBlockNamesById(ids, runContext) {
+	const known = blockNamesBySession.get(runContext.editorSessionKey) || new Map();
+	if (ids.every((id) => known.has(id)) || !runContext.sendGutenbergCommand) {
+		return known;
+	}
+
+	let ack;
+	try {
+		ack = await runContext.sendGutenbergCommand(
+			createGutenbergCommand('get_blocks_structure', {}, runContext, {
+				message: '📋 Reading block types to validate attributes...',
+			})
+		);
+	} catch (error) {
+		logger.warn('Could not read blocks structure, skipping attribute validation', { error: error.message });
+		return known;
+	}
+
+	const names = new Map(known);
+	indexBlockNames(ack?.structure, names);
+	return names;
+}
+
+/**
+ * Retient les noms des blocs présents dans la réponse de l'éditeur à une commande
+ *
+ * @param {string|null} sessionKey - Clé de la session d'éditeur (runContext.editorSessionKey)
+ * @param {Object} ack - Réponse de l'éditeur (structure, block, blocks, before, results)
+ */
+function rememberBlockNames(sessionKey, ack) {
+	if (!sessionKey || !ack || typeof ack !== 'object') {
+		return;
+	}
+
+	let names = blockNamesBySession.get(sessionKey);
+	if (!names || names.size > MAX_BLOCK_NAMES_PER_SESSION) {
+		names = new Map();
+	}
+	// Session réinsérée en dernier : les plus anciennes sont oubliées en premier
+	blockNamesBySession.delete(sessionKey);
+	blockNamesBySession.set(sessionKey, names);
+	if (blockNamesBySession.size > MAX_BLOCK_NAME_SESSIONS) {
+		blockNamesBySession.delete(blockNamesBySession.keys().next().value);
+	}
+
+	indexBlockNames(ack.structure, names);
+	indexBlockNames(ack.blocks, names);
+	for (const result of [ack, ...(Array.isArray(ack.results) ? ack.results : [])]) {
+		indexBlockNames([result?.before?.block, result?.block].filter(Boolean), names);
+	}
+}
+
+/**
+ * Indexe les noms d'un arbre de blocs par clientId et agentId
+ *
+ * @param {Array|undefined} blocks - Arbre get_blocks_structure (ou instantanés de blocs)
+ * @param {Map<string, string>} names - Index complété
+ */
+function indexBlockNames(blocks, names) {
+	if (!Array.isArray(blocks)) {
+		return;
+	}
+
+	for (const block of blocks) {
+		if (!block?.name) {
+			continue;
+		}
+		const agentId = block.agentId || block.attributes?.claudeAgentId;
+		if (block.clientId) {
+			names.set(block.clientId, block.name);
+		}
+		if (agentId) {
+			names.set(agentId, block.name);
+		}
+		indexBlockNames(block.innerBlocks, names);
+	}
+}
@@ -0,0 +1,147 @@
+/**
+ * Journal Tools
+ *
+ * Tools d'annulation des modifications de l'agent : les opérations inverses
+ * enregistrées dans le journal (EditJournal) sont rejouées dans l'éditeur en
+ * un seul lot batch_block_operations (tout ou rien).
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { AppError } from '../../utils/errors.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { createGutenbergCommand, BATCH_TIMEOUT_MS } from './gutenberg-tools.js';
+import { getEditJournal } from '../../services/edit-journal.js';
+
+/**
+ * Nombre maximum de modifications annulées par undo_last_agent_change
+ */
+const MAX_UNDO_COUNT = 20;
+
+/**
+ * Crée la commande qui annule des modifications du journal
+ *
+ * La commande porte les IDs des entrées annulées (undoes) : une fois confirmée par
+ * l'iframe et enregistrée dans le journal, ces entrées sont marquées comme annulées.
+ *
+ * @param {string} conversationId - ID de la conversation
+ * @param {Object} options - { runId } pour annuler un run entier, sinon { count } dernières modifications
+ * @param {Object} runContext - Contexte du run (runId pour l'annulation)
+ * @returns {Object} Commande batch_block_operations avec _awaitResult
+ * @throws {AppError} Si rien n'est annulable
+ */
+export function createUndoCommand(conversationId, { runId = null, count = 1 } = {}, runContext = {}) {
+	const journal = getEditJournal();
+
+	const entries = runId
+		? journal.getUndoableEntries(conversationId, { runId })
+		: journal.getUndoableEntries(conversationId).slice(0, count);
+
+	if (entries.length === 0) {
+		throw new AppError(runId ? `No agent change to revert for run ${runId}` : 'No agent change to undo in this conversation', 409);
+	}
+
+	// Sans état "avant", une annulation partielle laisserait la page incohérente
+	const notRevertible = entries.filter((entry) => entry.inverse === null);
+	if (notRevertible.length > 0) {
+		throw new AppError(
+			`Cannot undo: the editor did not return the previous state of ${notRevertible.map((entry) => entry.action).join(', ')}`,
+			409
+		);
+	}
+
+	// Entrées de la plus récente à la plus ancienne: les inverses s'appliquent dans cet ordre
+	const operations = entries.flatMap((entry) => entry.inverse);
+
+	logger.info('Undoing agent changes', {
+		conversation_id: conversationId,
+		run_id: runId,
+		entries: entries.length,
+		operations: operations.length,
+	});
+
+	return createGutenbergCommand('batch_block_operations', {
+		operations,
+		undoes: entries.map((entry) => entry.id),
+	}, runContext, {
+		message: `✅ ${entries.length} agent change(s) undone (${entries.map((entry) => entry.action).join(', ')})`,
+		timeout: BATCH_TIMEOUT_MS,
+	});
+}
+
+/**
+ * Retourne la liste des tools d'annulation pour Claude
+ *
+ * @returns {Array} Liste des tools au format Anthropic
+ */
+export function getJournalTools() {
+	return [
+		// 1. Annuler les dernières modifications
+		{
+			name: 'undo_last_agent_change',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
+			description: `Annule les dernières modifications Gutenberg faites par l'agent dans cette conversation ("annule ce que tu viens de faire").
+
+Les valeurs d'origine (attributs, blocs supprimés, positions) sont restaurées depuis le journal des modifications,
+en un seul lot: soit tout est annulé, soit rien.
+
+EXEMPLES:
+undo_last_agent_change()            // annule la dernière modification
+undo_last_agent_change({ count: 3 }) // annule les 3 dernières`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					count: {
+						type: 'number',
+						description: `Nombre de modifications à annuler, de la plus récente à la plus ancienne (1 par défaut, ${MAX_UNDO_COUNT} maximum)`,
+					},
+				},
+				required: [],
+			},
+			handler: async (input, runContext = {}) => {
+				const count = input.count !== undefined ? input.count : 1;
+				if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO_COUNT) {
+					throw new Error(`count must be an integer between 1 and ${MAX_UNDO_COUNT}`);
+				}
+
+				logger.info('Tool: undo_last_agent_change', { count });
+
+				return createUndoCommand(runContext.conversationId, { count }, runContext);
+			},
+		},
+
+		// 2. Annuler toutes les modifications d'un run
+		{
+			name: 'revert_run',
+			permission: TOOL_PERMISSIONS.DESTRUCTIVE,
+			description: `Annule TOUTES les modifications Gutenberg faites par l'agent pendant une requête précédente (un run).
+
+Par défaut: le dernier run ayant modifié la page (hors requête en cours).
+Utile quand l'utilisateur dit "annule tout ce que tu as fait" ou "reviens à la version d'avant".`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					run_id: {
+						type: 'string',
+						description: 'ID du run à annuler (optionnel, par défaut le dernier run)',
+					},
+				},
+				required: [],
+			},
+			handler: async (input, runContext = {}) => {
+				const runId = input.run_id
+					|| getEditJournal().getLastRunId(runContext.conversationId, { excludeRunId: runContext.runId });
+
+				if (!runId) {
+					throw new Error('No previous run with agent changes in this conversation');
+				}
+
+				logger.info('Tool: revert_run', { run_id: runId });
+
+				return createUndoCommand(runContext.conversationId, { runId }, runContext);
+			},
+		},
+	];
+}
@@ -0,0 +1,89 @@
+/**
+ * Plan Tools
+ *
+ * Tools de suivi du plan mode : l'agent signale l'avancement de chaque tâche
+ * du plan approuvé, relayé au frontend via onPlanTaskUpdate (SSE).
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { PLAN_TASK_STATUSES } from '../../services/plan-approval-manager.js';
+
+/**
+ * Noms des tools disponibles uniquement quand un plan est approuvé
+ */
+export const PLAN_TOOL_NAMES = ['update_plan_task'];
+
+/**
+ * Retourne la liste des tools de plan pour Claude
+ *
+ * @returns {Array} Liste des tools au format Anthropic
+ */
+export function getPlanTools() {
+	return [
+		{
+			name: 'update_plan_task',
+			permission: TOOL_PERMISSIONS.READ, // Ne modifie pas le site, seulement le suivi du plan
+			description: `Met à jour le statut d'une tâche du plan approuvé par l'utilisateur.
+
+⭐ OBLIGATOIRE quand un plan est en cours:
+- Passe la tâche à "in_progress" AVANT de commencer à la traiter
+- Passe-la à "completed" dès qu'elle est terminée
+- Utilise "failed" (avec une note) si elle ne peut pas être réalisée, "skipped" si elle devient inutile
+
+L'utilisateur voit l'avancement du plan en temps réel.`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					task_id: {
+						type: 'string',
+						description: 'ID de la tâche dans le plan approuvé',
+					},
+					status: {
+						type: 'string',
+						enum: PLAN_TASK_STATUSES.filter((status) => status !== 'pending'),
+						description: 'Nouveau statut de la tâche',
+					},
+					note: {
+						type: 'string',
+						description: 'Note courte pour l\'utilisateur (raison d\'un échec, etc.) - optionnel',
+					},
+				},
+				required: ['task_id', 'status'],
+			},
+			handler: async (input, runContext = {}) => {
+				logger.info('Tool: update_plan_task', input);
+
+				const { plan, onPlanTaskUpdate } = runContext;
+				if (!plan) {
+					throw new Error('No approved plan is running for this request');
+				}
+
+				const task = plan.tasks.find((t) => String(t.id) === String(input.task_id));
+				if (!task) {
+					throw new Error(`Unknown task_id: ${input.task_id}. Available: ${plan.tasks.map((t) => t.id).join(', ')}`);
+				}
+
+				task.status = input.status;
+				if (input.note) {
+					task.note = input.note;
+				}
+
+				if (onPlanTaskUpdate) {
+					onPlanTaskUpdate(task, plan);
+				}
+
+				const remaining = plan.tasks.filter((t) => t.status === 'pending' || t.status === 'in_progress');
+
+				return {
+					success: true,
+					task,
+					remaining_tasks: remaining.map((t) => ({ id: t.id, label: t.label, status: t.status })),
+				};
+			},
+		},
+	];
+}
@@ -0,0 +1,193 @@
+/**
+ * Screenshot Tools
+ *
+ * Vérification visuelle des modifications : capture du front-end ou du canevas de
+ * l'éditeur par le navigateur Playwright (HeadlessExecutor), renvoyée à Claude
+ * comme bloc image du tool_result (champ _content).
+ *
+ * Quand une iframe édite le post, ses modifications ne sont pas sauvegardées : l'iframe
+ * les enregistre en autosave (commande save_preview) et le navigateur capture le lien
+ * d'aperçu qu'elle renvoie.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { createGutenbergCommand } from './gutenberg-tools.js';
+import { EXECUTION_MODES, resolveExecutionMode } from '../headless-executor.js';
+
+/**
+ * Viewports proposés (device = aperçu correspondant de l'éditeur Gutenberg)
+ */
+const VIEWPORTS = {
+	desktop: { width: 1440, height: 900, device: 'Desktop' },
+	tablet: { width: 768, height: 1024, device: 'Tablet' },
+	mobile: { width: 390, height: 844, device: 'Mobile' },
+};
+
+/**
+ * Hauteur maximale d'une capture du front-end (au-delà, l'image est réduite par l'API)
+ */
+const MAX_SCREENSHOT_HEIGHT = 6000;
+
+/**
+ * Retourne la liste des tools de capture d'écran pour Claude
+ *
+ * @param {HeadlessExecutor} headlessExecutor - Executor qui possède le navigateur Playwright
+ * @param {Object} config - Configuration (wordpress.url)
+ * @returns {Array} Liste des tools au format Anthropic
+ */
+export function getScreenshotTools(headlessExecutor, config) {
+	return [
+		// 1. Capturer la page (front-end ou éditeur)
+		{
+			name: 'capture_page_screenshot',
+			permission: TOOL_PERMISSIONS.READ,
+			description: `Capture la page pour VOIR le rendu (contraste, hiérarchie visuelle, espacements, responsive).
+
+Renvoie une image. Utilise-la après des modifications de design ou de contenu pour vérifier le résultat.
+
+- target "frontend" : page publique (aperçu du post avec les modifications en cours, ou url).
+- target "editor" : canevas de l'éditeur Gutenberg, avec l'aperçu du viewport choisi (uniquement quand aucune iframe n'édite le post).
+- agentId : recadre la capture sur un bloc (target "editor" uniquement).
+
+EXEMPLES:
+capture_page_screenshot({ target: "frontend", viewport: "mobile" })
+capture_page_screenshot({ target: "editor", agentId: "550e8400-..." })`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					target: {
+						type: 'string',
+						enum: ['frontend', 'editor'],
+						description: 'Page publique ou canevas de l\'éditeur (défaut: frontend)',
+					},
+					viewport: {
+						type: 'string',
+						enum: Object.keys(VIEWPORTS),
+						description: 'Taille d\'écran (défaut: desktop)',
+					},
+					url: {
+						type: 'string',
+						description: 'URL ou chemin du front-end à capturer, sur le site WordPress uniquement (optionnel, par défaut l\'aperçu du post)',
+					},
+					agentId: {
+						type: 'string',
+						description: 'agentId du bloc à capturer seul (optionnel, target "editor")',
+					},
+					post_id: {
+						type: 'number',
+						description: 'ID du post (optionnel, par défaut le post en cours d\'édition)',
+					},
+				},
+				required: [],
+			},
+			handler: async (input, runContext = {}) => {
+				const { target = 'frontend', viewport = 'desktop', url = null, agentId = null } = input;
+				const postId = input.post_id || runContext.postId || null;
+
+				const size = VIEWPORTS[viewport];
+				if (!size) {
+					throw new Error(`viewport must be one of ${Object.keys(VIEWPORTS).join(', ')}`);
+				}
+				if (target !== 'frontend' && target !== 'editor') {
+					throw new Error('target must be "frontend" or "editor"');
+				}
+				if (agentId && target !== 'editor') {
+					throw new Error('agentId can only be used with target "editor" (blocks are not identifiable on the front-end)');
+				}
+				if (target === 'editor' && !postId) {
+					throw new Error('post_id is required to capture the editor');
+				}
+
+				// Post édité dans l'iframe: le navigateur headless n'en voit que la version sauvegardée
+				const liveEditor = !input.post_id && runContext.sendGutenbergCommand
+					&& resolveExecutionMode(runContext) === EXECUTION_MODES.IFRAME;
+				if (liveEditor && target === 'editor') {
+					throw new Error('The post is being edited in the user\'s editor, which cannot be captured: use target "frontend", which previews the current edits');
+				}
+
+				let previewUrl = null;
+				let warning = null;
+				if (liveEditor && target === 'frontend' && !url) {
+					try {
+						({ preview_link: previewUrl = null } = await runContext.sendGutenbergCommand(
+							createGutenbergCommand('save_preview', {}, runContext, {
+								message: '💾 Saving a preview of the current edits for the screenshot...',
+							})
+						));
+					} catch (error) {
+						logger.warn('Could not save a preview of the current edits', { error: error.message });
+					}
+					if (!previewUrl) {
+						warning = 'The current edits could not be previewed: the screenshot shows the last saved version of the post';
+					}
+				}
+
+				const pageUrl = target === 'frontend'
+					? (url && resolveSiteUrl(url, config.wordpress.url)) || previewUrl || (postId ? `${config.wordpress.url.replace(/\/$/, '')}/?p=${postId}&preview=true` : null)
+					: null;
+				if (target === 'frontend' && !pageUrl) {
+					throw new Error('url or post_id is required to capture the front-end');
+				}
+
+				logger.info('Tool: capture_page_screenshot', { target, viewport, post_id: postId, url: pageUrl, agentId, live_preview: Boolean(previewUrl) });
+
+				const image = await headlessExecutor.captureScreenshot({
+					target,
+					url: pageUrl,
+					viewport: { width: size.width, height: size.height },
+					device: size.device,
+					agentId,
+					maxHeight: MAX_SCREENSHOT_HEIGHT,
+				}, postId);
+
+				return {
+					success: true,
+					target,
+					viewport,
+					url: pageUrl,
+					post_id: postId,
+					agentId,
+					...(warning ? { warning } : {}),
+					message: `📸 Screenshot of the ${target === 'editor' ? 'editor canvas' : 'front-end'} (${viewport})`,
+					// Bloc image ajouté au tool_result (voir AnthropicClient.formatToolResult)
+					_content: [{
+						type: 'image',
+						source: { type: 'base64', media_type: 'image/jpeg', data: image.toString('base64') },
+					}],
+				};
+			},
+		},
+	];
+}
+
+/**
+ * Résout une URL demandée par l'agent sur le site WordPress
+ *
+ * Le navigateur est connecté à WordPress : il ne doit ouvrir que des pages du site.
+ * Un chemin (/contact) est résolu sur l'URL du site.
+ *
+ * @param {string} url - URL ou chemin demandé
+ * @param {string} siteUrl - URL du site (config.wordpress.url)
+ * @returns {string} URL absolue
+ * @throws {Error} Si l'URL est invalide ou sur une autre origine que le site
+ */
+function resolveSiteUrl(url, siteUrl) {
+	const site = new URL(siteUrl);
+
+	let resolved;
+	try {
+		resolved = new URL(url, site);
+	} catch {
+		throw new Error(`Invalid url: ${url}`);
+	}
+
+	if (resolved.origin !== site.origin) {
+		throw new Error(`url must be a page of the WordPress site (${site.origin}), got ${resolved.origin}`);
+	}
+
+	return resolved.href;
+}
@@ -8,9 +8,11 @@
  */
 
 import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS, filterToolsByPermission } from '../permissions.js';
 import { SEOAgent } from '../sub-agents/seo-agent.js';
 import { CopywritingAgent } from '../sub-agents/copywriting-agent.js';
 import { DesignAgent } from '../sub-agents/design-agent.js';
+import { AccessibilityAgent } from '../sub-agents/accessibility-agent.js';
 import { agentsConfig } from '../agents-config.js';
 
 /**
@@ -25,12 +27,14 @@ export function getSubAgentTools(anthropicClient, allTools, config) {
 	return [
 		{
 			name: 'delegate_to_subagent',
+			permission: TOOL_PERMISSIONS.READ,
+			sequential: true, // Le sub-agent peut modifier le contenu: jamais exécuté en parallèle
 			description: `Délègue une tâche spécialisée à un sub-agent expert.
 
 ⭐ UTILISE CE TOOL QUAND:
-- La tâche nécessite une expertise spécifique (SEO, copywriting, design)
+- La tâche nécessite une expertise spécifique (SEO, copywriting, design, accessibilité)
 - Tu veux une analyse approfondie d'un aspect particulier
-- La demande utilisateur mentionne explicitement SEO, contenu persuasif, ou design
+- La demande utilisateur mentionne explicitement SEO, contenu persuasif, design ou accessibilité
 
 🔍 SEO Agent: Utilise pour optimisation SEO
    - Optimiser la structure de contenu (H1/H2/H3)
@@ -53,6 +57,11 @@ export function getSubAgentTools(anthropicClient, allTools, config) {
    - Choisir couleurs/polices du thème
    - Responsive design
 
+♿ Accessibility Agent: Utilise pour l'accessibilité (WCAG AA)
+   - Audit calculé avec score: contraste, ordre des titres, liens/boutons vides, alt, touch targets
+   - Corrections automatiques (couleurs du thème, niveaux de titres, padding) en un lot annulable
+   - Rédaction des alt et textes de liens manquants
+
 Le sub-agent recevra un system prompt spécialisé et n'aura accès qu'aux tools pertinents.`,
 
 			input_schema: {
@@ -60,8 +69,8 @@ Le sub-agent recevra un system prompt spécialisé et n'aura accès qu'aux tools
 				properties: {
 					agent: {
 						type: 'string',
-						enum: ['seo', 'copywriting', 'design'],
-						description: 'Quel sub-agent expert utiliser (seo, copywriting, ou design)',
+						enum: ['seo', 'copywriting', 'design', 'accessibility'],
+						description: 'Quel sub-agent expert utiliser (seo, copywriting, design ou accessibility)',
 					},
 					task: {
 						type: 'string',
@@ -75,7 +84,7 @@ Le sub-agent recevra un system prompt spécialisé et n'aura accès qu'aux tools
 				required: ['agent', 'task'],
 			},
 
-			handler: async (input) => {
+			handler: async (input, runContext = {}) => {
 				// Support both 'agent' and 'agent_type' for compatibility
 				const agent = input.agent || input.agent_type;
 				const { task, context = {} } = input;
@@ -85,12 +94,14 @@ Le sub-agent recevra un system prompt spécialisé et n'aura accès qu'aux tools
 				// Récupérer la config de l'agent
 				const agentConfig = agentsConfig[agent];
 				if (!agentConfig) {
-					throw new Error(`Unknown agent: ${agent}. Available: seo, copywriting, design`);
+					throw new Error(`Unknown agent: ${agent}. Available: seo, copywriting, design, accessibility`);
 				}
 
-				// Filtrer les tools pour cet agent
-				const agentTools = allTools.filter(tool =>
-					agentConfig.tools.includes(tool.name)
+				// Filtrer les tools pour cet agent, puis selon le mode de permission de la session
+				// (en mode suggest, les modifications du sub-agent sont retenues par executeTool)
+				const agentTools = filterToolsByPermission(
+					allTools.filter(tool => agentConfig.tools.includes(tool.name)),
+					runContext.permission_type
 				);
 
 				logger.info(`${agentConfig.description.split('\n')[0]}`, {
@@ -110,23 +121,30 @@ Le sub-agent recevra un system prompt spécialisé et n'aura accès qu'aux tools
 					case 'design':
 						subAgent = new DesignAgent(anthropicClient, config);
 						break;
+					case 'accessibility':
+						subAgent = new AccessibilityAgent(anthropicClient, config);
+						break;
 					default:
 						throw new Error(`Unknown agent: ${agent}`);
 				}
 
 				// Exécuter la tâche avec le sub-agent
 				try {
-					const result = await subAgent.execute(task, context, agentTools);
+					// Le contexte du run donne accès à l'éditeur (runContext.executeTool)
+					const result = await subAgent.execute(task, context, agentTools, runContext);
 
 					logger.info(`✅ ${agent} agent completed`, {
 						success: result.success,
 					});
 
 					return {
-						success: true,
+						success: result.success !== false,
 						agent: agent,
 						agentName: getAgentDisplayName(agent),
-						message: `✅ ${getAgentDisplayName(agent)} completed the task`,
+						// Budget du run épuisé pendant la tâche: le sub-agent s'est arrêté avant la fin
+						message: result.budget_exhausted
+							? `⚠️ ${getAgentDisplayName(agent)} stopped: the run budget is exhausted`
+							: `✅ ${getAgentDisplayName(agent)} completed the task`,
 						result: result,
 					};
 				} catch (error) {
@@ -155,6 +173,7 @@ function getAgentDisplayName(agentKey) {
 		seo: '🔍 SEO Agent',
 		copywriting: '✍️ Copywriting Agent',
 		design: '🎨 Design Agent',
+		accessibility: '♿ Accessibility Agent',
 	};
 	return names[agentKey] || agentKey;
 }
@@ -0,0 +1,269 @@
+/**
+ * Template Tools
+ *
+ * Création de templates de blocs à partir de la page : une section réussie
+ * (hero, features...) est enregistrée dans templates/ au format documenté
+ * (templates/README.md) pour être retrouvée par search_block_templates et
+ * réutilisée avec use_block_template.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import logger from '../../utils/logger.js';
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { createGutenbergCommand } from './gutenberg-tools.js';
+import { getTemplateRegistry } from '../../services/template-registry.js';
+
+/**
+ * Prompt du choix des attributs modifiables
+ */
+const OVERRIDABLE_SYSTEM_PROMPT = `You prepare reusable Gutenberg block templates.
+Given a block and its attributes, choose the attributes a user would typically change when reusing the block elsewhere:
+texts, links, images, labels. Layout, spacing, colors and technical settings stay fixed.
+
+Answer with a JSON array of attribute names only, e.g. ["title","ctaUrl"]. Use only names from the given attributes.`;
+
+/**
+ * Retourne la liste des tools de templates pour Claude
+ *
+ * @param {Object} anthropicClient - Client Anthropic (choix des attributs modifiables)
+ * @param {Object} config - Configuration (templates.overridableModel, sinon modèle par défaut du client)
+ * @returns {Array} Liste des tools au format Anthropic
+ */
+export function getTemplateTools(anthropicClient, config = {}) {
+	const overridableModel = config.templates?.overridableModel || anthropicClient.defaultModel;
+
+	return [
+		// 1. Enregistrer un bloc de la page comme template
+		{
+			name: 'save_block_as_template',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Enregistre un bloc de la page (avec tous ses innerBlocks) comme template réutilisable.
+
+Utilise-le quand une section (hero, features, pricing...) est réussie et doit pouvoir être réutilisée :
+le template est ensuite trouvé par search_block_templates et inséré avec use_block_template.
+
+Les IDs (clientId, agentId) sont retirés. Si overridable_attributes n'est pas fourni, les attributs
+modifiables (textes, liens, images) sont choisis automatiquement.
+
+EXEMPLE:
+save_block_as_template({
+  agentId: "550e8400-...",
+  name: "Hero centré avec CTA",
+  description: "Hero plein écran, titre, sous-titre et bouton",
+  use_case: "landing-page-hero"
+})`,
+			input_schema: {
+				type: 'object',
+				properties: {
+					agentId: {
+						type: 'string',
+						description: 'claudeAgentId du bloc à enregistrer',
+					},
+					name: {
+						type: 'string',
+						description: 'Nom du template',
+					},
+					description: {
+						type: 'string',
+						description: 'Description du template (recherche plein texte)',
+					},
+					use_case: {
+						type: 'string',
+						description: 'Cas d\'usage (hero, features, testimonials, cta...)',
+					},
+					template_id: {
+						type: 'string',
+						description: 'ID du template (optionnel, dérivé du nom)',
+					},
+					overridable_attributes: {
+						type: 'array',
+						items: { type: 'string' },
+						description: 'Attributs du bloc modifiables à la réutilisation (optionnel, choisis automatiquement)',
+					},
+				},
+				required: ['agentId', 'name'],
+			},
+			handler: async (input, runContext = {}) => {
+				if (!runContext.sendGutenbergCommand) {
+					throw new Error('save_block_as_template needs the editor channel, which is only available to the main agent');
+				}
+
+				const templateId = input.template_id || slugify(input.name);
+				if (!templateId) {
+					throw new Error('name must contain letters or digits');
+				}
+
+				const registry = getTemplateRegistry();
+				if (registry.get(templateId)) {
+					throw new Error(`Template ${templateId} already exists. Choose another name or template_id.`);
+				}
+
+				logger.info('Tool: save_block_as_template', { agentId: input.agentId, template_id: templateId });
+
+				// Sous-arbre du bloc tel qu'il est dans l'éditeur (iframe ou headless)
+				const { structure = [] } = await runContext.sendGutenbergCommand(
+					createGutenbergCommand('get_blocks_structure', {}, runContext, {
+						message: `📋 Reading block ${input.agentId} to save it as a template...`,
+					})
+				);
+
+				const found = findBlockByAgentId(structure, input.agentId);
+				if (!found) {
+					throw new Error(`Block ${input.agentId} not found in the editor. Call get_blocks_structure to check the agentIds.`);
+				}
+
+				const block = stripVolatileIds(found);
+				const attributeNames = Object.keys(block.attributes);
+
+				const requested = input.overridable_attributes
+					|| await suggestOverridableAttributes(anthropicClient, overridableModel, block, runContext);
+				const overridable = requested.filter((name) => attributeNames.includes(name));
+
+				const template = {
+					template_id: templateId,
+					block_name: block.name,
+					name: input.name,
+					description: input.description || '',
+					use_case: input.use_case || '',
+					validated: true,
+					attributes: block.attributes,
+					overridable_attributes: overridable,
+					validation_schema: buildValidationSchema(block.attributes, overridable),
+					...(block.innerBlocks ? { innerBlocks: block.innerBlocks } : {}),
+				};
+
+				const saved = await registry.saveTemplate(template);
+
+				return {
+					success: true,
+					template_id: templateId,
+					file: `templates/${saved.file}`,
+					block_name: block.name,
+					overridable_attributes: overridable,
+					ignored_attributes: requested.filter((name) => !overridable.includes(name)),
+					message: `✅ Block ${input.agentId} saved as template "${input.name}" (${templateId})`,
+				};
+			},
+		},
+	];
+}
+
+/**
+ * Cherche un bloc par agentId dans un arbre get_blocks_structure
+ *
+ * @param {Array} blocks - Blocs ({ agentId?, attributes, innerBlocks })
+ * @param {string} agentId - agentId recherché
+ * @returns {Object|null} Bloc trouvé
+ */
+function findBlockByAgentId(blocks, agentId) {
+	for (const block of blocks) {
+		if (block.agentId === agentId || block.attributes?.claudeAgentId === agentId) {
+			return block;
+		}
+		const inner = findBlockByAgentId(block.innerBlocks || [], agentId);
+		if (inner) {
+			return inner;
+		}
+	}
+	return null;
+}
+
+/**
+ * Retire les IDs propres à la page (clientId, agentId) d'un arbre de blocs
+ *
+ * @param {Object} block - Bloc de get_blocks_structure
+ * @returns {Object} { name, attributes, innerBlocks? } (format innerBlocks des templates)
+ */
+function stripVolatileIds(block) {
+	const { claudeAgentId, ...attributes } = block.attributes || {};
+	const innerBlocks = (block.innerBlocks || []).map(stripVolatileIds);
+
+	return {
+		name: block.name,
+		attributes,
+		...(innerBlocks.length > 0 ? { innerBlocks } : {}),
+	};
+}
+
+/**
+ * Demande au modèle quels attributs rendre modifiables
+ *
+ * Réponse illisible ou appel en échec : les attributs texte sont retenus. L'usage de l'appel
+ * est compté dans celui du run (runContext.recordUsage).
+ *
+ * @param {Object} anthropicClient - Client Anthropic
+ * @param {string} model - Modèle utilisé
+ * @param {Object} block - Bloc sans IDs
+ * @param {Object} runContext - Contexte du run
+ * @returns {Promise<Array<string>>} Noms d'attributs
+ */
+async function suggestOverridableAttributes(anthropicClient, model, block, runContext = {}) {
+	const fallback = Object.keys(block.attributes).filter((name) => typeof block.attributes[name] === 'string');
+
+	try {
+		const response = await anthropicClient.sendMessage({
+			model,
+			system: OVERRIDABLE_SYSTEM_PROMPT,
+			messages: [{
+				role: 'user',
+				content: `Block: ${block.name}\nAttributes: ${JSON.stringify(block.attributes)}\nInner blocks: ${(block.innerBlocks || []).map((inner) => inner.name).join(', ') || 'none'}`,
+			}],
+			max_tokens: 256,
+		});
+		runContext.recordUsage?.(response.usage, model);
+
+		const match = anthropicClient.extractText(response).match(/\[[\s\S]*\]/);
+		const names = match ? JSON.parse(match[0]) : null;
+		if (Array.isArray(names) && names.every((name) => typeof name === 'string')) {
+			return names;
+		}
+
+		logger.warn('Unexpected overridable attributes answer, keeping text attributes', { block: block.name });
+	} catch (error) {
+		logger.warn('Could not choose overridable attributes, keeping text attributes', { block: block.name, error: error.message });
+	}
+
+	return fallback;
+}
+
+/**
+ * Construit le validation_schema des overrides à partir des valeurs actuelles
+ *
+ * @param {Object} attributes - Attributs du bloc
+ * @param {Array<string>} overridable - Attributs modifiables
+ * @returns {Object} JSON Schema (type de chaque attribut, rien d'autre accepté)
+ */
+function buildValidationSchema(attributes, overridable) {
+	const typeOf = (value) => {
+		if (Array.isArray(value)) {
+			return 'array';
+		}
+		return ['string', 'number', 'boolean', 'object'].includes(typeof value) && value !== null ? typeof value : null;
+	};
+
+	return {
+		type: 'object',
+		properties: Object.fromEntries(overridable.map((name) => {
+			const type = typeOf(attributes[name]);
+			return [name, type ? { type } : {}];
+		})),
+		additionalProperties: false,
+	};
+}
+
+/**
+ * Convertit un nom en template_id (minuscules, sans accents, tirets)
+ *
+ * @param {string} name - Nom du template
+ * @returns {string} template_id
+ */
+function slugify(name = '') {
+	return name
+		.toLowerCase()
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+}
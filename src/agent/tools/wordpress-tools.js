@@ -9,12 +9,9 @@
  */
 
 import logger from '../../utils/logger.js';
-import { promises as fs } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, resolve, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { TOOL_PERMISSIONS } from '../permissions.js';
+import { getTemplateRegistry } from '../../services/template-registry.js';
+import { assertValidBlockMarkup, fromBlockTree, serializeBlocks } from '../../validation/block-grammar.js';
 
 /**
  * Retourne la liste des tools WordPress pour Claude
@@ -27,6 +24,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 1. Découvrir les blocs disponibles
 		{
 			name: 'discover_available_blocks',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Découvre tous les blocs Gutenberg disponibles dans WordPress, classés par catégorie. Utilise cet outil en premier pour savoir quels blocs sont disponibles avant de créer du contenu.',
 			input_schema: {
 				type: 'object',
@@ -42,6 +40,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 2. Obtenir le résumé condensé d'une page
 		{
 			name: 'get_page_summary',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Obtient un résumé condensé d\'une page/post existante : structure des blocs, contenu textuel (headings, paragraphes), images, boutons, vidéos, etc. TRÈS UTILE pour comprendre le contenu d\'une page avant de la modifier. Ce résumé est optimisé pour ne pas surcharger le contexte (500-800 tokens max).',
 			input_schema: {
 				type: 'object',
@@ -62,6 +61,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 3. Inspecter le schéma d'un bloc
 		{
 			name: 'inspect_block_schema',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Inspecte le schéma complet d\'un bloc spécifique pour connaître tous ses attributs, supports et capacités. Utilise ceci pour comprendre exactement ce qu\'un bloc peut faire.',
 			input_schema: {
 				type: 'object',
@@ -82,6 +82,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 4. Récupérer un groupe d'attributs (progressive disclosure)
 		{
 			name: 'get_block_attributes_group',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère un groupe d\'attributs spécifique d\'un bloc (progressive disclosure). Pour les blocs complexes (50+ attributs), utilise ceci au lieu de inspect_block_schema pour éviter de surcharger le contexte.',
 			input_schema: {
 				type: 'object',
@@ -107,6 +108,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 5. Récupérer le design system du thème
 		{
 			name: 'get_theme_design_system',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère le design system complet du thème (couleurs, polices, tailles de police, espacements). TOUJOURS utiliser ces valeurs pour garantir la cohérence visuelle du site.',
 			input_schema: {
 				type: 'object',
@@ -122,6 +124,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 6. Récupérer la LISTE des patterns disponibles (RÉSUMÉ SEULEMENT)
 		{
 			name: 'get_patterns',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère la LISTE des patterns disponibles (noms et catégories uniquement). Pour obtenir le contenu HTML d\'un pattern spécifique, utilise get_pattern_details. Progressive Disclosure: cette approche évite de surcharger le contexte.',
 			input_schema: {
 				type: 'object',
@@ -145,6 +148,7 @@ export function getWordPressTools(wordpressAPI) {
 		// 6b. Récupérer le CONTENU d'un pattern spécifique
 		{
 			name: 'get_pattern_details',
+			permission: TOOL_PERMISSIONS.READ,
 			description: 'Récupère le contenu HTML complet d\'un pattern spécifique par son nom. Utilise ceci UNIQUEMENT quand tu as choisi un pattern via get_patterns.',
 			input_schema: {
 				type: 'object',
@@ -178,7 +182,26 @@ export function getWordPressTools(wordpressAPI) {
 		// 7. Créer un nouveau post
 		{
 			name: 'create_post',
-			description: 'Crée un nouveau post ou page WordPress avec du contenu Gutenberg. Le contenu DOIT être au format HTML Gutenberg valide (commentaires <!-- wp:bloc --> inclus).',
+			permission: TOOL_PERMISSIONS.EDIT,
+			description: `Crée un nouveau post ou page WordPress avec du contenu Gutenberg.
+
+Le contenu est fourni SOIT en HTML Gutenberg (content, commentaires <!-- wp:bloc --> inclus), SOIT en arbre de blocs JSON (blocks), sérialisé par le serveur.
+Le balisage est vérifié avant l'envoi : un délimiteur mal formé, des attributs JSON invalides ou un bloc non fermé sont refusés (ligne et colonne indiquées).
+
+Format de blocks : [{ name, attributes?, innerHTML?, innerBlocks?, innerContent? }]
+- innerHTML : HTML enregistré du bloc (ex: "<p>Texte</p>")
+- innerContent : HTML d'un bloc parent avec null à la place de chaque innerBlock
+
+EXEMPLE:
+create_post({
+  title: "Accueil",
+  blocks: [
+    { name: "core/heading", attributes: { level: 2 }, innerHTML: "<h2 class=\"wp-block-heading\">Bienvenue</h2>" },
+    { name: "core/group", innerContent: ["<div class=\"wp-block-group\">", null, "</div>"], innerBlocks: [
+      { name: "core/paragraph", innerHTML: "<p>Texte</p>" }
+    ] }
+  ]
+})`,
 			input_schema: {
 				type: 'object',
 				properties: {
@@ -188,7 +211,26 @@ export function getWordPressTools(wordpressAPI) {
 					},
 					content: {
 						type: 'string',
-						description: 'Contenu HTML Gutenberg validé (avec commentaires de blocs)',
+						description: 'Contenu HTML Gutenberg validé (avec commentaires de blocs). Ne pas utiliser avec blocks.',
+					},
+					blocks: {
+						type: 'array',
+						description: 'Arbre de blocs JSON à sérialiser: [{ name, attributes?, innerHTML?, innerBlocks?, innerContent? }]. Ne pas utiliser avec content.',
+						items: {
+							type: 'object',
+							properties: {
+								name: { type: 'string', description: 'Nom du bloc (ex: core/paragraph)' },
+								attributes: { type: 'object', description: 'Attributs stockés dans le commentaire du bloc' },
+								innerHTML: { type: 'string', description: 'HTML enregistré du bloc (bloc sans innerBlocks)' },
+								innerBlocks: { type: 'array', description: 'Blocs enfants (même format)', items: { type: 'object' } },
+								innerContent: {
+									type: 'array',
+									description: 'HTML du bloc parent, null à la place de chaque innerBlock',
+									items: { type: ['string', 'null'] },
+								},
+							},
+							required: ['name'],
+						},
 					},
 					status: {
 						type: 'string',
@@ -200,17 +242,30 @@ export function getWordPressTools(wordpressAPI) {
 						description: 'Type de post (post, page, product...)',
 					},
 				},
-				required: ['title', 'content'],
+				required: ['title'],
 			},
 			handler: async (input) => {
-				logger.info('Tool: create_post', { title: input.title });
-				return await wordpressAPI.createPost(input);
+				const { blocks, ...postData } = input;
+
+				if ((blocks === undefined) === (input.content === undefined)) {
+					throw new Error('Provide exactly one of content (serialized block markup) or blocks (JSON block tree)');
+				}
+
+				if (blocks !== undefined) {
+					postData.content = serializeBlocks(fromBlockTree(blocks));
+				} else {
+					assertValidBlockMarkup(postData.content);
+				}
+
+				logger.info('Tool: create_post', { title: input.title, from_blocks: blocks !== undefined });
+				return await wordpressAPI.createPost(postData);
 			},
 		},
 
 		// 8. Mettre à jour les métadonnées d'un post (titre, statut, etc.)
 		{
 			name: 'update_post_title',
+			permission: TOOL_PERMISSIONS.EDIT,
 			description: '⚠️ Met à jour UNIQUEMENT les métadonnées d\'un post WordPress (titre, statut, slug, excerpt). NE PEUT PAS modifier le contenu des blocs. Pour modifier le contenu, utilise OBLIGATOIREMENT les tools en temps réel: update_block_realtime, insert_block_realtime, remove_block_realtime, replace_block_realtime.',
 			input_schema: {
 				type: 'object',
@@ -255,84 +310,53 @@ export function getWordPressTools(wordpressAPI) {
 		// 9. Chercher des templates de blocs pré-validés
 		{
 			name: 'search_block_templates',
-			description: 'Cherche des templates JSON pré-validés pour un bloc spécifique. Les templates sont des configurations testées et validées qui garantissent le bon fonctionnement du bloc.',
+			permission: TOOL_PERMISSIONS.READ,
+			description: `Cherche des templates JSON pré-validés (configurations testées qui garantissent le bon fonctionnement du bloc).
+
+Recherche plein texte (query) sur le nom, la description et le cas d'usage, filtrable par bloc et use_case.
+Utilise ensuite use_block_template avec le template_id trouvé.`,
 			input_schema: {
 				type: 'object',
 				properties: {
+					query: {
+						type: 'string',
+						description: 'Mots recherchés dans le nom, la description et le use_case (ex: "hero centré CTA") - optionnel',
+					},
 					block_name: {
 						type: 'string',
-						description: 'Nom du bloc (ex: nectar-blocks/hero)',
+						description: 'Nom du bloc (ex: nectar-blocks/hero) - optionnel',
 					},
 					use_case: {
 						type: 'string',
-						description: 'Cas d\'usage recherché (hero, features, testimonials, cta, etc.) - optionnel',
+						description: 'Cas d\'usage exact (hero, features, testimonials, cta, etc.) - optionnel',
 					},
 				},
-				required: ['block_name'],
+				required: [],
 			},
 			handler: async (input) => {
 				logger.info('Tool: search_block_templates', input);
 
-				try {
-					// Chemin vers le dossier templates
-					const templatesDir = resolve(__dirname, '../../../templates');
-
-					// Normaliser le nom du bloc pour le chemin (core/heading -> core)
-					const [namespace] = input.block_name.split('/');
-
-					// Chemin du dossier du namespace
-					const namespaceDir = join(templatesDir, namespace);
-
-					// Vérifier si le dossier existe
-					try {
-						await fs.access(namespaceDir);
-					} catch {
-						// Dossier n'existe pas
-						return {
-							found: false,
-							templates: [],
-							message: `No templates found for namespace: ${namespace}`,
-						};
-					}
-
-					// Lister tous les fichiers JSON dans le dossier
-					const files = await fs.readdir(namespaceDir);
-					const jsonFiles = files.filter((file) => file.endsWith('.json'));
+				const templates = getTemplateRegistry().search({
+					query: input.query || '',
+					block_name: input.block_name || null,
+					use_case: input.use_case || null,
+				});
 
-					// Filtrer par nom de bloc et use_case
-					const templates = [];
-
-					for (const file of jsonFiles) {
-						const filePath = join(namespaceDir, file);
-						const content = await fs.readFile(filePath, 'utf-8');
-						const template = JSON.parse(content);
-
-						// Vérifier si le template correspond au bloc
-						if (template.blockName === input.block_name) {
-							// Si use_case spécifié, filtrer par use_case
-							if (!input.use_case || template.use_case === input.use_case) {
-								templates.push({
-									id: file.replace('.json', ''),
-									file: file,
-									...template,
-								});
-							}
-						}
-					}
-
-					return {
-						found: templates.length > 0,
-						templates,
-						count: templates.length,
-					};
-				} catch (error) {
-					logger.error('Error searching block templates', { error: error.message });
-					return {
-						found: false,
-						templates: [],
-						error: error.message,
-					};
-				}
+				// Les attributs complets restent dans le template: use_block_template les applique
+				return {
+					found: templates.length > 0,
+					count: templates.length,
+					templates: templates.map((template) => ({
+						template_id: template.template_id,
+						block_name: template.block_name,
+						name: template.name,
+						description: template.description || '',
+						use_case: template.use_case || null,
+						overridable_attributes: template.overridable_attributes || [],
+						validation_schema: template.validation_schema || null,
+						inner_blocks: (template.innerBlocks || []).length,
+					})),
+				};
 			},
 		},
 	];
@@ -50,6 +50,9 @@ export class AnthropicClient {
 	 * @param {number} params.max_tokens - Tokens max
 	 * @param {string} params.model - Modèle à utiliser
 	 * @param {boolean} params.extended_thinking - Enable extended thinking mode
+	 * @param {Object} params.tool_choice - Contrôle de l'usage des tools (ex: { type: 'none' })
+	 * @param {boolean} params.prompt_caching - Ajoute des breakpoints cache_control (system, tools, dernier message)
+	 * @param {AbortSignal} params.signal - Signal pour interrompre la requête (annulation du run)
 	 * @returns {Promise<Object>} Réponse de Claude
 	 */
 	async sendMessage({
@@ -59,6 +62,9 @@ export class AnthropicClient {
 		max_tokens = this.defaultMaxTokens,
 		model = this.defaultModel,
 		extended_thinking = false,
+		tool_choice = null,
+		prompt_caching = false,
+		signal = null,
 	}) {
 		try {
 			logger.info('Sending message to Claude', {
@@ -67,6 +73,7 @@ export class AnthropicClient {
 				message_count: messages.length,
 				tools_count: tools.length,
 				extended_thinking,
+				prompt_caching,
 			});
 
 			const requestParams = {
@@ -77,6 +84,14 @@ export class AnthropicClient {
 				tools,
 			};
 
+			if (tool_choice) {
+				requestParams.tool_choice = tool_choice;
+			}
+
+			if (prompt_caching) {
+				this.applyPromptCaching(requestParams);
+			}
+
 			// Add extended thinking parameter if enabled
 			if (extended_thinking) {
 				requestParams.thinking = {
@@ -85,7 +100,7 @@ export class AnthropicClient {
 				};
 			}
 
-			const response = await this.client.messages.create(requestParams);
+			const response = await this.client.messages.create(requestParams, signal ? { signal } : undefined);
 
 			logger.info('Received response from Claude', {
 				stop_reason: response.stop_reason,
@@ -102,32 +117,191 @@ export class AnthropicClient {
 	/**
 	 * Stream un message (pour réponses en temps réel)
 	 *
-	 * @param {Object} params - Paramètres du message
-	 * @returns {AsyncGenerator} Stream de réponse
+	 * Émet les événements bruts de l'API (message_start, content_block_delta, ...) au fur
+	 * et à mesure, puis un dernier événement { type: 'message_complete', message } contenant
+	 * la réponse reconstituée (même format que sendMessage: text, thinking, tool_use).
+	 *
+	 * @param {Object} params - Paramètres du message (mêmes que sendMessage)
+	 * @returns {AsyncGenerator} Stream d'événements
 	 */
-	async *streamMessage({ system, messages, tools = [], max_tokens = this.defaultMaxTokens, model = this.defaultModel }) {
+	async *streamMessage({
+		system,
+		messages,
+		tools = [],
+		max_tokens = this.defaultMaxTokens,
+		model = this.defaultModel,
+		extended_thinking = false,
+		tool_choice = null,
+		prompt_caching = false,
+		signal = null,
+	}) {
 		try {
-			logger.info('Starting Claude message stream', { model, max_tokens });
+			logger.info('Starting Claude message stream', {
+				model,
+				max_tokens,
+				message_count: messages.length,
+				tools_count: tools.length,
+				extended_thinking,
+				prompt_caching,
+			});
 
-			const stream = await this.client.messages.stream({
+			const requestParams = {
 				model,
 				max_tokens,
 				system,
 				messages,
 				tools,
-			});
+				stream: true,
+			};
+
+			if (tool_choice) {
+				requestParams.tool_choice = tool_choice;
+			}
 
-			for await (const chunk of stream) {
-				yield chunk;
+			if (prompt_caching) {
+				this.applyPromptCaching(requestParams);
 			}
 
-			logger.info('Claude stream completed');
+			if (extended_thinking) {
+				requestParams.thinking = {
+					type: 'enabled',
+					budget_tokens: 5000,
+				};
+			}
+
+			const stream = await this.client.messages.create(requestParams, signal ? { signal } : undefined);
+
+			let message = null;
+			const inputJsonBuffers = new Map(); // index du bloc tool_use -> JSON partiel
+
+			for await (const event of stream) {
+				message = this.applyStreamEvent(message, event, inputJsonBuffers);
+				yield event;
+			}
+
+			logger.info('Claude stream completed', {
+				stop_reason: message?.stop_reason,
+				usage: message?.usage,
+			});
+
+			yield { type: 'message_complete', message };
 		} catch (error) {
-			logger.error('Failed to stream message from Claude', { error: error.message });
+			// Don't log here to avoid duplicate error messages (logged in orchestrator)
 			throw new AppError(`Anthropic streaming error: ${error.message}`, 500);
 		}
 	}
 
+	/**
+	 * Ajoute les breakpoints de prompt caching à une requête
+	 *
+	 * Trois breakpoints (l'API en accepte quatre) : fin du system prompt, dernier tool
+	 * (le cache couvre tous les tools) et dernier message de l'historique, qui ne change
+	 * plus à l'itération suivante. Les messages sont copiés: l'historique de la
+	 * conversation n'est jamais modifié.
+	 *
+	 * @param {Object} requestParams - Paramètres de la requête (modifiés)
+	 */
+	applyPromptCaching(requestParams) {
+		const cacheControl = { type: 'ephemeral' };
+
+		if (typeof requestParams.system === 'string' && requestParams.system) {
+			requestParams.system = [{ type: 'text', text: requestParams.system, cache_control: cacheControl }];
+		}
+
+		if (requestParams.tools.length > 0) {
+			const tools = [...requestParams.tools];
+			tools[tools.length - 1] = { ...tools[tools.length - 1], cache_control: cacheControl };
+			requestParams.tools = tools;
+		}
+
+		const messages = requestParams.messages;
+		const lastMessage = messages[messages.length - 1];
+		if (!lastMessage) {
+			return;
+		}
+
+		let content;
+		if (typeof lastMessage.content === 'string') {
+			content = [{ type: 'text', text: lastMessage.content, cache_control: cacheControl }];
+		} else {
+			const lastBlock = lastMessage.content[lastMessage.content.length - 1];
+			// Les blocs thinking ne peuvent pas porter de cache_control
+			if (!lastBlock || lastBlock.type === 'thinking' || lastBlock.type === 'redacted_thinking') {
+				return;
+			}
+			content = [...lastMessage.content.slice(0, -1), { ...lastBlock, cache_control: cacheControl }];
+		}
+
+		requestParams.messages = [...messages.slice(0, -1), { ...lastMessage, content }];
+	}
+
+	/**
+	 * Applique un événement de stream à la réponse en cours de reconstitution
+	 *
+	 * @param {Object|null} message - Réponse reconstituée jusqu'ici
+	 * @param {Object} event - Événement du stream
+	 * @param {Map} inputJsonBuffers - JSON partiels des blocs tool_use (par index)
+	 * @returns {Object|null} Réponse mise à jour
+	 */
+	applyStreamEvent(message, event, inputJsonBuffers) {
+		switch (event.type) {
+			case 'message_start':
+				return { ...event.message, content: [] };
+
+			case 'content_block_start':
+				message.content[event.index] = { ...event.content_block };
+				if (event.content_block.type === 'tool_use') {
+					inputJsonBuffers.set(event.index, '');
+				}
+				return message;
+
+			case 'content_block_delta': {
+				const block = message.content[event.index];
+				const delta = event.delta;
+
+				if (delta.type === 'text_delta') {
+					block.text += delta.text;
+				} else if (delta.type === 'thinking_delta') {
+					block.thinking += delta.thinking;
+				} else if (delta.type === 'signature_delta') {
+					block.signature = delta.signature;
+				} else if (delta.type === 'input_json_delta') {
+					inputJsonBuffers.set(event.index, inputJsonBuffers.get(event.index) + delta.partial_json);
+				}
+				return message;
+			}
+
+			case 'content_block_stop': {
+				const block = message.content[event.index];
+				if (block?.type === 'tool_use') {
+					const json = inputJsonBuffers.get(event.index);
+					try {
+						block.input = json ? JSON.parse(json) : {};
+					} catch (error) {
+						// JSON incomplet (réponse coupée par max_tokens)
+						logger.warn('Incomplete tool input JSON in stream', { tool: block.name, length: json.length });
+						block.input = {};
+					}
+				}
+				return message;
+			}
+
+			case 'message_delta':
+				message.stop_reason = event.delta.stop_reason;
+				message.stop_sequence = event.delta.stop_sequence;
+				// Ne pas écraser les compteurs de message_start (tokens de cache) par des valeurs nulles
+				for (const [key, value] of Object.entries(event.usage || {})) {
+					if (value !== null && value !== undefined) {
+						message.usage[key] = value;
+					}
+				}
+				return message;
+
+			default:
+				return message;
+		}
+	}
+
 	/**
 	 * Compte les tokens dans un texte (estimation)
 	 *
@@ -164,6 +338,29 @@ export class AnthropicClient {
 		return response.content.filter((block) => block.type === 'tool_use');
 	}
 
+	/**
+	 * Construit le bloc tool_result d'un résultat de tool
+	 *
+	 * Un résultat avec un champ _content (ex: capture d'écran) ajoute ces blocs
+	 * (image...) après le JSON du reste du résultat.
+	 *
+	 * @param {string} toolUseId - ID du tool_use
+	 * @param {Object} result - Résultat du handler
+	 * @returns {Object} Bloc tool_result
+	 */
+	formatToolResult(toolUseId, result) {
+		if (!Array.isArray(result?._content)) {
+			return { type: 'tool_result', tool_use_id: toolUseId, content: JSON.stringify(result) };
+		}
+
+		const { _content, ...data } = result;
+		return {
+			type: 'tool_result',
+			tool_use_id: toolUseId,
+			content: [{ type: 'text', text: JSON.stringify(data) }, ..._content],
+		};
+	}
+
 	/**
 	 * Extrait le texte d'une réponse
 	 *
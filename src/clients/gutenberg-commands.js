@@ -0,0 +1,231 @@
+/**
+ * Gutenberg Commands (exécution dans la page)
+ *
+ * Exécute une commande gutenberg_action directement dans l'éditeur, via wp.data,
+ * avec le même contrat de réponse que l'iframe (/agent/iframe-callback) :
+ * { success: true, result } ou { success: false, result: { error, code } }.
+ *
+ * IMPORTANT: runGutenbergCommand est sérialisée par Playwright (page.evaluate) et
+ * exécutée dans le navigateur : elle ne doit utiliser aucune variable de ce module.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+/**
+ * Exécute une commande Gutenberg dans la page de l'éditeur
+ *
+ * @param {Object} command - Commande sans _command ni _awaitResult ({ action, requestId, ...payload })
+ * @returns {Object} { success, result } (format du callback iframe)
+ */
+export function runGutenbergCommand(command) {
+	const { createBlock, cloneBlock, getBlockType, parse } = window.wp.blocks;
+	const select = window.wp.data.select('core/block-editor');
+	const dispatch = window.wp.data.dispatch('core/block-editor');
+
+	const fail = (code, message) => {
+		const error = new Error(message);
+		error.code = code;
+		throw error;
+	};
+
+	const snapshot = (block) => ({
+		clientId: block.clientId,
+		agentId: block.attributes?.claudeAgentId || null,
+		name: block.name,
+		attributes: block.attributes,
+		innerBlocks: (block.innerBlocks || []).map(snapshot),
+	});
+
+	const findClientIdByAgentId = (agentId) => select.getClientIdsWithDescendants()
+		.find((clientId) => select.getBlockAttributes(clientId)?.claudeAgentId === agentId);
+
+	const resolveTarget = ({ agentId, clientId, index }) => {
+		let targetId = null;
+		if (agentId) {
+			targetId = findClientIdByAgentId(agentId);
+		} else if (clientId) {
+			targetId = select.getBlock(clientId) ? clientId : null;
+		} else if (index !== undefined && index !== null) {
+			targetId = select.getBlockOrder()[index] || null;
+		}
+
+		if (!targetId) {
+			fail('block_not_found', `Block ${agentId || clientId || `at index ${index}`} not found`);
+		}
+		return targetId;
+	};
+
+	const resolveParent = ({ parentAgentId, parentClientId }) => {
+		if (parentAgentId) {
+			return resolveTarget({ agentId: parentAgentId });
+		}
+		if (parentClientId) {
+			return resolveTarget({ clientId: parentClientId });
+		}
+		return undefined; // racine de la page
+	};
+
+	const position = (clientId) => {
+		const rootClientId = select.getBlockRootClientId(clientId) || null;
+		return {
+			parentAgentId: rootClientId ? select.getBlockAttributes(rootClientId)?.claudeAgentId || null : null,
+			parentClientId: rootClientId,
+			index: select.getBlockIndex(clientId),
+		};
+	};
+
+	const checkAttributes = (name, attributes = {}) => {
+		const blockType = getBlockType(name);
+		if (!blockType) {
+			fail('unknown_block', `Block type ${name} is not registered`);
+		}
+		const unknown = Object.keys(attributes).filter((key) => !(key in (blockType.attributes || {})));
+		if (unknown.length > 0) {
+			fail('invalid_attribute', `Invalid attribute(s) for ${name}: ${unknown.join(', ')}`);
+		}
+	};
+
+	const buildBlock = (name, attributes = {}, innerBlocks = []) => {
+		checkAttributes(name, attributes);
+		const withAgentId = { ...attributes, claudeAgentId: attributes.claudeAgentId || window.crypto.randomUUID() };
+		return createBlock(name, withAgentId, innerBlocks.map((inner) => buildBlock(inner.name, inner.attributes, inner.innerBlocks)));
+	};
+
+	const getPatternBlocks = (slug) => {
+		const patterns = window.wp.data.select('core').getBlockPatterns?.()
+			|| select.getSettings().__experimentalBlockPatterns
+			|| [];
+		const pattern = patterns.find((candidate) => candidate.name === slug);
+		if (!pattern) {
+			fail('pattern_not_found', `Pattern ${slug} not found`);
+		}
+		return parse(pattern.content);
+	};
+
+	const removeWithSnapshot = (clientId) => {
+		const before = { block: snapshot(select.getBlock(clientId)), position: position(clientId) };
+		dispatch.removeBlock(clientId, false);
+		return { before };
+	};
+
+	const replaceWithSnapshot = (clientId, blocks) => {
+		const before = { block: snapshot(select.getBlock(clientId)), position: position(clientId) };
+		dispatch.replaceBlocks(clientId, blocks);
+		const after = blocks.map((block) => snapshot(select.getBlock(block.clientId)));
+		return after.length === 1 ? { before, block: after[0] } : { before, blocks: after };
+	};
+
+	const actions = {
+		get_blocks_structure: () => ({ structure: select.getBlocks().map(snapshot) }),
+
+		insert_block: (cmd) => {
+			const block = buildBlock(cmd.blockName, cmd.attributes, cmd.innerBlocks);
+			dispatch.insertBlocks([block], cmd.index ?? undefined, resolveParent(cmd), false);
+			return { block: snapshot(select.getBlock(block.clientId)), position: position(block.clientId) };
+		},
+
+		update_block_by_clientid: (cmd) => actions.update_block_by_agent_id(cmd),
+		update_block_by_agent_id: (cmd) => {
+			const clientId = resolveTarget(cmd);
+			const current = select.getBlock(clientId);
+			checkAttributes(current.name, cmd.attributes);
+			const before = { block: snapshot(current), position: position(clientId) };
+			// removeAttributes (annulation) : attributs absents avant la modification annulée
+			const removed = Object.fromEntries((cmd.removeAttributes || []).map((key) => [key, undefined]));
+			dispatch.updateBlockAttributes(clientId, { ...cmd.attributes, ...removed });
+			return { before, block: snapshot(select.getBlock(clientId)) };
+		},
+
+		remove_block: (cmd) => removeWithSnapshot(resolveTarget(cmd)),
+		remove_block_by_index: (cmd) => removeWithSnapshot(resolveTarget(cmd)),
+		remove_block_by_agent_id: (cmd) => removeWithSnapshot(resolveTarget(cmd)),
+
+		replace_block: (cmd) => replaceWithSnapshot(resolveTarget(cmd), [buildBlock(cmd.newBlockName, cmd.newAttributes, cmd.innerBlocks)]),
+		replace_block_by_index: (cmd) => actions.replace_block(cmd),
+		replace_block_by_agent_id: (cmd) => actions.replace_block(cmd),
+
+		move_block_by_agent_id: (cmd) => {
+			const clientId = resolveTarget(cmd);
+			const before = { block: snapshot(select.getBlock(clientId)), position: position(clientId) };
+			const fromRoot = select.getBlockRootClientId(clientId) || undefined;
+			// toRoot (annulation) : retour à la racine de la page
+			const toRoot = cmd.toRoot ? undefined : (cmd.parentAgentId || cmd.parentClientId) ? resolveParent(cmd) : fromRoot;
+			const toIndex = cmd.toIndex ?? select.getBlockCount(toRoot);
+			dispatch.moveBlockToPosition(clientId, fromRoot, toRoot, toIndex);
+			return { before, block: snapshot(select.getBlock(clientId)), position: position(clientId) };
+		},
+
+		duplicate_block_by_agent_id: (cmd) => {
+			const clientId = resolveTarget(cmd);
+			const rootClientId = select.getBlockRootClientId(clientId) || undefined;
+			const copy = cloneBlock(select.getBlock(clientId));
+			// La copie reçoit de nouveaux claudeAgentId (bloc et innerBlocks)
+			const reassign = (block) => {
+				block.attributes.claudeAgentId = window.crypto.randomUUID();
+				block.innerBlocks.forEach(reassign);
+			};
+			reassign(copy);
+			dispatch.insertBlocks([copy], cmd.toIndex ?? select.getBlockIndex(clientId) + 1, rootClientId, false);
+			return { block: snapshot(select.getBlock(copy.clientId)), position: position(copy.clientId) };
+		},
+
+		insert_pattern: (cmd) => {
+			const blocks = getPatternBlocks(cmd.patternSlug);
+			dispatch.insertBlocks(blocks, cmd.index ?? undefined, undefined, false);
+			return { blocks: blocks.map((block) => snapshot(select.getBlock(block.clientId))) };
+		},
+
+		swap_pattern: (cmd) => replaceWithSnapshot(resolveTarget(cmd), getPatternBlocks(cmd.patternSlug)),
+
+		batch_block_operations: (cmd) => {
+			const batchActions = {
+				insert: (op) => actions.insert_block(op),
+				update: (op) => actions.update_block_by_agent_id(op),
+				remove: (op) => actions.remove_block_by_agent_id(op),
+				replace: (op) => actions.replace_block({ ...op, newBlockName: op.blockName, newAttributes: op.attributes }),
+				move: (op) => actions.move_block_by_agent_id(op),
+			};
+
+			// Tout ou rien: l'état initial est restauré si une opération échoue
+			const initialBlocks = select.getBlocks();
+			const results = [];
+
+			for (const [index, op] of cmd.operations.entries()) {
+				try {
+					const result = batchActions[op.op](op);
+					results.push({
+						index,
+						op: op.op,
+						success: true,
+						agentId: result.block?.agentId || op.agentId || null,
+						clientId: result.block?.clientId || null,
+						...result,
+					});
+				} catch (error) {
+					dispatch.resetBlocks(initialBlocks);
+					results.push({ index, op: op.op, success: false, error: error.message, code: error.code || null });
+					const batchError = new Error(`Operation ${index} (${op.op}) failed: ${error.message}`);
+					batchError.code = error.code;
+					batchError.details = { results, rolled_back: true };
+					throw batchError;
+				}
+			}
+
+			return { results };
+		},
+	};
+
+	try {
+		const handler = actions[command.action];
+		if (!handler) {
+			fail('unknown_action', `Unknown Gutenberg action: ${command.action}`);
+		}
+		return { success: true, result: handler(command) };
+	} catch (error) {
+		return {
+			success: false,
+			result: { error: error.message, code: error.code || 'editor_error', ...(error.details || {}) },
+		};
+	}
+}
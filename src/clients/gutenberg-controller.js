@@ -11,6 +11,7 @@
 import { chromium } from 'playwright';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
+import { runGutenbergCommand } from './gutenberg-commands.js';
 
 /**
  * Classe GutenbergController
@@ -28,6 +29,7 @@ export class GutenbergController {
 		this.browser = null;
 		this.context = null;
 		this.page = null;
+		this.currentPostId = null;
 	}
 
 	/**
@@ -64,6 +66,37 @@ export class GutenbergController {
 		}
 	}
 
+	/**
+	 * Ouvre une session WordPress (cookies conservés dans le contexte du navigateur)
+	 *
+	 * @param {string} wordpressUrl - URL de base WordPress
+	 * @param {string} user - Nom d'utilisateur
+	 * @param {string} password - Mot de passe du compte (les Application Passwords ne permettent pas de se connecter à wp-admin)
+	 * @returns {Promise<void>}
+	 */
+	async login(wordpressUrl, user, password) {
+		try {
+			logger.info('Logging in to WordPress', { user });
+
+			await this.page.goto(`${wordpressUrl}/wp-login.php`, { waitUntil: 'domcontentloaded' });
+			await this.page.fill('#user_login', user);
+			await this.page.fill('#user_pass', password);
+			await Promise.all([
+				this.page.waitForNavigation({ waitUntil: 'domcontentloaded' }),
+				this.page.click('#wp-submit'),
+			]);
+
+			if (this.page.url().includes('wp-login.php')) {
+				throw new AppError('WordPress login failed: check the credentials', 401);
+			}
+
+			logger.info('Logged in to WordPress');
+		} catch (error) {
+			logger.error('Failed to log in to WordPress', { error: error.message });
+			throw error instanceof AppError ? error : new AppError(`Login failed: ${error.message}`, 500);
+		}
+	}
+
 	/**
 	 * Navigue vers l'éditeur d'un post spécifique
 	 *
@@ -78,11 +111,18 @@ export class GutenbergController {
 
 			await this.page.goto(url, { waitUntil: 'networkidle' });
 
+			// Session expirée ou jamais ouverte: WordPress redirige vers wp-login.php
+			if (this.page.url().includes('wp-login.php')) {
+				throw new AppError('Not logged in to WordPress (call login() first)', 401);
+			}
+
 			// Attendre que le bridge Gutenberg soit disponible
 			await this.page.waitForFunction(() => window.ClaudeGutenbergBridge !== undefined, {
 				timeout: 10000,
 			});
 
+			this.currentPostId = postId;
+
 			logger.info('Successfully navigated to post editor');
 		} catch (error) {
 			logger.error('Failed to navigate to post', { error: error.message });
@@ -222,6 +262,26 @@ export class GutenbergController {
 		}
 	}
 
+	/**
+	 * Exécute une commande gutenberg_action dans l'éditeur (sans iframe)
+	 *
+	 * @param {Object} command - Commande ({ action, requestId, ...payload }, sans _awaitResult)
+	 * @returns {Promise<Object>} { success, result } (même format que le callback de l'iframe)
+	 */
+	async executeCommand(command) {
+		try {
+			logger.info('Executing Gutenberg command in headless editor', {
+				action: command.action,
+				requestId: command.requestId,
+			});
+
+			return await this.page.evaluate(runGutenbergCommand, command);
+		} catch (error) {
+			logger.error('Failed to execute Gutenberg command', { action: command.action, error: error.message });
+			throw error;
+		}
+	}
+
 	/**
 	 * Sauvegarde le post
 	 *
@@ -231,8 +291,12 @@ export class GutenbergController {
 		try {
 			logger.info('Saving post');
 
+			// Sans le bridge (éditeur ouvert en headless), sauvegarde directe via wp.data
 			await this.page.evaluate(() => {
-				return window.ClaudeGutenbergBridge.savePost();
+				if (window.ClaudeGutenbergBridge) {
+					return window.ClaudeGutenbergBridge.savePost();
+				}
+				return window.wp.data.dispatch('core/editor').savePost();
 			});
 
 			// Attendre la fin de la sauvegarde
@@ -326,6 +390,115 @@ export class GutenbergController {
 		}
 	}
 
+	/**
+	 * Capture le canevas de l'éditeur (aperçu Desktop / Tablet / Mobile de Gutenberg)
+	 *
+	 * L'aperçu précédent est rétabli après la capture : la page de l'éditeur est partagée
+	 * par les commandes et captures suivantes.
+	 *
+	 * @param {Object} options - { device: 'Desktop'|'Tablet'|'Mobile', agentId?: string }
+	 * @returns {Promise<Buffer>} Image JPEG
+	 */
+	async captureEditorScreenshot({ device = 'Desktop', agentId = null } = {}) {
+		let previousDevice = null;
+
+		try {
+			logger.info('Capturing editor screenshot', { device, agent_id: agentId });
+
+			previousDevice = await this.setPreviewDevice(device);
+
+			const clientId = await this.page.evaluate((blockAgentId) => {
+				if (!blockAgentId) {
+					return null;
+				}
+				const select = window.wp.data.select('core/block-editor');
+				return select.getClientIdsWithDescendants()
+					.find((id) => select.getBlockAttributes(id)?.claudeAgentId === blockAgentId) || null;
+			}, agentId);
+
+			if (agentId && !clientId) {
+				throw new AppError(`Block ${agentId} not found in the editor`, 404);
+			}
+
+			// Le canevas est une iframe (editor-canvas) depuis WP 6.3, sinon directement dans la page
+			const canvasFrame = await this.page.$('iframe[name="editor-canvas"]');
+			const canvas = canvasFrame ? this.page.frameLocator('iframe[name="editor-canvas"]') : this.page;
+			const target = clientId
+				? canvas.locator(`[data-block="${clientId}"]`)
+				: (canvasFrame ? this.page.locator('iframe[name="editor-canvas"]') : this.page.locator('.editor-styles-wrapper'));
+
+			await target.first().scrollIntoViewIfNeeded();
+			return await target.first().screenshot({ type: 'jpeg', quality: 70 });
+		} catch (error) {
+			logger.error('Failed to capture editor screenshot', { error: error.message });
+			throw error instanceof AppError ? error : new AppError(`Editor screenshot failed: ${error.message}`, 500);
+		} finally {
+			if (previousDevice && previousDevice !== device) {
+				await this.setPreviewDevice(previousDevice).catch((error) => {
+					logger.warn('Could not restore the editor preview device', { device: previousDevice, error: error.message });
+				});
+			}
+		}
+	}
+
+	/**
+	 * Change l'aperçu (Desktop / Tablet / Mobile) de l'éditeur
+	 *
+	 * @param {string} device - Aperçu à afficher
+	 * @returns {Promise<string>} Aperçu affiché avant le changement
+	 */
+	async setPreviewDevice(device) {
+		return this.page.evaluate((previewDevice) => {
+			// setDeviceType / getDeviceType (WP 6.5+) ou les anciennes API de core/edit-post
+			const editor = window.wp.data.dispatch('core/editor');
+			const editorSelect = window.wp.data.select('core/editor');
+			const previous = editorSelect.getDeviceType
+				? editorSelect.getDeviceType()
+				: window.wp.data.select('core/edit-post').__experimentalGetPreviewDeviceType();
+
+			if (editor.setDeviceType) {
+				editor.setDeviceType(previewDevice);
+			} else {
+				window.wp.data.dispatch('core/edit-post').__experimentalSetPreviewDeviceType(previewDevice);
+			}
+
+			return previous;
+		}, device);
+	}
+
+	/**
+	 * Capture une page du front-end dans un nouvel onglet (session WordPress partagée)
+	 *
+	 * @param {string} url - URL de la page
+	 * @param {Object} viewport - { width, height }
+	 * @param {number} maxHeight - Hauteur maximale capturée (pages très longues)
+	 * @returns {Promise<Buffer>} Image JPEG
+	 */
+	async captureFrontendScreenshot(url, viewport, maxHeight) {
+		const page = await this.context.newPage();
+
+		try {
+			logger.info('Capturing front-end screenshot', { url, viewport });
+
+			await page.setViewportSize(viewport);
+			await page.goto(url, { waitUntil: 'networkidle', timeout: this.config.timeout });
+
+			const height = await page.evaluate(() => document.documentElement.scrollHeight);
+
+			return await page.screenshot({
+				type: 'jpeg',
+				quality: 70,
+				fullPage: true,
+				clip: { x: 0, y: 0, width: viewport.width, height: Math.min(height, maxHeight) },
+			});
+		} catch (error) {
+			logger.error('Failed to capture front-end screenshot', { url, error: error.message });
+			throw new AppError(`Front-end screenshot failed: ${error.message}`, 500);
+		} finally {
+			await page.close();
+		}
+	}
+
 	/**
 	 * Ferme le navigateur
 	 *
@@ -12,8 +12,17 @@ import dotenv from 'dotenv';
 import express from 'express';
 import { Orchestrator } from './agent/orchestrator.js';
 import logger from './utils/logger.js';
-import { AppError } from './utils/errors.js';
-import { getPendingRequestsManager } from './services/pending-requests-manager.js';
+import { AppError, AuthorizationError } from './utils/errors.js';
+import { getPendingRequestsManager, getEditorSessionKey } from './services/pending-requests-manager.js';
+import { getPlanApprovalManager } from './services/plan-approval-manager.js';
+import { getRunManager } from './services/run-manager.js';
+import { getEditJournal } from './services/edit-journal.js';
+import { getConversationManager } from './services/conversation-manager.js';
+import { createUndoCommand } from './agent/tools/journal-tools.js';
+import { createPreviewApplyCommand, createGutenbergCommand } from './agent/tools/gutenberg-tools.js';
+import { getPreviewManager } from './services/preview-manager.js';
+import { EXECUTION_MODES, resolveExecutionMode } from './agent/headless-executor.js';
+import { checkToolPermission, isValidPermissionMode, PERMISSION_MODES, DEFAULT_PERMISSION_MODE } from './agent/permissions.js';
 
 // Charger les variables d'environnement
 dotenv.config();
@@ -71,6 +80,7 @@ async function initializeAgent() {
 				url: process.env.WORDPRESS_URL,
 				user: process.env.WORDPRESS_USER,
 				appPassword: process.env.WORDPRESS_APP_PASSWORD,
+				password: process.env.WORDPRESS_PASSWORD, // Connexion de l'éditeur headless (Playwright)
 			},
 			anthropic: {
 				apiKey: process.env.ANTHROPIC_API_KEY,
@@ -87,6 +97,21 @@ async function initializeAgent() {
 				headless: process.env.HEADLESS === 'true',
 				timeout: parseInt(process.env.BROWSER_TIMEOUT || '30000', 10),
 			},
+			budget: {
+				// Limites par défaut d'un run (0 ou absent = illimité), surchargées par le champ "budget" de la requête
+				max_tokens: parseInt(process.env.AGENT_RUN_MAX_TOKENS || '0', 10),
+				max_cost_usd: parseFloat(process.env.AGENT_RUN_MAX_COST_USD || '0'),
+			},
+			compaction: {
+				// Tokens estimés de l'historique au-delà desquels les anciens tours sont résumés
+				maxHistoryTokens: parseInt(process.env.HISTORY_COMPACTION_MAX_TOKENS || '60000', 10),
+				// Modèle utilisé pour résumer les anciens tours
+				summaryModel: process.env.HISTORY_COMPACTION_MODEL || 'claude-haiku-4-5',
+			},
+			templates: {
+				// Modèle qui choisit les attributs modifiables d'un template enregistré (sinon modèle de l'agent)
+				overridableModel: process.env.TEMPLATE_ATTRIBUTES_MODEL || 'claude-haiku-4-5',
+			},
 		};
 
 		// Valider la configuration
@@ -122,27 +147,113 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * Route principale pour traiter les requêtes utilisateur
+ * Valide et normalise le body d'une requête agent (/agent/process et /agent/process-stream)
+ *
+ * @param {Object} body - Body de la requête
+ * @param {Object} defaults - { mode } mode d'exécution Gutenberg si la requête n'en précise pas
+ * @returns {Object} { message, options } à passer à orchestrator.processRequest
+ * @throws {AppError} 400 si la requête est invalide
+ */
+function parseAgentRequest(body = {}, { mode: defaultMode = EXECUTION_MODES.IFRAME } = {}) {
+	const {
+		message,
+		conversation_id,
+		wordpress_context,
+		extended_thinking = false,
+		enabled_tools = [],
+		budget = null,
+		mode = defaultMode,
+		options = {},
+	} = body;
+
+	// permission_type accepté aussi dans options (ancien format de /agent/process)
+	const permission_type = body.permission_type || options.permission_type || DEFAULT_PERMISSION_MODE;
+
+	if (!message || typeof message !== 'string') {
+		throw new AppError('Invalid request: message is required', 400);
+	}
+
+	if (!isValidPermissionMode(permission_type)) {
+		throw new AppError(`Invalid request: permission_type must be one of ${Object.values(PERMISSION_MODES).join(', ')}`, 400);
+	}
+
+	if (!Object.values(EXECUTION_MODES).includes(mode)) {
+		throw new AppError(`Invalid request: mode must be one of ${Object.values(EXECUTION_MODES).join(', ')}`, 400);
+	}
+
+	if (!Array.isArray(enabled_tools)) {
+		throw new AppError('Invalid request: enabled_tools must be an array of tool names', 400);
+	}
+
+	if (budget !== null) {
+		const isPositive = (value) => value === undefined || (typeof value === 'number' && value > 0);
+		if (typeof budget !== 'object' || !isPositive(budget.max_tokens) || !isPositive(budget.max_cost_usd)) {
+			throw new AppError('Invalid request: budget.max_tokens and budget.max_cost_usd must be positive numbers', 400);
+		}
+	}
+
+	if (!orchestrator) {
+		throw new AppError('Orchestrator not initialized', 500);
+	}
+
+	return {
+		message,
+		options: {
+			...options, // maxIterations, maxTokens, skip_plan_mode
+			conversation_id, // IMPORTANT: Passer le conversation_id pour charger l'historique
+			wordpress_context,
+			permission_type, // Mode de permission appliqué par executeTool (read-only, suggest, full)
+			extended_thinking,
+			enabled_tools, // Filtre des tools disponibles
+			budget, // Budget du run { max_tokens?, max_cost_usd? } (sinon limites par défaut de la config)
+			execution_mode: mode, // Commandes Gutenberg envoyées à l'iframe ou exécutées par Playwright
+		},
+	};
+}
+
+/**
+ * Route principale pour traiter les requêtes utilisateur (réponse JSON)
+ *
+ * Même moteur que /agent/process-stream, sans streaming ni plan mode.
+ * Aucune iframe n'écoute cette route : les commandes Gutenberg sont exécutées
+ * en headless par défaut.
  *
  * POST /agent/process
- * Body: { message: string, options?: object }
+ * Body: { message: string, conversation_id?, wordpress_context?, permission_type?, mode?, extended_thinking?, enabled_tools?, budget?, options? }
  */
 app.post('/agent/process', async (req, res) => {
+	const runManager = getRunManager();
+	let runId = null;
+
 	try {
-		const { message, options = {} } = req.body;
+		const { message, options } = parseAgentRequest(req.body, { mode: EXECUTION_MODES.HEADLESS });
 
-		if (!message || typeof message !== 'string') {
-			throw new AppError('Invalid request: message is required', 400);
-		}
+		// Le run est annulable (POST /agent/runs/:runId/cancel) et annulé si le client se déconnecte
+		const run = runManager.createRun({ conversation_id: options.conversation_id || null });
+		runId = run.runId;
 
-		if (!orchestrator) {
-			throw new AppError('Orchestrator not initialized', 500);
-		}
+		res.on('close', () => {
+			if (!res.writableEnded) {
+				runManager.cancelRun(run.runId, 'client_disconnected');
+			}
+		});
 
-		logger.info('Processing user request', { message: message.substring(0, 100) });
+		logger.info('Processing user request', {
+			message: message.substring(0, 100),
+			conversation_id: options.conversation_id || 'new',
+			permission_type: options.permission_type,
+			execution_mode: options.execution_mode,
+			enabled_tools_count: options.enabled_tools.length,
+		});
 
 		// Traiter la requête avec l'orchestrateur
-		const result = await orchestrator.processRequest(message, options);
+		const result = await orchestrator.processRequest(message, {
+			...options,
+			run_id: run.runId,
+			signal: run.signal,
+		});
+
+		runManager.completeRun(runId);
 
 		res.json({
 			success: true,
@@ -151,6 +262,10 @@ app.post('/agent/process', async (req, res) => {
 	} catch (error) {
 		logger.error('Error processing request', { error: error.message });
 
+		if (runId) {
+			runManager.completeRun(runId);
+		}
+
 		const statusCode = error instanceof AppError ? error.statusCode : 500;
 		res.status(statusCode).json({
 			success: false,
@@ -164,6 +279,9 @@ app.post('/agent/process', async (req, res) => {
  *
  * POST /agent/iframe-callback
  * Body: { requestId: string, result: any, success: boolean }
+ *
+ * Confirme une commande Gutenberg : result contient les données demandées ou l'état du
+ * bloc modifié ({ block }), ou l'erreur de l'éditeur si success est false ({ error, code }).
  */
 app.post('/agent/iframe-callback', async (req, res) => {
 	try {
@@ -184,6 +302,12 @@ app.post('/agent/iframe-callback', async (req, res) => {
 		// Récupérer le gestionnaire de requêtes en attente
 		const pendingManager = getPendingRequestsManager();
 
+		// Un callback prouve que l'iframe de la session écoute toujours
+		const sessionKey = pendingManager.getRequestSessionKey(requestId);
+		if (sessionKey) {
+			pendingManager.markIframeAlive(sessionKey);
+		}
+
 		// Résoudre ou rejeter la requête en attente
 		if (success) {
 			const resolved = pendingManager.resolvePendingRequest(requestId, result);
@@ -193,7 +317,8 @@ app.post('/agent/iframe-callback', async (req, res) => {
 				logger.info('Callback resolved successfully', { requestId });
 			}
 		} else {
-			const error = new Error(result?.error || 'Iframe callback failed');
+			// Le détail de l'iframe (ex: résultats par opération d'un lot annulé) suit l'erreur
+			const error = new AppError(result?.error || 'Iframe callback failed', 422, { iframe_result: result || null });
 			pendingManager.rejectPendingRequest(requestId, error);
 		}
 
@@ -210,22 +335,52 @@ app.post('/agent/iframe-callback', async (req, res) => {
 });
 
 /**
- * Route streaming pour voir les actions de l'agent en temps réel (SSE)
+ * Signe de vie de l'iframe de l'éditeur
  *
- * POST /agent/process-stream
- * Body: { message: string, wordpress_context?: object, options?: object }
+ * L'iframe l'envoie à son ouverture puis toutes les 10 secondes. En mode auto (sur
+ * demande), les commandes Gutenberg d'une session sans signe de vie depuis 30 secondes
+ * sont exécutées en headless.
+ *
+ * POST /agent/iframe-heartbeat
+ * Body: { post_id?: number, conversation_id?: string }
  */
-app.post('/agent/process-stream', async (req, res) => {
+app.post('/agent/iframe-heartbeat', (req, res) => {
 	try {
-		const { message, conversation_id, wordpress_context, permission_type = 'full', extended_thinking = false, enabled_tools = [], options = {} } = req.body;
+		const { post_id, conversation_id } = req.body || {};
 
-		if (!message || typeof message !== 'string') {
-			throw new AppError('Invalid request: message is required', 400);
+		if (!post_id && !conversation_id) {
+			throw new AppError('Invalid heartbeat: post_id or conversation_id is required', 400);
 		}
 
-		if (!orchestrator) {
-			throw new AppError('Orchestrator not initialized', 500);
-		}
+		const sessionKey = getEditorSessionKey(post_id, conversation_id);
+		getPendingRequestsManager().markIframeAlive(sessionKey);
+
+		res.json({ success: true, session: sessionKey });
+	} catch (error) {
+		const statusCode = error instanceof AppError ? error.statusCode : 500;
+		res.status(statusCode).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+/**
+ * Route streaming pour voir les actions de l'agent en temps réel (SSE)
+ *
+ * Le client du flux est l'iframe de l'éditeur : les commandes Gutenberg lui sont envoyées
+ * par défaut (mode 'iframe'), 'auto' et 'headless' sont à demander explicitement.
+ *
+ * POST /agent/process-stream
+ * Body: { message: string, wordpress_context?: object, mode?: 'auto'|'iframe'|'headless', options?: object }
+ */
+app.post('/agent/process-stream', async (req, res) => {
+	const runManager = getRunManager();
+	let runId = null;
+
+	try {
+		const { message, options } = parseAgentRequest(req.body);
+		const { conversation_id } = options;
 
 		// Set up SSE
 		res.setHeader('Content-Type', 'text/event-stream');
@@ -235,72 +390,76 @@ app.post('/agent/process-stream', async (req, res) => {
 
 		// Function to send SSE events
 		const sendEvent = (type, data) => {
+			if (res.writableEnded || res.destroyed) {
+				return; // Client déconnecté
+			}
 			res.write(`event: ${type}\n`);
 			res.write(`data: ${JSON.stringify(data)}\n\n`);
 		};
 
+		// Enregistrer le run pour pouvoir l'annuler (POST /agent/runs/:runId/cancel)
+		const run = runManager.createRun({ conversation_id: conversation_id || null });
+		runId = run.runId;
+
+		// Fermeture de la connexion SSE par le navigateur = annulation du run
+		res.on('close', () => {
+			if (!res.writableEnded) {
+				runManager.cancelRun(run.runId, 'client_disconnected');
+			}
+		});
+
+		// Premier événement: le frontend garde le runId pour pouvoir annuler
+		sendEvent('run_started', { runId: run.runId, conversation_id: conversation_id || null });
+
 		logger.info('Starting streaming request', {
 			message: message.substring(0, 100),
 			conversation_id: conversation_id || 'new',
-			has_context: !!wordpress_context,
-			context: wordpress_context,
-			permission_type: permission_type,
-			extended_thinking: extended_thinking,
-			enabled_tools_count: enabled_tools.length
+			has_context: !!options.wordpress_context,
+			context: options.wordpress_context,
+			permission_type: options.permission_type,
+			execution_mode: options.execution_mode,
+			extended_thinking: options.extended_thinking,
+			enabled_tools_count: options.enabled_tools.length
 		});
 
-		// Process request with streaming callbacks, WordPress context, and conversation persistence
-		const result = await orchestrator.processRequestStream(message, {
+		// Les événements du run sont relayés tels quels au frontend (mêmes noms que les événements SSE)
+		const result = await orchestrator.processRequest(message, {
 			...options,
-			conversation_id, // IMPORTANT: Passer le conversation_id pour charger l'historique
-			wordpress_context,
-			permission_type, // NEW: Pass permission type to orchestrator
-			extended_thinking, // NEW: Pass extended thinking to orchestrator
-			enabled_tools, // NEW: Pass enabled tools array to filter available tools
-			onIterationStart: (iteration, maxIterations) => {
-				sendEvent('iteration_start', { iteration, maxIterations });
-			},
-			onToolCall: (toolName, input) => {
-				sendEvent('tool_call', { toolName, input });
-			},
-			onToolResult: (toolName, success, toolResult) => {
-				sendEvent('tool_result', {
-					toolName,
-					success,
-					result: toolResult, // IMPORTANT: Send full result for Gutenberg commands with _command field
-					resultSummary: success ? 'OK' : (toolResult?.message || 'Error')
-				});
-			},
-			onThinking: (thinkingContent) => {
-				// NEW: Send thinking content when extended thinking is enabled
-				sendEvent('thinking', { content: thinkingContent });
-			},
-			onFinalResponse: (response, usage, conversationId) => {
-				// Envoyer le conversation_id au frontend pour qu'il puisse continuer la conversation
-				sendEvent('final_response', {
-					response,
-					usage,
-					conversation_id: conversationId // IMPORTANT: Le frontend doit stocker cet ID
-				});
+			run_id: run.runId,
+			signal: run.signal,
+			onEvent: sendEvent,
+			onPlanGenerated: (plan, { conversation_id: planConversationId } = {}) => {
+				// Mettre le run en pause: la décision arrive via POST /agent/plan/:planId/decision
+				// Le plan est annulé avec le run: une décision arrivée ensuite reçoit 409
+				const planManager = getPlanApprovalManager();
+				const { planId, decision } = planManager.createPlan(plan, {
+					conversation_id: planConversationId || null,
+				}, planManager.defaultTimeout, run.signal);
+				sendEvent('plan', { planId, tasks: plan.tasks });
+				return decision;
 			},
-			onError: (error) => {
-				sendEvent('error', { message: error.message });
-			}
 		});
 
 		logger.info('Streaming request completed', {
 			conversation_id: result.conversation_id,
-			iterations: result.iterations
+			iterations: result.iterations,
+			cancelled: !!result.cancelled,
 		});
 
+		runManager.completeRun(runId);
 		res.end();
 	} catch (error) {
 		logger.error('Error in streaming endpoint', { error: error.message });
 
+		if (runId) {
+			runManager.completeRun(runId);
+		}
+
 		// Try to send error via SSE if headers not sent yet
 		if (!res.headersSent) {
-			res.status(500).json({ success: false, error: error.message });
-		} else {
+			const statusCode = error instanceof AppError ? error.statusCode : 500;
+			res.status(statusCode).json({ success: false, error: error.message });
+		} else if (!res.writableEnded && !res.destroyed) {
 			res.write(`event: error\n`);
 			res.write(`data: ${JSON.stringify({ message: error.message })}\n\n`);
 			res.end();
@@ -308,6 +467,325 @@ app.post('/agent/process-stream', async (req, res) => {
 	}
 });
 
+/**
+ * Route pour annuler un run en cours
+ *
+ * La boucle de l'agent s'arrête entre deux itérations, les requêtes iframe en attente
+ * sont rejetées et l'historique partiel est sauvegardé dans la conversation.
+ *
+ * POST /agent/runs/:runId/cancel
+ */
+app.post('/agent/runs/:runId/cancel', (req, res) => {
+	const { runId } = req.params;
+	const runManager = getRunManager();
+
+	if (!runManager.hasRun(runId)) {
+		return res.status(404).json({ success: false, error: `No running agent run found for id ${runId}` });
+	}
+
+	const cancelled = runManager.cancelRun(runId, 'user_cancelled');
+
+	res.json({ success: true, runId, cancelled });
+});
+
+/**
+ * Route pour consulter un plan (client reconnecté pendant que le run attend)
+ *
+ * GET /agent/plan/:planId
+ */
+app.get('/agent/plan/:planId', (req, res) => {
+	const plan = getPlanApprovalManager().getPlan(req.params.planId);
+
+	if (!plan) {
+		return res.status(404).json({ success: false, error: 'Plan not found' });
+	}
+
+	res.json({ success: true, ...plan });
+});
+
+/**
+ * Route pour approuver, rejeter ou éditer un plan en attente
+ *
+ * Le run /agent/process-stream en pause reprend dès que la décision est reçue.
+ * 404 si le plan est inconnu, 409 s'il n'attend plus de décision (décidé, expiré, run annulé).
+ *
+ * POST /agent/plan/:planId/decision
+ * Body: { decision: 'approve'|'reject'|'edit', tasks?: Array<{ id?, label }>, feedback?: string }
+ */
+app.post('/agent/plan/:planId/decision', (req, res) => {
+	try {
+		const { planId } = req.params;
+		const { decision, tasks, feedback } = req.body;
+
+		const planManager = getPlanApprovalManager();
+		const applied = planManager.submitDecision(planId, { decision, tasks, feedback });
+
+		if (!applied) {
+			const plan = planManager.getPlan(planId);
+			if (plan) {
+				throw new AppError(`Plan ${planId} is no longer pending (${plan.status})`, 409);
+			}
+			throw new AppError(`No pending plan found for id ${planId}`, 404);
+		}
+
+		res.json({ success: true, planId, decision: applied.decision });
+	} catch (error) {
+		logger.error('Error processing plan decision', { error: error.message });
+
+		const statusCode = error instanceof AppError ? error.statusCode : 500;
+		res.status(statusCode).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+/**
+ * Construit le contexte d'une commande envoyée hors d'un run, depuis la session de la conversation
+ *
+ * Le dernier run de la conversation a enregistré son contexte WordPress, son mode de
+ * permission et son mode d'exécution (métadonnées de la conversation).
+ *
+ * @param {string} conversationId - ID de la conversation
+ * @param {string} toolName - Tool équivalent, dont la permission est vérifiée
+ * @returns {Object} runContext (conversationId, postId, editorSessionKey, permission_type, executionMode)
+ * @throws {AppError} 404 si la conversation est inconnue, 403 si son mode interdit le tool
+ */
+function buildConversationRunContext(conversationId, toolName) {
+	if (!orchestrator) {
+		throw new AppError('Orchestrator not initialized', 500);
+	}
+
+	const conversation = getConversationManager().getConversation(conversationId);
+	if (!conversation) {
+		throw new AppError(`Conversation ${conversationId} not found`, 404);
+	}
+
+	const {
+		wordpress_context: wordpressContext = null,
+		permission_type: permissionType = DEFAULT_PERMISSION_MODE,
+		execution_mode: executionMode = EXECUTION_MODES.IFRAME,
+	} = conversation.metadata || {};
+
+	// Même règle que pour l'agent: refusé en lecture seule. En mode suggest, c'est
+	// l'utilisateur qui agit (il valide lui-même la modification)
+	const permission = checkToolPermission(orchestrator.getTool(toolName), permissionType);
+	if (permission.decision === 'deny') {
+		throw new AuthorizationError(`Not allowed: the conversation is in "${permissionType}" mode`);
+	}
+
+	const postId = wordpressContext?.current_post_id || null;
+
+	return {
+		conversationId,
+		postId,
+		permission_type: permissionType,
+		executionMode,
+		editorSessionKey: getEditorSessionKey(postId, conversationId),
+	};
+}
+
+/**
+ * Envoie une commande Gutenberg créée hors d'un run et journalise la modification confirmée
+ *
+ * En mode iframe, la commande est renvoyée au frontend qui la transmet à l'iframe. En
+ * headless, elle est jouée par Playwright et le post est sauvegardé après confirmation.
+ *
+ * @param {string} toolName - Tool équivalent (journal, logs)
+ * @param {Object} gutenbergCommand - Commande createGutenbergCommand (avec _awaitResult)
+ * @param {Object} runContext - Contexte (buildConversationRunContext)
+ * @param {Function} onConfirmed - Appelé avec la commande confirmée ({ ...command, ...ack })
+ * @returns {Object} { command, executed_by, confirmed } (command sans _command si déjà exécutée,
+ *                   confirmed: promesse de la commande confirmée, rejetée si l'éditeur la refuse)
+ */
+function dispatchOutOfRunCommand(toolName, gutenbergCommand, runContext, onConfirmed) {
+	const mode = orchestrator.dispatchGutenbergCommand(toolName, gutenbergCommand, runContext, null);
+	const { _awaitResult, ...command } = gutenbergCommand;
+
+	const confirmed = _awaitResult.then((ack) => {
+		const confirmedCommand = { ...command, ...ack };
+		onConfirmed(confirmedCommand);
+		if (mode === EXECUTION_MODES.HEADLESS) {
+			orchestrator.headlessExecutor.flush().catch((error) => {
+				logger.error('Failed to save post edited in headless mode', { error: error.message });
+			});
+		}
+		return confirmedCommand;
+	});
+	confirmed.catch((error) => {
+		logger.warn(`${toolName} command not confirmed by the editor`, { action: command.action, error: error.message });
+	});
+
+	if (mode === EXECUTION_MODES.HEADLESS) {
+		// Déjà exécutée: le frontend ne doit pas la rejouer dans une iframe
+		const { _command, ...executed } = command;
+		return { command: executed, executed_by: mode, confirmed };
+	}
+
+	return { command, executed_by: mode, confirmed };
+}
+
+/**
+ * Lit l'arbre de blocs actuel d'une session headless (get_blocks_structure)
+ *
+ * @param {Object} runContext - Contexte (buildConversationRunContext)
+ * @returns {Promise<Array>} Arbre get_blocks_structure
+ */
+async function readHeadlessStructure(runContext) {
+	const command = createGutenbergCommand('get_blocks_structure', {}, runContext, {
+		message: '📋 Reading blocks structure to apply the preview...',
+	});
+	orchestrator.dispatchGutenbergCommand('get_blocks_structure', command, runContext, null);
+
+	const { structure = [] } = await command._awaitResult;
+	return structure;
+}
+
+/**
+ * Route pour annuler les dernières modifications de l'agent (bouton "Annuler" du frontend)
+ *
+ * La commande Gutenberg qui rejoue les opérations inverses suit la session de la
+ * conversation : renvoyée au frontend, qui la transmet à l'iframe (confirmation via
+ * /agent/iframe-callback), ou jouée en headless. Les modifications ne sont marquées
+ * annulées dans le journal qu'après confirmation. Refusé si la conversation est en
+ * lecture seule.
+ *
+ * POST /agent/conversations/:id/undo
+ * Body: { count?: number, run_id?: string }
+ */
+app.post('/agent/conversations/:id/undo', (req, res) => {
+	try {
+		const { id } = req.params;
+		const { count = 1, run_id: runId = null } = req.body || {};
+
+		if (!Number.isInteger(count) || count < 1) {
+			throw new AppError('Invalid count: must be a positive integer', 400);
+		}
+
+		const runContext = buildConversationRunContext(id, 'undo_last_agent_change');
+		const { command, executed_by } = dispatchOutOfRunCommand(
+			'undo_last_agent_change',
+			createUndoCommand(id, { runId, count }, runContext),
+			runContext,
+			(confirmed) => getEditJournal().record(id, { toolName: 'undo', command: confirmed })
+		);
+
+		res.json({ success: true, conversation_id: id, command, executed_by });
+	} catch (error) {
+		logger.error('Error processing undo request', { error: error.message });
+
+		const statusCode = error instanceof AppError ? error.statusCode : 500;
+		res.status(statusCode).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+/**
+ * Route pour appliquer un aperçu de preview_changes (bouton "Appliquer" du diff_preview)
+ *
+ * L'aperçu ne s'applique qu'à l'arbre à partir duquel il a été calculé (409 si la page
+ * a changé depuis). La commande batch_block_operations suit la session de la conversation :
+ * - headless : le serveur lit l'arbre actuel, joue le lot et ne répond qu'après la
+ *   confirmation de l'éditeur (200 appliqué, sinon l'erreur de l'éditeur) ;
+ * - iframe : le frontend envoie l'arbre actuel de l'iframe (structure) et reçoit la
+ *   commande à lui transmettre (202) ; l'iframe confirme via /agent/iframe-callback et
+ *   GET /agent/previews/:previewId donne le statut final.
+ * Le lot confirmé est enregistré dans le journal (annulable comme les autres
+ * modifications de l'agent). Refusé si la conversation est en lecture seule.
+ *
+ * POST /agent/previews/:previewId/apply
+ * Body: { structure?: Array } (arbre get_blocks_structure, requis en mode iframe)
+ */
+app.post('/agent/previews/:previewId/apply', async (req, res) => {
+	try {
+		const { previewId } = req.params;
+		const preview = getPreviewManager().requirePending(previewId);
+		const runContext = buildConversationRunContext(preview.conversation_id, 'batch_block_operations');
+		const headless = resolveExecutionMode(runContext) === EXECUTION_MODES.HEADLESS;
+
+		let structure = req.body?.structure;
+		if (headless) {
+			structure = await readHeadlessStructure(runContext);
+		} else if (!Array.isArray(structure)) {
+			throw new AppError('Invalid structure: the current get_blocks_structure tree of the editor is required', 400);
+		}
+
+		const { command, executed_by, confirmed } = dispatchOutOfRunCommand(
+			'preview_changes',
+			createPreviewApplyCommand(previewId, structure, runContext),
+			runContext,
+			(confirmedCommand) => getEditJournal().record(preview.conversation_id, {
+				runId: preview.run_id,
+				toolName: 'preview_changes',
+				command: confirmedCommand,
+			})
+		);
+
+		const response = { success: true, preview_id: previewId, conversation_id: preview.conversation_id, command, executed_by };
+
+		if (!headless) {
+			// Appliqué à la confirmation de l'iframe, une fois la commande transmise par le frontend
+			res.status(202).json({ ...response, status: 'applying' });
+			return;
+		}
+
+		await confirmed;
+		res.json({ ...response, status: 'applied' });
+	} catch (error) {
+		logger.error('Error applying change preview', { error: error.message });
+
+		const statusCode = error instanceof AppError ? error.statusCode : 500;
+		res.status(statusCode).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+/**
+ * Route pour suivre un aperçu de preview_changes (statut après application par l'iframe)
+ *
+ * GET /agent/previews/:previewId
+ */
+app.get('/agent/previews/:previewId', (req, res) => {
+	const preview = getPreviewManager().getPreview(req.params.previewId);
+
+	if (!preview) {
+		return res.status(404).json({ success: false, error: 'Change preview not found' });
+	}
+
+	res.json({
+		success: true,
+		preview_id: preview.preview_id,
+		conversation_id: preview.conversation_id,
+		status: preview.status,
+		error: preview.error,
+	});
+});
+
+/**
+ * Route pour abandonner un aperçu de preview_changes (bouton "Abandonner" du diff_preview)
+ *
+ * POST /agent/previews/:previewId/discard
+ */
+app.post('/agent/previews/:previewId/discard', (req, res) => {
+	try {
+		const preview = getPreviewManager().discard(req.params.previewId);
+
+		res.json({ success: true, preview_id: preview.preview_id, status: preview.status });
+	} catch (error) {
+		logger.error('Error discarding change preview', { error: error.message });
+
+		const statusCode = error instanceof AppError ? error.statusCode : 500;
+		res.status(statusCode).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
 /**
  * Gestionnaire d'erreurs global
  */
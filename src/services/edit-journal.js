@@ -0,0 +1,326 @@
+/**
+ * Edit Journal
+ *
+ * Journal des modifications Gutenberg de l'agent, par conversation.
+ * Chaque commande confirmée par l'iframe est enregistrée avec l'état "avant"
+ * renvoyé dans son acquittement, et les opérations inverses qui permettent de
+ * l'annuler (undo_last_agent_change, revert_run, POST /agent/conversations/:id/undo).
+ *
+ * Contrat d'acquittement de l'iframe pour une modification :
+ * { before: { block: { agentId, clientId, name, attributes, innerBlocks }, position: { parentAgentId, index } },
+ *   block: { ... } | blocks: [...] }   // état après la modification
+ * Pour batch_block_operations, chaque élément de results porte ses propres before / block.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Nombre maximum d'entrées conservées par conversation
+ */
+const MAX_ENTRIES_PER_CONVERSATION = 200;
+
+/**
+ * Action Gutenberg équivalente à chaque opération d'un lot
+ */
+const BATCH_OP_ACTIONS = {
+	insert: 'insert_block',
+	update: 'update_block_by_agent_id',
+	remove: 'remove_block_by_agent_id',
+	replace: 'replace_block_by_agent_id',
+	move: 'move_block_by_agent_id',
+};
+
+/**
+ * Journal des modifications
+ */
+class EditJournal {
+	constructor() {
+		// Map: conversation_id -> { entries: [...], updated_at }
+		this.journals = new Map();
+
+		this.startCleanupInterval();
+
+		logger.info('EditJournal initialized');
+	}
+
+	/**
+	 * Enregistre une commande Gutenberg confirmée par l'iframe
+	 *
+	 * Une commande d'annulation (champ undoes) marque les entrées qu'elle annule et
+	 * n'est pas elle-même proposée à l'annulation.
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @param {Object} params - { runId, toolName, command } (command: commande fusionnée avec l'acquittement)
+	 * @returns {Object|null} Entrée enregistrée, ou null sans conversation
+	 */
+	record(conversationId, { runId = null, toolName, command }) {
+		if (!conversationId) {
+			return null;
+		}
+
+		const journal = this.getJournal(conversationId);
+		const inverse = buildInverseOperations(command.action, command, command);
+
+		const entry = {
+			id: uuidv4(),
+			run_id: runId,
+			tool: toolName,
+			action: command.action,
+			request_id: command.requestId,
+			before: command.before || null,
+			inverse,
+			undoes: command.undoes || null,
+			undone: false,
+			timestamp: new Date(),
+		};
+
+		if (entry.undoes) {
+			this.markUndone(conversationId, entry.undoes);
+		}
+
+		journal.entries.push(entry);
+		journal.updated_at = new Date();
+
+		if (journal.entries.length > MAX_ENTRIES_PER_CONVERSATION) {
+			journal.entries.splice(0, journal.entries.length - MAX_ENTRIES_PER_CONVERSATION);
+		}
+
+		logger.debug('Edit journal entry recorded', {
+			conversation_id: conversationId,
+			action: entry.action,
+			revertible: inverse !== null,
+		});
+
+		return entry;
+	}
+
+	/**
+	 * Retourne les entrées encore annulables, de la plus récente à la plus ancienne
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @param {Object} options - { runId } pour ne garder que les entrées d'un run
+	 * @returns {Array} Entrées (modifications non annulées, hors annulations)
+	 */
+	getUndoableEntries(conversationId, { runId = null } = {}) {
+		const journal = this.journals.get(conversationId);
+		if (!journal) {
+			return [];
+		}
+
+		return journal.entries
+			.filter((entry) => !entry.undone && !entry.undoes && (!runId || entry.run_id === runId))
+			.reverse();
+	}
+
+	/**
+	 * Retourne l'ID du dernier run ayant des modifications annulables
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @param {Object} options - { excludeRunId } (ex: run en cours)
+	 * @returns {string|null} ID du run
+	 */
+	getLastRunId(conversationId, { excludeRunId = null } = {}) {
+		const entry = this.getUndoableEntries(conversationId)
+			.find((candidate) => candidate.run_id && candidate.run_id !== excludeRunId);
+
+		return entry ? entry.run_id : null;
+	}
+
+	/**
+	 * Marque des entrées comme annulées
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @param {Array<string>} entryIds - IDs des entrées
+	 * @returns {number} Nombre d'entrées marquées
+	 */
+	markUndone(conversationId, entryIds) {
+		const journal = this.journals.get(conversationId);
+		if (!journal) {
+			return 0;
+		}
+
+		let marked = 0;
+		for (const entry of journal.entries) {
+			if (entryIds.includes(entry.id) && !entry.undone) {
+				entry.undone = true;
+				marked++;
+			}
+		}
+
+		return marked;
+	}
+
+	/**
+	 * Supprime le journal d'une conversation
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @returns {boolean} True si un journal a été supprimé
+	 */
+	clear(conversationId) {
+		return this.journals.delete(conversationId);
+	}
+
+	/**
+	 * Retourne (ou crée) le journal d'une conversation
+	 *
+	 * @param {string} conversationId - ID de la conversation
+	 * @returns {Object} { entries, updated_at }
+	 */
+	getJournal(conversationId) {
+		if (!this.journals.has(conversationId)) {
+			this.journals.set(conversationId, { entries: [], updated_at: new Date() });
+		}
+		return this.journals.get(conversationId);
+	}
+
+	/**
+	 * Supprime les journaux inactifs (même durée de vie que les conversations)
+	 */
+	startCleanupInterval() {
+		const CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 heure
+		const MAX_INACTIVE_TIME = 24 * 60 * 60 * 1000; // 24 heures
+
+		setInterval(() => {
+			const now = new Date();
+
+			for (const [id, journal] of this.journals.entries()) {
+				if (now - journal.updated_at > MAX_INACTIVE_TIME) {
+					this.journals.delete(id);
+				}
+			}
+		}, CLEANUP_INTERVAL).unref();
+	}
+}
+
+/**
+ * Construit les opérations inverses d'une commande (format batch_block_operations normalisé)
+ *
+ * @param {string} action - Action Gutenberg
+ * @param {Object} command - Paramètres de la commande
+ * @param {Object} ack - Acquittement de l'iframe (before, block / blocks)
+ * @returns {Array|null} Opérations à appliquer dans l'ordre, ou null si l'état "avant" manque
+ */
+export function buildInverseOperations(action, command, ack = {}) {
+	const before = ack.before?.block;
+	const position = ack.before?.position;
+	const after = ack.blocks || (ack.block ? [ack.block] : []);
+
+	switch (action) {
+		case 'insert_block':
+		case 'insert_pattern':
+		case 'duplicate_block_by_agent_id':
+			return after.length > 0 ? after.map((block) => ({ op: 'remove', ...blockTarget(block) })) : null;
+
+		case 'update_block_by_agent_id':
+		case 'update_block_by_clientid': {
+			if (!before) {
+				return null;
+			}
+			// Seuls les attributs modifiés ou retirés sont restaurés ; ceux absents avant sont retirés
+			const keys = [...Object.keys(command.attributes || {}), ...(command.removeAttributes || [])];
+			const absent = keys.filter((key) => !Object.hasOwn(before.attributes || {}, key));
+			const attributes = Object.fromEntries(
+				keys.filter((key) => !absent.includes(key)).map((key) => [key, before.attributes[key]])
+			);
+			return [{
+				op: 'update',
+				...blockTarget(before),
+				attributes,
+				...(absent.length > 0 ? { removeAttributes: absent } : {}),
+			}];
+		}
+
+		case 'remove_block':
+		case 'remove_block_by_index':
+		case 'remove_block_by_agent_id':
+			if (!before || !position) {
+				return null;
+			}
+			return [{
+				op: 'insert',
+				blockName: before.name,
+				attributes: before.attributes || {},
+				innerBlocks: before.innerBlocks || [],
+				index: position.index,
+				parentAgentId: position.parentAgentId || null,
+			}];
+
+		case 'replace_block':
+		case 'replace_block_by_index':
+		case 'replace_block_by_agent_id':
+		case 'swap_pattern':
+			if (!before || after.length === 0) {
+				return null;
+			}
+			// Un pattern peut avoir inséré plusieurs blocs: le premier reprend l'ancien bloc
+			return [
+				...after.slice(1).map((block) => ({ op: 'remove', ...blockTarget(block) })),
+				{
+					op: 'replace',
+					...blockTarget(after[0]),
+					blockName: before.name,
+					attributes: before.attributes || {},
+					innerBlocks: before.innerBlocks || [],
+				},
+			];
+
+		case 'move_block_by_agent_id':
+			if (!position) {
+				return null;
+			}
+			// Sans parent, le déplacement garde le parent courant : toRoot ramène le bloc à la racine
+			return [{
+				op: 'move',
+				agentId: command.agentId,
+				toIndex: position.index,
+				parentAgentId: position.parentAgentId || null,
+				...(position.parentAgentId ? {} : { toRoot: true }),
+			}];
+
+		case 'batch_block_operations': {
+			const results = ack.results || [];
+			const inverses = (command.operations || []).map((operation, index) => (
+				buildInverseOperations(BATCH_OP_ACTIONS[operation.op], operation, results[index] || {})
+			));
+			if (inverses.length === 0 || inverses.some((inverse) => inverse === null)) {
+				return null;
+			}
+			// Dernière opération annulée en premier
+			return inverses.reverse().flat();
+		}
+
+		default:
+			return null;
+	}
+}
+
+/**
+ * Identifiant d'un bloc pour une opération (agentId de préférence)
+ *
+ * @param {Object} block - Bloc { agentId?, clientId? }
+ * @returns {Object} { agentId } ou { clientId }
+ */
+function blockTarget(block) {
+	return block.agentId ? { agentId: block.agentId } : { clientId: block.clientId };
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Obtient l'instance singleton du journal
+ *
+ * @return {EditJournal} Instance du journal
+ */
+export function getEditJournal() {
+	if (!instance) {
+		instance = new EditJournal();
+	}
+	return instance;
+}
+
+export { EditJournal };
@@ -18,12 +18,19 @@ import logger from '../utils/logger.js';
  */
 class PendingRequestsManager {
 	constructor() {
-		// Map: requestId -> { resolve, reject, timeout, timestamp }
+		// Map: requestId -> { resolve, reject, timeout, timestamp, runId, sessionKey }
 		this.pendingRequests = new Map();
 
+		// Map: clé de session d'éditeur -> dernier signe de vie de l'iframe (heartbeat ou callback)
+		this.iframeSessions = new Map();
+
+		// Map: runId annulé -> erreur d'annulation (les nouvelles requêtes du run sont rejetées)
+		this.cancelledRuns = new Map();
+
 		// Configuration
 		this.defaultTimeout = 10000; // 10 secondes par défaut
 		this.maxRequests = 100; // Maximum de requêtes en attente
+		this.iframeSessionTtl = 30000; // Iframe considérée déconnectée après 30 secondes sans signe de vie
 
 		// Cleanup des requêtes expirées toutes les 30 secondes
 		this.cleanupInterval = setInterval(() => {
@@ -38,9 +45,16 @@ class PendingRequestsManager {
 	 *
 	 * @param {string} requestId - ID unique de la requête
 	 * @param {number} timeout - Timeout en ms (optionnel)
-	 * @return {Promise} Promise qui sera résolue avec les données de l'iframe
+	 * @param {string|null} runId - ID du run qui attend la réponse (pour l'annulation)
+	 * @param {string|null} sessionKey - Session d'éditeur visée (getEditorSessionKey)
+	 * @return {Promise} Promise qui sera résolue avec les données de l'iframe (rejetée d'emblée si le run est annulé)
 	 */
-	createPendingRequest(requestId, timeout = this.defaultTimeout) {
+	createPendingRequest(requestId, timeout = this.defaultTimeout, runId = null, sessionKey = null) {
+		if (runId && this.cancelledRuns.has(runId)) {
+			logger.debug('Pending request refused, run already cancelled', { requestId, runId });
+			return Promise.reject(this.cancelledRuns.get(runId));
+		}
+
 		// Vérifier qu'on n'a pas dépassé le maximum
 		if (this.pendingRequests.size >= this.maxRequests) {
 			logger.warn('Maximum pending requests reached, cleaning up oldest');
@@ -61,9 +75,11 @@ class PendingRequestsManager {
 				reject,
 				timeout: timeoutId,
 				timestamp: Date.now(),
+				runId,
+				sessionKey,
 			});
 
-			logger.debug('Created pending request', { requestId, timeout });
+			logger.debug('Created pending request', { requestId, timeout, runId, sessionKey });
 		});
 	}
 
@@ -123,6 +139,72 @@ class PendingRequestsManager {
 		return true;
 	}
 
+	/**
+	 * Rejette toutes les requêtes en attente d'un run (annulation du run)
+	 *
+	 * Les requêtes créées ensuite pour ce run sont rejetées avec la même erreur,
+	 * jusqu'à forgetRun.
+	 *
+	 * @param {string} runId - ID du run
+	 * @param {Error} error - Erreur transmise aux Promesses
+	 * @return {number} Nombre de requêtes rejetées
+	 */
+	rejectRunRequests(runId, error) {
+		this.cancelledRuns.set(runId, error);
+		let rejected = 0;
+
+		for (const [requestId, pending] of this.pendingRequests.entries()) {
+			if (pending.runId === runId) {
+				this.rejectPendingRequest(requestId, error);
+				rejected++;
+			}
+		}
+
+		return rejected;
+	}
+
+	/**
+	 * Oublie l'annulation d'un run terminé
+	 *
+	 * @param {string} runId - ID du run
+	 */
+	forgetRun(runId) {
+		this.cancelledRuns.delete(runId);
+	}
+
+	/**
+	 * Retourne la session d'éditeur visée par une requête en attente
+	 *
+	 * @param {string} requestId - ID de la requête
+	 * @return {string|null} Clé de session, ou null si la requête est inconnue
+	 */
+	getRequestSessionKey(requestId) {
+		return this.pendingRequests.get(requestId)?.sessionKey || null;
+	}
+
+	/**
+	 * Enregistre un signe de vie de l'iframe d'une session d'éditeur
+	 *
+	 * @param {string} sessionKey - Clé de session (getEditorSessionKey)
+	 */
+	markIframeAlive(sessionKey) {
+		if (!this.iframeSessions.has(sessionKey)) {
+			logger.info('Iframe connected', { sessionKey });
+		}
+		this.iframeSessions.set(sessionKey, Date.now());
+	}
+
+	/**
+	 * Indique si une iframe écoute la session d'éditeur
+	 *
+	 * @param {string} sessionKey - Clé de session (getEditorSessionKey)
+	 * @return {boolean} True si l'iframe a donné signe de vie récemment
+	 */
+	isIframeConnected(sessionKey) {
+		const lastSeen = this.iframeSessions.get(sessionKey);
+		return lastSeen !== undefined && Date.now() - lastSeen <= this.iframeSessionTtl;
+	}
+
 	/**
 	 * Nettoie les requêtes expirées ou trop anciennes
 	 */
@@ -142,6 +224,13 @@ class PendingRequestsManager {
 		if (cleaned > 0) {
 			logger.info('Cleaned up old pending requests', { count: cleaned });
 		}
+
+		for (const [sessionKey, lastSeen] of this.iframeSessions.entries()) {
+			if (now - lastSeen > this.iframeSessionTtl) {
+				this.iframeSessions.delete(sessionKey);
+				logger.info('Iframe disconnected', { sessionKey });
+			}
+		}
 	}
 
 	/**
@@ -169,10 +258,24 @@ class PendingRequestsManager {
 		}
 
 		this.pendingRequests.clear();
+		this.iframeSessions.clear();
 		logger.info('PendingRequestsManager destroyed');
 	}
 }
 
+/**
+ * Clé d'une session d'éditeur : post édité, sinon conversation
+ *
+ * Ordonne les modifications (file par session) et identifie l'iframe qui les reçoit.
+ *
+ * @param {number|string|null} postId - ID du post édité
+ * @param {string|null} conversationId - ID de la conversation
+ * @return {string} Clé de session
+ */
+export function getEditorSessionKey(postId, conversationId) {
+	return postId ? `post:${postId}` : `conversation:${conversationId}`;
+}
+
 // Singleton instance
 let instance = null;
 
@@ -0,0 +1,256 @@
+/**
+ * Plan Approval Manager
+ *
+ * Gère les plans en attente de validation par l'utilisateur (plan mode).
+ * Le run de l'agent est mis en pause sur une Promesse qui sera résolue
+ * par la route POST /agent/plan/:planId/decision.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Décisions acceptées par la route de validation
+ */
+export const PLAN_DECISIONS = ['approve', 'reject', 'edit'];
+
+/**
+ * Statuts possibles d'une tâche du plan
+ */
+export const PLAN_TASK_STATUSES = ['pending', 'in_progress', 'completed', 'failed', 'skipped'];
+
+/**
+ * Gestionnaire des plans en attente de validation
+ */
+class PlanApprovalManager {
+	constructor() {
+		// Map: planId -> { plan, status, resolve, timeout, created_at }
+		// status: pending, approved, rejected, expired (sans décision) ou cancelled (run annulé)
+		this.plans = new Map();
+
+		// Configuration
+		this.defaultTimeout = 10 * 60 * 1000; // 10 minutes pour que l'utilisateur décide
+		this.retention = 60 * 60 * 1000; // Plans décidés gardés 1h (consultation)
+
+		// Cleanup des plans anciens toutes les 10 minutes
+		this.cleanupInterval = setInterval(() => {
+			this.cleanup();
+		}, 10 * 60 * 1000);
+
+		logger.info('PlanApprovalManager initialized');
+	}
+
+	/**
+	 * Enregistre un plan et attend la décision de l'utilisateur
+	 *
+	 * @param {Object} plan - Plan généré ({ tasks: [...] })
+	 * @param {Object} metadata - Métadonnées (conversation_id, ...)
+	 * @param {number} timeout - Délai avant rejet automatique (ms)
+	 * @param {AbortSignal|null} signal - Signal d'annulation du run en pause : le plan est annulé avec lui
+	 * @returns {Object} { planId, decision: Promise<Object> }
+	 */
+	createPlan(plan, metadata = {}, timeout = this.defaultTimeout, signal = null) {
+		const planId = uuidv4();
+
+		const decision = new Promise((resolve) => {
+			const timeoutId = setTimeout(() => {
+				const entry = this.plans.get(planId);
+				if (entry && entry.status === 'pending') {
+					entry.status = 'expired';
+					entry.decided_at = Date.now();
+					logger.warn('Plan approval timed out', { planId, timeout });
+					resolve({ approved: false, decision: 'reject', reason: 'timeout' });
+				}
+			}, timeout);
+
+			this.plans.set(planId, {
+				plan,
+				metadata,
+				status: 'pending',
+				resolve,
+				timeout: timeoutId,
+				created_at: Date.now(),
+				decided_at: null,
+			});
+		});
+
+		if (signal) {
+			const onAbort = () => this.cancelPlan(planId, 'run_cancelled');
+			if (signal.aborted) {
+				onAbort();
+			} else {
+				signal.addEventListener('abort', onAbort, { once: true });
+				decision.then(() => signal.removeEventListener('abort', onAbort));
+			}
+		}
+
+		logger.info('Plan awaiting user decision', { planId, tasks: plan.tasks?.length || 0 });
+
+		return { planId, decision };
+	}
+
+	/**
+	 * Annule un plan en attente (run annulé) : il n'accepte plus de décision
+	 *
+	 * @param {string} planId - ID du plan
+	 * @param {string} reason - Raison de l'annulation
+	 * @returns {boolean} true si le plan était en attente
+	 */
+	cancelPlan(planId, reason = 'cancelled') {
+		const entry = this.plans.get(planId);
+
+		if (!entry || entry.status !== 'pending') {
+			return false;
+		}
+
+		clearTimeout(entry.timeout);
+		entry.status = 'cancelled';
+		entry.decided_at = Date.now();
+		entry.resolve({ approved: false, decision: 'reject', reason });
+
+		logger.info('Plan cancelled', { planId, reason });
+		return true;
+	}
+
+	/**
+	 * Applique la décision de l'utilisateur et relance le run en pause
+	 *
+	 * @param {string} planId - ID du plan
+	 * @param {Object} body - { decision: 'approve'|'reject'|'edit', tasks?: Array, feedback?: string }
+	 * @returns {Object|null} Décision appliquée, ou null si le plan n'attend plus de décision
+	 */
+	submitDecision(planId, { decision, tasks, feedback } = {}) {
+		const entry = this.plans.get(planId);
+
+		if (!entry || entry.status !== 'pending') {
+			logger.warn('No pending plan found for decision', { planId, status: entry?.status });
+			return null;
+		}
+
+		if (!PLAN_DECISIONS.includes(decision)) {
+			throw new ValidationError(`Invalid decision: must be one of ${PLAN_DECISIONS.join(', ')}`);
+		}
+
+		const result = {
+			approved: decision !== 'reject',
+			decision,
+			feedback: typeof feedback === 'string' ? feedback : null,
+		};
+
+		if (decision === 'edit') {
+			result.tasks = normalizeTasks(tasks);
+		}
+
+		clearTimeout(entry.timeout);
+		entry.status = result.approved ? 'approved' : 'rejected';
+		entry.decided_at = Date.now();
+		entry.resolve(result);
+
+		logger.info('Plan decision received', { planId, decision });
+		return result;
+	}
+
+	/**
+	 * Récupère un plan (pour qu'un client reconnecté retrouve le plan en attente)
+	 *
+	 * @param {string} planId - ID du plan
+	 * @returns {Object|null} { planId, plan, status, metadata } ou null
+	 */
+	getPlan(planId) {
+		const entry = this.plans.get(planId);
+
+		if (!entry) {
+			return null;
+		}
+
+		return {
+			planId,
+			plan: entry.plan,
+			status: entry.status,
+			metadata: entry.metadata,
+		};
+	}
+
+	/**
+	 * Nettoie les plans décidés depuis longtemps
+	 */
+	cleanup() {
+		const now = Date.now();
+		let cleaned = 0;
+
+		for (const [planId, entry] of this.plans.entries()) {
+			if (entry.status !== 'pending' && now - entry.decided_at > this.retention) {
+				this.plans.delete(planId);
+				cleaned++;
+			}
+		}
+
+		if (cleaned > 0) {
+			logger.info('Cleaned up old plans', { count: cleaned });
+		}
+	}
+
+	/**
+	 * Détruit le gestionnaire et rejette les plans en attente
+	 */
+	destroy() {
+		if (this.cleanupInterval) {
+			clearInterval(this.cleanupInterval);
+		}
+
+		for (const entry of this.plans.values()) {
+			clearTimeout(entry.timeout);
+			if (entry.status === 'pending') {
+				entry.resolve({ approved: false, decision: 'reject', reason: 'shutdown' });
+			}
+		}
+
+		this.plans.clear();
+		logger.info('PlanApprovalManager destroyed');
+	}
+}
+
+/**
+ * Valide et normalise les tâches éditées par l'utilisateur
+ *
+ * @param {Array} tasks - Tâches envoyées par le frontend
+ * @returns {Array} Tâches normalisées ({ id, label, status: 'pending' })
+ */
+function normalizeTasks(tasks) {
+	if (!Array.isArray(tasks) || tasks.length === 0) {
+		throw new ValidationError('Invalid decision: "edit" requires a non-empty tasks array');
+	}
+
+	return tasks.map((task, index) => {
+		if (!task || typeof task.label !== 'string' || task.label.trim() === '') {
+			throw new ValidationError(`Invalid task at index ${index}: label is required`);
+		}
+
+		return {
+			id: task.id !== undefined ? String(task.id) : String(index + 1),
+			label: task.label.trim().substring(0, 100),
+			status: 'pending',
+		};
+	});
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Obtient l'instance singleton du gestionnaire
+ *
+ * @return {PlanApprovalManager} Instance du gestionnaire
+ */
+export function getPlanApprovalManager() {
+	if (!instance) {
+		instance = new PlanApprovalManager();
+	}
+	return instance;
+}
+
+export { PlanApprovalManager };
@@ -0,0 +1,206 @@
+/**
+ * Preview Manager
+ *
+ * Conserve les aperçus de modifications calculés par preview_changes (opérations
+ * proposées + diff de l'arbre de blocs), en attendant que l'utilisateur les applique
+ * (POST /agent/previews/:previewId/apply) ou les abandonne (.../discard).
+ *
+ * Chaque aperçu garde l'empreinte de l'arbre à partir duquel il a été calculé : il
+ * n'est plus applicable si la page a changé depuis.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { AppError } from '../utils/errors.js';
+
+/**
+ * Gestionnaire des aperçus de modifications
+ */
+class PreviewManager {
+	constructor() {
+		// Map: previewId -> { preview_id, conversation_id, run_id, operations, diff, structure_hash, status, error, created_at, decided_at }
+		this.previews = new Map();
+
+		// Configuration
+		this.ttl = 60 * 60 * 1000; // Aperçus gardés 1h (pendants ou décidés)
+
+		// Cleanup des aperçus anciens toutes les 10 minutes
+		this.cleanupInterval = setInterval(() => {
+			this.cleanup();
+		}, 10 * 60 * 1000);
+		this.cleanupInterval.unref();
+
+		logger.info('PreviewManager initialized');
+	}
+
+	/**
+	 * Enregistre un aperçu en attente de décision
+	 *
+	 * @param {Object} params - { conversationId, runId, operations, diff, structureHash }
+	 * @returns {Object} Aperçu enregistré
+	 */
+	createPreview({ conversationId = null, runId = null, operations, diff, structureHash = null }) {
+		const preview = {
+			preview_id: uuidv4(),
+			conversation_id: conversationId,
+			run_id: runId,
+			operations,
+			diff,
+			structure_hash: structureHash,
+			status: 'pending',
+			error: null,
+			created_at: Date.now(),
+			decided_at: null,
+		};
+
+		this.previews.set(preview.preview_id, preview);
+
+		logger.info('Change preview created', {
+			previewId: preview.preview_id,
+			conversation_id: conversationId,
+			operations: operations.length,
+		});
+
+		return preview;
+	}
+
+	/**
+	 * Récupère un aperçu
+	 *
+	 * @param {string} previewId - ID de l'aperçu
+	 * @returns {Object|null} Aperçu ou null
+	 */
+	getPreview(previewId) {
+		return this.previews.get(previewId) || null;
+	}
+
+	/**
+	 * Réserve un aperçu pour l'appliquer (un aperçu ne s'applique qu'une fois)
+	 *
+	 * @param {string} previewId - ID de l'aperçu
+	 * @param {string} structureHash - Empreinte de l'arbre actuel de l'éditeur (hashBlockTree)
+	 * @returns {Object} Aperçu (statut 'applying')
+	 * @throws {AppError} 404 si l'aperçu est inconnu, 409 s'il n'est plus en attente ou si l'arbre a changé
+	 */
+	startApply(previewId, structureHash) {
+		const preview = this.requirePending(previewId);
+
+		if (preview.structure_hash && preview.structure_hash !== structureHash) {
+			throw new AppError(`Change preview ${previewId} is stale: the block tree changed since the preview was computed`, 409);
+		}
+
+		preview.status = 'applying';
+		preview.error = null;
+		return preview;
+	}
+
+	/**
+	 * Termine l'application d'un aperçu après la réponse de l'éditeur
+	 *
+	 * Un lot refusé par l'éditeur n'a rien modifié : l'aperçu redevient applicable, avec
+	 * l'erreur de l'éditeur.
+	 *
+	 * @param {string} previewId - ID de l'aperçu
+	 * @param {boolean} applied - True si l'éditeur a confirmé le lot
+	 * @param {string|null} error - Erreur de l'éditeur si le lot n'est pas appliqué
+	 */
+	finishApply(previewId, applied, error = null) {
+		const preview = this.previews.get(previewId);
+		if (!preview || preview.status !== 'applying') {
+			return;
+		}
+
+		preview.status = applied ? 'applied' : 'pending';
+		preview.decided_at = applied ? Date.now() : null;
+		preview.error = applied ? null : error;
+
+		logger.info(applied ? 'Change preview applied' : 'Change preview not applied by the editor', { previewId, error });
+	}
+
+	/**
+	 * Abandonne un aperçu
+	 *
+	 * @param {string} previewId - ID de l'aperçu
+	 * @returns {Object} Aperçu (statut 'discarded')
+	 * @throws {AppError} 404 si l'aperçu est inconnu, 409 s'il n'est plus en attente
+	 */
+	discard(previewId) {
+		const preview = this.requirePending(previewId);
+		preview.status = 'discarded';
+		preview.decided_at = Date.now();
+
+		logger.info('Change preview discarded', { previewId });
+		return preview;
+	}
+
+	/**
+	 * Retourne un aperçu en attente de décision
+	 *
+	 * @param {string} previewId - ID de l'aperçu
+	 * @returns {Object} Aperçu
+	 * @throws {AppError} 404 si l'aperçu est inconnu, 409 s'il n'est plus en attente
+	 */
+	requirePending(previewId) {
+		const preview = this.previews.get(previewId);
+
+		if (!preview) {
+			throw new AppError(`No change preview found for id ${previewId}`, 404);
+		}
+		if (preview.status !== 'pending') {
+			throw new AppError(`Change preview ${previewId} is already ${preview.status}`, 409);
+		}
+
+		return preview;
+	}
+
+	/**
+	 * Nettoie les aperçus expirés
+	 */
+	cleanup() {
+		const now = Date.now();
+		let cleaned = 0;
+
+		for (const [previewId, preview] of this.previews.entries()) {
+			if (preview.status !== 'applying' && now - preview.created_at > this.ttl) {
+				this.previews.delete(previewId);
+				cleaned++;
+			}
+		}
+
+		if (cleaned > 0) {
+			logger.info('Cleaned up old change previews', { count: cleaned });
+		}
+	}
+
+	/**
+	 * Détruit le gestionnaire
+	 */
+	destroy() {
+		if (this.cleanupInterval) {
+			clearInterval(this.cleanupInterval);
+		}
+
+		this.previews.clear();
+		logger.info('PreviewManager destroyed');
+	}
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Obtient l'instance singleton du gestionnaire
+ *
+ * @return {PreviewManager} Instance du gestionnaire
+ */
+export function getPreviewManager() {
+	if (!instance) {
+		instance = new PreviewManager();
+	}
+	return instance;
+}
+
+export { PreviewManager };
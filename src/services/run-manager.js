@@ -0,0 +1,145 @@
+/**
+ * Run Manager
+ *
+ * Suit les runs d'agent en cours (/agent/process-stream) pour pouvoir les annuler
+ * depuis le client ou quand la connexion SSE se ferme.
+ * Chaque run possède un AbortController dont le signal est vérifié par
+ * l'orchestrateur entre deux itérations et transmis aux appels Anthropic.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { RunCancelledError } from '../utils/errors.js';
+import { getPendingRequestsManager } from './pending-requests-manager.js';
+
+/**
+ * Lève RunCancelledError si le run du contexte a été annulé
+ *
+ * @param {Object} runContext - Contexte du run (signal, runId)
+ * @throws {RunCancelledError} Si le signal du run est déclenché
+ */
+export function throwIfRunCancelled(runContext = {}) {
+	if (runContext.signal?.aborted) {
+		throw new RunCancelledError(runContext.runId, runContext.signal.reason);
+	}
+}
+
+/**
+ * Gestionnaire des runs en cours
+ */
+class RunManager {
+	constructor() {
+		// Map: runId -> { controller, metadata, started_at }
+		this.runs = new Map();
+
+		logger.info('RunManager initialized');
+	}
+
+	/**
+	 * Enregistre un nouveau run
+	 *
+	 * @param {Object} metadata - Métadonnées (conversation_id, ...)
+	 * @returns {Object} { runId, signal }
+	 */
+	createRun(metadata = {}) {
+		const runId = uuidv4();
+		const controller = new AbortController();
+
+		this.runs.set(runId, {
+			controller,
+			metadata,
+			started_at: Date.now(),
+		});
+
+		logger.info('Run started', { runId, ...metadata });
+
+		return { runId, signal: controller.signal };
+	}
+
+	/**
+	 * Annule un run en cours
+	 *
+	 * Le signal est déclenché (l'appel Anthropic en cours est interrompu), les
+	 * requêtes iframe en attente pour ce run sont rejetées, et celles qu'il créerait
+	 * encore (sub-agent en cours) le sont aussi.
+	 *
+	 * @param {string} runId - ID du run
+	 * @param {string} reason - Raison de l'annulation (user_cancelled, client_disconnected)
+	 * @returns {boolean} True si le run a été annulé, false s'il n'existe pas ou est déjà annulé
+	 */
+	cancelRun(runId, reason = 'user_cancelled') {
+		const run = this.runs.get(runId);
+
+		if (!run || run.controller.signal.aborted) {
+			return false;
+		}
+
+		run.controller.abort(reason);
+
+		const rejected = getPendingRequestsManager().rejectRunRequests(
+			runId,
+			new Error(`Run ${runId} cancelled (${reason})`)
+		);
+
+		logger.info('Run cancelled', { runId, reason, pending_requests_rejected: rejected });
+		return true;
+	}
+
+	/**
+	 * Indique si un run est en cours
+	 *
+	 * @param {string} runId - ID du run
+	 * @returns {boolean} True si le run existe
+	 */
+	hasRun(runId) {
+		return this.runs.has(runId);
+	}
+
+	/**
+	 * Retire un run terminé (succès, erreur ou annulation)
+	 *
+	 * @param {string} runId - ID du run
+	 */
+	completeRun(runId) {
+		const run = this.runs.get(runId);
+
+		if (run) {
+			this.runs.delete(runId);
+			getPendingRequestsManager().forgetRun(runId);
+			logger.debug('Run completed', {
+				runId,
+				duration_ms: Date.now() - run.started_at,
+				cancelled: run.controller.signal.aborted,
+			});
+		}
+	}
+
+	/**
+	 * Obtient le nombre de runs en cours
+	 *
+	 * @return {number} Nombre de runs
+	 */
+	getRunCount() {
+		return this.runs.size;
+	}
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Obtient l'instance singleton du gestionnaire
+ *
+ * @return {RunManager} Instance du gestionnaire
+ */
+export function getRunManager() {
+	if (!instance) {
+		instance = new RunManager();
+	}
+	return instance;
+}
+
+export { RunManager };
@@ -0,0 +1,516 @@
+/**
+ * Template Registry
+ *
+ * Bibliothèque des templates de blocs (templates/<namespace>/*.json), chargée et
+ * indexée au démarrage puis rechargée quand un fichier change (fs.watch).
+ *
+ * Chaque template est validé contre le méta-schéma du format (templates/README.md)
+ * et contre le schéma réel du bloc (API WordPress) : un template invalide est écarté
+ * avec ses erreurs, sans empêcher le chargement des autres.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { promises as fs, watch } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve, join, extname } from 'path';
+import logger from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import { BlockValidator } from '../validation/block-validator.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Dossier des templates
+ */
+const TEMPLATES_DIR = resolve(__dirname, '../../templates');
+
+/**
+ * Délai avant rechargement après une modification (plusieurs événements par écriture)
+ */
+const RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * Nombre de résultats par défaut d'une recherche
+ */
+const DEFAULT_SEARCH_LIMIT = 10;
+
+/**
+ * Méta-schéma d'un template (format documenté dans templates/README.md)
+ */
+const TEMPLATE_META_SCHEMA = {
+	type: 'object',
+	properties: {
+		template_id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+		block_name: { type: 'string', pattern: '^[a-z0-9-]+/[a-z0-9-]+$' },
+		name: { type: 'string', minLength: 1 },
+		description: { type: 'string' },
+		use_case: { type: 'string' },
+		validated: { type: 'boolean' },
+		attributes: { type: 'object' },
+		overridable_attributes: {
+			type: 'array',
+			items: { type: 'string' },
+			uniqueItems: true,
+		},
+		validation_schema: { type: 'object' },
+		innerBlocks: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					name: { type: 'string' },
+					attributes: { type: 'object' },
+					innerBlocks: { type: 'array' },
+				},
+				required: ['name'],
+			},
+		},
+	},
+	required: ['template_id', 'block_name', 'name', 'attributes'],
+	additionalProperties: false,
+};
+
+/**
+ * Registre des templates
+ */
+class TemplateRegistry {
+	constructor() {
+		// Map: template_id -> template (+ file)
+		this.templates = new Map();
+		// Templates écartés: [{ file, template_id, errors }]
+		this.invalidTemplates = [];
+
+		this.wordpressAPI = null;
+		this.blockValidator = new BlockValidator();
+		// Map: dossier surveillé -> FSWatcher (templates/ et chaque namespace)
+		this.watchers = new Map();
+		this.reloadTimer = null;
+		this.loading = null;
+		// Un chargement demandé pendant le parcours en cours relance un passage
+		this.reloadRequested = false;
+		this.loadedAt = null;
+
+		logger.info('TemplateRegistry initialized');
+	}
+
+	/**
+	 * Charge les templates et surveille le dossier
+	 *
+	 * @param {Object|null} wordpressAPI - Client WordPress (validation contre le schéma réel des blocs)
+	 * @returns {Promise<Object>} { loaded, invalid }
+	 */
+	async initialize(wordpressAPI = null) {
+		this.wordpressAPI = wordpressAPI;
+
+		const result = await this.load();
+		await this.watch();
+
+		return result;
+	}
+
+	/**
+	 * (Re)charge et indexe tous les templates
+	 *
+	 * Les chargements concurrents sont regroupés : un seul parcours à la fois. Un
+	 * fichier a pu changer après la lecture du parcours en cours : un chargement demandé
+	 * pendant ce parcours en relance un (un seul pour toutes les demandes), et la
+	 * promesse n'est résolue qu'après ce dernier passage.
+	 *
+	 * @returns {Promise<Object>} { loaded, invalid }
+	 */
+	load() {
+		if (this.loading) {
+			this.reloadRequested = true;
+			return this.loading;
+		}
+
+		this.loading = (async () => {
+			let result;
+			do {
+				this.reloadRequested = false;
+				result = await this.loadAll();
+			} while (this.reloadRequested);
+			return result;
+		})().finally(() => {
+			this.loading = null;
+		});
+		return this.loading;
+	}
+
+	/**
+	 * Parcourt templates/<namespace>/*.json et remplace l'index
+	 *
+	 * @returns {Promise<Object>} { loaded, invalid }
+	 */
+	async loadAll() {
+		const templates = new Map();
+		const invalidTemplates = [];
+		const blockSchemas = new Map(); // block_name -> Promise<schema|null> (un appel API par bloc)
+
+		for (const file of await this.listTemplateFiles()) {
+			const { template, errors } = await this.loadTemplateFile(file, blockSchemas);
+
+			if (template && templates.has(template.template_id)) {
+				errors.push(`Duplicate template_id "${template.template_id}" (already defined in ${templates.get(template.template_id).file})`);
+			}
+
+			if (errors.length > 0) {
+				invalidTemplates.push({ file, template_id: template?.template_id || null, errors });
+				logger.warn('Invalid block template skipped', { file, errors });
+				continue;
+			}
+
+			templates.set(template.template_id, { ...template, file });
+		}
+
+		this.templates = templates;
+		this.invalidTemplates = invalidTemplates;
+		this.loadedAt = new Date();
+
+		logger.info('Block templates loaded', { loaded: templates.size, invalid: invalidTemplates.length });
+
+		return { loaded: templates.size, invalid: invalidTemplates.length };
+	}
+
+	/**
+	 * Liste les fichiers de templates (chemins relatifs à templates/)
+	 *
+	 * @returns {Promise<Array<string>>} Fichiers <namespace>/<fichier>.json
+	 */
+	async listTemplateFiles() {
+		let namespaces;
+		try {
+			namespaces = await fs.readdir(TEMPLATES_DIR, { withFileTypes: true });
+		} catch (error) {
+			logger.warn('Templates directory not readable', { dir: TEMPLATES_DIR, error: error.message });
+			return [];
+		}
+
+		const files = [];
+		for (const namespace of namespaces.filter((entry) => entry.isDirectory())) {
+			const entries = await fs.readdir(join(TEMPLATES_DIR, namespace.name));
+			files.push(...entries.filter((file) => file.endsWith('.json')).sort().map((file) => join(namespace.name, file)));
+		}
+		return files;
+	}
+
+	/**
+	 * Lit et valide un fichier de template
+	 *
+	 * @param {string} file - Chemin relatif à templates/
+	 * @param {Map} blockSchemas - Cache des schémas de blocs du chargement en cours
+	 * @returns {Promise<Object>} { template, errors }
+	 */
+	async loadTemplateFile(file, blockSchemas) {
+		let template;
+		try {
+			template = JSON.parse(await fs.readFile(join(TEMPLATES_DIR, file), 'utf-8'));
+		} catch (error) {
+			return { template: null, errors: [`Unreadable JSON: ${error.message}`] };
+		}
+
+		return { template, errors: await this.validateTemplate(template, blockSchemas) };
+	}
+
+	/**
+	 * Valide un template (méta-schéma, validation_schema, schéma réel du bloc)
+	 *
+	 * @param {Object} template - Template
+	 * @param {Map} blockSchemas - Cache des schémas de blocs (partagé pendant un chargement)
+	 * @returns {Promise<Array<string>>} Erreurs (vide si le template est valide)
+	 */
+	async validateTemplate(template, blockSchemas = new Map()) {
+		const meta = this.blockValidator.validateAgainstSchema(TEMPLATE_META_SCHEMA, template);
+		if (!meta.valid) {
+			return this.formatErrors(meta.errors);
+		}
+
+		const errors = [];
+		const overridable = template.overridable_attributes || [];
+
+		// Les valeurs par défaut des attributs modifiables doivent respecter le validation_schema
+		if (template.validation_schema) {
+			const defaults = Object.fromEntries(
+				overridable.filter((key) => key in template.attributes).map((key) => [key, template.attributes[key]])
+			);
+			try {
+				const result = this.blockValidator.validateAgainstSchema(template.validation_schema, defaults);
+				if (!result.valid) {
+					errors.push(...this.formatErrors(result.errors).map((error) => `validation_schema rejects the template defaults: ${error}`));
+				}
+			} catch (error) {
+				errors.push(`validation_schema: ${error.message}`);
+			}
+		}
+
+		errors.push(...await this.checkAgainstBlockSchema(template, blockSchemas));
+
+		return errors;
+	}
+
+	/**
+	 * Valide et écrit un nouveau template, puis recharge l'index
+	 *
+	 * @param {Object} template - Template au format templates/README.md
+	 * @param {string} namespace - Dossier du template (défaut: namespace du bloc)
+	 * @returns {Promise<Object>} Template indexé (avec file)
+	 * @throws {ValidationError} Si le template est invalide ou si son template_id existe déjà
+	 */
+	async saveTemplate(template, namespace = template.block_name?.split('/')[0]) {
+		const errors = await this.validateTemplate(template);
+		if (errors.length > 0) {
+			throw new ValidationError(`Invalid template ${template.template_id}: ${errors.join('; ')}`, errors);
+		}
+
+		const existing = this.get(template.template_id);
+		if (existing) {
+			throw new ValidationError(`Template ${template.template_id} already exists (${existing.file}). Choose another template_id.`);
+		}
+
+		const file = join(namespace, `${template.template_id}.json`);
+		await fs.mkdir(join(TEMPLATES_DIR, namespace), { recursive: true });
+		// wx: ne jamais écraser un fichier existant (même invalide)
+		await fs.writeFile(join(TEMPLATES_DIR, file), `${JSON.stringify(template, null, '\t')}\n`, { flag: 'wx' });
+
+		logger.info('Block template saved', { template_id: template.template_id, file });
+
+		await this.load();
+		return this.get(template.template_id) || { ...template, file };
+	}
+
+	/**
+	 * Valide les attributs du template contre le schéma réel du bloc
+	 *
+	 * Sans client WordPress, ou si l'API ne répond pas, la vérification est ignorée ;
+	 * un bloc inconnu de WordPress (404) rend le template invalide.
+	 *
+	 * @param {Object} template - Template
+	 * @param {Map} blockSchemas - Cache des schémas de blocs du chargement en cours
+	 * @returns {Promise<Array<string>>} Erreurs
+	 */
+	async checkAgainstBlockSchema(template, blockSchemas) {
+		if (!this.wordpressAPI) {
+			return [];
+		}
+
+		const blockName = template.block_name;
+		if (!blockSchemas.has(blockName)) {
+			blockSchemas.set(blockName, this.wordpressAPI.getBlockSchema(blockName).catch((error) => {
+				if (error.statusCode === 404) {
+					return null;
+				}
+				logger.warn('Block schema unavailable, template checked against the meta-schema only', { block: blockName, error: error.message });
+				return undefined;
+			}));
+		}
+
+		const schema = await blockSchemas.get(blockName);
+		if (schema === undefined) {
+			return [];
+		}
+		if (schema === null) {
+			return [`Block ${blockName} is not registered in WordPress`];
+		}
+
+		const errors = [];
+		const { valid, errors: attributeErrors } = this.blockValidator.validate(blockName, template.attributes, schema);
+		if (!valid) {
+			errors.push(...this.formatErrors(attributeErrors));
+		}
+
+		const unknown = (template.overridable_attributes || []).filter((key) => !(key in (schema.attributes || {})));
+		if (unknown.length > 0) {
+			errors.push(`overridable_attributes not defined by ${blockName}: ${unknown.join(', ')}`);
+		}
+
+		return errors;
+	}
+
+	/**
+	 * Retourne un template par template_id
+	 *
+	 * @param {string} templateId - ID du template
+	 * @returns {Object|null} Template
+	 */
+	get(templateId) {
+		return this.templates.get(templateId) || null;
+	}
+
+	/**
+	 * Cherche des templates (filtres exacts + recherche plein texte)
+	 *
+	 * Le texte est cherché dans name, description et use_case ; les résultats sont
+	 * triés par nombre de mots trouvés.
+	 *
+	 * @param {Object} criteria - { query?, block_name?, use_case?, limit? }
+	 * @returns {Array} Templates triés par pertinence
+	 */
+	search({ query = '', block_name = null, use_case = null, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+		const terms = tokenize(query);
+
+		return [...this.templates.values()]
+			.filter((template) => !block_name || template.block_name === block_name)
+			.filter((template) => !use_case || template.use_case === use_case)
+			.map((template) => {
+				const text = tokenize(`${template.name} ${template.description || ''} ${template.use_case || ''}`);
+				const score = terms.filter((term) => text.some((word) => word.startsWith(term))).length;
+				return { template, score };
+			})
+			.filter(({ score }) => terms.length === 0 || score > 0)
+			.sort((a, b) => b.score - a.score || a.template.template_id.localeCompare(b.template.template_id))
+			.slice(0, limit)
+			.map(({ template }) => template);
+	}
+
+	/**
+	 * Retourne les templates écartés au dernier chargement
+	 *
+	 * @returns {Array} [{ file, template_id, errors }]
+	 */
+	getInvalidTemplates() {
+		return this.invalidTemplates;
+	}
+
+	/**
+	 * Surveille le dossier des templates et recharge après une modification
+	 *
+	 * fs.watch recursive n'existe pas sous Linux avant Node 20 : templates/ et chaque
+	 * namespace sont surveillés séparément, un namespace créé est ajouté au passage.
+	 */
+	async watch() {
+		if (this.watchers.size > 0) {
+			return;
+		}
+
+		if (this.watchDirectory(TEMPLATES_DIR, () => this.watchNamespaces())) {
+			await this.watchNamespaces();
+		}
+	}
+
+	/**
+	 * Surveille les namespaces de templates/ qui ne le sont pas encore, oublie les namespaces supprimés
+	 */
+	async watchNamespaces() {
+		let namespaces;
+		try {
+			namespaces = await fs.readdir(TEMPLATES_DIR, { withFileTypes: true });
+		} catch (error) {
+			logger.warn('Templates directory not readable, hot reload of namespaces disabled', { error: error.message });
+			return;
+		}
+
+		const dirs = new Set(namespaces.filter((entry) => entry.isDirectory()).map((entry) => join(TEMPLATES_DIR, entry.name)));
+		for (const [dir, watcher] of this.watchers) {
+			if (dir !== TEMPLATES_DIR && !dirs.has(dir)) {
+				watcher.close();
+				this.watchers.delete(dir);
+			}
+		}
+		for (const dir of dirs) {
+			if (!this.watchers.has(dir)) {
+				this.watchDirectory(dir);
+			}
+		}
+	}
+
+	/**
+	 * Surveille un dossier (sans sous-dossiers) et recharge les templates après une modification
+	 *
+	 * @param {string} dir - Dossier
+	 * @param {Function|null} onChange - Appelé à chaque événement (nouveaux namespaces)
+	 * @returns {boolean} false si la surveillance n'est pas disponible
+	 */
+	watchDirectory(dir, onChange = null) {
+		let watcher;
+		try {
+			watcher = watch(dir, (eventType, filename) => {
+				onChange?.();
+				// Fichiers .json et namespaces (dossiers sans extension)
+				if (filename && extname(filename) && extname(filename) !== '.json') {
+					return;
+				}
+
+				clearTimeout(this.reloadTimer);
+				this.reloadTimer = setTimeout(() => {
+					logger.info('Block templates changed, reloading', { file: filename });
+					this.load().catch((error) => {
+						logger.error('Failed to reload block templates', { error: error.message });
+					});
+				}, RELOAD_DEBOUNCE_MS);
+			});
+		} catch (error) {
+			logger.warn('Cannot watch templates directory, hot reload disabled', { dir, error: error.message });
+			return false;
+		}
+
+		// Namespace supprimé ou surveillance interrompue par le système
+		watcher.on('error', (error) => {
+			logger.warn('Templates directory watch stopped', { dir, error: error.message });
+			watcher.close();
+			this.watchers.delete(dir);
+		});
+		watcher.unref();
+		this.watchers.set(dir, watcher);
+
+		return true;
+	}
+
+	/**
+	 * Arrête la surveillance du dossier
+	 */
+	close() {
+		clearTimeout(this.reloadTimer);
+		for (const watcher of this.watchers.values()) {
+			watcher.close();
+		}
+		this.watchers.clear();
+	}
+
+	/**
+	 * Formate des erreurs Ajv ({ path, message }) en messages
+	 *
+	 * @param {Array} errors - Erreurs de validation
+	 * @returns {Array<string>} Messages
+	 */
+	formatErrors(errors) {
+		return errors.map((error) => (
+			error.keyword === 'additionalProperties'
+				? `${error.path}: unknown property "${error.params.additionalProperty}"`
+				: `${error.path}: ${error.message}`
+		));
+	}
+}
+
+/**
+ * Découpe un texte en mots normalisés (minuscules, sans accents)
+ *
+ * @param {string} text - Texte
+ * @returns {Array<string>} Mots
+ */
+function tokenize(text) {
+	return text
+		.toLowerCase()
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.split(/[^a-z0-9]+/)
+		.filter(Boolean);
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Obtient l'instance singleton du registre
+ *
+ * @return {TemplateRegistry} Instance du registre
+ */
+export function getTemplateRegistry() {
+	if (!instance) {
+		instance = new TemplateRegistry();
+	}
+	return instance;
+}
+
+export { TemplateRegistry, TEMPLATES_DIR };
@@ -0,0 +1,71 @@
+/**
+ * Concurrency
+ *
+ * Utilitaires d'exécution concurrente : pool à concurrence limitée et file
+ * d'attente séquentielle par clé.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+/**
+ * Exécute une fonction sur chaque élément avec une concurrence limitée
+ *
+ * @param {Array} items - Éléments à traiter
+ * @param {number} limit - Nombre maximum d'exécutions simultanées
+ * @param {Function} fn - async (item, index) => résultat
+ * @returns {Promise<Array>} Résultats dans l'ordre des éléments
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+	const results = new Array(items.length);
+	let nextIndex = 0;
+
+	const worker = async () => {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			results[index] = await fn(items[index], index);
+		}
+	};
+
+	const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+	await Promise.all(workers);
+
+	return results;
+}
+
+/**
+ * Classe KeyedQueue
+ *
+ * File d'attente séquentielle par clé : les tâches d'une même clé s'exécutent
+ * l'une après l'autre dans leur ordre d'arrivée, les clés différentes en parallèle.
+ */
+export class KeyedQueue {
+	constructor() {
+		// Map: clé -> Promesse de la dernière tâche en file
+		this.tails = new Map();
+	}
+
+	/**
+	 * Ajoute une tâche à la file d'une clé
+	 *
+	 * @param {string} key - Clé de la file
+	 * @param {Function} task - async () => résultat
+	 * @returns {Promise<*>} Résultat de la tâche
+	 */
+	run(key, task) {
+		const previous = this.tails.get(key) || Promise.resolve();
+		const result = previous.then(() => task());
+
+		// La tâche suivante attend la fin de celle-ci, même en cas d'erreur
+		const tail = result.catch(() => {});
+		this.tails.set(key, tail);
+
+		tail.then(() => {
+			if (this.tails.get(key) === tail) {
+				this.tails.delete(key);
+			}
+		});
+
+		return result;
+	}
+}
@@ -166,6 +166,22 @@ export class TimeoutError extends AppError {
 	}
 }
 
+/**
+ * Erreur d'annulation d'un run (par le client ou déconnexion)
+ */
+export class RunCancelledError extends AppError {
+	/**
+	 * Constructeur
+	 *
+	 * @param {string} runId - ID du run annulé
+	 * @param {string} reason - Raison de l'annulation
+	 */
+	constructor(runId, reason = 'user_cancelled') {
+		super(`Run ${runId} cancelled (${reason})`, 499, { run_id: runId, reason });
+		this.reason = reason;
+	}
+}
+
 /**
  * Gestionnaire d'erreurs global
  *
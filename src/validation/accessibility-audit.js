@@ -0,0 +1,762 @@
+/**
+ * Accessibility Audit
+ *
+ * Vérifications WCAG déterministes sur l'arbre get_blocks_structure et le design
+ * system du thème (getGlobalStyles) : contraste des couleurs du thème, sauts de
+ * niveaux de titres, liens et boutons vides, images sans alt, cibles tactiles trop
+ * petites. Chaque problème corrigeable sans rédaction porte un correctif (fix)
+ * que buildFixOperations convertit en opérations batch_block_operations.
+ *
+ * Les tailles et couleurs non résolubles (variables CSS inconnues, dégradés, images
+ * de fond) ne sont pas vérifiées : le rapport ne signale que ce qu'il peut calculer.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+/**
+ * Règles vérifiées (critère WCAG, gravité)
+ */
+export const ACCESSIBILITY_RULES = {
+	'color-contrast': { wcag: '1.4.3', severity: 'error', title: 'Text contrast below 4.5:1 (3:1 for large text)' },
+	'heading-order': { wcag: '1.3.1', severity: 'warning', title: 'Heading level skipped' },
+	'empty-link': { wcag: '2.4.4', severity: 'error', title: 'Link without text' },
+	'empty-button': { wcag: '4.1.2', severity: 'error', title: 'Button without text' },
+	'image-alt': { wcag: '1.1.1', severity: 'error', title: 'Image without alternative text' },
+	'touch-target': { wcag: '2.5.5', severity: 'warning', title: 'Touch target smaller than 44x44px' },
+};
+
+/**
+ * Poids d'un contrôle dans le score selon sa gravité
+ */
+const SEVERITY_WEIGHTS = { error: 3, warning: 1 };
+
+/**
+ * Ratios de contraste minimaux (WCAG AA)
+ */
+const MIN_CONTRAST = { normal: 4.5, large: 3 };
+
+/**
+ * Taille minimale d'une cible tactile (px)
+ */
+const MIN_TOUCH_TARGET_PX = 44;
+
+/**
+ * Valeurs par défaut quand le thème ne les précise pas
+ */
+const DEFAULT_TEXT_COLOR = '#000000';
+const DEFAULT_BACKGROUND_COLOR = '#ffffff';
+const DEFAULT_FONT_SIZE_PX = 16;
+const DEFAULT_LINE_HEIGHT = 1.5;
+
+/**
+ * Attributs texte inspectés (contenu visible, liens)
+ */
+const TEXT_ATTRIBUTES = ['content', 'text', 'value', 'citation', 'caption', 'label'];
+
+/**
+ * Taille des icônes core/social-links trop petite et remplacement
+ */
+const SMALL_SOCIAL_ICON_SIZE = 'has-small-icon-size';
+const SOCIAL_ICON_SIZE_FIX = 'has-large-icon-size';
+
+/**
+ * Audite un arbre de blocs
+ *
+ * @param {Array} structure - Arbre get_blocks_structure
+ * @param {Object} globalStyles - Design system (getGlobalStyles) : colors.palette, typography.fontSizes, spacing, styles
+ * @param {Object} options - { rules, agentId } pour ne vérifier que certaines règles, ou qu'un bloc et ses
+ *                           innerBlocks (toute la page reste parcourue : couleurs héritées, titres précédents)
+ * @returns {Object} { score, summary, checked, issues }
+ */
+export function auditAccessibility(structure, globalStyles = {}, { rules = Object.keys(ACCESSIBILITY_RULES), agentId = null } = {}) {
+	const theme = createThemeResolver(globalStyles);
+	const enabled = new Set(rules);
+	const scope = agentId ? collectScope(structure, agentId) : null;
+	const checked = Object.fromEntries(rules.map((rule) => [rule, 0]));
+	const issues = [];
+
+	const report = (rule, block, message, fix = null) => {
+		issues.push({
+			id: `${rule}:${blockId(block)}`,
+			rule,
+			severity: ACCESSIBILITY_RULES[rule].severity,
+			wcag: ACCESSIBILITY_RULES[rule].wcag,
+			block: block.name,
+			agentId: block.agentId || block.attributes?.claudeAgentId || null,
+			clientId: block.clientId || null,
+			message,
+			fixable: fix !== null,
+			fix,
+		});
+	};
+
+	let current = null;
+	const check = (rule, evaluate) => {
+		if (enabled.has(rule) && (!scope || scope.has(current))) {
+			checked[rule]++;
+			evaluate();
+		}
+	};
+
+	let previousHeadingLevel = 1; // Le titre du post est le H1
+
+	walk(structure, theme.rootColors, (block, colors) => {
+		const attributes = block.attributes || {};
+		current = block;
+
+		if (isHeading(block)) {
+			const level = attributes.level ?? 2;
+			let next = level;
+			check('heading-order', () => {
+				next = Math.min(level, previousHeadingLevel + 1);
+				if (next !== level) {
+					report('heading-order', block, `H${level} follows H${previousHeadingLevel}: a level is skipped`, {
+						set: { level: next },
+						description: `level ${level} → ${next}`,
+					});
+				}
+			});
+			// Les titres suivants sont comparés au niveau corrigé
+			previousHeadingLevel = next;
+		}
+
+		const text = visibleText(block);
+		if (text && colors.explicit) {
+			check('color-contrast', () => checkContrast(block, colors, theme, report));
+		}
+
+		if (isButton(block)) {
+			// Les boutons d'autres bibliothèques n'ont pas forcément d'attribut text
+			if (block.name === 'core/button' || 'text' in attributes || 'content' in attributes) {
+				check('empty-button', () => {
+					if (!stripTags(attributes.text ?? attributes.content ?? '') && !attributes.ariaLabel) {
+						report('empty-button', block, 'Button has no text: screen readers announce an unnamed button');
+					}
+				});
+			}
+			check('touch-target', () => checkButtonTarget(block, theme, report));
+		}
+
+		if (block.name === 'core/social-links') {
+			check('touch-target', () => {
+				if (attributes.size === SMALL_SOCIAL_ICON_SIZE) {
+					report('touch-target', block, 'Social icons use the small size (about 24px with padding)', {
+						set: { size: SOCIAL_ICON_SIZE_FIX },
+						description: `size → ${SOCIAL_ICON_SIZE_FIX}`,
+					});
+				}
+			});
+		}
+
+		const links = findLinks(attributes);
+		if (links.length > 0) {
+			check('empty-link', () => {
+				const empty = links.filter((link) => !link.name);
+				if (empty.length > 0) {
+					report('empty-link', block, `${empty.length} link(s) without text (${empty.map((link) => link.href || 'no href').join(', ')})`);
+				}
+			});
+		}
+
+		const image = imageAlt(block);
+		if (image) {
+			check('image-alt', () => {
+				if (!image.alt.trim()) {
+					const caption = stripTags(attributes.caption || '');
+					report('image-alt', block, 'Image has no alt text', caption
+						? { set: { [image.attribute]: caption }, description: `${image.attribute} ← caption` }
+						: null);
+				}
+			});
+		}
+	});
+
+	const weight = (rule) => SEVERITY_WEIGHTS[ACCESSIBILITY_RULES[rule].severity];
+	const checkedWeight = Object.entries(checked).reduce((total, [rule, count]) => total + count * weight(rule), 0);
+	const issueWeight = issues.reduce((total, issue) => total + weight(issue.rule), 0);
+
+	return {
+		score: checkedWeight === 0 ? 100 : Math.max(0, Math.round(100 * (1 - issueWeight / checkedWeight))),
+		summary: {
+			errors: issues.filter((issue) => issue.severity === 'error').length,
+			warnings: issues.filter((issue) => issue.severity === 'warning').length,
+			fixable: issues.filter((issue) => issue.fixable).length,
+		},
+		checked,
+		issues,
+	};
+}
+
+/**
+ * Convertit les correctifs des problèmes en opérations batch_block_operations
+ *
+ * Les correctifs d'un même bloc sont fusionnés en une seule opération update
+ * (attributs de premier niveau, objets imbriqués comme style recopiés en entier).
+ *
+ * @param {Array} structure - Arbre get_blocks_structure audité
+ * @param {Array} issues - Problèmes corrigeables (fix non nul)
+ * @returns {Array} Opérations normalisées { op: 'update', agentId | clientId, attributes, removeAttributes? }
+ */
+export function buildFixOperations(structure, issues) {
+	const blocks = new Map();
+	walk(structure, null, (block) => blocks.set(blockId(block), block));
+
+	const patches = new Map();
+	for (const issue of issues) {
+		const block = blocks.get(issue.agentId || issue.clientId);
+		if (!issue.fix || !block) {
+			continue;
+		}
+
+		if (!patches.has(block)) {
+			patches.set(block, { attributes: structuredClone(block.attributes || {}), keys: new Set() });
+		}
+		const patch = patches.get(block);
+
+		for (const [path, value] of Object.entries(issue.fix.set || {})) {
+			setPath(patch.attributes, path, value);
+			patch.keys.add(path.split('.')[0]);
+		}
+		for (const path of issue.fix.unset || []) {
+			unsetPath(patch.attributes, path);
+			patch.keys.add(path.split('.')[0]);
+		}
+	}
+
+	return [...patches.entries()].map(([block, patch]) => {
+		const agentId = block.agentId || block.attributes?.claudeAgentId;
+		// Un attribut vidé par unset (style sans autre réglage) est retiré du bloc, pas mis à null
+		const keys = [...patch.keys];
+		const removed = keys.filter((key) => patch.attributes[key] === undefined);
+		return {
+			op: 'update',
+			...(agentId ? { agentId } : { clientId: block.clientId }),
+			attributes: Object.fromEntries(keys.filter((key) => !removed.includes(key)).map((key) => [key, patch.attributes[key]])),
+			...(removed.length > 0 ? { removeAttributes: removed } : {}),
+		};
+	});
+}
+
+/**
+ * Blocs d'un sous-arbre (bloc ciblé et ses descendants)
+ *
+ * @param {Array} structure - Arbre get_blocks_structure
+ * @param {string} agentId - agentId du bloc racine
+ * @returns {Set<Object>|null} Blocs du sous-arbre, ou null si le bloc est introuvable
+ */
+function collectScope(structure, agentId) {
+	const scope = new Set();
+	walk(structure, null, (block) => {
+		if (blockId(block) === agentId) {
+			walk([block], null, (inner) => scope.add(inner));
+		}
+	});
+	return scope.size > 0 ? scope : null;
+}
+
+/**
+ * Ratio de contraste WCAG entre deux couleurs
+ *
+ * @param {string} foreground - Couleur (#hex ou rgb())
+ * @param {string} background - Couleur (#hex ou rgb())
+ * @returns {number|null} Ratio (1 à 21), ou null si une couleur n'est pas lisible
+ */
+export function contrastRatio(foreground, background) {
+	const a = parseColor(foreground);
+	const b = parseColor(background);
+	if (!a || !b) {
+		return null;
+	}
+
+	const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+	return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Vérifie le contraste texte / fond d'un bloc et propose une couleur du thème
+ *
+ * @param {Object} block - Bloc
+ * @param {Object} colors - Couleurs effectives { text, background }
+ * @param {Object} theme - Résolveur du thème
+ * @param {Function} report - Enregistre un problème
+ */
+function checkContrast(block, colors, theme, report) {
+	const ratio = contrastRatio(colors.text, colors.background);
+	if (ratio === null) {
+		return;
+	}
+
+	const minimum = isLargeText(block, theme) ? MIN_CONTRAST.large : MIN_CONTRAST.normal;
+	if (ratio >= minimum) {
+		return;
+	}
+
+	// Couleur du thème la plus proche de l'actuelle qui atteint le minimum
+	const replacement = theme.palette
+		.filter((entry) => contrastRatio(entry.color, colors.background) >= minimum)
+		.sort((a, b) => colorDistance(a.color, colors.text) - colorDistance(b.color, colors.text))[0];
+
+	const message = `Contrast ${ratio.toFixed(2)}:1 between text ${colors.text} and background ${colors.background} (minimum ${minimum}:1)`;
+	report('color-contrast', block, message, replacement
+		? {
+			set: { textColor: replacement.slug },
+			unset: block.attributes?.style?.color?.text ? ['style.color.text'] : [],
+			description: `textColor → ${replacement.slug} (${contrastRatio(replacement.color, colors.background).toFixed(2)}:1)`,
+		}
+		: null);
+}
+
+/**
+ * Vérifie la hauteur estimée d'un bouton (taille de police, interligne, padding)
+ *
+ * Seuls les boutons dont la taille ou le padding est précisé sont vérifiés : sans
+ * réglage, les styles du thème s'appliquent.
+ *
+ * @param {Object} block - Bloc bouton
+ * @param {Object} theme - Résolveur du thème
+ * @param {Function} report - Enregistre un problème
+ */
+function checkButtonTarget(block, theme, report) {
+	const attributes = block.attributes || {};
+	const typography = attributes.style?.typography || {};
+	const padding = attributes.style?.spacing?.padding || {};
+
+	if (!attributes.fontSize && !typography.fontSize && padding.top === undefined && padding.bottom === undefined) {
+		return;
+	}
+
+	const fontSize = attributes.fontSize
+		? theme.fontSize(attributes.fontSize)
+		: toPixels(typography.fontSize ?? `${DEFAULT_FONT_SIZE_PX}px`, DEFAULT_FONT_SIZE_PX, theme);
+	if (fontSize === null) {
+		return;
+	}
+
+	// Padding par défaut de core/button : calc(0.667em + 2px)
+	const defaultPadding = fontSize * 0.667 + 2;
+	const top = padding.top === undefined ? defaultPadding : toPixels(padding.top, fontSize, theme);
+	const bottom = padding.bottom === undefined ? defaultPadding : toPixels(padding.bottom, fontSize, theme);
+	if (top === null || bottom === null) {
+		return;
+	}
+
+	const lineHeight = Number.parseFloat(typography.lineHeight) || DEFAULT_LINE_HEIGHT;
+	const height = fontSize * lineHeight + top + bottom;
+	if (height >= MIN_TOUCH_TARGET_PX) {
+		return;
+	}
+
+	const needed = `${Math.ceil((MIN_TOUCH_TARGET_PX - fontSize * lineHeight) / 2)}px`;
+	report('touch-target', block, `Estimated button height ${Math.round(height)}px (minimum ${MIN_TOUCH_TARGET_PX}px)`, {
+		set: { 'style.spacing.padding.top': needed, 'style.spacing.padding.bottom': needed },
+		description: `vertical padding → ${needed}`,
+	});
+}
+
+/**
+ * Parcourt l'arbre dans l'ordre du document en propageant les couleurs héritées
+ *
+ * @param {Array} blocks - Blocs
+ * @param {Object|null} inherited - Couleurs du parent { text, background, explicit } (null : pas de calcul)
+ * @param {Function} visit - (block, colors) appelé pour chaque bloc
+ */
+function walk(blocks = [], inherited, visit) {
+	for (const block of blocks) {
+		const colors = inherited ? inherited.resolve(block) : null;
+		visit(block, colors);
+		walk(block.innerBlocks || [], colors, visit);
+	}
+}
+
+/**
+ * Crée le résolveur des valeurs du thème (couleurs, tailles de police, espacements)
+ *
+ * @param {Object} globalStyles - Design system (getGlobalStyles)
+ * @returns {Object} { palette, rootColors, color(), fontSize(), spacing() }
+ */
+function createThemeResolver(globalStyles = {}) {
+	const palette = presetEntries(globalStyles.colors?.palette)
+		.filter((entry) => entry.slug && parseColor(entry.color));
+	const fontSizes = presetEntries(globalStyles.typography?.fontSizes);
+	const spacingSizes = presetEntries(globalStyles.spacing?.spacingSizes);
+	const styles = globalStyles.styles || {};
+
+	const theme = {
+		palette,
+
+		/**
+		 * Couleur d'un slug, d'une référence de preset ou d'une valeur CSS
+		 */
+		color(value) {
+			if (!value || typeof value !== 'string') {
+				return null;
+			}
+			const slug = presetSlug(value, 'color') ?? (parseColor(value) ? null : value);
+			if (slug === null) {
+				return value;
+			}
+			return palette.find((entry) => entry.slug === slug)?.color || null;
+		},
+
+		fontSize(value) {
+			const slug = presetSlug(value, 'font-size') ?? value;
+			const entry = fontSizes.find((candidate) => candidate.slug === slug);
+			return entry ? toPixels(entry.size, DEFAULT_FONT_SIZE_PX, theme) : toPixels(value, DEFAULT_FONT_SIZE_PX, theme);
+		},
+
+		spacing(slug) {
+			return spacingSizes.find((entry) => entry.slug === slug)?.size || null;
+		},
+	};
+
+	const buttonColors = styles.elements?.button?.color || {};
+
+	const resolver = (parent) => ({
+		...parent,
+		resolve(block) {
+			const attributes = block.attributes || {};
+			const own = blockColors(block, theme);
+			const button = isButton(block);
+
+			// Un bouton sans couleur propre prend celles des boutons du thème
+			const text = own.text ?? (button ? theme.color(buttonColors.text) : null);
+			const background = own.background !== undefined
+				? own.background
+				: (button ? theme.color(buttonColors.background) ?? undefined : undefined);
+
+			return resolver({
+				text: text ?? parent.text,
+				background: background !== undefined ? background : parent.background,
+				explicit: parent.explicit || Boolean(attributes.textColor || attributes.backgroundColor
+					|| attributes.style?.color?.text || attributes.style?.color?.background || attributes.overlayColor),
+			});
+		},
+	});
+
+	theme.rootColors = resolver({
+		text: theme.color(styles.color?.text) || DEFAULT_TEXT_COLOR,
+		background: theme.color(styles.color?.background) || DEFAULT_BACKGROUND_COLOR,
+		explicit: false,
+	});
+
+	return theme;
+}
+
+/**
+ * Couleurs définies par un bloc
+ *
+ * background vaut null quand le fond n'est pas calculable (dégradé, image de cover),
+ * undefined quand le bloc n'en définit pas.
+ *
+ * @param {Object} block - Bloc
+ * @param {Object} theme - Résolveur du thème
+ * @returns {Object} { text, background }
+ */
+function blockColors(block, theme) {
+	const attributes = block.attributes || {};
+	const style = attributes.style?.color || {};
+
+	let background;
+	if (attributes.gradient || style.gradient) {
+		background = null;
+	} else if (block.name === 'core/cover') {
+		background = attributes.url ? null : theme.color(attributes.overlayColor || attributes.customOverlayColor);
+	} else if (attributes.backgroundColor || style.background) {
+		background = theme.color(attributes.backgroundColor || style.background);
+	}
+
+	return {
+		text: attributes.textColor || style.text ? theme.color(attributes.textColor || style.text) : null,
+		background,
+	};
+}
+
+/**
+ * Indique si le texte d'un bloc est un « grand texte » WCAG (≥ 24px, ou ≥ 18.66px en gras)
+ *
+ * Un titre sans taille précisée est considéré grand jusqu'au H3.
+ *
+ * @param {Object} block - Bloc
+ * @param {Object} theme - Résolveur du thème
+ * @returns {boolean} True si le seuil de 3:1 s'applique
+ */
+function isLargeText(block, theme) {
+	const attributes = block.attributes || {};
+	const explicitSize = attributes.fontSize || attributes.style?.typography?.fontSize;
+	const heading = isHeading(block);
+
+	if (!explicitSize) {
+		return heading && (attributes.level ?? 2) <= 3;
+	}
+
+	const size = attributes.fontSize
+		? theme.fontSize(attributes.fontSize)
+		: toPixels(attributes.style.typography.fontSize, DEFAULT_FONT_SIZE_PX, theme);
+	const bold = heading || Number.parseInt(attributes.style?.typography?.fontWeight, 10) >= 700;
+
+	return size !== null && (size >= 24 || (bold && size >= 18.66));
+}
+
+/**
+ * Texte visible d'un bloc (attributs texte, balises retirées)
+ *
+ * @param {Object} block - Bloc
+ * @returns {string} Texte
+ */
+function visibleText(block) {
+	return TEXT_ATTRIBUTES
+		.map((name) => block.attributes?.[name])
+		.filter((value) => typeof value === 'string')
+		.map(stripTags)
+		.join(' ')
+		.trim();
+}
+
+/**
+ * Liens présents dans les attributs texte d'un bloc
+ *
+ * @param {Object} attributes - Attributs du bloc
+ * @returns {Array} [{ href, name }] (name : texte, aria-label, title ou alt d'une image)
+ */
+function findLinks(attributes) {
+	const links = [];
+	for (const name of TEXT_ATTRIBUTES) {
+		const value = attributes[name];
+		if (typeof value !== 'string') {
+			continue;
+		}
+
+		for (const match of value.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+			const [, tagAttributes, inner] = match;
+			const label = tagAttributes.match(/\b(?:aria-label|title)\s*=\s*"([^"]*)"/i)?.[1] || '';
+			const imageAlt = inner.match(/<img\b[^>]*\balt\s*=\s*"([^"]*)"/i)?.[1] || '';
+			links.push({
+				href: tagAttributes.match(/\bhref\s*=\s*"([^"]*)"/i)?.[1] || null,
+				name: (stripTags(inner) || label.trim() || imageAlt.trim()),
+			});
+		}
+	}
+	return links;
+}
+
+/**
+ * Attribut alt d'un bloc image
+ *
+ * @param {Object} block - Bloc
+ * @returns {Object|null} { attribute, alt } ou null si le bloc n'affiche pas d'image
+ */
+function imageAlt(block) {
+	const attributes = block.attributes || {};
+
+	if (block.name === 'core/image' && (attributes.url || attributes.id)) {
+		return { attribute: 'alt', alt: attributes.alt || '' };
+	}
+	if (block.name === 'core/media-text' && attributes.mediaUrl && (attributes.mediaType || 'image') === 'image') {
+		return { attribute: 'mediaAlt', alt: attributes.mediaAlt || '' };
+	}
+	return null;
+}
+
+/**
+ * @param {Object} block - Bloc
+ * @returns {boolean} True pour un bloc titre (core/heading ou équivalent avec level)
+ */
+function isHeading(block) {
+	return block.name === 'core/heading'
+		|| (block.name?.endsWith('/heading') && Number.isInteger(block.attributes?.level));
+}
+
+/**
+ * @param {Object} block - Bloc
+ * @returns {boolean} True pour un bloc bouton (core/button ou équivalent)
+ */
+function isButton(block) {
+	return Boolean(block.name?.endsWith('/button'));
+}
+
+/**
+ * ID d'un bloc (agentId, sinon clientId)
+ *
+ * @param {Object} block - Bloc
+ * @returns {string} ID
+ */
+function blockId(block) {
+	return block.agentId || block.attributes?.claudeAgentId || block.clientId;
+}
+
+/**
+ * Entrées d'un preset du thème (liste, ou { theme, custom, default } de theme.json)
+ *
+ * @param {Array|Object} preset - Preset
+ * @returns {Array} Entrées { slug, ... }
+ */
+function presetEntries(preset) {
+	if (Array.isArray(preset)) {
+		return preset;
+	}
+	if (preset && typeof preset === 'object') {
+		return [...(preset.custom || []), ...(preset.theme || []), ...(preset.default || [])];
+	}
+	return [];
+}
+
+/**
+ * Slug d'une référence de preset (var:preset|color|primary ou var(--wp--preset--color--primary))
+ *
+ * @param {string} value - Valeur
+ * @param {string} type - Type de preset (color, font-size, spacing)
+ * @returns {string|null} Slug, ou null si la valeur n'est pas une référence
+ */
+function presetSlug(value, type) {
+	if (typeof value !== 'string') {
+		return null;
+	}
+	const match = value.match(new RegExp(`^var(?::preset\\|${type}\\||\\(--wp--preset--${type}--)([\\w-]+)\\)?$`));
+	return match ? match[1] : null;
+}
+
+/**
+ * Convertit une longueur CSS en pixels
+ *
+ * @param {string|number} value - Longueur (px, rem, em, nombre, référence de preset)
+ * @param {number} emBase - Taille de police de référence pour em (px)
+ * @param {Object} theme - Résolveur du thème
+ * @returns {number|null} Pixels, ou null si la valeur n'est pas convertible (clamp(), calc()...)
+ */
+function toPixels(value, emBase, theme) {
+	if (typeof value === 'number') {
+		return value;
+	}
+	if (typeof value !== 'string') {
+		return null;
+	}
+
+	const spacing = presetSlug(value, 'spacing');
+	if (spacing) {
+		const size = theme.spacing(spacing);
+		return size ? toPixels(size, emBase, theme) : null;
+	}
+
+	const match = value.trim().match(/^(\d*\.?\d+)(px|rem|em)?$/);
+	if (!match) {
+		return null;
+	}
+
+	const amount = Number.parseFloat(match[1]);
+	if (match[2] === 'rem') {
+		return amount * DEFAULT_FONT_SIZE_PX;
+	}
+	return match[2] === 'em' ? amount * emBase : amount;
+}
+
+/**
+ * Lit une couleur opaque (#rgb, #rrggbb, rgb())
+ *
+ * @param {string} value - Couleur CSS
+ * @returns {Array<number>|null} [r, g, b] (0-255), ou null si illisible ou transparente
+ */
+function parseColor(value) {
+	if (typeof value !== 'string') {
+		return null;
+	}
+	const color = value.trim().toLowerCase();
+
+	const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+	if (hex) {
+		let digits = hex[1];
+		if (digits.length === 3) {
+			digits = digits.split('').map((digit) => digit + digit).join('');
+		}
+		if (digits.length === 8 && digits.slice(6) !== 'ff') {
+			return null;
+		}
+		return [0, 2, 4].map((offset) => Number.parseInt(digits.slice(offset, offset + 2), 16));
+	}
+
+	const rgb = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?\s*\)$/);
+	if (rgb && (rgb[4] === undefined || Number.parseFloat(rgb[4]) >= (rgb[4].endsWith('%') ? 100 : 1))) {
+		return [rgb[1], rgb[2], rgb[3]].map(Number);
+	}
+
+	return null;
+}
+
+/**
+ * Luminance relative WCAG
+ *
+ * @param {Array<number>} rgb - [r, g, b] (0-255)
+ * @returns {number} Luminance (0 à 1)
+ */
+function relativeLuminance(rgb) {
+	const [r, g, b] = rgb.map((channel) => {
+		const value = channel / 255;
+		return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+	});
+	return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Distance entre deux couleurs (RVB)
+ *
+ * @param {string} a - Couleur
+ * @param {string} b - Couleur
+ * @returns {number} Distance euclidienne
+ */
+function colorDistance(a, b) {
+	const [x, y] = [parseColor(a), parseColor(b)];
+	return Math.hypot(x[0] - y[0], x[1] - y[1], x[2] - y[2]);
+}
+
+/**
+ * Retire les balises HTML et les espaces superflus
+ *
+ * @param {string} html - Texte riche
+ * @returns {string} Texte
+ */
+function stripTags(html) {
+	return String(html).replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+}
+
+/**
+ * Affecte une valeur à un chemin pointé (style.spacing.padding.top)
+ *
+ * @param {Object} target - Objet modifié
+ * @param {string} path - Chemin
+ * @param {*} value - Valeur
+ */
+function setPath(target, path, value) {
+	const keys = path.split('.');
+	const last = keys.pop();
+	let node = target;
+	for (const key of keys) {
+		if (!node[key] || typeof node[key] !== 'object') {
+			node[key] = {};
+		}
+		node = node[key];
+	}
+	node[last] = value;
+}
+
+/**
+ * Supprime la valeur d'un chemin pointé (et les objets parents devenus vides)
+ *
+ * @param {Object} target - Objet modifié
+ * @param {string} path - Chemin
+ */
+function unsetPath(target, path) {
+	const [key, ...rest] = path.split('.');
+	if (!target || typeof target !== 'object') {
+		return;
+	}
+
+	if (rest.length === 0) {
+		delete target[key];
+		return;
+	}
+
+	unsetPath(target[key], rest.join('.'));
+	if (target[key] && typeof target[key] === 'object' && Object.keys(target[key]).length === 0) {
+		delete target[key];
+	}
+}
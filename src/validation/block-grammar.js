@@ -0,0 +1,452 @@
+/**
+ * Block Grammar
+ *
+ * Parseur et sérialiseur du format de stockage des blocs Gutenberg
+ * (<!-- wp:namespace/nom {"attr":...} --> ... <!-- /wp:namespace/nom -->).
+ *
+ * parseBlocks reprend la grammaire et l'arbre produit par
+ * @wordpress/block-serialization-default-parser ({ blockName, attrs, innerBlocks,
+ * innerHTML, innerContent }) ; serializeBlocks reprend la sérialisation de
+ * @wordpress/blocks (serializeRawBlock). Le parseur de WordPress ne rejette jamais
+ * rien : validateBlockMarkup signale en plus les délimiteurs mal formés, avec
+ * leur ligne et colonne.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Délimiteur de bloc (expression du parseur par défaut de WordPress)
+ *
+ * Groupes: 1 fermeture, 2 namespace, 3 nom, 4 attributs JSON, 6 bloc vide (/-->).
+ * La référence \5 dans un lookahead émule un groupe atomique (pas de retour arrière
+ * exponentiel sur les attributs).
+ */
+const BLOCK_TOKEN = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?:(?=([^}]+|}+(?=})|(?!}\s+\/?-->)[^])*)\5|[^]*?)}\s+)?(\/)?-->/g;
+
+/**
+ * Début de commentaire qui ressemble à un délimiteur de bloc
+ */
+const DELIMITER_START = /<!--\s*\/?wp:/g;
+
+/**
+ * Crée un bloc au format du parseur
+ *
+ * @param {string|null} blockName - Nom du bloc (null = HTML libre)
+ * @param {Object|null} attrs - Attributs du commentaire
+ * @param {Array} innerBlocks - Blocs enfants
+ * @param {string} innerHTML - HTML du bloc, sans les blocs enfants
+ * @param {Array} innerContent - Morceaux de HTML, null à la place de chaque bloc enfant
+ * @returns {Object} Bloc
+ */
+function createBlock(blockName, attrs, innerBlocks, innerHTML, innerContent) {
+	return { blockName, attrs, innerBlocks, innerHTML, innerContent };
+}
+
+/**
+ * Crée un bloc de HTML libre (contenu hors délimiteurs)
+ *
+ * @param {string} innerHTML - HTML
+ * @returns {Object} Bloc sans nom
+ */
+function createFreeform(innerHTML) {
+	return createBlock(null, {}, [], innerHTML, [innerHTML]);
+}
+
+/**
+ * Lit le délimiteur suivant
+ *
+ * @param {RegExp} tokenizer - Copie de BLOCK_TOKEN (lastIndex = position courante)
+ * @param {string} document - Document
+ * @returns {Object} { type: 'no-more-tokens' | 'void-block' | 'block-opener' | 'block-closer', name, attrs, rawAttrs, isCloser, start, length }
+ */
+function nextToken(tokenizer, document) {
+	const matches = tokenizer.exec(document);
+	if (matches === null) {
+		return { type: 'no-more-tokens', name: '', attrs: null, rawAttrs: null, start: 0, length: 0 };
+	}
+
+	const [match, closerMatch, namespaceMatch, nameMatch, attrsMatch, , voidMatch] = matches;
+	const name = (namespaceMatch || 'core/') + nameMatch;
+	const rawAttrs = attrsMatch || null;
+	const attrs = rawAttrs ? parseJSON(rawAttrs) : {};
+
+	let type = 'block-opener';
+	if (voidMatch) {
+		type = 'void-block';
+	} else if (closerMatch) {
+		type = 'block-closer';
+	}
+
+	return {
+		type,
+		name,
+		attrs: type === 'block-closer' ? null : attrs,
+		rawAttrs,
+		isCloser: Boolean(closerMatch),
+		start: matches.index,
+		length: match.length,
+	};
+}
+
+/**
+ * Parse des attributs JSON (null si invalides, comme WordPress)
+ *
+ * @param {string} input - JSON
+ * @returns {Object|null} Attributs
+ */
+function parseJSON(input) {
+	try {
+		return JSON.parse(input);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Parse un document sérialisé en arbre de blocs
+ *
+ * Même résultat que le parseur par défaut de WordPress : le HTML hors blocs devient
+ * des blocs sans nom (blockName: null), un bloc non fermé est fermé en fin de document.
+ * Avec strict, le document est d'abord vérifié par validateBlockMarkup.
+ *
+ * @param {string} document - Contenu du post (post_content)
+ * @param {Object} options - { strict }
+ * @returns {Array} Blocs [{ blockName, attrs, innerBlocks, innerHTML, innerContent }]
+ * @throws {ValidationError} En mode strict, si le balisage est invalide
+ */
+export function parseBlocks(document, { strict = false } = {}) {
+	if (strict) {
+		assertValidBlockMarkup(document);
+	}
+
+	const tokenizer = new RegExp(BLOCK_TOKEN.source, 'g');
+	const output = [];
+	const stack = [];
+	let offset = 0;
+
+	const addFreeform = (rawLength) => {
+		const length = rawLength || document.length - offset;
+		if (length > 0) {
+			output.push(createFreeform(document.substr(offset, length)));
+		}
+	};
+
+	const addInnerBlock = (block, tokenStart, tokenLength, lastOffset) => {
+		const parent = stack[stack.length - 1];
+		parent.block.innerBlocks.push(block);
+
+		const html = document.substr(parent.prevOffset, tokenStart - parent.prevOffset);
+		if (html) {
+			parent.block.innerHTML += html;
+			parent.block.innerContent.push(html);
+		}
+
+		parent.block.innerContent.push(null);
+		parent.prevOffset = lastOffset || tokenStart + tokenLength;
+	};
+
+	const addBlockFromStack = (endOffset) => {
+		const { block, leadingHtmlStart, prevOffset, tokenStart } = stack.pop();
+
+		const html = endOffset ? document.substr(prevOffset, endOffset - prevOffset) : document.substr(prevOffset);
+		if (html) {
+			block.innerHTML += html;
+			block.innerContent.push(html);
+		}
+
+		if (leadingHtmlStart !== null) {
+			output.push(createFreeform(document.substr(leadingHtmlStart, tokenStart - leadingHtmlStart)));
+		}
+
+		output.push(block);
+	};
+
+	for (;;) {
+		const token = nextToken(tokenizer, document);
+		const leadingHtmlStart = token.start > offset ? offset : null;
+
+		if (token.type === 'no-more-tokens') {
+			if (stack.length === 0) {
+				addFreeform();
+			}
+			// Délimiteurs de fermeture manquants : la pile est refermée bloc par bloc
+			while (stack.length > 0) {
+				addBlockFromStack();
+			}
+			return output;
+		}
+
+		if (token.type === 'void-block') {
+			if (stack.length === 0) {
+				if (leadingHtmlStart !== null) {
+					output.push(createFreeform(document.substr(leadingHtmlStart, token.start - leadingHtmlStart)));
+				}
+				output.push(createBlock(token.name, token.attrs, [], '', []));
+			} else {
+				addInnerBlock(createBlock(token.name, token.attrs, [], '', []), token.start, token.length);
+			}
+			offset = token.start + token.length;
+			continue;
+		}
+
+		if (token.type === 'block-opener') {
+			stack.push({
+				block: createBlock(token.name, token.attrs, [], '', []),
+				tokenStart: token.start,
+				tokenLength: token.length,
+				prevOffset: token.start + token.length,
+				leadingHtmlStart,
+			});
+			offset = token.start + token.length;
+			continue;
+		}
+
+		// block-closer
+		if (stack.length === 0) {
+			// Fermeture sans ouverture : WordPress garde le reste du document en HTML libre
+			addFreeform();
+			return output;
+		}
+
+		if (stack.length === 1) {
+			addBlockFromStack(token.start);
+			offset = token.start + token.length;
+			continue;
+		}
+
+		const top = stack.pop();
+		const html = document.substr(top.prevOffset, token.start - top.prevOffset);
+		top.block.innerHTML += html;
+		top.block.innerContent.push(html);
+		top.prevOffset = token.start + token.length;
+
+		addInnerBlock(top.block, top.tokenStart, top.tokenLength, token.start + token.length);
+		offset = token.start + token.length;
+	}
+}
+
+/**
+ * Vérifie les délimiteurs de blocs d'un document
+ *
+ * Signale ce que le parseur de WordPress laisserait passer silencieusement :
+ * commentaire wp: mal formé (traité comme du HTML), attributs JSON invalides
+ * (perdus), fermeture sans ouverture ou d'un autre bloc, bloc jamais fermé.
+ *
+ * @param {string} document - Contenu du post
+ * @returns {Array} Erreurs [{ line, column, message }] (vide si le balisage est valide)
+ */
+export function validateBlockMarkup(document) {
+	const position = createPositionResolver(document);
+	const errors = [];
+	const error = (offset, message) => errors.push({ ...position(offset), message });
+
+	const tokenizer = new RegExp(BLOCK_TOKEN.source, 'g');
+	const tokenStarts = new Set();
+	const stack = [];
+
+	for (let token = nextToken(tokenizer, document); token.type !== 'no-more-tokens'; token = nextToken(tokenizer, document)) {
+		tokenStarts.add(token.start);
+		const label = token.name.replace(/^core\//, '');
+
+		if (token.isCloser && (token.type === 'void-block' || token.rawAttrs)) {
+			error(token.start, `Closing delimiter of "${label}" cannot have attributes or end with "/-->"`);
+			continue;
+		}
+
+		if (token.type !== 'block-closer' && token.attrs === null) {
+			error(token.start, `Invalid JSON attributes in "${label}" delimiter: ${token.rawAttrs.trim()}`);
+		}
+
+		if (token.type === 'block-opener') {
+			stack.push(token);
+		} else if (token.type === 'block-closer') {
+			const opener = stack.pop();
+			if (!opener) {
+				error(token.start, `Closing delimiter <!-- /wp:${label} --> has no opening delimiter`);
+			} else if (opener.name !== token.name) {
+				const openerPosition = position(opener.start);
+				error(token.start, `Closing delimiter <!-- /wp:${label} --> does not match "${opener.name.replace(/^core\//, '')}" opened at line ${openerPosition.line}, column ${openerPosition.column}`);
+			}
+		}
+	}
+
+	for (const opener of stack) {
+		error(opener.start, `Block "${opener.name.replace(/^core\//, '')}" is never closed (add <!-- /wp:${opener.name.replace(/^core\//, '')} --> or end the opener with "/-->")`);
+	}
+
+	// Commentaires wp: que le parseur ne reconnaît pas (espaces manquants, nom invalide...)
+	for (const match of document.matchAll(DELIMITER_START)) {
+		if (!tokenStarts.has(match.index)) {
+			const end = document.indexOf('-->', match.index);
+			const excerpt = document.slice(match.index, end === -1 ? match.index + 40 : end + 3);
+			error(match.index, `Malformed block delimiter ${excerpt} (expected <!-- wp:namespace/name {"attributes"} --> with spaces around the name)`);
+		}
+	}
+
+	return errors.sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Lève une ValidationError si le balisage des blocs est invalide
+ *
+ * @param {string} document - Contenu du post
+ * @throws {ValidationError} Erreurs [{ line, column, message }]
+ */
+export function assertValidBlockMarkup(document) {
+	const errors = validateBlockMarkup(document);
+	if (errors.length > 0) {
+		throw new ValidationError(
+			`Invalid block markup:\n${errors.map((err) => `line ${err.line}, column ${err.column}: ${err.message}`).join('\n')}`,
+			errors
+		);
+	}
+}
+
+/**
+ * Sérialise une liste de blocs (format du parseur) en contenu de post
+ *
+ * Le HTML libre ne contenant que des espaces est ignoré, comme dans l'éditeur.
+ *
+ * @param {Array} blocks - Blocs { blockName, attrs, innerBlocks, innerContent }
+ * @returns {string} Contenu sérialisé
+ */
+export function serializeBlocks(blocks) {
+	return blocks
+		.filter((block) => block.blockName || (block.innerHTML || '').trim())
+		.map(serializeBlock)
+		.join('\n\n');
+}
+
+/**
+ * Sérialise un bloc (serializeRawBlock de @wordpress/blocks)
+ *
+ * @param {Object} block - Bloc { blockName, attrs, innerBlocks, innerContent }
+ * @returns {string} Bloc sérialisé
+ */
+export function serializeBlock(block) {
+	const { blockName, attrs = {}, innerBlocks = [], innerContent = [] } = block;
+
+	if (!blockName) {
+		return innerContent.join('');
+	}
+
+	let childIndex = 0;
+	const content = innerContent
+		.map((piece) => (piece !== null ? piece : serializeBlock(innerBlocks[childIndex++])))
+		.join('\n')
+		.replace(/\n+/g, '\n')
+		.trim();
+
+	const name = blockName.startsWith('core/') ? blockName.slice(5) : blockName;
+	const serializedAttributes = attrs && Object.keys(attrs).length > 0 ? `${serializeAttributes(attrs)} ` : '';
+
+	if (!content) {
+		return `<!-- wp:${name} ${serializedAttributes}/-->`;
+	}
+
+	return `<!-- wp:${name} ${serializedAttributes}-->\n${content}\n<!-- /wp:${name} -->`;
+}
+
+/**
+ * Sérialise les attributs d'un délimiteur
+ *
+ * Les caractères qui pourraient fermer le commentaire ou être interprétés comme
+ * du HTML sont échappés en \u00XX (comme WordPress).
+ *
+ * @param {Object} attributes - Attributs
+ * @returns {string} JSON
+ */
+export function serializeAttributes(attributes) {
+	return JSON.stringify(attributes)
+		.replace(/--/g, '\\u002d\\u002d')
+		.replace(/</g, '\\u003c')
+		.replace(/>/g, '\\u003e')
+		.replace(/&/g, '\\u0026')
+		.replace(/\\"/g, '\\u0022');
+}
+
+/**
+ * Convertit un arbre de blocs au format des tools ({ name, attributes, innerBlocks })
+ * au format du parseur
+ *
+ * innerContent place le HTML autour des blocs enfants (null = un bloc enfant) ; sans
+ * innerContent, innerHTML est le HTML d'un bloc sans enfants, et les enfants d'un bloc
+ * sans HTML sont placés l'un après l'autre.
+ *
+ * @param {Array} tree - Blocs [{ name, attributes?, innerHTML?, innerContent?, innerBlocks? }]
+ * @param {string} path - Chemin de l'arbre (messages d'erreur)
+ * @returns {Array} Blocs { blockName, attrs, innerBlocks, innerHTML, innerContent }
+ * @throws {ValidationError} Si un bloc est incomplet
+ */
+export function fromBlockTree(tree, path = 'blocks') {
+	if (!Array.isArray(tree)) {
+		throw new ValidationError(`${path} must be an array`);
+	}
+
+	return tree.map((node, index) => {
+		const nodePath = `${path}[${index}]`;
+
+		if (!node || typeof node.name !== 'string' || !/^([a-z][a-z0-9_-]*\/)?[a-z][a-z0-9_-]*$/.test(node.name)) {
+			throw new ValidationError(`${nodePath}: name must be a block name like "core/paragraph"`);
+		}
+		if (node.attributes !== undefined && (typeof node.attributes !== 'object' || node.attributes === null || Array.isArray(node.attributes))) {
+			throw new ValidationError(`${nodePath}: attributes must be an object`);
+		}
+
+		const innerBlocks = fromBlockTree(node.innerBlocks || [], `${nodePath}.innerBlocks`);
+		let innerContent;
+
+		if (node.innerContent !== undefined) {
+			if (!Array.isArray(node.innerContent) || !node.innerContent.every((piece) => piece === null || typeof piece === 'string')) {
+				throw new ValidationError(`${nodePath}: innerContent must be an array of HTML strings and null placeholders`);
+			}
+			const placeholders = node.innerContent.filter((piece) => piece === null).length;
+			if (placeholders !== innerBlocks.length) {
+				throw new ValidationError(`${nodePath}: innerContent has ${placeholders} null placeholder(s) for ${innerBlocks.length} inner block(s)`);
+			}
+			innerContent = node.innerContent;
+		} else if (innerBlocks.length > 0) {
+			if (node.innerHTML) {
+				throw new ValidationError(`${nodePath}: use innerContent (HTML pieces with null where each inner block goes) for a block with both HTML and innerBlocks`);
+			}
+			innerContent = innerBlocks.map(() => null);
+		} else {
+			innerContent = node.innerHTML ? [node.innerHTML] : [];
+		}
+
+		const name = node.name.includes('/') ? node.name : `core/${node.name}`;
+		const innerHTML = innerContent.filter((piece) => piece !== null).join('');
+
+		return createBlock(name, node.attributes || {}, innerBlocks, innerHTML, innerContent);
+	});
+}
+
+/**
+ * Crée la fonction offset → { line, column } (1-based) d'un document
+ *
+ * @param {string} document - Document
+ * @returns {Function} (offset) => { line, column }
+ */
+function createPositionResolver(document) {
+	const lineStarts = [0];
+	for (let index = document.indexOf('\n'); index !== -1; index = document.indexOf('\n', index + 1)) {
+		lineStarts.push(index + 1);
+	}
+
+	return (offset) => {
+		let low = 0;
+		let high = lineStarts.length - 1;
+		while (low < high) {
+			const middle = Math.ceil((low + high) / 2);
+			if (lineStarts[middle] <= offset) {
+				low = middle;
+			} else {
+				high = middle - 1;
+			}
+		}
+		return { line: low + 1, column: offset - lineStarts[low] + 1 };
+	};
+}
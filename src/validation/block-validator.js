@@ -12,6 +12,7 @@ import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
 import logger from '../utils/logger.js';
 import { AppError } from '../utils/errors.js';
+import { SchemaConverter } from './schema-converter.js';
 
 /**
  * Classe BlockValidator
@@ -25,6 +26,7 @@ export class BlockValidator {
 		this.ajv = new Ajv({
 			allErrors: true, // Retourner toutes les erreurs, pas seulement la première
 			strict: true,
+			allowUnionTypes: true, // Attributs WordPress à types multiples (ex: ["string", "null"])
 			validateFormats: true,
 		});
 
@@ -40,53 +42,13 @@ export class BlockValidator {
 	/**
 	 * Convertit un schéma de bloc WordPress en JSON Schema Ajv
 	 *
+	 * Voir SchemaConverter.toJSONSchema (types unions, structures imbriquées, supports).
+	 *
 	 * @param {Object} blockSchema - Schéma de bloc WordPress
 	 * @returns {Object} JSON Schema pour Ajv
 	 */
 	convertToJSONSchema(blockSchema) {
-		const properties = {};
-		const required = [];
-
-		// Parcourir les attributs du bloc
-		for (const [attrName, attrDef] of Object.entries(blockSchema.attributes || {})) {
-			// Déterminer le type JSON Schema
-			let type = 'string'; // Par défaut
-
-			if (attrDef.type === 'boolean') {
-				type = 'boolean';
-			} else if (attrDef.type === 'number' || attrDef.type === 'integer') {
-				type = 'number';
-			} else if (attrDef.type === 'array') {
-				type = 'array';
-			} else if (attrDef.type === 'object') {
-				type = 'object';
-			}
-
-			const propertySchema = { type };
-
-			// Ajouter enum si des valeurs possibles sont définies
-			if (attrDef.enum && Array.isArray(attrDef.enum)) {
-				propertySchema.enum = attrDef.enum;
-			}
-
-			// Ajouter la propriété
-			properties[attrName] = propertySchema;
-
-			// Marquer comme requis si défini dans le schéma
-			if (attrDef.required) {
-				required.push(attrName);
-			}
-		}
-
-		// Créer le schéma JSON complet
-		const jsonSchema = {
-			type: 'object',
-			properties,
-			required: required.length > 0 ? required : undefined,
-			additionalProperties: false, // CRITIQUE : rejeter attributs inconnus
-		};
-
-		return jsonSchema;
+		return SchemaConverter.toJSONSchema(blockSchema);
 	}
 
 	/**
@@ -169,6 +131,41 @@ export class BlockValidator {
 		}
 	}
 
+	/**
+	 * Valide des données contre un JSON Schema fourni (ex: validation_schema d'un template)
+	 *
+	 * Le schéma n'est pas mis en cache : il peut changer d'un appel à l'autre.
+	 *
+	 * @param {Object} jsonSchema - JSON Schema
+	 * @param {*} data - Données à valider
+	 * @returns {Object} Résultat de validation { valid: boolean, errors: Array }
+	 * @throws {AppError} Si le schéma ne compile pas
+	 */
+	validateAgainstSchema(jsonSchema, data) {
+		let validate;
+		try {
+			validate = this.ajv.compile(jsonSchema);
+		} catch (error) {
+			throw new AppError(`Invalid JSON Schema: ${error.message}`, 500);
+		} finally {
+			this.ajv.removeSchema(jsonSchema);
+		}
+
+		if (validate(data)) {
+			return { valid: true, errors: [] };
+		}
+
+		return {
+			valid: false,
+			errors: validate.errors.map((err) => ({
+				path: err.instancePath || '/',
+				message: err.message,
+				keyword: err.keyword,
+				params: err.params,
+			})),
+		};
+	}
+
 	/**
 	 * Génère un message d'erreur lisible pour Claude
 	 *
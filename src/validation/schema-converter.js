@@ -4,12 +4,186 @@
  * Convertit les schémas de blocs WordPress en formats optimisés pour Claude.
  * Gère la progressive disclosure et la documentation des attributs.
  *
+ * Produit aussi le JSON Schema des attributs (BlockValidator) : types unions, items,
+ * propriétés imbriquées, attributs définis par leur source, valeurs par défaut, et
+ * attributs ajoutés par les supports du bloc (style, backgroundColor, fontSize, layout...).
+ *
  * @package WordPress_Claude_Agent
  * @since 1.0.0
  */
 
 import logger from '../utils/logger.js';
 
+/**
+ * Types d'attributs WordPress → types JSON Schema
+ */
+const ATTRIBUTE_TYPES = {
+	'string': 'string',
+	'rich-text': 'string',
+	'boolean': 'boolean',
+	'number': 'number',
+	'integer': 'integer',
+	'object': 'object',
+	'array': 'array',
+	'null': 'null',
+};
+
+/**
+ * Type des attributs définis uniquement par leur source (sans type)
+ */
+const SOURCE_TYPES = {
+	'html': 'string',
+	'rich-text': 'string',
+	'text': 'string',
+	'raw': 'string',
+	'tag': 'string',
+	'attribute': 'string',
+	'children': 'array',
+	'node': 'object',
+	'query': 'array',
+};
+
+/**
+ * Contraintes JSON Schema recopiées telles quelles depuis la définition d'un attribut
+ */
+const COPIED_KEYWORDS = ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems', 'pattern'];
+
+/**
+ * Valeurs de align quand le bloc déclare supports.align: true
+ */
+const ALIGN_VALUES = ['left', 'center', 'right', 'wide', 'full'];
+
+const STRING_ATTRIBUTE = { type: 'string' };
+const SIZE_ATTRIBUTE = { type: ['string', 'number'] };
+
+/**
+ * Valeur par côté (padding, margin) : "10px" ou { top, right, bottom, left }
+ */
+const BOX_ATTRIBUTE = {
+	type: ['string', 'object'],
+	properties: { top: STRING_ATTRIBUTE, right: STRING_ATTRIBUTE, bottom: STRING_ATTRIBUTE, left: STRING_ATTRIBUTE },
+};
+
+const BORDER_SIDE_ATTRIBUTE = {
+	type: 'object',
+	properties: { color: STRING_ATTRIBUTE, style: STRING_ATTRIBUTE, width: STRING_ATTRIBUTE },
+};
+
+/**
+ * Attribut style généré par les supports (color, typography, spacing, border...)
+ *
+ * Les clés connues sont typées ; les clés inconnues restent acceptées (nouvelles
+ * versions de WordPress, supports de plugins).
+ */
+const STYLE_ATTRIBUTE = {
+	type: 'object',
+	properties: {
+		color: {
+			type: 'object',
+			properties: { text: STRING_ATTRIBUTE, background: STRING_ATTRIBUTE, gradient: STRING_ATTRIBUTE },
+		},
+		typography: {
+			type: 'object',
+			properties: {
+				fontSize: SIZE_ATTRIBUTE,
+				fontFamily: STRING_ATTRIBUTE,
+				fontStyle: STRING_ATTRIBUTE,
+				fontWeight: SIZE_ATTRIBUTE,
+				lineHeight: SIZE_ATTRIBUTE,
+				letterSpacing: STRING_ATTRIBUTE,
+				textAlign: STRING_ATTRIBUTE,
+				textDecoration: STRING_ATTRIBUTE,
+				textTransform: STRING_ATTRIBUTE,
+				writingMode: STRING_ATTRIBUTE,
+			},
+		},
+		spacing: {
+			type: 'object',
+			properties: {
+				padding: BOX_ATTRIBUTE,
+				margin: BOX_ATTRIBUTE,
+				blockGap: { type: ['string', 'object'], properties: { top: STRING_ATTRIBUTE, left: STRING_ATTRIBUTE } },
+			},
+		},
+		border: {
+			type: 'object',
+			properties: {
+				color: STRING_ATTRIBUTE,
+				style: STRING_ATTRIBUTE,
+				width: STRING_ATTRIBUTE,
+				radius: {
+					type: ['string', 'object'],
+					properties: {
+						topLeft: STRING_ATTRIBUTE,
+						topRight: STRING_ATTRIBUTE,
+						bottomLeft: STRING_ATTRIBUTE,
+						bottomRight: STRING_ATTRIBUTE,
+					},
+				},
+				top: BORDER_SIDE_ATTRIBUTE,
+				right: BORDER_SIDE_ATTRIBUTE,
+				bottom: BORDER_SIDE_ATTRIBUTE,
+				left: BORDER_SIDE_ATTRIBUTE,
+			},
+		},
+		dimensions: {
+			type: 'object',
+			properties: { minHeight: STRING_ATTRIBUTE, aspectRatio: STRING_ATTRIBUTE },
+		},
+		elements: { type: 'object' },
+		background: { type: 'object' },
+		position: { type: 'object' },
+		layout: { type: 'object' },
+		shadow: STRING_ATTRIBUTE,
+	},
+};
+
+/**
+ * Attribut layout généré par supports.layout
+ */
+const LAYOUT_ATTRIBUTE = {
+	type: 'object',
+	properties: {
+		type: { type: 'string', enum: ['default', 'constrained', 'flex', 'grid', 'flow'] },
+		inherit: { type: 'boolean' },
+		contentSize: { type: ['string', 'null'] },
+		wideSize: { type: ['string', 'null'] },
+		justifyContent: STRING_ATTRIBUTE,
+		orientation: { type: 'string', enum: ['horizontal', 'vertical'] },
+		flexWrap: { type: 'string', enum: ['wrap', 'nowrap'] },
+		verticalAlignment: STRING_ATTRIBUTE,
+		columnCount: { type: ['number', 'null'] },
+		minimumColumnWidth: { type: ['string', 'null'] },
+	},
+};
+
+/**
+ * Attributs présents sur tous les blocs (lock, metadata, ID persistant du plugin)
+ */
+const GLOBAL_ATTRIBUTES = {
+	lock: {
+		type: 'object',
+		properties: { move: { type: 'boolean' }, remove: { type: 'boolean' }, edit: { type: 'boolean' } },
+	},
+	metadata: { type: 'object' },
+	claudeAgentId: STRING_ATTRIBUTE,
+};
+
+/**
+ * Supports qui génèrent l'attribut style
+ */
+const STYLE_SUPPORTS = [
+	'color',
+	'typography',
+	'spacing',
+	'border',
+	'__experimentalBorder',
+	'dimensions',
+	'shadow',
+	'background',
+	'position',
+];
+
 /**
  * Classe SchemaConverter
  */
@@ -38,6 +212,14 @@ export class SchemaConverter {
 			converted.attribute_count++;
 		}
 
+		// Attributs ajoutés par les supports, s'ils ne sont pas déjà déclarés par le bloc
+		for (const [attrName, attrDef] of Object.entries(this.getSupportsAttributes(blockSchema.supports))) {
+			if (!converted.attributes[attrName]) {
+				converted.attributes[attrName] = { ...this.convertAttribute(attrName, attrDef), from_supports: true };
+				converted.attribute_count++;
+			}
+		}
+
 		return converted;
 	}
 
@@ -51,7 +233,8 @@ export class SchemaConverter {
 	static convertAttribute(name, definition) {
 		const converted = {
 			name,
-			type: definition.type || 'string',
+			// Type tel que déclaré (union comprise), sinon celui de la source
+			type: definition.type || SOURCE_TYPES[definition.source] || 'string',
 			default: definition.default !== undefined ? definition.default : null,
 			description: definition.description || '',
 		};
@@ -61,6 +244,19 @@ export class SchemaConverter {
 			converted.possible_values = definition.enum;
 		}
 
+		// Structure des tableaux et objets
+		if (definition.items) {
+			converted.items = definition.items;
+		}
+		if (definition.properties) {
+			converted.properties = definition.properties;
+		}
+		if (definition.query) {
+			converted.query = Object.fromEntries(Object.entries(definition.query).map(
+				([queryName, queryDef]) => [queryName, this.convertAttribute(queryName, queryDef)]
+			));
+		}
+
 		// Ajouter source (comment l'attribut est stocké)
 		if (definition.source) {
 			converted.source = definition.source;
@@ -74,6 +270,174 @@ export class SchemaConverter {
 		return converted;
 	}
 
+	/**
+	 * Convertit un schéma de bloc en JSON Schema (validation des attributs avec Ajv)
+	 *
+	 * Les attributs générés par les supports sont ajoutés s'ils ne sont pas déclarés
+	 * par le bloc. Tout autre attribut est refusé (additionalProperties: false).
+	 *
+	 * @param {Object} blockSchema - Schéma de bloc WordPress ({ attributes, supports })
+	 * @returns {Object} JSON Schema
+	 */
+	static toJSONSchema(blockSchema) {
+		const attributes = {
+			...this.getSupportsAttributes(blockSchema.supports),
+			...(blockSchema.attributes || {}),
+		};
+
+		const properties = {};
+		const required = [];
+
+		for (const [attrName, attrDef] of Object.entries(attributes)) {
+			properties[attrName] = this.attributeToJSONSchema(attrDef);
+
+			// Marquer comme requis si défini dans le schéma
+			if (attrDef.required === true) {
+				required.push(attrName);
+			}
+		}
+
+		return {
+			type: 'object',
+			properties,
+			...(required.length > 0 ? { required } : {}),
+			additionalProperties: false, // CRITIQUE : rejeter attributs inconnus
+		};
+	}
+
+	/**
+	 * Convertit la définition d'un attribut WordPress en JSON Schema
+	 *
+	 * @param {Object} definition - Définition ({ type, enum, source, query, items, properties, default... })
+	 * @returns {Object} JSON Schema de l'attribut
+	 */
+	static attributeToJSONSchema(definition = {}) {
+		const schema = {};
+
+		const declared = definition.type !== undefined ? definition.type : SOURCE_TYPES[definition.source];
+		const types = [...new Set([].concat(declared ?? []).map((type) => ATTRIBUTE_TYPES[type]).filter(Boolean))];
+		if (types.length > 0) {
+			schema.type = types.length === 1 ? types[0] : types;
+		}
+
+		if (Array.isArray(definition.enum)) {
+			schema.enum = definition.enum;
+		}
+
+		for (const keyword of COPIED_KEYWORDS) {
+			if (definition[keyword] !== undefined) {
+				schema[keyword] = definition[keyword];
+			}
+		}
+
+		// Les mots-clés structurels exigent le type correspondant (Ajv strict)
+		if (types.includes('array')) {
+			if (definition.source === 'query' && definition.query) {
+				schema.items = {
+					type: 'object',
+					properties: this.mapAttributes(definition.query),
+				};
+			} else if (definition.items && !Array.isArray(definition.items)) {
+				schema.items = this.attributeToJSONSchema(definition.items);
+			}
+		}
+
+		if (types.includes('object') && definition.properties) {
+			schema.properties = this.mapAttributes(definition.properties);
+			if (Array.isArray(definition.required)) {
+				schema.required = definition.required;
+			}
+			if (definition.additionalProperties === false) {
+				schema.additionalProperties = false;
+			}
+		}
+
+		if (definition.default !== undefined) {
+			schema.default = definition.default;
+		}
+
+		return schema;
+	}
+
+	/**
+	 * Convertit un ensemble de définitions d'attributs en propriétés JSON Schema
+	 *
+	 * @param {Object} definitions - { nom: définition }
+	 * @returns {Object} { nom: JSON Schema }
+	 */
+	static mapAttributes(definitions) {
+		return Object.fromEntries(Object.entries(definitions).map(
+			([attrName, attrDef]) => [attrName, this.attributeToJSONSchema(attrDef)]
+		));
+	}
+
+	/**
+	 * Liste les attributs que WordPress ajoute au bloc selon ses supports
+	 *
+	 * Reprend les hooks de l'éditeur : className, anchor, align, style, couleurs et
+	 * tailles prédéfinies, layout, ainsi que les attributs présents sur tous les blocs.
+	 *
+	 * @param {Object} supports - supports du bloc (block.json)
+	 * @returns {Object} { nom: définition d'attribut WordPress }
+	 */
+	static getSupportsAttributes(supports = {}) {
+		const attributes = { ...GLOBAL_ATTRIBUTES };
+		supports = supports || {};
+
+		if (supports.customClassName !== false) {
+			attributes.className = STRING_ATTRIBUTE;
+		}
+
+		if (supports.anchor) {
+			attributes.anchor = STRING_ATTRIBUTE;
+		}
+
+		if (supports.ariaLabel) {
+			attributes.ariaLabel = STRING_ATTRIBUTE;
+		}
+
+		if (supports.align) {
+			const values = Array.isArray(supports.align) ? supports.align : ALIGN_VALUES;
+			attributes.align = { type: 'string', enum: [...values, ''] };
+		}
+
+		if (STYLE_SUPPORTS.some((support) => supports[support])) {
+			attributes.style = STYLE_ATTRIBUTE;
+		}
+
+		const color = supports.color;
+		if (color) {
+			if (color === true || color.background !== false) {
+				attributes.backgroundColor = STRING_ATTRIBUTE;
+			}
+			if (color === true || color.text !== false) {
+				attributes.textColor = STRING_ATTRIBUTE;
+			}
+			if (color.gradients) {
+				attributes.gradient = STRING_ATTRIBUTE;
+			}
+		}
+
+		const typography = supports.typography || {};
+		if (typography.fontSize) {
+			attributes.fontSize = STRING_ATTRIBUTE;
+		}
+		if (typography.fontFamily || typography.__experimentalFontFamily) {
+			attributes.fontFamily = STRING_ATTRIBUTE;
+		}
+
+		const border = supports.border || supports.__experimentalBorder;
+		if (border && (border === true || border.color)) {
+			attributes.borderColor = STRING_ATTRIBUTE;
+		}
+
+		if (supports.layout || supports.__experimentalLayout) {
+			attributes.layout = LAYOUT_ATTRIBUTE;
+		}
+
+		return attributes;
+	}
+
 	/**
 	 * Détermine si un bloc nécessite la progressive disclosure
 	 *
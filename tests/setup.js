@@ -0,0 +1,10 @@
+/**
+ * Setup Jest
+ *
+ * Exécuté avant chaque fichier de test : seules les erreurs sont journalisées.
+ *
+ * @package WordPress_Claude_Agent
+ * @since 1.0.0
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,205 @@
+/**
+ * Tests de la simulation d'opérations et du diff d'arbres de blocs
+ *
+ * simulateOperations applique un lot batch_block_operations normalisé à une copie
+ * de l'arbre ; diffBlockTrees classe les blocs ajoutés, supprimés, déplacés et modifiés ;
+ * hashBlockTree donne l'empreinte d'un arbre (aperçu encore applicable ou non).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { simulateOperations, diffBlockTrees, hashBlockTree, PREVIEW_ID_PREFIX } from '../../../src/agent/block-tree-diff.js';
+
+/**
+ * Bloc get_blocks_structure
+ */
+function block(agentId, name, attributes = {}, innerBlocks = []) {
+	return { clientId: `client-${agentId}`, agentId, name, attributes: { ...attributes, claudeAgentId: agentId }, innerBlocks };
+}
+
+/**
+ * Arbre : heading, group(paragraph p1, paragraph p2), image
+ */
+function sampleTree() {
+	return [
+		block('h1', 'core/heading', { content: 'Title', level: 2 }),
+		block('g1', 'core/group', {}, [
+			block('p1', 'core/paragraph', { content: 'First' }),
+			block('p2', 'core/paragraph', { content: 'Second' }),
+		]),
+		block('i1', 'core/image', { url: 'a.jpg' }),
+	];
+}
+
+/**
+ * IDs de l'arbre en profondeur, avec leur parent
+ */
+function outline(blocks, parent = null) {
+	return blocks.flatMap((entry) => [`${parent ? `${parent}>` : ''}${entry.agentId}`, ...outline(entry.innerBlocks, entry.agentId)]);
+}
+
+describe('simulateOperations', () => {
+	test('does not modify the original tree', () => {
+		const tree = sampleTree();
+		simulateOperations(tree, [
+			{ op: 'update', agentId: 'h1', attributes: { level: 3 } },
+			{ op: 'remove', agentId: 'p1' },
+		]);
+
+		expect(tree).toEqual(sampleTree());
+	});
+
+	test('inserts at the given index or at the end of the parent, with preview IDs', () => {
+		const result = simulateOperations(sampleTree(), [
+			{ op: 'insert', blockName: 'core/paragraph', attributes: { content: 'Intro' }, index: 0 },
+			{ op: 'insert', blockName: 'core/list', innerBlocks: [{ name: 'core/list-item' }], parentAgentId: 'g1' },
+		]);
+
+		expect(outline(result)).toEqual([
+			'preview-1', 'h1', 'g1', 'g1>p1', 'g1>p2', 'g1>preview-2', 'preview-2>preview-3', 'i1',
+		]);
+		expect(result[0].attributes).toEqual({ content: 'Intro', claudeAgentId: `${PREVIEW_ID_PREFIX}1` });
+	});
+
+	test('updates, replaces and removes blocks by agentId or clientId', () => {
+		const result = simulateOperations(sampleTree(), [
+			{ op: 'update', clientId: 'client-h1', attributes: { level: 3 } },
+			{ op: 'replace', agentId: 'i1', blockName: 'core/gallery' },
+			{ op: 'remove', agentId: 'p2' },
+		]);
+
+		expect(result[0].attributes).toMatchObject({ content: 'Title', level: 3 });
+		expect(result[2]).toMatchObject({ agentId: 'preview-1', name: 'core/gallery' });
+		expect(outline(result)).toEqual(['h1', 'g1', 'g1>p1', 'preview-1']);
+	});
+
+	test('moves a block within its parent or into another parent', () => {
+		const result = simulateOperations(sampleTree(), [
+			{ op: 'move', agentId: 'i1', toIndex: 0 },
+			{ op: 'move', agentId: 'h1', parentAgentId: 'g1', toIndex: 1 },
+		]);
+
+		expect(outline(result)).toEqual(['i1', 'g1', 'g1>p1', 'g1>h1', 'g1>p2']);
+	});
+
+	test('applies the undo fields: removeAttributes, toRoot and kept agent IDs', () => {
+		const result = simulateOperations(sampleTree(), [
+			{ op: 'update', agentId: 'h1', attributes: {}, removeAttributes: ['level'] },
+			{ op: 'move', agentId: 'p1', toIndex: 0, parentAgentId: null, toRoot: true },
+			{ op: 'insert', blockName: 'core/paragraph', attributes: { content: 'Back', claudeAgentId: 'p9' } },
+		]);
+
+		expect(result[1].attributes).toEqual({ content: 'Title', claudeAgentId: 'h1' });
+		expect(outline(result)).toEqual(['p1', 'h1', 'g1', 'g1>p2', 'i1', 'p9']);
+	});
+
+	test('later operations see the blocks created by earlier ones', () => {
+		const result = simulateOperations(sampleTree(), [
+			{ op: 'insert', blockName: 'core/group' },
+			{ op: 'move', agentId: 'h1', parentAgentId: 'preview-1' },
+		]);
+
+		expect(outline(result)).toEqual(['g1', 'g1>p1', 'g1>p2', 'i1', 'preview-1', 'preview-1>h1']);
+	});
+
+	test.each([
+		[[{ op: 'remove', agentId: 'missing' }], 'Operation 0 (remove) failed: Block missing not found'],
+		[[{ op: 'insert', blockName: 'core/paragraph', parentAgentId: 'missing' }], 'Operation 0 (insert) failed: Block missing not found'],
+		[[{ op: 'remove', agentId: 'p1' }, { op: 'update', agentId: 'p1', attributes: {} }], 'Operation 1 (update) failed: Block p1 not found'],
+		[[{ op: 'move', agentId: 'g1', parentAgentId: 'g1' }], 'A block cannot be moved inside itself'],
+		[[{ op: 'move', agentId: 'g1', parentAgentId: 'p1' }], 'A block cannot be moved inside itself'],
+	])('fails the whole batch on an invalid operation (%#)', (operations, message) => {
+		expect(() => simulateOperations(sampleTree(), operations)).toThrow(message);
+	});
+});
+
+describe('diffBlockTrees', () => {
+	test('reports nothing for identical trees', () => {
+		expect(diffBlockTrees(sampleTree(), sampleTree())).toEqual({
+			added: [],
+			removed: [],
+			moved: [],
+			changed: [],
+			summary: { added: 0, removed: 0, moved: 0, changed: 0 },
+		});
+	});
+
+	test('lists an added block once with its descendants count', () => {
+		const after = simulateOperations(sampleTree(), [
+			{ op: 'insert', blockName: 'core/columns', attributes: { align: 'wide' }, index: 1, innerBlocks: [{ name: 'core/column' }, { name: 'core/column' }] },
+		]);
+
+		expect(diffBlockTrees(sampleTree(), after).added).toEqual([
+			{ id: 'preview-1', name: 'core/columns', parent: null, index: 1, inner_blocks: 2, attributes: { align: 'wide' } },
+		]);
+	});
+
+	test('lists a removed block once with its descendants count', () => {
+		const after = simulateOperations(sampleTree(), [{ op: 'remove', agentId: 'g1' }]);
+		const diff = diffBlockTrees(sampleTree(), after);
+
+		expect(diff.removed).toEqual([{ id: 'g1', name: 'core/group', parent: null, index: 1, inner_blocks: 2 }]);
+		expect(diff.moved).toEqual([]);
+	});
+
+	test('does not count blocks shifted by an insertion or a removal as moved', () => {
+		const after = simulateOperations(sampleTree(), [
+			{ op: 'insert', blockName: 'core/paragraph', index: 0 },
+			{ op: 'remove', agentId: 'p1' },
+		]);
+
+		expect(diffBlockTrees(sampleTree(), after).summary).toEqual({ added: 1, removed: 1, moved: 0, changed: 0 });
+	});
+
+	test('reports a block moved within its parent', () => {
+		const after = simulateOperations(sampleTree(), [{ op: 'move', agentId: 'i1', toIndex: 0 }]);
+
+		expect(diffBlockTrees(sampleTree(), after).moved).toEqual([
+			{ id: 'i1', name: 'core/image', from: { parent: null, index: 2 }, to: { parent: null, index: 0 } },
+		]);
+	});
+
+	test('reports a block moved into another parent', () => {
+		const after = simulateOperations(sampleTree(), [{ op: 'move', agentId: 'h1', parentAgentId: 'g1' }]);
+
+		expect(diffBlockTrees(sampleTree(), after).moved).toEqual([
+			{ id: 'h1', name: 'core/heading', from: { parent: null, index: 0 }, to: { parent: 'g1', index: 2 } },
+		]);
+	});
+
+	test('reports changed attributes with their values before and after', () => {
+		const after = simulateOperations(sampleTree(), [
+			{ op: 'update', agentId: 'h1', attributes: { level: 3, textAlign: 'center' } },
+		]);
+
+		expect(diffBlockTrees(sampleTree(), after).changed).toEqual([
+			{
+				id: 'h1',
+				name: 'core/heading',
+				attributes: { level: { before: 2, after: 3 }, textAlign: { before: null, after: 'center' } },
+			},
+		]);
+	});
+
+	test('identifies blocks by clientId when they have no agentId', () => {
+		const before = [{ clientId: 'c1', name: 'core/paragraph', attributes: { content: 'a' }, innerBlocks: [] }];
+		const after = [{ clientId: 'c1', name: 'core/paragraph', attributes: { content: 'b' }, innerBlocks: [] }];
+
+		expect(diffBlockTrees(before, after).summary).toEqual({ added: 0, removed: 0, moved: 0, changed: 1 });
+	});
+});
+
+describe('hashBlockTree', () => {
+	test('ignores clientIds and the order of attribute keys', () => {
+		const reloaded = sampleTree().map((entry) => ({ ...entry, clientId: 'other', attributes: Object.fromEntries(Object.entries(entry.attributes).reverse()) }));
+
+		expect(hashBlockTree(reloaded)).toBe(hashBlockTree(sampleTree()));
+	});
+
+	test('changes when a block moves, changes or is added', () => {
+		const hash = hashBlockTree(sampleTree());
+
+		expect(hashBlockTree(simulateOperations(sampleTree(), [{ op: 'move', agentId: 'i1', toIndex: 0 }]))).not.toBe(hash);
+		expect(hashBlockTree(simulateOperations(sampleTree(), [{ op: 'update', agentId: 'p2', attributes: { content: 'Changed' } }]))).not.toBe(hash);
+		expect(hashBlockTree(simulateOperations(sampleTree(), [{ op: 'insert', blockName: 'core/paragraph', parentAgentId: 'g1' }]))).not.toBe(hash);
+	});
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests du budget d'un run
+ *
+ * Coût par modèle (cache inclus) et seuils de RunBudget.check : 'ok' tant qu'un tour
+ * normal suivi du résumé final tient dans le budget, 'final_turn' sinon, 'exhausted'
+ * quand la limite est atteinte.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+	RunBudget,
+	FINAL_TURN_MAX_TOKENS,
+	addUsage,
+	computeCost,
+	countBilledTokens,
+	createUsage,
+	getModelPricing,
+	MODEL_PRICING,
+} from '../../../src/agent/budget.js';
+
+const MODEL = 'claude-sonnet-4-5';
+
+/**
+ * Usage ne comptant que des tokens d'entrée
+ */
+function inputUsage(inputTokens) {
+	return { ...createUsage(), input_tokens: inputTokens };
+}
+
+describe('cost', () => {
+	test('uses the pricing of the model prefix, Sonnet for an unknown model', () => {
+		expect(getModelPricing('claude-haiku-4-5')).toBe(MODEL_PRICING['claude-haiku-4']);
+		expect(getModelPricing('claude-opus-4-1-20250805')).toBe(MODEL_PRICING['claude-opus-4-1']);
+		expect(getModelPricing('unknown-model')).toBe(MODEL_PRICING['claude-sonnet-4']);
+	});
+
+	test('uses the longest matching prefix for each Opus version', () => {
+		expect(getModelPricing('claude-opus-4-5-20251101')).toMatchObject({ input: 5, output: 25 });
+		expect(getModelPricing('claude-opus-4-1')).toMatchObject({ input: 15, output: 75 });
+		expect(getModelPricing('claude-opus-4-20250514')).toMatchObject({ input: 15, output: 75 });
+	});
+
+	test('prices input, output and prompt cache tokens', () => {
+		const cost = computeCost({
+			input_tokens: 1_000_000,
+			output_tokens: 100_000,
+			cache_creation_input_tokens: 200_000,
+			cache_read_input_tokens: 1_000_000,
+		}, MODEL);
+
+		expect(cost).toEqual({
+			model: MODEL,
+			input_cost_usd: 3,
+			output_cost_usd: 1.5,
+			cache_write_cost_usd: 0.75,
+			cache_read_cost_usd: 0.3,
+			total_cost_usd: 5.55,
+		});
+	});
+
+	test('adds usages and counts cache tokens as billed tokens', () => {
+		const total = createUsage();
+		addUsage(total, { input_tokens: 100, output_tokens: 20 });
+		addUsage(total, { input_tokens: 10, cache_read_input_tokens: 500 });
+
+		expect(total).toEqual({ input_tokens: 110, output_tokens: 20, cache_creation_input_tokens: 0, cache_read_input_tokens: 500 });
+		expect(countBilledTokens(total)).toBe(630);
+	});
+});
+
+describe('RunBudget.check', () => {
+	test('is always ok without limits', () => {
+		const budget = new RunBudget({}, MODEL);
+
+		expect(budget.isLimited()).toBe(false);
+		expect(budget.check(inputUsage(10_000_000), 1_000_000)).toBe('ok');
+	});
+
+	test('ignores zero or negative limits', () => {
+		expect(new RunBudget({ max_tokens: 0, max_cost_usd: -1 }, MODEL).isLimited()).toBe(false);
+	});
+
+	describe('max_tokens', () => {
+		const budget = new RunBudget({ max_tokens: 10_000 }, MODEL);
+		const nextInput = 1_000;
+		// Un tour normal puis le résumé final : 2 × (entrée estimée + FINAL_TURN_MAX_TOKENS)
+		const reserve = 2 * (nextInput + FINAL_TURN_MAX_TOKENS);
+
+		test('is ok while a turn and the final summary still fit', () => {
+			expect(budget.check(inputUsage(10_000 - reserve), nextInput)).toBe('ok');
+		});
+
+		test('asks for the final turn when they no longer fit', () => {
+			expect(budget.check(inputUsage(10_000 - reserve + 1), nextInput)).toBe('final_turn');
+			expect(budget.check(inputUsage(9_999), nextInput)).toBe('final_turn');
+		});
+
+		test('is exhausted once the limit is reached', () => {
+			expect(budget.check(inputUsage(10_000), nextInput)).toBe('exhausted');
+			expect(budget.check(inputUsage(12_000), nextInput)).toBe('exhausted');
+		});
+
+		test('a larger next call reaches the final turn sooner', () => {
+			expect(budget.check(inputUsage(4_000), 1_000)).toBe('ok');
+			expect(budget.check(inputUsage(4_000), 2_000)).toBe('final_turn');
+		});
+
+		test('counts cache tokens', () => {
+			expect(budget.check({ ...createUsage(), cache_read_input_tokens: 10_000 }, nextInput)).toBe('exhausted');
+		});
+	});
+
+	describe('max_cost_usd', () => {
+		// Sonnet : 3 $ / M tokens d'entrée, 15 $ / M de sortie
+		const budget = new RunBudget({ max_cost_usd: 1 }, MODEL);
+		const nextInput = 10_000;
+		// Réserve pour un tour et le résumé : 2 × (10 000 × 3 $ + 1 024 × 15 $) / M = 0.09072 $
+
+		test('is ok while a turn and the final summary still fit', () => {
+			// 0.90 $ dépensés + 0.09072 $ de réserve < 1 $
+			expect(budget.check({ ...createUsage(), output_tokens: 60_000 }, nextInput)).toBe('ok');
+		});
+
+		test('asks for the final turn when they no longer fit', () => {
+			// 0.93 $ dépensés + 0.09072 $ de réserve > 1 $
+			expect(budget.check({ ...createUsage(), output_tokens: 62_000 }, nextInput)).toBe('final_turn');
+		});
+
+		test('is exhausted once the limit is reached', () => {
+			expect(budget.check({ ...createUsage(), output_tokens: 66_667 }, nextInput)).toBe('exhausted');
+		});
+
+		test('uses the pricing of the run model', () => {
+			const haiku = new RunBudget({ max_cost_usd: 1 }, 'claude-haiku-4-5');
+
+			expect(haiku.check(inputUsage(400_000), nextInput)).toBe('ok');
+			expect(budget.check(inputUsage(400_000), nextInput)).toBe('exhausted');
+		});
+	});
+
+	test('the first limit reached applies when both are set', () => {
+		const budget = new RunBudget({ max_tokens: 1_000_000, max_cost_usd: 0.01 }, MODEL);
+
+		expect(budget.check(inputUsage(3_400), 100)).toBe('exhausted');
+		expect(budget.check(inputUsage(1_000), 100)).toBe('final_turn');
+	});
+});
+
+describe('RunBudget.recordModelUsage', () => {
+	test('prices the usage of another model at its own rate', () => {
+		const budget = new RunBudget({ max_cost_usd: 1 }, MODEL);
+		// 1 M tokens d'entrée : 1 $ en Haiku au lieu de 3 $ en Sonnet
+		const summary = { input_tokens: 1_000_000 };
+		const total = addUsage(inputUsage(100_000), summary);
+
+		budget.recordModelUsage(summary, 'claude-haiku-4-5');
+
+		expect(budget.getReport(total)).toMatchObject({ input_cost_usd: 1.3, total_cost_usd: 1.3, total_tokens: 1_100_000 });
+		expect(budget.check(total, 1_000)).toBe('exhausted');
+	});
+
+	test('ignores the usage of the run model, already priced at its rate', () => {
+		const budget = new RunBudget({}, MODEL);
+		budget.recordModelUsage({ input_tokens: 1_000_000 }, MODEL);
+
+		expect(budget.getReport(inputUsage(1_000_000)).total_cost_usd).toBe(3);
+	});
+});
+
+describe('RunBudget.getReport', () => {
+	test('reports the cost, the billed tokens and the limits', () => {
+		const report = new RunBudget({ max_tokens: 5_000 }, MODEL).getReport({ input_tokens: 1_000, output_tokens: 100 });
+
+		expect(report).toMatchObject({
+			model: MODEL,
+			total_cost_usd: 0.0045,
+			total_tokens: 1_100,
+			max_tokens: 5_000,
+			max_cost_usd: null,
+		});
+	});
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests de la compaction de l'historique
+ *
+ * Stubs des résultats de tools périmés, résumé des anciens tours (modèle configurable,
+ * usage renvoyé) et validité de l'historique compacté : paires tool_use / tool_result
+ * intactes, pas deux messages utilisateur consécutifs.
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { HistoryCompactor } from '../../../src/agent/history-compactor.js';
+
+const TOOLS = [
+	{ name: 'get_blocks_structure', permission: 'read' },
+	{ name: 'get_page', permission: 'read' },
+	{ name: 'update_block_by_agent_id', permission: 'edit' },
+];
+
+const LONG = 'x'.repeat(2000);
+
+/**
+ * Client Anthropic factice : le résumé renvoie un texte fixe et un usage
+ */
+function createClient(usage = { input_tokens: 3000, output_tokens: 200 }) {
+	return {
+		sendMessage: jest.fn(async () => ({ content: [{ type: 'text', text: 'Summary of the work' }], usage })),
+		extractText: (response) => response.content[0].text,
+		estimateTokens: (text) => Math.ceil(text.length / 4),
+	};
+}
+
+/**
+ * Tour assistant appelant un tool, suivi de son résultat
+ */
+function toolTurn(id, name, content = LONG) {
+	return [
+		{ role: 'assistant', content: [{ type: 'tool_use', id, name, input: {} }] },
+		{ role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content }] },
+	];
+}
+
+/**
+ * Contenu d'un tool_result de l'historique
+ */
+function resultOf(history, id) {
+	return history.flatMap((message) => (Array.isArray(message.content) ? message.content : []))
+		.find((block) => block.type === 'tool_result' && block.tool_use_id === id).content;
+}
+
+/**
+ * Vérifie l'alternance des rôles et que chaque tool_result suit son tool_use
+ */
+function expectValidHistory(history) {
+	expect(history[0].role).toBe('user');
+	history.forEach((message, index) => {
+		if (index > 0) {
+			expect(message.role).not.toBe(history[index - 1].role);
+		}
+		const results = Array.isArray(message.content) ? message.content.filter((block) => block.type === 'tool_result') : [];
+		for (const result of results) {
+			expect(history[index - 1].content).toContainEqual(expect.objectContaining({ type: 'tool_use', id: result.tool_use_id }));
+		}
+	});
+}
+
+describe('stubStaleToolResults', () => {
+	test('stubs a read followed by a modification', () => {
+		const history = [
+			{ role: 'user', content: 'Edit the title' },
+			...toolTurn('read-1', 'get_blocks_structure'),
+			...toolTurn('edit-1', 'update_block_by_agent_id'),
+		];
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 10 });
+
+		expect(compactor.stubStaleToolResults(history)).toBe(1);
+		expect(resultOf(history, 'read-1')).toBe('[Stale result of get_blocks_structure (2000 chars) removed to save context. Call the tool again if you need this data.]');
+		expect(resultOf(history, 'edit-1')).toBe(LONG);
+	});
+
+	test('stubs a read superseded by a new call of the same tool, not other reads', () => {
+		const history = [
+			{ role: 'user', content: 'Check the page' },
+			...toolTurn('structure-1', 'get_blocks_structure'),
+			...toolTurn('page-1', 'get_page'),
+			...toolTurn('structure-2', 'get_blocks_structure'),
+		];
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 10 });
+
+		expect(compactor.stubStaleToolResults(history)).toBe(1);
+		expect(resultOf(history, 'structure-1')).toMatch(/^\[Stale result of get_blocks_structure/);
+		expect(resultOf(history, 'page-1')).toBe(LONG);
+		expect(resultOf(history, 'structure-2')).toBe(LONG);
+	});
+
+	test('stubs any large result outside the recent messages', () => {
+		const history = [
+			{ role: 'user', content: 'Go' },
+			...toolTurn('edit-1', 'update_block_by_agent_id'),
+			...toolTurn('page-1', 'get_page'),
+			...toolTurn('page-2', 'get_page', 'short'),
+		];
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 2 });
+
+		expect(compactor.stubStaleToolResults(history)).toBe(2);
+		expect(resultOf(history, 'edit-1')).toMatch(/^\[Stale result of update_block_by_agent_id/);
+		expect(resultOf(history, 'page-2')).toBe('short');
+	});
+
+	test('keeps small results and does not stub a stub again', () => {
+		const history = [
+			{ role: 'user', content: 'Go' },
+			...toolTurn('read-1', 'get_blocks_structure', 'small'),
+			...toolTurn('read-2', 'get_blocks_structure'),
+			...toolTurn('edit-1', 'update_block_by_agent_id'),
+		];
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 10 });
+
+		expect(compactor.stubStaleToolResults(history)).toBe(1);
+		expect(compactor.stubStaleToolResults(history)).toBe(0);
+		expect(resultOf(history, 'read-1')).toBe('small');
+	});
+
+	test('counts an image as the text of the same cost', () => {
+		const screenshot = [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'abc' } }];
+		const history = [
+			{ role: 'user', content: 'Go' },
+			...toolTurn('shot-1', 'get_page', screenshot),
+			...toolTurn('edit-1', 'update_block_by_agent_id'),
+		];
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 10 });
+
+		expect(compactor.stubStaleToolResults(history)).toBe(1);
+		expect(resultOf(history, 'shot-1')).toMatch(/^\[Stale result of get_page \(6400 chars\)/);
+	});
+});
+
+describe('summarizeOlderTurns', () => {
+	/**
+	 * Deux tours utilisateur complets puis un troisième en cours
+	 */
+	function longHistory(lastTurnContent = 'Now add an image') {
+		return [
+			{ role: 'user', content: 'Create a landing page' },
+			...toolTurn('edit-1', 'update_block_by_agent_id', 'ok'),
+			{ role: 'assistant', content: [{ type: 'text', text: 'Done.' }] },
+			{ role: 'user', content: 'Change the title' },
+			...toolTurn('edit-2', 'update_block_by_agent_id', 'ok'),
+			{ role: 'assistant', content: [{ type: 'text', text: 'Title changed.' }] },
+			{ role: 'user', content: lastTurnContent },
+			...toolTurn('edit-3', 'update_block_by_agent_id', 'ok'),
+		];
+	}
+
+	test('merges the summary into the next user turn instead of adding a user message', async () => {
+		const history = longHistory();
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 3 });
+
+		const { messages } = await compactor.summarizeOlderTurns(history);
+
+		expect(messages).toBe(8);
+		expect(history).toHaveLength(3);
+		expect(history[0]).toEqual({
+			role: 'user',
+			content: 'CONVERSATION SUMMARY (earlier turns were compacted):\nSummary of the work\n\nNow add an image',
+		});
+		expectValidHistory(history);
+	});
+
+	test('keeps the content blocks of the next user turn', async () => {
+		const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'abc' } };
+		const history = longHistory([{ type: 'text', text: 'Use this image' }, image]);
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 3 });
+
+		await compactor.summarizeOlderTurns(history);
+
+		expect(history[0].content).toEqual([
+			{ type: 'text', text: 'CONVERSATION SUMMARY (earlier turns were compacted):\nSummary of the work' },
+			{ type: 'text', text: 'Use this image' },
+			image,
+		]);
+		expectValidHistory(history);
+	});
+
+	test('never cuts between a tool_use and its tool_result', async () => {
+		const history = longHistory();
+		const compactor = new HistoryCompactor(createClient(), TOOLS, { keepRecentMessages: 6 });
+
+		await compactor.summarizeOlderTurns(history);
+
+		expect(history[0].content).toMatch(/Change the title$/);
+		expectValidHistory(history);
+	});
+
+	test('does nothing when no user turn can start the kept history', async () => {
+		const history = [{ role: 'user', content: 'Go' }, ...toolTurn('a', 'get_page'), ...toolTurn('b', 'get_page')];
+		const client = createClient();
+
+		expect(await new HistoryCompactor(client, TOOLS, { keepRecentMessages: 2 }).summarizeOlderTurns(history)).toEqual({ messages: 0, usage: null });
+		expect(client.sendMessage).not.toHaveBeenCalled();
+	});
+
+	test('leaves the history intact when the summary call fails', async () => {
+		const history = longHistory();
+		const client = createClient();
+		client.sendMessage.mockRejectedValue(new Error('overloaded'));
+
+		expect(await new HistoryCompactor(client, TOOLS, { keepRecentMessages: 3 }).summarizeOlderTurns(history)).toEqual({ messages: 0, usage: null });
+		expect(history).toEqual(longHistory());
+	});
+});
+
+describe('compact', () => {
+	test('summarizes with the configured model and returns its usage', async () => {
+		const usage = { input_tokens: 4000, output_tokens: 150 };
+		const client = createClient(usage);
+		const history = [
+			{ role: 'user', content: LONG.repeat(5) },
+			{ role: 'assistant', content: [{ type: 'text', text: 'Done.' }] },
+			{ role: 'user', content: 'Next' },
+			{ role: 'assistant', content: [{ type: 'text', text: 'Ok.' }] },
+		];
+		const compactor = new HistoryCompactor(client, TOOLS, { maxHistoryTokens: 1000, keepRecentMessages: 2, summaryModel: 'claude-3-5-haiku-latest' });
+
+		const result = await compactor.compact(history);
+
+		expect(client.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-3-5-haiku-latest' }));
+		expect(result).toEqual({ stubbed: 0, summarized_messages: 2, usage, model: 'claude-3-5-haiku-latest' });
+	});
+
+	test('does not call the model under the threshold', async () => {
+		const client = createClient();
+		const history = [{ role: 'user', content: 'Hello' }];
+
+		expect(await new HistoryCompactor(client, TOOLS).compact(history)).toEqual({ stubbed: 0, summarized_messages: 0, usage: null, model: 'claude-haiku-4-5' });
+		expect(client.sendMessage).not.toHaveBeenCalled();
+	});
+});
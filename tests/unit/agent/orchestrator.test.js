@@ -0,0 +1,172 @@
+/**
+ * Tests de l'exécution des tool calls d'une itération (Orchestrator.executeToolCalls)
+ *
+ * Lectures consécutives en parallèle (MAX_PARALLEL_TOOLS), modifications une par une
+ * via la file de la session d'éditeur (y compris entre deux runs), tool_result dans
+ * l'ordre des tool_use même en cas d'erreur ou d'annulation.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { Orchestrator } from '../../../src/agent/orchestrator.js';
+import { TOOL_PERMISSIONS } from '../../../src/agent/permissions.js';
+
+/**
+ * Attend quelques millisecondes
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Orchestrateur avec des tools factices qui enregistrent leurs exécutions
+ *
+ * Chaque tool attend input.ms puis renvoie { done: input.label } (ou échoue si input.fail).
+ */
+function createOrchestrator() {
+	const tracker = { running: 0, maxRunning: 0, events: [] };
+
+	const handler = async (input) => {
+		tracker.running++;
+		tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+		tracker.events.push(`start:${input.label}`);
+		await sleep(input.ms || 0);
+		tracker.events.push(`end:${input.label}`);
+		tracker.running--;
+
+		if (input.fail) {
+			throw new Error(`${input.label} failed`);
+		}
+		return { success: true, done: input.label };
+	};
+
+	const orchestrator = new Orchestrator({});
+	orchestrator.tools = [
+		{ name: 'get_blocks_structure', permission: TOOL_PERMISSIONS.READ, handler },
+		{ name: 'update_block_by_agent_id', permission: TOOL_PERMISSIONS.EDIT, handler },
+		{ name: 'delegate_to_design_agent', permission: TOOL_PERMISSIONS.READ, sequential: true, handler },
+	];
+	orchestrator.anthropicClient = {
+		formatToolResult: (id, result) => ({ type: 'tool_result', tool_use_id: id, content: JSON.stringify(result) }),
+	};
+
+	return { orchestrator, tracker };
+}
+
+let nextId = 0;
+
+/**
+ * Bloc tool_use
+ */
+function toolUse(name, label, ms = 0, extra = {}) {
+	return { type: 'tool_use', id: `toolu_${++nextId}`, name, input: { label, ms, ...extra } };
+}
+
+const read = (label, ms) => toolUse('get_blocks_structure', label, ms);
+const mutation = (label, ms, extra) => toolUse('update_block_by_agent_id', label, ms, extra);
+
+describe('Orchestrator.executeToolCalls', () => {
+	test('returns one tool_result per tool_use, in the tool_use order', async () => {
+		const { orchestrator } = createOrchestrator();
+		const toolCalls = [read('r1', 30), read('r2', 5), mutation('m1', 10), read('r3', 20), read('r4', 1)];
+
+		const results = await orchestrator.executeToolCalls(toolCalls, { editorSessionKey: 'post:1' });
+
+		expect(results.map((result) => result.tool_use_id)).toEqual(toolCalls.map((toolCall) => toolCall.id));
+		expect(results.map((result) => JSON.parse(result.content).done)).toEqual(['r1', 'r2', 'm1', 'r3', 'r4']);
+	});
+
+	test('runs consecutive reads in parallel, up to MAX_PARALLEL_TOOLS at once', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+
+		await orchestrator.executeToolCalls(
+			['r1', 'r2', 'r3', 'r4', 'r5', 'r6'].map((label) => read(label, 10)),
+			{ editorSessionKey: 'post:1' }
+		);
+
+		expect(tracker.maxRunning).toBe(4);
+	});
+
+	test('runs the mutations one by one in the requested order, reads after them waiting', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+
+		await orchestrator.executeToolCalls([mutation('m1', 20), mutation('m2', 5), read('r1', 1), mutation('m3', 1)], { editorSessionKey: 'post:1' });
+
+		expect(tracker.maxRunning).toBe(1);
+		expect(tracker.events).toEqual(['start:m1', 'end:m1', 'start:m2', 'end:m2', 'start:r1', 'end:r1', 'start:m3', 'end:m3']);
+	});
+
+	test('keeps the sequential read tools out of the parallel reads', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+
+		await orchestrator.executeToolCalls(
+			[read('r1', 10), toolUse('delegate_to_design_agent', 'd1', 10), read('r2', 10)],
+			{ editorSessionKey: 'post:1' }
+		);
+
+		expect(tracker.maxRunning).toBe(1);
+		expect(tracker.events).toEqual(['start:r1', 'end:r1', 'start:d1', 'end:d1', 'start:r2', 'end:r2']);
+	});
+
+	test('serializes the mutations of two runs on the same editor session', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+
+		await Promise.all([
+			orchestrator.executeToolCalls([mutation('a1', 20), mutation('a2', 20)], { runId: 'run-a', editorSessionKey: 'post:1' }),
+			orchestrator.executeToolCalls([mutation('b1', 5), mutation('b2', 5)], { runId: 'run-b', editorSessionKey: 'post:1' }),
+		]);
+
+		expect(tracker.maxRunning).toBe(1);
+		expect(tracker.events.filter((event) => event.startsWith('start:'))).toEqual(['start:a1', 'start:b1', 'start:a2', 'start:b2']);
+	});
+
+	test('runs the mutations of different editor sessions in parallel', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+
+		await Promise.all([
+			orchestrator.executeToolCalls([mutation('a1', 20)], { editorSessionKey: 'post:1' }),
+			orchestrator.executeToolCalls([mutation('b1', 20)], { editorSessionKey: 'post:2' }),
+		]);
+
+		expect(tracker.maxRunning).toBe(2);
+	});
+
+	test('returns a failed mutation as an error tool_result and runs the next ones', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+		const toolCalls = [mutation('m1', 1, { fail: true }), mutation('m2', 1)];
+
+		const results = await orchestrator.executeToolCalls(toolCalls, { editorSessionKey: 'post:1' });
+
+		expect(results[0]).toMatchObject({ tool_use_id: toolCalls[0].id, is_error: true });
+		expect(JSON.parse(results[0].content)).toEqual({ error: true, message: 'm1 failed' });
+		expect(JSON.parse(results[1].content).done).toBe('m2');
+		expect(tracker.events).toContain('end:m2');
+	});
+
+	test('pairs every tool_use with an error tool_result once the run is cancelled', async () => {
+		const { orchestrator, tracker } = createOrchestrator();
+		const controller = new AbortController();
+		controller.abort('user_cancelled');
+		const toolCalls = [read('r1'), mutation('m1')];
+
+		const results = await orchestrator.executeToolCalls(toolCalls, { editorSessionKey: 'post:1', signal: controller.signal }, { signal: controller.signal });
+
+		expect(results.map((result) => [result.tool_use_id, result.is_error])).toEqual([[toolCalls[0].id, true], [toolCalls[1].id, true]]);
+		expect(tracker.events).toEqual([]);
+	});
+
+	test('emits the tool calls and results of each tool', async () => {
+		const { orchestrator } = createOrchestrator();
+		const events = [];
+
+		await orchestrator.executeToolCalls([read('r1'), mutation('m1')], { editorSessionKey: 'post:1' }, {
+			emit: (type, data) => events.push([type, data.toolName]),
+		});
+
+		expect(events).toEqual([
+			['tool_call', 'get_blocks_structure'],
+			['tool_result', 'get_blocks_structure'],
+			['tool_call', 'update_block_by_agent_id'],
+			['tool_result', 'update_block_by_agent_id'],
+		]);
+	});
+});
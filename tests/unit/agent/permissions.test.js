@@ -0,0 +1,122 @@
+/**
+ * Tests des permissions des tools
+ *
+ * Décision par mode de session (read-only, suggest, full) selon le niveau déclaré
+ * par le tool, filtrage des tools des sub-agents et tools parallélisables.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+	TOOL_PERMISSIONS,
+	PERMISSION_MODES,
+	DEFAULT_PERMISSION_MODE,
+	isValidPermissionMode,
+	getToolPermission,
+	checkToolPermission,
+	filterToolsByPermission,
+	isParallelSafe,
+	getPermissionModePrompt,
+} from '../../../src/agent/permissions.js';
+
+const READ_TOOL = { name: 'get_blocks_structure', permission: TOOL_PERMISSIONS.READ };
+const EDIT_TOOL = { name: 'update_block_by_agent_id', permission: TOOL_PERMISSIONS.EDIT };
+const DESTRUCTIVE_TOOL = { name: 'remove_block', permission: TOOL_PERMISSIONS.DESTRUCTIVE };
+const UNDECLARED_TOOL = { name: 'legacy_tool' };
+
+describe('getToolPermission', () => {
+	test('returns the declared permission', () => {
+		expect(getToolPermission(READ_TOOL)).toBe(TOOL_PERMISSIONS.READ);
+		expect(getToolPermission(EDIT_TOOL)).toBe(TOOL_PERMISSIONS.EDIT);
+	});
+
+	test('treats a missing or unknown permission as destructive', () => {
+		expect(getToolPermission(UNDECLARED_TOOL)).toBe(TOOL_PERMISSIONS.DESTRUCTIVE);
+		expect(getToolPermission({ name: 'typo', permission: 'reads' })).toBe(TOOL_PERMISSIONS.DESTRUCTIVE);
+		expect(getToolPermission(null)).toBe(TOOL_PERMISSIONS.DESTRUCTIVE);
+	});
+});
+
+describe('checkToolPermission', () => {
+	test('allows every tool in full mode, the default', () => {
+		expect(DEFAULT_PERMISSION_MODE).toBe(PERMISSION_MODES.FULL);
+
+		for (const tool of [READ_TOOL, EDIT_TOOL, DESTRUCTIVE_TOOL, UNDECLARED_TOOL]) {
+			expect(checkToolPermission(tool)).toEqual({ decision: 'allow', permission: getToolPermission(tool), reason: null });
+		}
+	});
+
+	test('allows read tools in every mode', () => {
+		for (const mode of Object.values(PERMISSION_MODES)) {
+			expect(checkToolPermission(READ_TOOL, mode).decision).toBe('allow');
+		}
+	});
+
+	test('holds the edit and destructive tools in suggest mode', () => {
+		for (const tool of [EDIT_TOOL, DESTRUCTIVE_TOOL, UNDECLARED_TOOL]) {
+			const result = checkToolPermission(tool, PERMISSION_MODES.SUGGEST);
+
+			expect(result.decision).toBe('hold');
+			expect(result.reason).toContain(`Tool "${tool.name}"`);
+			expect(result.reason).toContain('"suggest" mode');
+		}
+	});
+
+	test('denies the edit and destructive tools in read-only mode', () => {
+		for (const tool of [EDIT_TOOL, DESTRUCTIVE_TOOL]) {
+			const result = checkToolPermission(tool, PERMISSION_MODES.READ_ONLY);
+
+			expect(result).toMatchObject({ decision: 'deny', permission: tool.permission });
+			expect(result.reason).toContain('"read-only" mode');
+		}
+	});
+
+	test('denies the non-read tools in an unknown mode', () => {
+		expect(checkToolPermission(EDIT_TOOL, 'admin').decision).toBe('deny');
+		expect(checkToolPermission(READ_TOOL, 'admin').decision).toBe('allow');
+	});
+});
+
+describe('isValidPermissionMode', () => {
+	test('accepts only the session modes', () => {
+		expect(Object.values(PERMISSION_MODES).every(isValidPermissionMode)).toBe(true);
+		expect(isValidPermissionMode('readonly')).toBe(false);
+		expect(isValidPermissionMode(undefined)).toBe(false);
+	});
+});
+
+describe('filterToolsByPermission', () => {
+	const tools = [READ_TOOL, EDIT_TOOL, DESTRUCTIVE_TOOL, UNDECLARED_TOOL];
+
+	test('keeps only the read tools in read-only mode', () => {
+		expect(filterToolsByPermission(tools, PERMISSION_MODES.READ_ONLY)).toEqual([READ_TOOL]);
+	});
+
+	test('keeps the tools held for review in suggest mode', () => {
+		expect(filterToolsByPermission(tools, PERMISSION_MODES.SUGGEST)).toEqual(tools);
+	});
+
+	test('keeps every tool in full mode', () => {
+		expect(filterToolsByPermission(tools)).toEqual(tools);
+	});
+});
+
+describe('isParallelSafe', () => {
+	test('parallelizes only the read tools', () => {
+		expect(isParallelSafe(READ_TOOL)).toBe(true);
+		expect(isParallelSafe(EDIT_TOOL)).toBe(false);
+		expect(isParallelSafe(DESTRUCTIVE_TOOL)).toBe(false);
+		expect(isParallelSafe(UNDECLARED_TOOL)).toBe(false);
+	});
+
+	test('keeps the sequential read tools out of parallel batches', () => {
+		expect(isParallelSafe({ ...READ_TOOL, name: 'delegate_to_design_agent', sequential: true })).toBe(false);
+	});
+});
+
+describe('getPermissionModePrompt', () => {
+	test('adds an instruction only in read-only and suggest modes', () => {
+		expect(getPermissionModePrompt(PERMISSION_MODES.READ_ONLY)).toContain('read-only');
+		expect(getPermissionModePrompt(PERMISSION_MODES.SUGGEST)).toContain('suggest');
+		expect(getPermissionModePrompt(PERMISSION_MODES.FULL)).toBe('');
+	});
+});
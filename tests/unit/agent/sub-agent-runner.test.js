@@ -0,0 +1,123 @@
+/**
+ * Tests de la boucle des sub-agents
+ *
+ * Tools exécutés par le contexte du run, usage compté dans le budget du run, arrêt du
+ * sub-agent quand le budget est épuisé ou le run annulé (signal transmis aux appels
+ * Anthropic, plus aucune commande envoyée).
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import { runSubAgent } from '../../../src/agent/sub-agents/sub-agent-runner.js';
+import { RunCancelledError } from '../../../src/utils/errors.js';
+import { getPendingRequestsManager } from '../../../src/services/pending-requests-manager.js';
+
+const TOOLS = [{ name: 'update_block_by_agent_id', description: 'Update', input_schema: { type: 'object' } }];
+
+/**
+ * Réponse du modèle appelant update_block_by_agent_id
+ */
+function toolUseResponse(id) {
+	return {
+		stop_reason: 'tool_use',
+		content: [{ type: 'tool_use', id, name: 'update_block_by_agent_id', input: { agentId: 'h1' } }],
+		usage: { input_tokens: 100, output_tokens: 10 },
+	};
+}
+
+/**
+ * Client Anthropic factice renvoyant les réponses dans l'ordre
+ */
+function createClient(responses) {
+	return {
+		sendMessage: jest.fn(async () => responses.shift()),
+		extractToolCalls: (response) => response.content.filter((block) => block.type === 'tool_use'),
+		extractText: (response) => response.content.find((block) => block.type === 'text')?.text || '',
+		formatToolResult: (id, result) => ({ type: 'tool_result', tool_use_id: id, content: JSON.stringify(result) }),
+	};
+}
+
+/**
+ * Paramètres de runSubAgent
+ */
+function params(anthropicClient, runContext) {
+	return { agent: 'design', label: 'Design Agent', anthropicClient, systemPrompt: 'You design.', task: 'Fix the title', tools: TOOLS, runContext };
+}
+
+describe('runSubAgent', () => {
+	test('runs the tools through the run context until the final answer', async () => {
+		const client = createClient([toolUseResponse('t1'), { stop_reason: 'end_turn', content: [{ type: 'text', text: 'Done' }] }]);
+		const executeTool = jest.fn(async () => ({ success: true }));
+
+		const result = await runSubAgent(params(client, { executeTool }));
+
+		expect(executeTool).toHaveBeenCalledWith('update_block_by_agent_id', { agentId: 'h1' });
+		expect(result).toMatchObject({ success: true, message: 'Done', iterations: 2 });
+	});
+
+	test('counts each model call in the run usage', async () => {
+		const client = createClient([toolUseResponse('t1'), { stop_reason: 'end_turn', content: [], usage: { input_tokens: 200, output_tokens: 20 } }]);
+		client.defaultModel = 'claude-sonnet-4-5';
+		const recordUsage = jest.fn();
+
+		await runSubAgent(params(client, { executeTool: async () => ({ success: true }), recordUsage }));
+
+		expect(recordUsage.mock.calls).toEqual([
+			[{ input_tokens: 100, output_tokens: 10 }, 'claude-sonnet-4-5'],
+			[{ input_tokens: 200, output_tokens: 20 }, 'claude-sonnet-4-5'],
+		]);
+	});
+
+	test('stops without calling the model once the run budget is exhausted', async () => {
+		const client = createClient([toolUseResponse('t1'), toolUseResponse('t2')]);
+		const states = ['ok', 'exhausted'];
+
+		const result = await runSubAgent(params(client, {
+			executeTool: async () => ({ success: true }),
+			checkBudget: () => states.shift(),
+		}));
+
+		expect(client.sendMessage).toHaveBeenCalledTimes(1);
+		expect(result).toMatchObject({ success: false, budget_exhausted: true, iterations: 1 });
+	});
+
+	test('passes the run signal to the model calls', async () => {
+		const controller = new AbortController();
+		const client = createClient([{ stop_reason: 'end_turn', content: [] }]);
+
+		await runSubAgent(params(client, { signal: controller.signal }));
+
+		expect(client.sendMessage).toHaveBeenCalledWith(expect.objectContaining({ signal: controller.signal }));
+	});
+
+	test('stops before the next model call once the run is cancelled', async () => {
+		const controller = new AbortController();
+		const client = createClient([toolUseResponse('t1'), toolUseResponse('t2')]);
+		const executeTool = jest.fn(async () => {
+			controller.abort('user_cancelled');
+			return { success: true };
+		});
+
+		await expect(runSubAgent(params(client, { runId: 'run-1', signal: controller.signal, executeTool })))
+			.rejects.toThrow(RunCancelledError);
+		expect(client.sendMessage).toHaveBeenCalledTimes(1);
+		expect(executeTool).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('PendingRequestsManager run cancellation', () => {
+	test('rejects the requests a cancelled run creates afterwards', async () => {
+		const manager = getPendingRequestsManager();
+		const error = new Error('Run run-2 cancelled (user_cancelled)');
+
+		manager.rejectRunRequests('run-2', error);
+
+		await expect(manager.createPendingRequest('req-1', 1000, 'run-2')).rejects.toBe(error);
+
+		manager.forgetRun('run-2');
+		const pending = manager.createPendingRequest('req-2', 1000, 'run-2');
+		manager.resolvePendingRequest('req-2', { ok: true });
+		await expect(pending).resolves.toEqual({ ok: true });
+
+		manager.destroy();
+	});
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests du journal des modifications
+ *
+ * buildInverseOperations construit, depuis l'acquittement de l'éditeur (before, block / blocks),
+ * les opérations batch_block_operations qui annulent chaque type de commande.
+ * simulateOperations vérifie que l'inverse ramène l'arbre à son état d'origine.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { EditJournal, buildInverseOperations } from '../../../src/services/edit-journal.js';
+import { simulateOperations } from '../../../src/agent/block-tree-diff.js';
+
+const heading = {
+	agentId: 'h1',
+	clientId: 'client-h1',
+	name: 'core/heading',
+	attributes: { content: 'Old title', level: 2, claudeAgentId: 'h1' },
+	innerBlocks: [],
+};
+
+const group = {
+	agentId: 'g1',
+	clientId: 'client-g1',
+	name: 'core/group',
+	attributes: { claudeAgentId: 'g1' },
+	innerBlocks: [{ agentId: 'p1', clientId: 'client-p1', name: 'core/paragraph', attributes: { content: 'Text', claudeAgentId: 'p1' }, innerBlocks: [] }],
+};
+
+/**
+ * Arbre sans clientId (un bloc réinséré reçoit un nouveau clientId de l'éditeur)
+ */
+function withoutClientIds(blocks) {
+	return blocks.map(({ clientId, innerBlocks, ...block }) => ({ ...block, innerBlocks: withoutClientIds(innerBlocks) }));
+}
+
+describe('buildInverseOperations', () => {
+	test('update restores the previous values of the changed attributes only', () => {
+		const inverse = buildInverseOperations(
+			'update_block_by_agent_id',
+			{ agentId: 'h1', attributes: { content: 'New title' } },
+			{ before: { block: heading } }
+		);
+
+		expect(inverse).toEqual([{ op: 'update', agentId: 'h1', attributes: { content: 'Old title' } }]);
+	});
+
+	test('update removes the attributes the block did not have instead of setting them to null', () => {
+		const inverse = buildInverseOperations(
+			'update_block_by_agent_id',
+			{ agentId: 'h1', attributes: { level: 3, textAlign: 'center', fontSize: null } },
+			{ before: { block: heading } }
+		);
+
+		expect(inverse).toEqual([
+			{ op: 'update', agentId: 'h1', attributes: { level: 2 }, removeAttributes: ['textAlign', 'fontSize'] },
+		]);
+	});
+
+	test('update restores the attributes it removed', () => {
+		const inverse = buildInverseOperations(
+			'update_block_by_agent_id',
+			{ agentId: 'h1', attributes: { level: 3 }, removeAttributes: ['content'] },
+			{ before: { block: heading } }
+		);
+
+		expect(inverse).toEqual([{ op: 'update', agentId: 'h1', attributes: { level: 2, content: 'Old title' } }]);
+	});
+
+	test('the inverse of an update gives back the original attributes', () => {
+		const update = { op: 'update', agentId: 'h1', attributes: { level: 3, textAlign: 'center' } };
+		const [after] = simulateOperations([heading], [update]);
+		const inverse = buildInverseOperations('update_block_by_agent_id', update, { before: { block: heading }, block: after });
+
+		expect(simulateOperations([after], inverse)[0].attributes).toEqual(heading.attributes);
+	});
+
+	test('update by clientId targets the block by its agentId when it has one', () => {
+		const inverse = buildInverseOperations('update_block_by_clientid', { clientId: 'client-h1', attributes: { level: 3 } }, { before: { block: heading } });
+
+		expect(inverse[0]).toMatchObject({ agentId: 'h1' });
+		expect(inverse[0]).not.toHaveProperty('clientId');
+	});
+
+	test.each(['insert_block', 'duplicate_block_by_agent_id'])('%s removes the created block', (action) => {
+		expect(buildInverseOperations(action, {}, { block: heading })).toEqual([{ op: 'remove', agentId: 'h1' }]);
+	});
+
+	test('insert_pattern removes every inserted block', () => {
+		expect(buildInverseOperations('insert_pattern', {}, { blocks: [heading, group] })).toEqual([
+			{ op: 'remove', agentId: 'h1' },
+			{ op: 'remove', agentId: 'g1' },
+		]);
+	});
+
+	test.each(['remove_block', 'remove_block_by_index', 'remove_block_by_agent_id'])('%s re-inserts the block at its position', (action) => {
+		expect(buildInverseOperations(action, {}, { before: { block: group, position: { parentAgentId: 'c1', index: 2 } } })).toEqual([{
+			op: 'insert',
+			blockName: 'core/group',
+			attributes: group.attributes,
+			innerBlocks: group.innerBlocks,
+			index: 2,
+			parentAgentId: 'c1',
+		}]);
+	});
+
+	test('replace puts the previous block back in place of the new one', () => {
+		const replacement = { agentId: 'x1', name: 'core/paragraph', attributes: {}, innerBlocks: [] };
+
+		expect(buildInverseOperations('replace_block_by_agent_id', {}, { before: { block: heading }, block: replacement })).toEqual([{
+			op: 'replace',
+			agentId: 'x1',
+			blockName: 'core/heading',
+			attributes: heading.attributes,
+			innerBlocks: [],
+		}]);
+	});
+
+	test('swap_pattern removes the extra pattern blocks and replaces the first one', () => {
+		const blocks = [
+			{ agentId: 'x1', name: 'core/heading' },
+			{ agentId: 'x2', name: 'core/paragraph' },
+		];
+
+		expect(buildInverseOperations('swap_pattern', {}, { before: { block: group }, blocks })).toEqual([
+			{ op: 'remove', agentId: 'x2' },
+			{ op: 'replace', agentId: 'x1', blockName: 'core/group', attributes: group.attributes, innerBlocks: group.innerBlocks },
+		]);
+	});
+
+	test('move puts the block back at its previous position, at the root or in its parent', () => {
+		expect(buildInverseOperations('move_block_by_agent_id', { agentId: 'h1', toIndex: 0 }, { before: { block: heading, position: { parentAgentId: null, index: 3 } } }))
+			.toEqual([{ op: 'move', agentId: 'h1', toIndex: 3, parentAgentId: null, toRoot: true }]);
+		expect(buildInverseOperations('move_block_by_agent_id', { agentId: 'p1', toIndex: 0 }, { before: { block: heading, position: { parentAgentId: 'g1', index: 1 } } }))
+			.toEqual([{ op: 'move', agentId: 'p1', toIndex: 1, parentAgentId: 'g1' }]);
+	});
+
+	test('batch undoes its operations from the last to the first', () => {
+		const command = {
+			operations: [
+				{ op: 'insert', blockName: 'core/paragraph' },
+				{ op: 'update', agentId: 'h1', attributes: { level: 4 } },
+			],
+		};
+		const ack = {
+			results: [
+				{ block: { agentId: 'n1' } },
+				{ before: { block: heading } },
+			],
+		};
+
+		expect(buildInverseOperations('batch_block_operations', command, ack)).toEqual([
+			{ op: 'update', agentId: 'h1', attributes: { level: 2 } },
+			{ op: 'remove', agentId: 'n1' },
+		]);
+	});
+
+	test('the inverse of a batch gives back the original tree', () => {
+		const tree = [heading, group];
+		const operations = [
+			{ op: 'update', agentId: 'p1', attributes: { content: 'Changed', dropCap: true } },
+			{ op: 'move', agentId: 'h1', parentAgentId: 'g1' },
+			{ op: 'remove', agentId: 'p1' },
+		];
+		const after = simulateOperations(tree, operations);
+		const ack = {
+			results: [
+				{ before: { block: group.innerBlocks[0] } },
+				{ before: { block: heading, position: { parentAgentId: null, index: 0 } } },
+				{ before: { block: { ...group.innerBlocks[0], attributes: { content: 'Changed', dropCap: true, claudeAgentId: 'p1' } }, position: { parentAgentId: 'g1', index: 0 } } },
+			],
+		};
+
+		const inverse = buildInverseOperations('batch_block_operations', { operations }, ack);
+
+		expect(withoutClientIds(simulateOperations(after, inverse))).toEqual(withoutClientIds(tree));
+	});
+
+	test.each([
+		['update_block_by_agent_id', { attributes: { level: 3 } }, {}],
+		['remove_block_by_agent_id', {}, { before: { block: heading } }],
+		['replace_block_by_agent_id', {}, { before: { block: heading } }],
+		['move_block_by_agent_id', { agentId: 'h1' }, {}],
+		['insert_block', {}, {}],
+	])('%s cannot be undone without the state returned by the editor', (action, command, ack) => {
+		expect(buildInverseOperations(action, command, ack)).toBeNull();
+	});
+
+	test('a batch cannot be undone if one of its operations cannot', () => {
+		const command = { operations: [{ op: 'insert', blockName: 'core/paragraph' }, { op: 'remove', agentId: 'h1' }] };
+
+		expect(buildInverseOperations('batch_block_operations', command, { results: [{ block: { agentId: 'n1' } }, {}] })).toBeNull();
+	});
+
+	test('read actions have no inverse', () => {
+		expect(buildInverseOperations('get_blocks_structure', {}, {})).toBeNull();
+	});
+});
+
+describe('EditJournal', () => {
+	test('records confirmed changes and lists them from the most recent', () => {
+		const journal = new EditJournal();
+		journal.record('conv', { runId: 'run-1', toolName: 'update_block_by_agent_id', command: { action: 'update_block_by_agent_id', agentId: 'h1', attributes: { level: 3 }, before: { block: heading } } });
+		journal.record('conv', { runId: 'run-2', toolName: 'insert_block', command: { action: 'insert_block', block: group } });
+
+		expect(journal.getUndoableEntries('conv').map((entry) => entry.action)).toEqual(['insert_block', 'update_block_by_agent_id']);
+		expect(journal.getUndoableEntries('conv', { runId: 'run-1' })).toHaveLength(1);
+		expect(journal.getLastRunId('conv', { excludeRunId: 'run-2' })).toBe('run-1');
+	});
+
+	test('an undo command marks the entries it undoes and is not undoable itself', () => {
+		const journal = new EditJournal();
+		const entry = journal.record('conv', { toolName: 'insert_block', command: { action: 'insert_block', block: heading } });
+		journal.record('conv', { toolName: 'undo', command: { action: 'batch_block_operations', operations: entry.inverse, undoes: [entry.id], results: [{}] } });
+
+		expect(journal.getUndoableEntries('conv')).toEqual([]);
+	});
+
+	test('ignores changes without conversation', () => {
+		expect(new EditJournal().record(null, { toolName: 'insert_block', command: { action: 'insert_block' } })).toBeNull();
+	});
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests du gestionnaire des plans en attente de validation
+ *
+ * Décision de l'utilisateur, expiration et annulation du plan avec le run en pause :
+ * un plan annulé n'accepte plus de décision.
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { PlanApprovalManager } from '../../../src/services/plan-approval-manager.js';
+
+const PLAN = { tasks: [{ id: '1', label: 'Create the hero', status: 'pending' }] };
+
+describe('PlanApprovalManager', () => {
+	let manager;
+
+	afterEach(() => {
+		manager.destroy();
+	});
+
+	test('resolves the paused run with the user decision', async () => {
+		manager = new PlanApprovalManager();
+		const { planId, decision } = manager.createPlan(PLAN);
+
+		expect(manager.submitDecision(planId, { decision: 'approve' })).toMatchObject({ approved: true });
+		expect(await decision).toEqual({ approved: true, decision: 'approve', feedback: null });
+		expect(manager.getPlan(planId).status).toBe('approved');
+	});
+
+	test('rejects the plan when no decision arrives in time', async () => {
+		manager = new PlanApprovalManager();
+		const { planId, decision } = manager.createPlan(PLAN, {}, 10);
+
+		expect(await decision).toEqual({ approved: false, decision: 'reject', reason: 'timeout' });
+		expect(manager.getPlan(planId).status).toBe('expired');
+	});
+
+	test('cancels the plan when the run is aborted', async () => {
+		manager = new PlanApprovalManager();
+		const controller = new AbortController();
+		const { planId, decision } = manager.createPlan(PLAN, {}, manager.defaultTimeout, controller.signal);
+
+		controller.abort();
+
+		expect(await decision).toEqual({ approved: false, decision: 'reject', reason: 'run_cancelled' });
+		expect(manager.getPlan(planId).status).toBe('cancelled');
+		expect(manager.submitDecision(planId, { decision: 'approve' })).toBeNull();
+	});
+
+	test('cancels the plan of a run already aborted', () => {
+		manager = new PlanApprovalManager();
+		const controller = new AbortController();
+		controller.abort();
+
+		const { planId } = manager.createPlan(PLAN, {}, manager.defaultTimeout, controller.signal);
+
+		expect(manager.getPlan(planId).status).toBe('cancelled');
+	});
+
+	test('keeps the decision when the run is aborted afterwards', async () => {
+		manager = new PlanApprovalManager();
+		const controller = new AbortController();
+		const { planId, decision } = manager.createPlan(PLAN, {}, manager.defaultTimeout, controller.signal);
+
+		manager.submitDecision(planId, { decision: 'reject', feedback: 'Not now' });
+		await decision;
+		controller.abort();
+
+		expect(manager.getPlan(planId).status).toBe('rejected');
+		expect(manager.cancelPlan(planId)).toBe(false);
+	});
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests du gestionnaire des aperçus de modifications
+ *
+ * Un aperçu ne s'applique qu'une fois, et seulement à l'arbre à partir duquel il a été
+ * calculé ; un lot refusé par l'éditeur laisse l'aperçu applicable, avec l'erreur.
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import { PreviewManager } from '../../../src/services/preview-manager.js';
+
+const OPERATIONS = [{ op: 'update', agentId: 'h1', attributes: { level: 2 } }];
+
+describe('PreviewManager', () => {
+	let manager;
+
+	afterEach(() => {
+		manager.destroy();
+	});
+
+	test('applies a preview once when the block tree is unchanged', () => {
+		manager = new PreviewManager();
+		const { preview_id: previewId } = manager.createPreview({ conversationId: 'conv-1', operations: OPERATIONS, diff: {}, structureHash: 'hash-1' });
+
+		expect(manager.startApply(previewId, 'hash-1').status).toBe('applying');
+		manager.finishApply(previewId, true);
+
+		expect(manager.getPreview(previewId).status).toBe('applied');
+		expect(() => manager.startApply(previewId, 'hash-1')).toThrow(expect.objectContaining({ statusCode: 409 }));
+	});
+
+	test('refuses with 409 when the block tree changed since the preview', () => {
+		manager = new PreviewManager();
+		const { preview_id: previewId } = manager.createPreview({ conversationId: 'conv-1', operations: OPERATIONS, diff: {}, structureHash: 'hash-1' });
+
+		expect(() => manager.startApply(previewId, 'hash-2')).toThrow(expect.objectContaining({ statusCode: 409, message: expect.stringContaining('stale') }));
+		expect(manager.getPreview(previewId).status).toBe('pending');
+	});
+
+	test('keeps the preview applicable with the editor error when the batch is refused', () => {
+		manager = new PreviewManager();
+		const { preview_id: previewId } = manager.createPreview({ conversationId: 'conv-1', operations: OPERATIONS, diff: {}, structureHash: 'hash-1' });
+
+		manager.startApply(previewId, 'hash-1');
+		manager.finishApply(previewId, false, 'Block h1 not found');
+
+		expect(manager.getPreview(previewId)).toMatchObject({ status: 'pending', error: 'Block h1 not found' });
+		expect(manager.startApply(previewId, 'hash-1')).toMatchObject({ status: 'applying', error: null });
+	});
+
+	test('returns 404 for an unknown preview', () => {
+		manager = new PreviewManager();
+
+		expect(() => manager.startApply('missing', 'hash-1')).toThrow(expect.objectContaining({ statusCode: 404 }));
+	});
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests du registre des templates de blocs
+ *
+ * Chargements concurrents regroupés (avec un passage de plus si un chargement est
+ * demandé pendant le parcours), recherche (filtres exacts, plein texte, tri, limite)
+ * et validation des templates (méta-schéma, validation_schema, schéma réel du bloc).
+ */
+
+import { readFileSync } from 'fs';
+import { describe, test, expect, jest } from '@jest/globals';
+import { TemplateRegistry } from '../../../src/services/template-registry.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('../../fixtures/core-blocks.json', import.meta.url), 'utf8'));
+
+/**
+ * Template valide de core/heading
+ */
+function headingTemplate(overrides = {}) {
+	return {
+		template_id: 'hero-title',
+		block_name: 'core/heading',
+		name: 'Hero title',
+		attributes: { level: 1, content: 'Welcome' },
+		overridable_attributes: ['content'],
+		...overrides,
+	};
+}
+
+/**
+ * Registre dont l'index contient les templates donnés
+ */
+function registryWith(templates) {
+	const registry = new TemplateRegistry();
+	registry.templates = new Map(templates.map((template) => [template.template_id, { ...template, file: `core/${template.template_id}.json` }]));
+	return registry;
+}
+
+/**
+ * Promesse résolue de l'extérieur
+ */
+function deferred() {
+	let resolve;
+	const promise = new Promise((done) => {
+		resolve = done;
+	});
+	return { promise, resolve };
+}
+
+describe('TemplateRegistry.load', () => {
+	test('runs a single pass when no load is requested meanwhile', async () => {
+		const registry = new TemplateRegistry();
+		registry.loadAll = jest.fn(async () => ({ loaded: 1, invalid: 0 }));
+
+		await expect(registry.load()).resolves.toEqual({ loaded: 1, invalid: 0 });
+		expect(registry.loadAll).toHaveBeenCalledTimes(1);
+	});
+
+	test('runs one more pass when a load is requested during the current one', async () => {
+		const registry = new TemplateRegistry();
+		const passes = [deferred(), deferred()];
+		registry.loadAll = jest.fn(() => passes[registry.loadAll.mock.calls.length - 1].promise);
+
+		const first = registry.load();
+		const second = registry.load();
+		const third = registry.load();
+
+		expect(second).toBe(first);
+		expect(third).toBe(first);
+
+		passes[0].resolve({ loaded: 1, invalid: 0 });
+		await Promise.resolve();
+		await Promise.resolve();
+		expect(registry.loadAll).toHaveBeenCalledTimes(2);
+
+		passes[1].resolve({ loaded: 2, invalid: 0 });
+		await expect(first).resolves.toEqual({ loaded: 2, invalid: 0 });
+		expect(registry.loadAll).toHaveBeenCalledTimes(2);
+	});
+
+	test('starts a new load once the previous one is finished', async () => {
+		const registry = new TemplateRegistry();
+		registry.loadAll = jest.fn(async () => ({ loaded: 0, invalid: 0 }));
+
+		await registry.load();
+		await registry.load();
+
+		expect(registry.loadAll).toHaveBeenCalledTimes(2);
+	});
+});
+
+describe('TemplateRegistry.search', () => {
+	const registry = registryWith([
+		{ template_id: 'hero-title', block_name: 'core/heading', name: 'Hero title', description: 'Large centered title', use_case: 'hero', attributes: {} },
+		{ template_id: 'section-title', block_name: 'core/heading', name: 'Section title', description: 'Titre de section', use_case: 'content', attributes: {} },
+		{ template_id: 'hero-cover', block_name: 'core/cover', name: 'Hero cover', description: 'Full width image with a centered title', use_case: 'hero', attributes: {} },
+	]);
+
+	const ids = (templates) => templates.map((template) => template.template_id);
+
+	test('returns every template sorted by template_id without criteria', () => {
+		expect(ids(registry.search())).toEqual(['hero-cover', 'hero-title', 'section-title']);
+	});
+
+	test('filters by exact block_name and use_case', () => {
+		expect(ids(registry.search({ block_name: 'core/heading' }))).toEqual(['hero-title', 'section-title']);
+		expect(ids(registry.search({ block_name: 'core/heading', use_case: 'hero' }))).toEqual(['hero-title']);
+		expect(registry.search({ block_name: 'core/head' })).toEqual([]);
+	});
+
+	test('ranks the matches by number of query words found', () => {
+		expect(ids(registry.search({ query: 'centered hero' }))).toEqual(['hero-cover', 'hero-title']);
+		expect(ids(registry.search({ query: 'image hero' }))).toEqual(['hero-cover', 'hero-title']);
+	});
+
+	test('matches word prefixes regardless of case and accents', () => {
+		expect(ids(registry.search({ query: 'TITRÉ' }))).toEqual(['section-title']);
+		expect(ids(registry.search({ query: 'cent' }))).toEqual(['hero-cover', 'hero-title']);
+	});
+
+	test('skips the templates matching none of the query words', () => {
+		expect(registry.search({ query: 'footer' })).toEqual([]);
+	});
+
+	test('limits the number of results', () => {
+		expect(ids(registry.search({ query: 'title', limit: 2 }))).toEqual(['hero-cover', 'hero-title']);
+	});
+});
+
+describe('TemplateRegistry.validateTemplate', () => {
+	test('accepts a valid template without WordPress client', async () => {
+		expect(await new TemplateRegistry().validateTemplate(headingTemplate())).toEqual([]);
+	});
+
+	test('reports the meta-schema errors', async () => {
+		const registry = new TemplateRegistry();
+		const { name, ...withoutName } = headingTemplate();
+
+		expect(await registry.validateTemplate(withoutName)).toEqual([expect.stringContaining('name')]);
+		expect(await registry.validateTemplate(headingTemplate({ template_id: 'Hero Title' }))).toEqual([expect.stringContaining('/template_id')]);
+		expect(await registry.validateTemplate(headingTemplate({ extra: true }))).toEqual(['/: unknown property "extra"']);
+	});
+
+	test('rejects defaults refused by the validation_schema', async () => {
+		const errors = await new TemplateRegistry().validateTemplate(headingTemplate({
+			validation_schema: { type: 'object', properties: { content: { type: 'string', maxLength: 3 } } },
+		}));
+
+		expect(errors).toEqual([expect.stringMatching(/^validation_schema rejects the template defaults: \/content/)]);
+	});
+
+	test('reports an invalid validation_schema', async () => {
+		const errors = await new TemplateRegistry().validateTemplate(headingTemplate({
+			validation_schema: { type: 'not-a-type' },
+		}));
+
+		expect(errors).toEqual([expect.stringMatching(/^validation_schema: Invalid JSON Schema/)]);
+	});
+
+	test('checks the attributes and overridable_attributes against the block schema', async () => {
+		const registry = new TemplateRegistry();
+		registry.wordpressAPI = { getBlockSchema: jest.fn(async () => fixtures.blocks['core/heading']) };
+
+		const errors = await registry.validateTemplate(headingTemplate({
+			attributes: { level: 'one', content: 'Welcome' },
+			overridable_attributes: ['content', 'subtitle'],
+		}));
+
+		expect(errors).toEqual([
+			expect.stringContaining('/level'),
+			'overridable_attributes not defined by core/heading: subtitle',
+		]);
+	});
+
+	test('rejects a block unknown to WordPress and ignores an unavailable API', async () => {
+		const registry = new TemplateRegistry();
+		registry.wordpressAPI = {
+			getBlockSchema: jest.fn(async () => {
+				throw Object.assign(new Error('Not found'), { statusCode: 404 });
+			}),
+		};
+
+		expect(await registry.validateTemplate(headingTemplate())).toEqual(['Block core/heading is not registered in WordPress']);
+
+		registry.wordpressAPI.getBlockSchema = jest.fn(async () => {
+			throw new Error('ECONNREFUSED');
+		});
+
+		expect(await registry.validateTemplate(headingTemplate())).toEqual([]);
+	});
+
+	test('fetches each block schema once per load', async () => {
+		const registry = new TemplateRegistry();
+		registry.wordpressAPI = { getBlockSchema: jest.fn(async () => fixtures.blocks['core/heading']) };
+		const blockSchemas = new Map();
+
+		await registry.validateTemplate(headingTemplate(), blockSchemas);
+		await registry.validateTemplate(headingTemplate({ template_id: 'other-title' }), blockSchemas);
+
+		expect(registry.wordpressAPI.getBlockSchema).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('TemplateRegistry.saveTemplate', () => {
+	test('refuses an invalid template', async () => {
+		const registry = new TemplateRegistry();
+
+		await expect(registry.saveTemplate(headingTemplate({ attributes: 'none' }))).rejects.toThrow(ValidationError);
+	});
+
+	test('refuses a template_id already indexed', async () => {
+		const registry = registryWith([headingTemplate()]);
+
+		await expect(registry.saveTemplate(headingTemplate())).rejects.toThrow('Template hero-title already exists (core/hero-title.json)');
+	});
+});
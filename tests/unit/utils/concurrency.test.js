@@ -0,0 +1,133 @@
+/**
+ * Tests des utilitaires de concurrence
+ *
+ * mapWithConcurrency (résultats dans l'ordre des éléments, limite d'exécutions
+ * simultanées) et KeyedQueue (tâches d'une même clé l'une après l'autre, clés
+ * différentes en parallèle, file libérée après une erreur).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { mapWithConcurrency, KeyedQueue } from '../../../src/utils/concurrency.js';
+
+/**
+ * Attend quelques millisecondes
+ */
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Compte les exécutions simultanées de tâches
+ */
+function createTracker() {
+	const tracker = {
+		running: 0,
+		maxRunning: 0,
+		events: [],
+		track: async (label, ms, value = label) => {
+			tracker.running++;
+			tracker.maxRunning = Math.max(tracker.maxRunning, tracker.running);
+			tracker.events.push(`start:${label}`);
+			await sleep(ms);
+			tracker.events.push(`end:${label}`);
+			tracker.running--;
+			return value;
+		},
+	};
+	return tracker;
+}
+
+describe('mapWithConcurrency', () => {
+	test('returns the results in the order of the items, whatever the completion order', async () => {
+		const tracker = createTracker();
+
+		const results = await mapWithConcurrency([30, 5, 15], 3, (ms, index) => tracker.track(index, ms, `result-${index}`));
+
+		expect(results).toEqual(['result-0', 'result-1', 'result-2']);
+		expect(tracker.events.filter((event) => event.startsWith('end:'))).toEqual(['end:1', 'end:2', 'end:0']);
+	});
+
+	test('never runs more items at once than the limit', async () => {
+		const tracker = createTracker();
+
+		await mapWithConcurrency([10, 10, 10, 10, 10, 10], 4, (ms, index) => tracker.track(index, ms));
+
+		expect(tracker.maxRunning).toBe(4);
+		expect(tracker.events.filter((event) => event.startsWith('start:'))).toHaveLength(6);
+	});
+
+	test('runs the items one by one when the limit is below 1', async () => {
+		const tracker = createTracker();
+
+		await mapWithConcurrency([5, 5, 5], 0, (ms, index) => tracker.track(index, ms));
+
+		expect(tracker.maxRunning).toBe(1);
+		expect(tracker.events).toEqual(['start:0', 'end:0', 'start:1', 'end:1', 'start:2', 'end:2']);
+	});
+
+	test('resolves an empty list without calling the function', async () => {
+		const calls = [];
+
+		expect(await mapWithConcurrency([], 4, (item) => calls.push(item))).toEqual([]);
+		expect(calls).toEqual([]);
+	});
+
+	test('rejects with the first error', async () => {
+		await expect(mapWithConcurrency([1, 2], 2, async (item) => {
+			if (item === 2) {
+				throw new Error('item 2 failed');
+			}
+			return item;
+		})).rejects.toThrow('item 2 failed');
+	});
+});
+
+describe('KeyedQueue', () => {
+	test('runs the tasks of a key one after the other in their arrival order', async () => {
+		const queue = new KeyedQueue();
+		const tracker = createTracker();
+
+		const results = await Promise.all([
+			queue.run('post-1', () => tracker.track('a', 20)),
+			queue.run('post-1', () => tracker.track('b', 5)),
+			queue.run('post-1', () => tracker.track('c', 10)),
+		]);
+
+		expect(results).toEqual(['a', 'b', 'c']);
+		expect(tracker.maxRunning).toBe(1);
+		expect(tracker.events).toEqual(['start:a', 'end:a', 'start:b', 'end:b', 'start:c', 'end:c']);
+	});
+
+	test('runs the tasks of different keys in parallel', async () => {
+		const queue = new KeyedQueue();
+		const tracker = createTracker();
+
+		await Promise.all([
+			queue.run('post-1', () => tracker.track('a', 20)),
+			queue.run('post-2', () => tracker.track('b', 20)),
+		]);
+
+		expect(tracker.maxRunning).toBe(2);
+	});
+
+	test('runs the next task of the key after a failed one', async () => {
+		const queue = new KeyedQueue();
+
+		const failed = queue.run('post-1', async () => {
+			throw new Error('block_not_found');
+		});
+		const next = queue.run('post-1', async () => 'next');
+
+		await expect(failed).rejects.toThrow('block_not_found');
+		await expect(next).resolves.toBe('next');
+	});
+
+	test('forgets a key once its queue is empty', async () => {
+		const queue = new KeyedQueue();
+
+		await queue.run('post-1', async () => 'done');
+		await sleep(0);
+
+		expect(queue.tails.size).toBe(0);
+	});
+});
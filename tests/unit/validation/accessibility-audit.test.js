@@ -0,0 +1,252 @@
+/**
+ * Tests de l'audit d'accessibilité
+ *
+ * Problèmes relevés sur un arbre get_blocks_structure d'exemple avec le design system
+ * du thème, correctifs proposés et opérations batch_block_operations qui les appliquent.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { auditAccessibility, buildFixOperations, contrastRatio } from '../../../src/validation/accessibility-audit.js';
+import { simulateOperations } from '../../../src/agent/block-tree-diff.js';
+
+const GLOBAL_STYLES = {
+	colors: {
+		palette: {
+			theme: [
+				{ slug: 'contrast', color: '#000000' },
+				{ slug: 'base', color: '#ffffff' },
+				{ slug: 'muted', color: '#cccccc' },
+				{ slug: 'primary', color: '#0066cc' },
+			],
+		},
+	},
+	typography: { fontSizes: { theme: [{ slug: 'small', size: '13px' }] } },
+};
+
+/**
+ * Bloc get_blocks_structure
+ */
+function block(agentId, name, attributes = {}, innerBlocks = []) {
+	return { clientId: `client-${agentId}`, agentId, name, attributes: { ...attributes, claudeAgentId: agentId }, innerBlocks };
+}
+
+/**
+ * Page d'exemple : un problème (ou plus) par règle
+ */
+function samplePage() {
+	return [
+		block('h1', 'core/heading', { level: 2, content: 'Welcome' }),
+		block('p1', 'core/paragraph', { content: 'Muted text', textColor: 'muted' }),
+		block('h2', 'core/heading', { level: 4, content: 'Details' }),
+		block('p2', 'core/paragraph', { content: 'Grey text <a href="/more"></a>', style: { color: { text: '#aaaaaa' } } }),
+		block('g1', 'core/group', { backgroundColor: 'contrast' }, [
+			block('p3', 'core/paragraph', { content: 'Dark on dark' }),
+		]),
+		block('bs', 'core/buttons', {}, [
+			block('bt1', 'core/button', { text: '' }),
+			block('bt2', 'core/button', { text: 'Go', fontSize: 'small', style: { spacing: { padding: { top: '4px', bottom: '4px' } } } }),
+		]),
+		block('i1', 'core/image', { url: 'a.jpg', caption: 'A <em>sunset</em>' }),
+		block('i2', 'core/image', { url: 'b.jpg', alt: '' }),
+		block('s1', 'core/social-links', { size: 'has-small-icon-size' }),
+	];
+}
+
+/**
+ * Problème de l'audit par ID
+ */
+function issue(report, id) {
+	return report.issues.find((candidate) => candidate.id === id);
+}
+
+describe('contrastRatio', () => {
+	test('computes the WCAG ratio in both directions', () => {
+		expect(contrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+		expect(contrastRatio('#fff', '#000')).toBeCloseTo(21);
+		expect(contrastRatio('#0066cc', '#ffffff')).toBeCloseTo(5.57, 2);
+		expect(contrastRatio('rgb(204, 204, 204)', '#ffffff')).toBeCloseTo(1.61, 2);
+	});
+
+	test('does not compute unreadable or transparent colors', () => {
+		expect(contrastRatio('var(--custom)', '#ffffff')).toBeNull();
+		expect(contrastRatio('#00000080', '#ffffff')).toBeNull();
+		expect(contrastRatio('rgba(0, 0, 0, 0.5)', '#ffffff')).toBeNull();
+	});
+});
+
+describe('auditAccessibility', () => {
+	const report = auditAccessibility(samplePage(), GLOBAL_STYLES);
+
+	test('reports each issue of the sample page', () => {
+		expect(report.issues.map(({ id }) => id)).toEqual([
+			'color-contrast:p1',
+			'heading-order:h2',
+			'color-contrast:p2',
+			'empty-link:p2',
+			'color-contrast:p3',
+			'empty-button:bt1',
+			'touch-target:bt2',
+			'image-alt:i1',
+			'image-alt:i2',
+			'touch-target:s1',
+		]);
+		expect(report.summary).toEqual({ errors: 7, warnings: 3, fixable: 7 });
+	});
+
+	test('weights the score by severity over the checks made', () => {
+		expect(report.checked).toEqual({
+			'color-contrast': 3,
+			'heading-order': 2,
+			'empty-link': 1,
+			'empty-button': 2,
+			'image-alt': 2,
+			'touch-target': 3,
+		});
+		// 1 - (7 erreurs × 3 + 3 avertissements) / (contrôles pondérés : 29)
+		expect(report.score).toBe(17);
+	});
+
+	test('proposes the closest theme color that reaches the minimum contrast', () => {
+		expect(issue(report, 'color-contrast:p1')).toMatchObject({
+			severity: 'error',
+			wcag: '1.4.3',
+			block: 'core/paragraph',
+			agentId: 'p1',
+			clientId: 'client-p1',
+			message: 'Contrast 1.61:1 between text #cccccc and background #ffffff (minimum 4.5:1)',
+			fix: { set: { textColor: 'primary' }, unset: [], description: 'textColor → primary (5.57:1)' },
+		});
+	});
+
+	test('replaces a custom text color by a theme color', () => {
+		expect(issue(report, 'color-contrast:p2').fix).toMatchObject({ set: { textColor: 'primary' }, unset: ['style.color.text'] });
+	});
+
+	test('uses the colors inherited from the parent block', () => {
+		expect(issue(report, 'color-contrast:p3')).toMatchObject({
+			message: expect.stringContaining('between text #000000 and background #000000'),
+			fix: { set: { textColor: 'muted' } },
+		});
+	});
+
+	test('lowers a skipped heading level', () => {
+		expect(issue(report, 'heading-order:h2')).toMatchObject({
+			message: 'H4 follows H2: a level is skipped',
+			fix: { set: { level: 3 } },
+		});
+	});
+
+	test('compares the next headings with the corrected level', () => {
+		const page = [
+			block('a', 'core/heading', { level: 4 }),
+			block('b', 'core/heading', { level: 4 }),
+			block('c', 'core/heading', { level: 3 }),
+		];
+
+		expect(auditAccessibility(page, GLOBAL_STYLES).issues.map(({ id, fix }) => [id, fix.set.level])).toEqual([
+			['heading-order:a', 2],
+			['heading-order:b', 3],
+		]);
+	});
+
+	test('computes the button height from its font size and padding', () => {
+		expect(issue(report, 'touch-target:bt2')).toMatchObject({
+			message: 'Estimated button height 28px (minimum 44px)',
+			fix: { set: { 'style.spacing.padding.top': '13px', 'style.spacing.padding.bottom': '13px' } },
+		});
+	});
+
+	test('takes the alt text from the caption when there is one, otherwise leaves it to the agent', () => {
+		expect(issue(report, 'image-alt:i1').fix).toMatchObject({ set: { alt: 'A sunset' } });
+		expect(issue(report, 'image-alt:i2')).toMatchObject({ fixable: false, fix: null });
+	});
+
+	test('reports empty links and buttons without fix', () => {
+		expect(issue(report, 'empty-link:p2')).toMatchObject({ message: '1 link(s) without text (/more)', fixable: false });
+		expect(issue(report, 'empty-button:bt1')).toMatchObject({ fixable: false });
+	});
+
+	test('does not report links named by an aria-label or an image alt', () => {
+		const page = [block('p', 'core/paragraph', {
+			content: '<a href="/a" aria-label="Home"></a> <a href="/b"><img src="x.png" alt="Logo"></a>',
+		})];
+
+		expect(auditAccessibility(page, GLOBAL_STYLES).issues).toEqual([]);
+	});
+
+	test('does not check the contrast of blocks without explicit colors', () => {
+		const report = auditAccessibility([block('p', 'core/paragraph', { content: 'Text' })], { styles: { color: { text: '#eeeeee' } } });
+
+		expect(report.checked['color-contrast']).toBe(0);
+		expect(report.score).toBe(100);
+	});
+
+	test('only checks the requested rules', () => {
+		const report = auditAccessibility(samplePage(), GLOBAL_STYLES, { rules: ['image-alt'] });
+
+		expect(report.checked).toEqual({ 'image-alt': 2 });
+		expect(report.issues.map(({ id }) => id)).toEqual(['image-alt:i1', 'image-alt:i2']);
+	});
+
+	test('only checks a block and its inner blocks, with the colors inherited from the page', () => {
+		const report = auditAccessibility(samplePage(), GLOBAL_STYLES, { agentId: 'g1' });
+
+		expect(report.issues.map(({ id }) => id)).toEqual(['color-contrast:p3']);
+	});
+});
+
+describe('buildFixOperations', () => {
+	const page = samplePage();
+	const report = auditAccessibility(page, GLOBAL_STYLES);
+	const operations = buildFixOperations(page, report.issues.filter((candidate) => candidate.fixable));
+
+	test('converts each fix into an update of the block', () => {
+		expect(operations).toEqual([
+			{ op: 'update', agentId: 'p1', attributes: { textColor: 'primary' } },
+			{ op: 'update', agentId: 'h2', attributes: { level: 3 } },
+			{ op: 'update', agentId: 'p2', attributes: { textColor: 'primary' }, removeAttributes: ['style'] },
+			{ op: 'update', agentId: 'p3', attributes: { textColor: 'muted' } },
+			{ op: 'update', agentId: 'bt2', attributes: { style: { spacing: { padding: { top: '13px', bottom: '13px' } } } } },
+			{ op: 'update', agentId: 'i1', attributes: { alt: 'A sunset' } },
+			{ op: 'update', agentId: 's1', attributes: { size: 'has-large-icon-size' } },
+		]);
+	});
+
+	test('merges the fixes of a block and keeps its other nested attributes', () => {
+		const styled = [block('p', 'core/paragraph', {
+			content: '<a href="/x">Text</a>',
+			style: { color: { text: '#aaaaaa' }, typography: { fontSize: '18px' } },
+		})];
+		const issues = [
+			auditAccessibility(styled, GLOBAL_STYLES).issues[0],
+			{ agentId: 'p', fix: { set: { 'style.spacing.padding.top': '8px' } } },
+		];
+
+		expect(buildFixOperations(styled, issues)).toEqual([{
+			op: 'update',
+			agentId: 'p',
+			attributes: {
+				textColor: 'primary',
+				style: { typography: { fontSize: '18px' }, spacing: { padding: { top: '8px' } } },
+			},
+		}]);
+	});
+
+	test('targets blocks without agentId by clientId', () => {
+		const page = [{ clientId: 'c1', name: 'core/heading', attributes: { level: 4 }, innerBlocks: [] }];
+
+		expect(buildFixOperations(page, auditAccessibility(page, GLOBAL_STYLES).issues)).toEqual([
+			{ op: 'update', clientId: 'c1', attributes: { level: 2 } },
+		]);
+	});
+
+	test('leaves only the issues that need the agent once applied', () => {
+		const fixed = simulateOperations(page, operations);
+
+		expect(auditAccessibility(fixed, GLOBAL_STYLES).issues.map(({ id }) => id)).toEqual([
+			'empty-link:p2',
+			'empty-button:bt1',
+			'image-alt:i2',
+		]);
+	});
+});
@@ -0,0 +1,229 @@
+/**
+ * Tests du parseur et du sérialiseur de la grammaire des blocs
+ *
+ * Aller-retour parse / serialize, conversion des arbres des tools (fromBlockTree)
+ * et positions des erreurs de délimiteurs (validateBlockMarkup).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+	parseBlocks,
+	serializeBlocks,
+	serializeBlock,
+	serializeAttributes,
+	fromBlockTree,
+	validateBlockMarkup,
+	assertValidBlockMarkup,
+} from '../../../src/validation/block-grammar.js';
+import { ValidationError } from '../../../src/utils/errors.js';
+
+const POST = [
+	'<!-- wp:heading {"level":2} -->',
+	'<h2 class="wp-block-heading">Title</h2>',
+	'<!-- /wp:heading -->',
+	'',
+	'<!-- wp:group {"layout":{"type":"constrained"}} -->',
+	'<div class="wp-block-group"><!-- wp:paragraph -->',
+	'<p>Inside</p>',
+	'<!-- /wp:paragraph -->',
+	'',
+	'<!-- wp:spacer {"height":"40px"} /--></div>',
+	'<!-- /wp:group -->',
+].join('\n');
+
+// Forme produite par serializeBlocks : blocs internes sur leurs propres lignes
+const SERIALIZED = [
+	'<!-- wp:heading {"level":2} -->',
+	'<h2 class="wp-block-heading">Title</h2>',
+	'<!-- /wp:heading -->',
+	'',
+	'<!-- wp:group {"layout":{"type":"constrained"}} -->',
+	'<div class="wp-block-group">',
+	'<!-- wp:paragraph -->',
+	'<p>Inside</p>',
+	'<!-- /wp:paragraph -->',
+	'<!-- wp:spacer {"height":"40px"} /-->',
+	'</div>',
+	'<!-- /wp:group -->',
+].join('\n');
+
+describe('parseBlocks', () => {
+	test('parses names, attributes, inner blocks and HTML around them', () => {
+		const [heading, , group] = parseBlocks(POST);
+
+		expect(heading).toMatchObject({
+			blockName: 'core/heading',
+			attrs: { level: 2 },
+			innerBlocks: [],
+			innerHTML: '\n<h2 class="wp-block-heading">Title</h2>\n',
+		});
+
+		expect(group.blockName).toBe('core/group');
+		expect(group.innerBlocks.map((block) => block.blockName)).toEqual(['core/paragraph', 'core/spacer']);
+		expect(group.innerContent).toEqual(['\n<div class="wp-block-group">', null, '\n\n', null, '</div>\n']);
+		expect(group.innerBlocks[1]).toMatchObject({ attrs: { height: '40px' }, innerContent: [] });
+	});
+
+	test('keeps HTML between blocks as freeform blocks', () => {
+		const blocks = parseBlocks('<p>Classic</p><!-- wp:separator /-->');
+
+		expect(blocks.map((block) => block.blockName)).toEqual([null, 'core/separator']);
+		expect(blocks[0].innerHTML).toBe('<p>Classic</p>');
+	});
+
+	test('keeps namespaced block names', () => {
+		expect(parseBlocks('<!-- wp:acme/card {"id":3} /-->')[0]).toMatchObject({ blockName: 'acme/card', attrs: { id: 3 } });
+	});
+
+	test('closes unclosed blocks at the end of the document, like WordPress', () => {
+		const [group] = parseBlocks('<!-- wp:group -->\n<div>open');
+
+		expect(group.blockName).toBe('core/group');
+		expect(group.innerHTML).toBe('\n<div>open');
+	});
+
+	test('loses invalid JSON attributes, like WordPress', () => {
+		expect(parseBlocks('<!-- wp:paragraph {"a":} -->\n<p>x</p>\n<!-- /wp:paragraph -->')[0].attrs).toBeNull();
+	});
+
+	test('throws a ValidationError in strict mode', () => {
+		expect(() => parseBlocks('<!-- wp:group -->', { strict: true })).toThrow(ValidationError);
+	});
+});
+
+describe('serialize', () => {
+	test('round trips serialized markup unchanged', () => {
+		expect(serializeBlocks(parseBlocks(SERIALIZED))).toBe(SERIALIZED);
+	});
+
+	test('normalizes hand-written markup to the serialized form', () => {
+		const serialized = serializeBlocks(parseBlocks(POST));
+
+		expect(serialized).toBe(SERIALIZED);
+	});
+
+	test('drops the core/ prefix and writes empty blocks as void delimiters', () => {
+		expect(serializeBlock({ blockName: 'core/separator', attrs: {}, innerBlocks: [], innerContent: [] }))
+			.toBe('<!-- wp:separator /-->');
+		expect(serializeBlock({ blockName: 'acme/card', attrs: { id: 1 }, innerBlocks: [], innerContent: ['<div></div>'] }))
+			.toBe('<!-- wp:acme/card {"id":1} -->\n<div></div>\n<!-- /wp:acme/card -->');
+	});
+
+	test('escapes characters that would end the comment or read as HTML', () => {
+		const serialized = serializeAttributes({ content: '<b>a -- "b" & c</b>' });
+
+		expect(serialized).not.toMatch(/--|<|>|&/);
+		expect(JSON.parse(serialized)).toEqual({ content: '<b>a -- "b" & c</b>' });
+	});
+
+	test('serialized attributes parse back to the same values', () => {
+		const attrs = { content: 'a --> b', url: 'https://example.com/?a=1&b=2' };
+		const [block] = parseBlocks(serializeBlock({ blockName: 'core/paragraph', attrs, innerBlocks: [], innerContent: ['<p>x</p>'] }));
+
+		expect(block.attrs).toEqual(attrs);
+	});
+
+	test('skips whitespace-only freeform HTML', () => {
+		expect(serializeBlocks(parseBlocks('\n\n<!-- wp:separator /-->\n\n'))).toBe('<!-- wp:separator /-->');
+	});
+});
+
+describe('fromBlockTree', () => {
+	test('converts a tool block tree and serializes it', () => {
+		const blocks = fromBlockTree([
+			{ name: 'heading', attributes: { level: 2 }, innerHTML: '<h2>Title</h2>' },
+			{
+				name: 'core/group',
+				innerContent: ['<div class="wp-block-group">', null, '</div>'],
+				innerBlocks: [{ name: 'core/paragraph', innerHTML: '<p>Text</p>' }],
+			},
+		]);
+
+		expect(serializeBlocks(blocks)).toBe([
+			'<!-- wp:heading {"level":2} -->\n<h2>Title</h2>\n<!-- /wp:heading -->',
+			'<!-- wp:group -->\n<div class="wp-block-group">\n<!-- wp:paragraph -->\n<p>Text</p>\n<!-- /wp:paragraph -->\n</div>\n<!-- /wp:group -->',
+		].join('\n\n'));
+	});
+
+	test('places inner blocks one after the other when the block has no HTML', () => {
+		const [columns] = fromBlockTree([{ name: 'core/columns', innerBlocks: [{ name: 'core/column' }, { name: 'core/column' }] }]);
+
+		expect(columns.innerContent).toEqual([null, null]);
+	});
+
+	test.each([
+		[[{ name: 'Paragraph' }], 'blocks[0]: name must be a block name'],
+		[[{ name: 'core/paragraph', attributes: [] }], 'blocks[0]: attributes must be an object'],
+		[[{ name: 'core/group', innerContent: ['<div>', '</div>'], innerBlocks: [{ name: 'core/paragraph' }] }], 'innerContent has 0 null placeholder(s) for 1 inner block(s)'],
+		[[{ name: 'core/group', innerHTML: '<div></div>', innerBlocks: [{ name: 'core/paragraph' }] }], 'use innerContent'],
+		[[{ name: 'core/group', innerBlocks: [{ name: 'bad name' }] }], 'blocks[0].innerBlocks[0]: name must be a block name'],
+	])('rejects an invalid tree (%#)', (tree, message) => {
+		expect(() => fromBlockTree(tree)).toThrow(ValidationError);
+		expect(() => fromBlockTree(tree)).toThrow(message);
+	});
+});
+
+describe('validateBlockMarkup', () => {
+	test('accepts valid markup', () => {
+		expect(validateBlockMarkup(POST)).toEqual([]);
+	});
+
+	test('reports an unclosed block at its opener', () => {
+		expect(validateBlockMarkup('<p>intro</p>\n<!-- wp:group -->\n<div></div>')).toEqual([
+			{ line: 2, column: 1, message: expect.stringContaining('Block "group" is never closed') },
+		]);
+	});
+
+	test('reports a mismatched closer with the position of its opener', () => {
+		const errors = validateBlockMarkup('<!-- wp:group -->\n  <!-- wp:paragraph -->\n<p>x</p>\n<!-- /wp:group -->\n<!-- /wp:paragraph -->');
+
+		expect(errors[0]).toEqual({
+			line: 4,
+			column: 1,
+			message: 'Closing delimiter <!-- /wp:group --> does not match "paragraph" opened at line 2, column 3',
+		});
+	});
+
+	test('reports a closer without opener', () => {
+		expect(validateBlockMarkup('<p>x</p> <!-- /wp:paragraph -->')).toEqual([
+			{ line: 1, column: 10, message: 'Closing delimiter <!-- /wp:paragraph --> has no opening delimiter' },
+		]);
+	});
+
+	test('reports invalid JSON attributes at the delimiter', () => {
+		expect(validateBlockMarkup('\n\t<!-- wp:heading {"level":} /-->')).toEqual([
+			{ line: 2, column: 2, message: 'Invalid JSON attributes in "heading" delimiter: {"level":}' },
+		]);
+	});
+
+	test('reports a malformed delimiter the parser would keep as HTML', () => {
+		expect(validateBlockMarkup('<!--wp:paragraph-->\n<p>x</p>')).toEqual([
+			{ line: 1, column: 1, message: expect.stringContaining('Malformed block delimiter <!--wp:paragraph-->') },
+		]);
+	});
+
+	test('reports attributes on a closer', () => {
+		expect(validateBlockMarkup('<!-- wp:group -->\n<!-- /wp:group {"a":1} -->')).toContainEqual({
+			line: 2,
+			column: 1,
+			message: 'Closing delimiter of "group" cannot have attributes or end with "/-->"',
+		});
+	});
+
+	test('sorts errors by position', () => {
+		const errors = validateBlockMarkup('<!-- /wp:a -->\n<!-- wp:b {x} /-->\n<!-- wp:c -->');
+
+		expect(errors.map(({ line }) => line)).toEqual([1, 2, 3]);
+	});
+
+	test('assertValidBlockMarkup lists every error with its position', () => {
+		try {
+			assertValidBlockMarkup('<!-- wp:group -->\n<!-- /wp:paragraph -->');
+			throw new Error('should have thrown');
+		} catch (error) {
+			expect(error).toBeInstanceOf(ValidationError);
+			expect(error.message).toContain('line 2, column 1: Closing delimiter <!-- /wp:paragraph --> does not match "group"');
+			expect(error.errors).toHaveLength(1);
+		}
+	});
+});
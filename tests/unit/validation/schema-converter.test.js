@@ -0,0 +1,162 @@
+/**
+ * Tests SchemaConverter.toJSONSchema
+ *
+ * Les schémas convertis sont compilés par BlockValidator (Ajv) et doivent accepter
+ * ou refuser des valeurs concrètes : cas des blocs core (tests/fixtures/core-blocks.json),
+ * valeurs par défaut, types unions, items, propriétés imbriquées et supports.
+ */
+
+import { readFileSync } from 'fs';
+import { describe, test, expect } from '@jest/globals';
+import { SchemaConverter } from '../../../src/validation/schema-converter.js';
+import { BlockValidator } from '../../../src/validation/block-validator.js';
+
+const fixtures = JSON.parse(readFileSync(new URL('../../fixtures/core-blocks.json', import.meta.url), 'utf8'));
+
+/**
+ * Valide des attributs contre un schéma de bloc (sans cache entre les tests)
+ */
+function validate(blockSchema, attributes) {
+	return new BlockValidator().validate('test/block', attributes, blockSchema);
+}
+
+describe('core block fixtures', () => {
+	const validator = new BlockValidator();
+
+	test.each(fixtures.cases.map((testCase) => [testCase.block, testCase.description, testCase]))(
+		'%s: %s',
+		(blockName, description, testCase) => {
+			const { valid, errors } = validator.validate(blockName, testCase.attributes, fixtures.blocks[blockName]);
+
+			expect({ valid, errors: valid ? [] : validator.formatErrorsForAgent(errors) })
+				.toEqual({ valid: testCase.valid, errors: testCase.valid ? [] : expect.any(String) });
+		}
+	);
+
+	test.each(Object.keys(fixtures.blocks))('%s accepts its own default values', (blockName) => {
+		const defaults = Object.fromEntries(
+			Object.entries(fixtures.blocks[blockName].attributes || {})
+				.filter(([, definition]) => definition.default !== undefined)
+				.map(([attrName, definition]) => [attrName, definition.default])
+		);
+
+		expect(validator.validate(blockName, defaults, fixtures.blocks[blockName]).errors).toEqual([]);
+	});
+});
+
+describe('attribute types', () => {
+	test('maps a ["string", "null"] union to a JSON Schema type list', () => {
+		expect(SchemaConverter.attributeToJSONSchema({ type: ['string', 'null'] })).toEqual({ type: ['string', 'null'] });
+	});
+
+	test('a union accepts each of its types and rejects the others', () => {
+		const schema = { attributes: { url: { type: ['string', 'null'] } } };
+
+		expect(validate(schema, { url: 'https://example.com' }).valid).toBe(true);
+		expect(validate(schema, { url: null }).valid).toBe(true);
+		expect(validate(schema, { url: 42 }).valid).toBe(false);
+	});
+
+	test('rich-text is a string and null is not a string', () => {
+		const schema = { attributes: { content: { type: 'rich-text' } } };
+
+		expect(validate(schema, { content: 'Hello' }).valid).toBe(true);
+		expect(validate(schema, { content: null }).valid).toBe(false);
+	});
+
+	test('an attribute without type takes the type of its source', () => {
+		expect(SchemaConverter.attributeToJSONSchema({ source: 'html', selector: 'p' })).toEqual({ type: 'string' });
+		expect(SchemaConverter.attributeToJSONSchema({ source: 'children' })).toEqual({ type: 'array' });
+	});
+
+	test('copies enum, constraints and default', () => {
+		expect(SchemaConverter.attributeToJSONSchema({ type: 'integer', enum: [1, 2, 3], minimum: 1, default: 2 }))
+			.toEqual({ type: 'integer', enum: [1, 2, 3], minimum: 1, default: 2 });
+	});
+});
+
+describe('arrays and nested objects', () => {
+	test('validates array items', () => {
+		const schema = { attributes: { ids: { type: 'array', items: { type: 'number' } } } };
+
+		expect(validate(schema, { ids: [1, 2] }).valid).toBe(true);
+		expect(validate(schema, { ids: ['1'] }).valid).toBe(false);
+	});
+
+	test('validates the items of a query attribute', () => {
+		const schema = {
+			attributes: {
+				images: {
+					type: 'array',
+					source: 'query',
+					selector: 'img',
+					query: { url: { type: 'string', source: 'attribute', attribute: 'src' } },
+				},
+			},
+		};
+
+		expect(validate(schema, { images: [{ url: 'a.jpg' }] }).valid).toBe(true);
+		expect(validate(schema, { images: [{ url: 3 }] }).valid).toBe(false);
+	});
+
+	test('validates nested properties and keeps unknown nested keys', () => {
+		const schema = {
+			attributes: {
+				focalPoint: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' } } },
+			},
+		};
+
+		expect(validate(schema, { focalPoint: { x: 0.5, y: 0.5, z: 1 } }).valid).toBe(true);
+		expect(validate(schema, { focalPoint: { x: '50%' } }).valid).toBe(false);
+	});
+
+	test('does not add items or properties to a non-structural type', () => {
+		expect(SchemaConverter.attributeToJSONSchema({ type: 'string', items: { type: 'number' } })).toEqual({ type: 'string' });
+	});
+});
+
+describe('supports attributes', () => {
+	const paragraph = { attributes: { content: { type: 'rich-text' } }, supports: { color: { gradients: true }, spacing: { padding: true } } };
+
+	test('color support adds style.color.background', () => {
+		expect(validate(paragraph, { style: { color: { background: '#ffffff', text: '#000000' } } }).valid).toBe(true);
+		expect(validate(paragraph, { style: { color: { background: 255 } } }).valid).toBe(false);
+		expect(validate(paragraph, { style: { color: '#fff' } }).valid).toBe(false);
+	});
+
+	test('color support adds preset attributes', () => {
+		expect(validate(paragraph, { backgroundColor: 'primary', textColor: 'base', gradient: 'vivid' }).valid).toBe(true);
+	});
+
+	test('color.background: false removes backgroundColor', () => {
+		const schema = { attributes: {}, supports: { color: { background: false } } };
+
+		expect(validate(schema, { textColor: 'base' }).valid).toBe(true);
+		expect(validate(schema, { backgroundColor: 'primary' }).valid).toBe(false);
+	});
+
+	test('padding accepts a shorthand or one value per side', () => {
+		expect(validate(paragraph, { style: { spacing: { padding: '1rem' } } }).valid).toBe(true);
+		expect(validate(paragraph, { style: { spacing: { padding: { top: '1rem', left: '2rem' } } } }).valid).toBe(true);
+		expect(validate(paragraph, { style: { spacing: { padding: 16 } } }).valid).toBe(false);
+	});
+
+	test('layout support validates the layout type', () => {
+		const group = { attributes: {}, supports: { layout: true } };
+
+		expect(validate(group, { layout: { type: 'constrained', contentSize: null } }).valid).toBe(true);
+		expect(validate(group, { layout: { type: 'masonry' } }).valid).toBe(false);
+	});
+
+	test('rejects attributes the block does not declare or support', () => {
+		expect(validate(paragraph, { invented: true }).valid).toBe(false);
+		expect(validate(paragraph, { fontSize: 'large' }).valid).toBe(false);
+	});
+
+	test('declared attributes take precedence over supports attributes', () => {
+		const schema = { attributes: { align: { type: 'string', enum: ['left', 'right'] } }, supports: { align: true } };
+
+		expect(validate(schema, { align: 'left' }).valid).toBe(true);
+		expect(validate(schema, { align: 'wide' }).valid).toBe(false);
+	});
+});